@@ -1,30 +1,152 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, Alert, ActivityIndicator, FlatList, Modal, Button } from 'react-native';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, FlatList, Modal, Button, ScrollView } from 'react-native';
 import { Audio } from 'expo-av';
 import * as FileSystem from 'expo-file-system';
-import { REPLICATE_API_TOKEN } from '@env';
+import {
+  AI_PROVIDER,
+  TRANSCRIPTION_PROVIDER,
+  RECIPE_PROVIDER,
+  REPLICATE_API_TOKEN,
+  REPLICATE_TRANSCRIPTION_MODEL,
+  REPLICATE_RECIPE_MODEL,
+  OPENAI_BASE_URL,
+  OPENAI_API_KEY,
+  OPENAI_TRANSCRIPTION_MODEL,
+  OPENAI_RECIPE_MODEL,
+} from '@env';
 import { styles } from './styles';
 import { MaterialIcons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createProviders, providerConfigFromEnv, INLINE_AUDIO_LIMIT } from './src/providers';
+import { buildRecipePrompt, buildTranslationPrompt, buildRecipeUpdatePrompt, buildAdaptationPrompt } from './src/prompts';
+import RecipeEditor from './components/RecipeEditor';
+import UndoSnackbar from './components/UndoSnackbar';
+import { upsertRecipe, removeRecipes, restoreRecipes, duplicateRecipe } from './src/recipeList';
+import { normalizeIngredients } from './src/ingredients';
+import { parseRecipeOutput, recipeFromOutput } from './src/recipeParser';
+import RecipeView from './components/RecipeView';
+import CookMode from './components/CookMode';
+import TimerList from './components/TimerList';
+import ProcessingProgress from './components/ProcessingProgress';
+import useTimers from './hooks/useTimers';
+import useJobQueue from './hooks/useJobQueue';
+import PendingJobs from './components/PendingJobs';
+import RecipeFilters from './components/RecipeFilters';
+import { filterRecipes, collectTags } from './src/recipeSearch';
+import { createRecipeRepository } from './src/recipeRepository';
+import { mergeRecipes } from './src/recipeExport';
+import { EXPORT_FORMATS, shareRecipes, shareTextFile, pickImportFile, pickTextFile } from './services/recipeSharing';
+import TextImport from './components/TextImport';
+import ShoppingList from './components/ShoppingList';
+import useShoppingList from './hooks/useShoppingList';
+import MealPlanner from './components/MealPlanner';
+import useMealPlan from './hooks/useMealPlan';
+import { MEAL_SLOTS, weekSelections, toICalendar } from './src/mealPlan';
+import { looksLikeHtml, importFromHtml } from './src/htmlImport';
+import { persistRecordings, cleanupOrphanedRecordings } from './services/recordingStorage';
+import useLanguageSettings from './hooks/useLanguageSettings';
+import LanguageSettings from './components/LanguageSettings';
+import { LANGUAGES, guessRecipeLanguage } from './src/language';
+import { translationContent, applyTranslation } from './src/translation';
+import useRecorder from './hooks/useRecorder';
+import RecordingControls from './components/RecordingControls';
+import VoiceAddition from './components/VoiceAddition';
+import AdaptRecipe from './components/AdaptRecipe';
+import RecipeHistory from './components/RecipeHistory';
+import { applyRecipeUpdate, diffRecipes } from './src/recipeUpdate';
+import { substitutionsFor, remainingConflicts, applyAdaptation } from './src/adaptation';
+import { restoreVersion, nextChangeSource } from './src/recipeHistory';
+import { recordingUris, recordingFields, transcribeSegments } from './src/recording';
+import useFoodMappings from './hooks/useFoodMappings';
+
+const providers = createProviders(providerConfigFromEnv({
+  AI_PROVIDER,
+  TRANSCRIPTION_PROVIDER,
+  RECIPE_PROVIDER,
+  REPLICATE_API_TOKEN,
+  REPLICATE_TRANSCRIPTION_MODEL,
+  REPLICATE_RECIPE_MODEL,
+  OPENAI_BASE_URL,
+  OPENAI_API_KEY,
+  OPENAI_TRANSCRIPTION_MODEL,
+  OPENAI_RECIPE_MODEL,
+}));
+
+// Recipes are stored one record per key in AsyncStorage
+const recipeRepository = createRecipeRepository(AsyncStorage);
 
 const RecipeVoiceApp = () => {
-  const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  // { stage, transcript, output } of the recording being processed
+  const [progress, setProgress] = useState(null);
+  const processingController = useRef(null);
   const [recipes, setRecipes] = useState([]);
   const [currentRecipe, setCurrentRecipe] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [undoAction, setUndoAction] = useState(null);
+  const [cookingRecipe, setCookingRecipe] = useState(null);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+  const [recipesLoaded, setRecipesLoaded] = useState(false);
+  const [reviewingJobId, setReviewingJobId] = useState(null);
+  const [textImportVisible, setTextImportVisible] = useState(false);
+  const [shoppingListVisible, setShoppingListVisible] = useState(false);
+  const [mealPlannerVisible, setMealPlannerVisible] = useState(false);
+  const [languageSettingsVisible, setLanguageSettingsVisible] = useState(false);
+  const [isTranslating, setIsTranslating] = useState(false);
+  // Addition dictated for the open recipe:
+  // { status: 'recording' | 'processing' | 'review', updated, diff }
+  const [addition, setAddition] = useState(null);
+  // Adapted copy being made of the open recipe:
+  // { status: 'choosing' | 'processing' | 'review', adapted, diff, conflicts }
+  const [adaptation, setAdaptation] = useState(null);
+  // What changed the open recipe since it was opened ('edit' or
+  // 'regenerate', see nextChangeSource), kept with the version it is saved as
+  const [changeSource, setChangeSource] = useState(null);
+  // Saved versions of the open recipe while its history is shown
+  const [historyVersions, setHistoryVersions] = useState(null);
+  const [filters, setFilters] = useState({ query: '', tags: [], ingredient: '', sortBy: 'date' });
+  const languageSettings = useLanguageSettings();
+  const { t } = languageSettings;
+  // Lives above the modal so timers keep running when it closes
+  const { timers, now, startTimer, removeTimer } = useTimers();
+  // Recordings that couldn't be processed when they were made. Jobs keep the
+  // language settings from the time they were recorded.
+  const processingQueue = useJobQueue({
+    transcribe: (uri, job) => transcribeRecording(recordingUris(job), { language: job.spokenLanguage }),
+    structure: async (transcript, job) => {
+      const language = job.language || job.spokenLanguage;
+      return {
+        ...parseRecipeResult(await generateRecipe(transcript, { language })),
+        language,
+        spokenLanguage: job.spokenLanguage,
+      };
+    },
+  });
   const [transcribedText, setTranscribedText] = useState('');
   const [error, setError] = useState(null);
-  const [recording, setRecording] = useState(null);
-  const [audioUri, setAudioUri] = useState(null);
+  // Stops by itself at the maximum length
+  const recorder = useRecorder({ onLimit: () => stopRecording() });
+  const shoppingList = useShoppingList(recipes, languageSettings.uiLocale);
+  const mealPlan = useMealPlan();
+  const foodMappings = useFoodMappings();
+  
+  const visibleRecipes = useMemo(() => filterRecipes(recipes, filters), [recipes, filters]);
+  const allTags = useMemo(() => collectTags(recipes), [recipes]);
 
-  // Add function to save recipes to AsyncStorage
+  // Persist the list; only recipes that changed are rewritten
   const saveRecipesToStorage = async (updatedRecipes) => {
+    // Writing a list that never loaded would delete the stored recipes
+    if (!recipesLoaded) {
+      setError(t('errors.notLoaded'));
+      return;
+    }
     try {
-      await AsyncStorage.setItem('savedRecipes', JSON.stringify(updatedRecipes));
+      await recipeRepository.replaceAll(updatedRecipes);
     } catch (e) {
       console.error('Failed to save recipes', e);
-      setError('Failed to save recipes');
+      setError(t('errors.save'));
     }
   };
 
@@ -32,25 +154,38 @@ const RecipeVoiceApp = () => {
   useEffect(() => {
     const loadRecipes = async () => {
       try {
-        const savedRecipes = await AsyncStorage.getItem('savedRecipes');
-        if (savedRecipes) {
-          setRecipes(JSON.parse(savedRecipes));
-        }
+        // Runs any pending schema migrations first
+        setRecipes(await recipeRepository.load());
+        setRecipesLoaded(true);
       } catch (e) {
         console.error('Failed to load recipes', e);
+        setError(t('errors.load'));
       }
     };
     
     loadRecipes();
   }, []);
 
+  // Clean up recordings once both recipes and queued jobs are known, so no
+  // recording still in use gets deleted
+  useEffect(() => {
+    if (!recipesLoaded || !processingQueue.isLoaded) return;
+    const keepUris = [
+      ...recipes.flatMap(recordingUris),
+      ...processingQueue.jobs.flatMap(recordingUris),
+    ];
+    cleanupOrphanedRecordings(keepUris)
+      .catch(e => console.error('Failed to clean up recordings', e));
+  }, [recipesLoaded, processingQueue.isLoaded]);
+
+  // Resolves to whether recording started
   const startRecording = async () => {
     try {
       // Request permissions
       const { status } = await Audio.requestPermissionsAsync();
       if (status !== 'granted') {
-        setError('Permission to access microphone was denied');
-        return;
+        setError(t('errors.microphone'));
+        return false;
       }
 
       // Set audio mode for recording
@@ -60,17 +195,31 @@ const RecipeVoiceApp = () => {
       });
 
       // Create and start recording
-      const { recording } = await Audio.Recording.createAsync(
-        Audio.RecordingOptionsPresets.HIGH_QUALITY
-      );
-      
-      setRecording(recording);
-      setIsRecording(true);
+      await recorder.start();
       // Alert removed as requested
+      return true;
     } catch (error) {
       console.error('Failed to start recording:', error);
-      setError('Failed to start recording');
-      setIsRecording(false);
+      setError(t('errors.startRecording'));
+      return false;
+    }
+  };
+
+  const pauseRecording = async () => {
+    try {
+      await recorder.pause();
+    } catch (error) {
+      console.error('Failed to pause recording:', error);
+      setError(t('errors.pauseRecording'));
+    }
+  };
+
+  const resumeRecording = async () => {
+    try {
+      await recorder.resume();
+    } catch (error) {
+      console.error('Failed to resume recording:', error);
+      setError(t('errors.pauseRecording'));
     }
   };
 
@@ -83,341 +232,768 @@ const RecipeVoiceApp = () => {
     });
   };
 
-  const saveRecipe = () => {
+  const saveRecipe = async () => {
     if (currentRecipe) {
-      // Make sure the recipe has a unique ID
+      const { parseError, ...recipe } = currentRecipe;
       const recipeToSave = {
-        ...currentRecipe,
-        id: currentRecipe.id || Date.now().toString(), // Add ID if not already present
-        date: new Date().toISOString() // Add timestamp for sorting/display
+        ...recipe,
+        // Drop rows left empty in the editor
+        ingredients: normalizeIngredients(currentRecipe.ingredients),
+        steps: (currentRecipe.steps || []).filter(step => step.trim() !== ''),
       };
       
-      const updatedRecipes = [...recipes, recipeToSave];
+      // Keep the source recording with the recipe instead of in the cache
+      if (recipeToSave.audioUri) {
+        try {
+          const stored = await persistRecordings(recordingUris(recipeToSave), recipeToSave.id);
+          recipeToSave.audioUri = stored[0];
+          if (stored.length > 1) recipeToSave.audioSegments = stored;
+        } catch (e) {
+          console.error('Failed to keep recording', e);
+          setError(t('errors.keepRecording'));
+          delete recipeToSave.audioUri;
+          delete recipeToSave.audioSegments;
+        }
+      }
+      
+      // Overwrites the saved copy when the id already exists
+      const previous = recipes.find(recipe => recipe.id === recipeToSave.id);
+      const updatedRecipes = upsertRecipe(recipes, recipeToSave);
       setRecipes(updatedRecipes);
-      saveRecipesToStorage(updatedRecipes); // Save to AsyncStorage
-      setModalVisible(false);
-      setCurrentRecipe(null);
+      saveRecipesToStorage(updatedRecipes);
+      keepVersion(recipeToSave, previous ? changeSource || 'edit' : 'created', previous);
+      if (reviewingJobId) {
+        processingQueue.removeJob(reviewingJobId);
+      }
+      closeModal();
       setTranscribedText('');
     }
   };
 
+  // Add a saved change to the recipe's history (src/recipeHistory.js)
+  const keepVersion = (recipe, source, previous) => {
+    recipeRepository.addVersion(recipe, { source, previous })
+      .catch(e => console.error('Failed to keep recipe version', e));
+  };
+
+  const updateRecipes = (updatedRecipes) => {
+    setRecipes(updatedRecipes);
+    saveRecipesToStorage(updatedRecipes);
+  };
+
+  const deleteRecipes = (ids) => {
+    const { recipes: remaining, removed } = removeRecipes(recipes, ids);
+    if (removed.length === 0) return;
+    updateRecipes(remaining);
+    setSelectedIds([]);
+    setUndoAction({
+      message: removed.length === 1
+        ? t('library.deletedOne', { title: removed[0].recipe.title })
+        : t('library.deletedMany', { count: removed.length }),
+      removed,
+    });
+  };
+
+  const undoDelete = () => {
+    if (!undoAction) return;
+    updateRecipes(restoreRecipes(recipes, undoAction.removed));
+    setUndoAction(null);
+  };
+
+  const copyRecipe = (recipe) => {
+    updateRecipes([...recipes, duplicateRecipe(recipe, t('library.copyTitle', { title: recipe.title }))]);
+  };
+
+  const exportFailed = (e) => setError(e.code === 'SHARING_UNAVAILABLE'
+    ? t('errors.sharingUnavailable')
+    : t('errors.export', { message: e.message }));
+
+  // Ask for a format, then open the share sheet with the exported file
+  const exportRecipes = (recipesToExport) => {
+    if (recipesToExport.length === 0) return;
+    Alert.alert(
+      t('export.title'),
+      recipesToExport.length === 1
+        ? `"${recipesToExport[0].title}"`
+        : t('export.recipeCount', { count: recipesToExport.length }),
+      Object.keys(EXPORT_FORMATS).map(format => ({
+        text: t(`export.format.${format}`),
+        onPress: () => shareRecipes(recipesToExport, format, { dialogTitle: t('export.recipes') })
+          .catch(exportFailed),
+      })),
+      { cancelable: true }
+    );
+  };
+
+  const importRecipes = async () => {
+    try {
+      const imported = await pickImportFile();
+      if (!imported) return;
+      const { recipes: merged, added, updated, skipped } = mergeRecipes(recipes, imported.recipes);
+      if (added > 0 || updated > 0) updateRecipes(merged);
+      // A saved recipe the import replaced keeps its earlier content as a version
+      const savedById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+      merged.forEach(recipe => {
+        const previous = savedById.get(recipe.id);
+        if (previous && previous !== recipe) keepVersion(recipe, 'import', previous);
+      });
+      const invalid = imported.errors.length > 0 ? `\n${t('import.invalid', { count: imported.errors.length })}` : '';
+      Alert.alert(t('import.title'), `${t('import.summary', { added, updated, skipped })}${invalid}`);
+    } catch (e) {
+      console.error('Failed to import recipes', e);
+      setError(t('errors.import', { message: e.message }));
+    }
+  };
+
+  // Build a recipe from pasted text or a saved web page. Pages with Recipe
+  // JSON-LD skip the model; anything else goes through generateRecipe.
+  const addFromText = async (text) => {
+    const { recipeLanguage } = languageSettings;
+    try {
+      let parsedRecipe;
+      if (looksLikeHtml(text)) {
+        const imported = await importFromHtml(text, {
+          generate: (pageText) => generateRecipe(pageText, { language: recipeLanguage }),
+        });
+        if (imported.source === 'json-ld' && imported.recipes.length > 1) {
+          const { recipes: merged, added, skipped } = mergeRecipes(recipes, imported.recipes);
+          updateRecipes(merged);
+          setTextImportVisible(false);
+          Alert.alert(t('import.title'), t('import.pageSummary', { added, skipped }));
+          return;
+        }
+        parsedRecipe = imported.source === 'json-ld'
+          ? { ...imported.recipes[0], id: Date.now().toString() }
+          : { ...parseRecipeResult(imported.output), transcript: imported.text, language: recipeLanguage };
+      } else {
+        // Kept like a transcript so the recipe can be regenerated later
+        parsedRecipe = {
+          ...parseRecipeResult(await generateRecipe(text, { language: recipeLanguage })),
+          transcript: text,
+          language: recipeLanguage,
+        };
+      }
+      setTextImportVisible(false);
+      setCurrentRecipe(parsedRecipe);
+      setIsEditing(Boolean(parsedRecipe.parseError));
+      setModalVisible(true);
+    } catch (err) {
+      textImportFailed(err);
+    }
+  };
+
+  const textImportFailed = (err) => {
+    console.error('Failed to create recipe from text', err);
+    setTextImportVisible(false);
+    setError(t('errors.fromText'));
+  };
+
+  const openShoppingList = (recipeIds) => {
+    shoppingList.buildFromRecipes(recipeIds);
+    setSelectedIds([]);
+    setShoppingListVisible(true);
+  };
+
+  const openPlannedRecipe = (recipe) => {
+    setMealPlannerVisible(false);
+    setCurrentRecipe(recipe);
+    setModalVisible(true);
+  };
+
+  const shopForWeek = (start) => {
+    shoppingList.build(weekSelections(mealPlan.plan, start));
+    setMealPlannerVisible(false);
+    setShoppingListVisible(true);
+  };
+
+  const exportWeek = (start) => {
+    const slotLabels = Object.fromEntries(MEAL_SLOTS.map(({ key }) => [key, t(`mealSlots.${key}`)]));
+    shareTextFile(`meal-plan-${start}.ics`, toICalendar(mealPlan.plan, recipes, { start, slotLabels }), {
+      mimeType: 'text/calendar',
+      UTI: 'public.calendar-event',
+      dialogTitle: t('export.mealPlan'),
+    }).catch(exportFailed);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter(selectedId => selectedId !== id)
+      : [...selectedIds, id]);
+  };
+
+  // Re-run recipe generation on the stored transcript, keeping the recipe's
+  // id, recording, transcript and language
+  const regenerateRecipe = async () => {
+    if (!currentRecipe || !currentRecipe.transcript) return;
+    setIsRegenerating(true);
+    try {
+      const recipeResult = await generateRecipe(currentRecipe.transcript, { language: currentRecipe.language });
+      const parsedRecipe = parseRecipeResult(recipeResult);
+      const { id, ...regenerated } = parsedRecipe;
+      const { parseError, ...previous } = currentRecipe;
+      setCurrentRecipe({ ...previous, ...regenerated });
+      setChangeSource(source => nextChangeSource(source, 'regenerate'));
+      setIsEditing(Boolean(parsedRecipe.parseError));
+    } catch (err) {
+      setError(t('errors.regenerate'));
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  // Open a translated copy of the current recipe for review. The original
+  // is left as it is; the copy links back to it through translatedFrom.
+  const translateRecipe = async (language) => {
+    if (!currentRecipe) return;
+    setIsTranslating(true);
+    try {
+      const output = await providers.recipe.generate(
+        buildTranslationPrompt(translationContent(currentRecipe), language)
+      );
+      setCurrentRecipe(applyTranslation(currentRecipe, output, language));
+      setIsEditing(false);
+    } catch (err) {
+      console.error('Recipe translation failed', err);
+      setError(t('errors.translate', { message: err.message }));
+    } finally {
+      setIsTranslating(false);
+    }
+  };
+
+  const startAddition = async () => {
+    setAddition({ status: 'recording' });
+    if (!(await startRecording())) setAddition(null);
+  };
+
+  // Send what was said together with the recipe, and show the updated
+  // version for review. The addition ends up in the transcript; its audio
+  // is not kept.
+  const finishAddition = async () => {
+    const recipe = currentRecipe;
+    const controller = new AbortController();
+    processingController.current = controller;
+    setAddition({ status: 'processing' });
+    setProgress({ stage: 'uploading' });
+    let uris = [];
+    try {
+      uris = await recorder.stop();
+      const transcription = await transcribeRecording(uris, {
+        language: recipe.spokenLanguage || languageSettings.spokenLanguage,
+        signal: controller.signal,
+        onUploaded: () => updateProgress({ stage: 'transcribing' }),
+        onSegment: ({ done, total, text }) => updateProgress({ segment: { done, total }, transcript: text }),
+      });
+      if (!transcription.text) throw new Error(t('errors.noSpeech'));
+      updateProgress({ stage: 'structuring', transcript: transcription.text });
+
+      const language = recipe.language || guessRecipeLanguage(recipe);
+      const output = await providers.recipe.generate(
+        buildRecipeUpdatePrompt(recipe, transcription.text, { language }),
+        { signal: controller.signal, onToken: (token, text) => updateProgress({ output: text }) }
+      );
+      const result = parseRecipeOutput(output);
+      if (!result.ok) throw new Error(result.error.message);
+      const updated = applyRecipeUpdate(recipe, result.recipe, transcription.text);
+      setAddition({ status: 'review', updated, diff: diffRecipes(recipe, updated) });
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error('Voice addition failed', err);
+        setError(t('errors.addition', { message: err.message }));
+      }
+      setAddition(null);
+    } finally {
+      processingController.current = null;
+      setProgress(null);
+      uris.forEach(uri => FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {}));
+    }
+  };
+
+  const cancelAddition = async () => {
+    try {
+      if (recorder.isRecording) await recorder.cancel();
+    } catch (err) {
+      console.error('Failed to cancel recording', err);
+    }
+    cancelProcessing();
+    setAddition(null);
+  };
+
+  // The reviewed update replaces the saved version right away
+  const applyAddition = () => {
+    const { updated } = addition;
+    setCurrentRecipe(updated);
+    const previous = recipes.find(recipe => recipe.id === updated.id);
+    if (previous) {
+      updateRecipes(upsertRecipe(recipes, updated));
+      keepVersion(updated, 'addition', previous);
+    }
+    setAddition(null);
+  };
+
+  const editRecipe = (recipe) => {
+    setCurrentRecipe(recipe);
+    setChangeSource(source => nextChangeSource(source, 'edit'));
+  };
+
+  const showHistory = async () => {
+    try {
+      setHistoryVersions(await recipeRepository.history(currentRecipe.id));
+    } catch (err) {
+      console.error('Failed to load recipe history', err);
+      setError(t('errors.history'));
+    }
+  };
+
+  // Bring back an older version as a new saved change, so restoring can be
+  // undone the same way
+  const restoreRecipeVersion = (version) => {
+    const previous = recipes.find(recipe => recipe.id === currentRecipe.id);
+    if (!previous) return;
+    const restored = restoreVersion(previous, version);
+    updateRecipes(upsertRecipe(recipes, restored));
+    keepVersion(restored, 'restore', previous);
+    setCurrentRecipe(restored);
+    setChangeSource(null);
+    setIsEditing(false);
+    setHistoryVersions(null);
+  };
+
+  // Ask for a copy adapted to a diet, or without a missing ingredient, with
+  // the local substitution rules as hints, and show it against the original
+  const adaptRecipe = async (type, ingredient) => {
+    const recipe = currentRecipe;
+    const controller = new AbortController();
+    processingController.current = controller;
+    setAdaptation({ status: 'processing' });
+    setProgress({ stage: 'structuring' });
+    try {
+      const language = recipe.language || guessRecipeLanguage(recipe);
+      const substitutions = substitutionsFor(recipe, type, { ingredient, language });
+      const output = await providers.recipe.generate(
+        buildAdaptationPrompt(recipe, { adaptation: type, ingredient, substitutions, language }),
+        { signal: controller.signal, onToken: (token, text) => updateProgress({ output: text }) }
+      );
+      const result = parseRecipeOutput(output);
+      if (!result.ok) throw new Error(result.error.message);
+      const adapted = applyAdaptation(recipe, result.recipe, { adaptation: type, ingredient });
+      setAdaptation({
+        status: 'review',
+        adapted,
+        diff: diffRecipes(recipe, adapted),
+        conflicts: remainingConflicts(adapted, type, { ingredient }),
+      });
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error('Recipe adaptation failed', err);
+        setError(t('errors.adapt', { message: err.message }));
+      }
+      setAdaptation(null);
+    } finally {
+      processingController.current = null;
+      setProgress(null);
+    }
+  };
+
+  const cancelAdaptation = () => {
+    cancelProcessing();
+    setAdaptation(null);
+  };
+
+  // Like a translation, the copy opens unsaved and links back to the
+  // original through adaptedFrom
+  const openAdaptation = () => {
+    setCurrentRecipe(adaptation.adapted);
+    setChangeSource(null);
+    setIsEditing(false);
+    setAdaptation(null);
+  };
+
+  const openParentRecipe = (parent) => {
+    setCurrentRecipe(parent);
+    setChangeSource(null);
+    setIsEditing(false);
+  };
+
+  // Cook mode replaces the recipe modal and hands it back when closed
+  const startCooking = () => {
+    const cookedRecipe = { ...currentRecipe, lastCookedAt: new Date().toISOString() };
+    if (recipes.some(recipe => recipe.id === cookedRecipe.id)) {
+      updateRecipes(recipes.map(recipe => (
+        recipe.id === cookedRecipe.id ? { ...recipe, lastCookedAt: cookedRecipe.lastCookedAt } : recipe
+      )));
+    }
+    setCurrentRecipe(cookedRecipe);
+    setCookingRecipe(cookedRecipe);
+    setModalVisible(false);
+  };
+
+  const stopCooking = () => {
+    setCookingRecipe(null);
+    setModalVisible(true);
+  };
+
+  const closeModal = () => {
+    if (addition) cancelAddition();
+    if (adaptation) cancelAdaptation();
+    setModalVisible(false);
+    setIsEditing(false);
+    setCurrentRecipe(null);
+    setChangeSource(null);
+    setHistoryVersions(null);
+    setReviewingJobId(null);
+  };
+
+  // Open the recipe a queued job produced; saving it removes the job
+  const reviewJob = (job) => {
+    setCurrentRecipe({
+      ...job.recipe,
+      audioUri: job.audioUri,
+      audioSegments: job.audioSegments,
+      transcript: job.transcript,
+    });
+    setReviewingJobId(job.id);
+    setIsEditing(Boolean(job.recipe.parseError));
+    setModalVisible(true);
+  };
+
 const stopRecording = async () => {
   try {
-    if (!recording) return;
+    if (!recorder.isRecording) return;
     
-    setIsRecording(false);
     setIsProcessing(true);
+    setProgress({ stage: 'uploading' });
     
-    await recording.stopAndUnloadAsync();
-    const uri = recording.getURI();
-    setAudioUri(uri);
-    setRecording(null);
+    const uris = await recorder.stop();
     
-    // Process the audio file
-    await transcribeAudio(uri);
+    // Process the audio files
+    await transcribeAudio(uris);
   } catch (err) {
     console.error('Failed to stop recording', err);
-    setError('Failed to stop recording');
+    setError(t('errors.stopRecording'));
   } finally {
     setIsProcessing(false);
+    setProgress(null);
   }
 };
 
+// Abort the in-flight request; transcribeAudio drops the recording
+const cancelProcessing = () => {
+  if (processingController.current) processingController.current.abort();
+};
+
+const updateProgress = (changes) => setProgress(previous => (previous ? { ...previous, ...changes } : previous));
+
 const cancelRecording = async () => {
   try {
-    if (!recording) return;
-    
-    setIsRecording(false);
-    
-    await recording.stopAndUnloadAsync();
-    const uri = recording.getURI();
-    
-    // Delete the recording file if needed
-    if (uri) {
-      await FileSystem.deleteAsync(uri, { idempotent: true });
-    }
-    
-    setRecording(null);
-    setAudioUri(null);
+    if (!recorder.isRecording) return;
     
+    // Deletes the recording files
+    await recorder.cancel();
   } catch (err) {
     console.error('Failed to cancel recording', err);
-    setError('Failed to cancel recording');
+    setError(t('errors.cancelRecording'));
   }
 };
 
-// Convert audio to base64 and send to Replicate
-const transcribeAudio = async (uri) => {
-  try {
-    console.log('Processing audio...');
-    // Convert audio to base64
-    const base64Audio = await FileSystem.readAsStringAsync(uri, {
+// Small recordings are sent as base64; bigger ones are uploaded from the file
+const readRecording = async (uri) => {
+  const { size } = await FileSystem.getInfoAsync(uri, { size: true });
+  const audio = { uri, size, mimeType: 'audio/m4a' };
+  if (size <= INLINE_AUDIO_LIMIT) {
+    audio.base64 = await FileSystem.readAsStringAsync(uri, {
       encoding: FileSystem.EncodingType.Base64,
     });
-    console.log('Audio processed');
-    // Transcribe audio using Replicate API
-    const transcriptionResult = await sendTranscriptionRequest(base64Audio);
-    setTranscribedText(transcriptionResult);
-    console.log('Transcription result:', transcriptionResult);
-    // Generate receipt based on transcription
-    if (transcriptionResult) {
-      const recipeResult = await generateRecipe(transcriptionResult);
-      console.log('Recipe result:', recipeResult);
+  }
+  return audio;
+};
 
-      // Parse the recipe result
-      const parsedRecipe = parseRecipeResult(recipeResult);
-      console.log('Parsed recipe:', parsedRecipe);
-      setCurrentRecipe(parsedRecipe);
-      
-      setModalVisible(true);
+// Transcribe each segment of a recording in turn and stitch the results
+// (see src/recording.js transcribeSegments)
+const transcribeRecording = (uris, options = {}) => transcribeSegments(uris, {
+  ...options,
+  readAudio: (uri) => {
+    console.log('Processing audio...', uri);
+    return readRecording(uri);
+  },
+  transcribe: sendTranscriptionRequest,
+});
+
+const transcribeAudio = async (uris) => {
+  // Settings at the time of recording, so a change mid-request doesn't mix them
+  const { spokenLanguage: spokenHint, recipeLanguage } = languageSettings;
+  let transcriptionResult = '';
+  let spokenLanguage = spokenHint;
+  const controller = new AbortController();
+  processingController.current = controller;
+  try {
+    // Transcribe audio using the configured provider
+    const transcription = await transcribeRecording(uris, {
+      language: spokenHint,
+      signal: controller.signal,
+      onUploaded: () => updateProgress({ stage: 'transcribing' }),
+      onSegment: ({ done, total, text }) => updateProgress({ segment: { done, total }, transcript: text }),
+    });
+    transcriptionResult = transcription.text;
+    spokenLanguage = transcription.language || spokenHint;
+    setTranscribedText(transcriptionResult);
+    updateProgress({ stage: 'structuring', transcript: transcriptionResult });
+    console.log('Transcription result:', transcriptionResult, spokenLanguage);
+    if (!transcriptionResult) {
+      setError(t('errors.noSpeech'));
+      return;
     }
+    // Generate receipt based on transcription, in the chosen language or the
+    // one that was spoken
+    const language = recipeLanguage || spokenLanguage;
+    const recipeResult = await generateRecipe(transcriptionResult, {
+      language,
+      signal: controller.signal,
+      onToken: (token, output) => updateProgress({ output }),
+    });
+    console.log('Recipe result:', recipeResult);
+
+    // Parse the recipe result
+    const parsedRecipe = parseRecipeResult(recipeResult);
+    console.log('Parsed recipe:', parsedRecipe);
+    // The recording and transcript are saved along with the recipe
+    setCurrentRecipe({
+      ...parsedRecipe,
+      ...recordingFields(uris),
+      transcript: transcriptionResult,
+      language,
+      spokenLanguage,
+    });
+    // Let the user rebuild the recipe from the raw output
+    setIsEditing(Boolean(parsedRecipe.parseError));
+    
+    setModalVisible(true);
   } catch (err) {
+    // Cancelled by the user, so there is nothing to retry
+    if (controller.signal.aborted) {
+      setError(t('progress.cancelled'));
+      return;
+    }
     console.error('Failed to process audio', err);
-    setError('Failed to process audio');
+    // Keep the recording (and the transcript, if we got that far) for a retry
+    await processingQueue.enqueue({
+      ...recordingFields(uris),
+      transcript: transcriptionResult || null,
+      language: recipeLanguage,
+      spokenLanguage,
+      error: err.message,
+    });
+    setError(t('errors.queued'));
+  } finally {
+    processingController.current = null;
   }
 };
 
-// Send transcription request to Replicate API
-const sendTranscriptionRequest = async (base64Audio) => {
+// Send transcription request to the configured provider
+// Errors are rethrown so the caller can queue the job for a retry
+const sendTranscriptionRequest = async (audio, options) => {
   console.log('Sending transcription request...');
   try {
-    const response = await fetch('https://api.replicate.com/v1/predictions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${REPLICATE_API_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        // Use Whisper model for transcription
-        version: "84d2ad2d6194fe98a17d2b60bef1c7f910c46b2f6fd38996ca457afd9c8abfcb", // whisper model
-        input: {
-          audio_file: `data:audio/m4a;base64,${base64Audio}`,
-        },
-      }),
-    });
-    console.log('Transcription request sent');
-    const prediction = await response.json();
-    console.log('Transcription prediction:', prediction);
-    return await pollForResults(prediction.id);
+    return await providers.transcription.transcribe(audio, options);
   } catch (err) {
     console.error('Transcription request failed', err);
-    setError('Transcription request failed');
-    return '';
+    throw err;
   }
 };
 
-// Generate recipe from transcription
-const generateRecipe = async (transcriptionText) => {
+// Generate recipe from transcription. Without a language the recipe is
+// written in the language of the text.
+const generateRecipe = async (transcriptionText, { language, ...options } = {}) => {
   try {
-    const response = await fetch('https://api.replicate.com/v1/predictions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Token ${REPLICATE_API_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        // Use a text generation model
-        version: "meta/meta-llama-3-8b-instruct",
-        input: {
-          prompt: `You are a skilled chef who converts spoken cooking instructions into structured recipes. 
-            Extract the title, ingredients with quantities, and step-by-step instructions from this text.
-            Format your response as a JSON object with fields: title, ingredients (array of strings with quantities), 
-            and steps (array of strings). You write all the the instructions in brasilian portuguese. Do not make any other comment only give me the structured answer.
-            Text: ${transcriptionText}`,
-            max_tokens: 1000,
-            temperature: 0.1,
-            top_p: 0.95,
-        },
-      }),
-    });
-    
-    const prediction = await response.json();
-    
-    // Poll for results
-    return await pollForResults(prediction.id);
+    return await providers.recipe.generate(buildRecipePrompt(transcriptionText, { language }), options);
   } catch (err) {
     console.error('Recipe generation failed', err);
-    setError('Recipe generation failed');
-    return '';
+    throw err;
   }
 };
-// Poll for Replicate results
-const pollForResults = async (predictionId) => {
-  let status = 'starting';
-  console.log('Polling for results...');
-  while (status !== 'succeeded' && status !== 'failed') {
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    const response = await fetch(`https://api.replicate.com/v1/predictions/${predictionId}`, {
-      headers: {
-        'Authorization': `Token ${REPLICATE_API_TOKEN}`,
-      },
-    });
-    
-    if (response.status === 404) {
-      throw new Error('Prediction not found');
-    }
-    
-    console.log('Polling response:', response);
-    
-    const prediction = await response.json();
-    status = prediction.status;
-    
-    if (status === 'succeeded') {
-      return typeof prediction.output === 'string' 
-        ? prediction.output 
-        : prediction.output.transcription || JSON.stringify(prediction.output);
-    }
-  }
-  
-  return '';
-};
 
-function convertStringToJson(inputString) {
-  try {
-      // First parse the string into an array
-      const arrayOfStrings = JSON.parse(inputString);
-      
-      // Join all array elements
-      const jsonString = arrayOfStrings.join('');
-      
-      // Parse the joined string into a JSON object
-      const jsonObject = JSON.parse(jsonString);
-      return jsonObject;
-  } catch (error) {
-      console.error('Error parsing JSON:', error);
-      return null;
-  }
-}
+// Parse the model output with the shared parser. When it can't be parsed the
+// raw output is kept on the recipe so the user can fix it in the editor.
 const parseRecipeResult = (recipeData) => {
-  try {
-  
-    // Parse the JSON string into an object
-    const recipeObject = convertStringToJson(recipeData);
-    
-    // Validate the structure
-    if (!recipeObject.ingredients || !recipeObject.steps) {
-      console.log('Missing ingredients or steps in recipe:', recipeObject);
-      // Provide default empty arrays to prevent mapping errors
-      return {
-        id: Date.now().toString(), // Add unique ID 
-        title: recipeObject.title || 'Untitled Recipe',
-        ingredients: recipeObject.ingredients || [],
-        steps: recipeObject.steps || []
-      };
-    }
-    
-    return {
-      ...recipeObject,
-      id: Date.now().toString() // Add unique ID
-    };
-  } catch (error) {
-    console.error('Error parsing recipe:', error);
-    // Return a default recipe structure if parsing fails
-    return {
-      id: Date.now().toString(), // Add unique ID
-      title: 'Parsing Error',
-      ingredients: [],
-      steps: []
-    };
+  const recipe = recipeFromOutput(recipeData, { untitled: t('recipe.untitled') });
+  if (recipe.parseError) {
+    console.error('Error parsing recipe:', recipe.parseError);
   }
+  return recipe;
 };
 
-const handleRecipeResponse = (recipeResultArray) => {
-  try {
-    // Join array fragments and parse JSON
-    const jsonString = recipeResultArray.join('');
-    const recipeObject = JSON.parse(jsonString);
-    
-    // Create standardized recipe object
-    const newRecipe = {
-      id: Date.now().toString(), // Generate unique ID
-      title: recipeObject.title || 'Untitled Recipe',
-      ingredients: recipeObject.ingredients || [],
-      steps: recipeObject.steps || []
-    };
+const isSelecting = selectedIds.length > 0;
 
-    // Update recipes state
-    setRecipes(prevRecipes => [...prevRecipes, newRecipe]);
-    setCurrentRecipe(newRecipe);
-    setModalVisible(true);
-    
-  } catch (error) {
-    console.error('Error processing recipe:', error);
-    Alert.alert('Error', 'Failed to process recipe data');
-  }
+const renderRecipeItem = ({ item }) => {
+  const isSelected = selectedIds.includes(item.id);
+  return (
+    <TouchableOpacity 
+      style={[styles.recipeItem, styles.recipeItemRow, isSelected && styles.recipeItemSelected]}
+      onPress={() => {
+        if (isSelecting) {
+          toggleSelected(item.id);
+          return;
+        }
+        // Use the item directly instead of recipeResultArray
+        setCurrentRecipe(item);
+        setModalVisible(true); // Assuming you want to show the modal
+      }}
+      onLongPress={() => toggleSelected(item.id)}
+    >
+      {isSelecting && (
+        <MaterialIcons
+          name={isSelected ? 'check-box' : 'check-box-outline-blank'}
+          size={22}
+          color="#4CAF50"
+          style={styles.recipeItemCheckbox}
+        />
+      )}
+      <View style={styles.recipeItemTitle}>
+        <Text style={styles.recipeTitle}>{item.title}</Text>
+        {item.tags && item.tags.length > 0 && (
+          <Text style={styles.recipeItemTags}>{item.tags.map(tag => `#${tag}`).join(' ')}</Text>
+        )}
+      </View>
+      {!isSelecting && (
+        <>
+          <TouchableOpacity style={styles.recipeItemAction} onPress={() => copyRecipe(item)}>
+            <MaterialIcons name="content-copy" size={20} color="#555" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.recipeItemAction} onPress={() => deleteRecipes([item.id])}>
+            <MaterialIcons name="delete-outline" size={22} color="#F44336" />
+          </TouchableOpacity>
+        </>
+      )}
+    </TouchableOpacity>
+  );
 };
 
-const renderRecipeItem = ({ item }) => (
-  <TouchableOpacity 
-    style={styles.recipeItem}
-    onPress={() => {
-      // Use the item directly instead of recipeResultArray
-      setCurrentRecipe(item);
-      setModalVisible(true); // Assuming you want to show the modal
-    }}
-  >
-    <Text style={styles.recipeTitle}>{item.title}</Text>
-  </TouchableOpacity>
-);
-
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Voice to Recipe</Text>
+      <View style={styles.header}>
+        <Text style={styles.title}>{t('app.title')}</Text>
+        <TouchableOpacity style={styles.headerAction} onPress={() => setLanguageSettingsVisible(true)}>
+          <MaterialIcons name="language" size={24} color="#555" />
+        </TouchableOpacity>
+      </View>
       
       {error && (
         <View style={styles.errorContainer}>
           <Text style={styles.errorText}>{error}</Text>
           <TouchableOpacity onPress={() => setError(null)}>
-            <Text style={styles.dismissError}>Dismiss</Text>
+            <Text style={styles.dismissError}>{t('common.dismiss')}</Text>
           </TouchableOpacity>
         </View>
       )}
       
       {isProcessing ? (
-        <View style={styles.processingContainer}>
-          <ActivityIndicator size="large" color="#4CAF50" />
-          <Text style={styles.processingText}>Processing your recipe...</Text>
-        </View>
-      ) : isRecording ? (
-        <View style={styles.recordingControlsContainer}>
+        <ProcessingProgress progress={progress} t={t} onCancel={cancelProcessing} />
+      ) : recorder.isRecording ? (
+        <RecordingControls
+          recorder={recorder}
+          t={t}
+          onStop={stopRecording}
+          onCancel={cancelRecording}
+          onPause={pauseRecording}
+          onResume={resumeRecording}
+        />
+      ) : (
+        <>
           <TouchableOpacity
-            style={[styles.recordButton, styles.recordingButton]}
-            onPress={stopRecording}
+            style={styles.recordButton}
+            onPress={startRecording}
+            disabled={isProcessing}
           >
-            <MaterialIcons name="mic" size={24} color="white" />
-            <Text style={styles.recordButtonText}>Stop Recording</Text>
+            <MaterialIcons name="mic-none" size={24} color="white" />
+            <Text style={styles.recordButtonText}>{t('recording.start')}</Text>
           </TouchableOpacity>
-          
-          <TouchableOpacity
-            style={[styles.recordButton, styles.cancelButton]}
-            onPress={cancelRecording}
-          >
-            <MaterialIcons name="cancel" size={24} color="white" />
-            <Text style={styles.recordButtonText}>Cancel</Text>
+          <TouchableOpacity onPress={() => setLanguageSettingsVisible(true)}>
+            <Text style={styles.recordingLanguage}>
+              {t('recording.recipeLanguage', {
+                language: languageSettings.recipeLanguage
+                  ? LANGUAGES[languageSettings.recipeLanguage].name
+                  : t('language.sameAsSpoken'),
+              })}
+            </Text>
+          </TouchableOpacity>
+        </>
+      )}
+      
+      <TimerList timers={timers} now={now} t={t} onRemove={removeTimer} />
+      
+      {isSelecting && (
+        <View style={styles.selectionBar}>
+          <Text style={styles.selectionText}>{t('library.selected', { count: selectedIds.length })}</Text>
+          <TouchableOpacity onPress={() => setSelectedIds(visibleRecipes.map(recipe => recipe.id))}>
+            <Text style={styles.selectionAction}>{t('library.selectAll')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => openShoppingList(selectedIds)}>
+            <Text style={styles.selectionAction}>{t('library.shop')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => exportRecipes(recipes.filter(recipe => selectedIds.includes(recipe.id)))}>
+            <Text style={styles.selectionAction}>{t('library.export')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => deleteRecipes(selectedIds)}>
+            <Text style={[styles.selectionAction, styles.selectionDelete]}>{t('library.delete')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setSelectedIds([])}>
+            <MaterialIcons name="close" size={22} color="#555" />
           </TouchableOpacity>
         </View>
-      ) : (
-        <TouchableOpacity
-          style={styles.recordButton}
-          onPress={startRecording}
-          disabled={isProcessing}
-        >
-          <MaterialIcons name="mic-none" size={24} color="white" />
-          <Text style={styles.recordButtonText}>Start Recording</Text>
+      )}
+      
+      <PendingJobs
+        jobs={processingQueue.jobs}
+        activeJobId={processingQueue.activeJobId}
+        t={t}
+        onRetry={processingQueue.retryJob}
+        onDiscard={processingQueue.removeJob}
+        onReview={reviewJob}
+      />
+      
+      <View style={styles.libraryActions}>
+        <TouchableOpacity style={styles.libraryAction} onPress={() => setTextImportVisible(true)}>
+          <MaterialIcons name="notes" size={18} color="#2196F3" />
+          <Text style={styles.libraryActionText}>{t('library.addFromText')}</Text>
         </TouchableOpacity>
+        <TouchableOpacity style={styles.libraryAction} onPress={importRecipes}>
+          <MaterialIcons name="file-download" size={18} color="#2196F3" />
+          <Text style={styles.libraryActionText}>{t('library.import')}</Text>
+        </TouchableOpacity>
+        {recipes.length > 0 && (
+          <TouchableOpacity style={styles.libraryAction} onPress={() => setMealPlannerVisible(true)}>
+            <MaterialIcons name="calendar-today" size={18} color="#2196F3" />
+            <Text style={styles.libraryActionText}>{t('library.mealPlan')}</Text>
+          </TouchableOpacity>
+        )}
+        {shoppingList.list.items.length > 0 && (
+          <TouchableOpacity style={styles.libraryAction} onPress={() => setShoppingListVisible(true)}>
+            <MaterialIcons name="shopping-cart" size={18} color="#2196F3" />
+            <Text style={styles.libraryActionText}>{t('library.shoppingList')}</Text>
+          </TouchableOpacity>
+        )}
+        {recipes.length > 0 && (
+          <TouchableOpacity style={styles.libraryAction} onPress={() => exportRecipes(recipes)}>
+            <MaterialIcons name="ios-share" size={18} color="#2196F3" />
+            <Text style={styles.libraryActionText}>{t('library.exportAll')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      {recipes.length > 0 && (
+        <RecipeFilters filters={filters} onChange={setFilters} tags={allTags} t={t} />
       )}
       
-      {recipes.length > 0 ? (
+      {visibleRecipes.length > 0 ? (
         <FlatList
-          data={recipes}
+          data={visibleRecipes}
           renderItem={renderRecipeItem}
           keyExtractor={item => item.id}
+          extraData={selectedIds}
           style={styles.recipeList}
         />
       ) : (
         <Text style={styles.emptyText}>
-          No recipes yet. Start recording to create your first recipe!
+          {recipes.length > 0 ? t('library.noMatches') : t('library.empty')}
         </Text>
       )}
       
@@ -425,39 +1001,145 @@ const renderRecipeItem = ({ item }) => (
         animationType="slide"
         transparent={true}
         visible={modalVisible}
-        onRequestClose={() => setModalVisible(false)}
+        onRequestClose={closeModal}
       >
         <View style={styles.modalView}>
-          {currentRecipe && (
+          {currentRecipe && addition && (
+            <VoiceAddition
+              addition={addition}
+              recorder={recorder}
+              progress={progress}
+              t={t}
+              onStop={finishAddition}
+              onCancelRecording={cancelAddition}
+              onPause={pauseRecording}
+              onResume={resumeRecording}
+              onCancelProcessing={cancelAddition}
+              onApply={applyAddition}
+              onDiscard={() => setAddition(null)}
+            />
+          )}
+          {currentRecipe && adaptation && (
+            <AdaptRecipe
+              adaptation={adaptation}
+              recipe={currentRecipe}
+              progress={progress}
+              t={t}
+              onChoose={adaptRecipe}
+              onCancelProcessing={cancelAdaptation}
+              onOpen={openAdaptation}
+              onDiscard={() => setAdaptation(null)}
+            />
+          )}
+          {currentRecipe && historyVersions && (
+            <RecipeHistory
+              versions={historyVersions}
+              t={t}
+              onRestore={restoreRecipeVersion}
+              onClose={() => setHistoryVersions(null)}
+            />
+          )}
+          {currentRecipe && !addition && !adaptation && !historyVersions && (
             <>
-              <Text style={styles.modalTitle}>{currentRecipe.title}</Text>
-              <Text style={styles.sectionTitle}>Ingredients:</Text>
-              {currentRecipe.ingredients && currentRecipe.ingredients.map((ingredient, index) => (
-                <Text key={`ingredient-${index}`} style={styles.ingredient}>• {ingredient}</Text>
-              ))}
-              <Text style={styles.sectionTitle}>Instructions:</Text>
-              {currentRecipe.steps && currentRecipe.steps.map((step, index) => (
-                <Text key={`step-${index}`} style={styles.step}>{index + 1}. {step}</Text>
-              ))}
+              <ScrollView style={styles.modalScroll} keyboardShouldPersistTaps="handled">
+                {isEditing ? (
+                  <RecipeEditor recipe={currentRecipe} t={t} onChange={editRecipe} />
+                ) : (
+                  <RecipeView
+                    key={`${currentRecipe.id}:${currentRecipe.servings}`}
+                    recipe={currentRecipe}
+                    t={t}
+                    onCook={startCooking}
+                    onStartTimer={startTimer}
+                    onRegenerate={regenerateRecipe}
+                    isRegenerating={isRegenerating}
+                    onTranslate={translateRecipe}
+                    isTranslating={isTranslating}
+                    onRecordAddition={startAddition}
+                    onAdapt={() => setAdaptation({ status: 'choosing' })}
+                    parentRecipe={recipes.find(recipe => recipe.id === currentRecipe.adaptedFrom)}
+                    onOpenParent={openParentRecipe}
+                    onShowHistory={recipes.some(recipe => recipe.id === currentRecipe.id) ? showHistory : null}
+                    foodMappings={foodMappings.mappings}
+                    onMapFood={foodMappings.setMapping}
+                  />
+                )}
+              </ScrollView>
+              
+              <TimerList timers={timers} now={now} t={t} onRemove={removeTimer} />
               
               <View style={styles.buttonRow}>
                 <TouchableOpacity
                   style={[styles.button, styles.saveButton]}
                   onPress={saveRecipe}
                 >
-                  <Text style={styles.buttonText}>Save</Text>
+                  <Text style={styles.buttonText}>{t('common.save')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.button, styles.editButton]}
+                  onPress={() => setIsEditing(!isEditing)}
+                >
+                  <Text style={styles.buttonText}>{t(isEditing ? 'common.done' : 'common.edit')}</Text>
                 </TouchableOpacity>
                 <TouchableOpacity
                   style={[styles.button, styles.cancelButton]}
-                  onPress={() => setModalVisible(false)}
+                  onPress={closeModal}
                 >
-                  <Text style={styles.buttonText}>Close</Text>
+                  <Text style={styles.buttonText}>{t('common.close')}</Text>
                 </TouchableOpacity>
               </View>
             </>
           )}
         </View>
       </Modal>
+      
+      <TextImport
+        visible={textImportVisible}
+        t={t}
+        onClose={() => setTextImportVisible(false)}
+        onSubmit={addFromText}
+        onPickFile={() => pickTextFile(['text/html', '*/*'])}
+        onError={textImportFailed}
+      />
+      
+      <MealPlanner
+        visible={mealPlannerVisible}
+        recipes={recipes}
+        mealPlan={mealPlan}
+        t={t}
+        onOpenRecipe={openPlannedRecipe}
+        onShoppingList={shopForWeek}
+        onExport={exportWeek}
+        onClose={() => setMealPlannerVisible(false)}
+      />
+      
+      <ShoppingList
+        visible={shoppingListVisible}
+        list={shoppingList.list}
+        recipes={recipes}
+        t={t}
+        onSetServings={shoppingList.setServings}
+        onToggleItem={shoppingList.toggleItem}
+        onClear={shoppingList.clear}
+        onClose={() => setShoppingListVisible(false)}
+      />
+      
+      {cookingRecipe && (
+        <CookMode recipe={cookingRecipe} t={t} onClose={stopCooking} />
+      )}
+      
+      <LanguageSettings
+        visible={languageSettingsVisible}
+        settings={languageSettings}
+        onClose={() => setLanguageSettingsVisible(false)}
+      />
+      
+      <UndoSnackbar
+        message={undoAction && undoAction.message}
+        actionLabel={t('common.undo')}
+        onUndo={undoDelete}
+        onDismiss={() => setUndoAction(null)}
+      />
     </View>
   );
 };
@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+// Batch conversion tool - Run with: node cli.js <command> (or npm run cli -- <command>)
+//
+//   transcribe <audio>              Transcribe a recording; the text goes to stdout
+//   structure <text-file>           Turn a transcript or typed recipe into a recipe
+//   batch <dir>                     Convert every recording, text and .html file in dir
+//   export --format md|json|jsonld  Write the converted recipes out
+//
+// Options:
+//   --out <dir>          Output directory (default ./recipes-out)
+//   --language <code>    Recipe language (pt, en, es); unset keeps the spoken one
+//   --spoken <code>      Language spoken in the recordings; unset lets Whisper detect it
+//   --concurrency <n>    Files converted at the same time by batch (default 2)
+//   --file <path>        Where export writes (default stdout)
+//
+// Recipes are kept in <out>/recipes with the same repository the app and the
+// simulator use, transcripts in <out>/transcripts. batch records each file's
+// progress in <out>/batch-state.json as it goes, so running it again after an
+// interruption (Ctrl+C) only converts what is missing or failed; the summary
+// is also written to <out>/batch-report.json.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+if (require.main === module) {
+  require('dotenv').config(); // Load environment variables from .env file
+}
+const { createProviders, providerConfigFromEnv } = require('./src/providers');
+const { buildRecipePrompt } = require('./src/prompts');
+const { parseRecipeOutput } = require('./src/recipeParser');
+const { createRecipeRepository } = require('./src/recipeRepository');
+const { createFileStorage } = require('./src/storage/fileStorage');
+const { importFromHtml } = require('./src/htmlImport');
+const { toBackup, toMarkdown, toJsonLd } = require('./src/recipeExport');
+const { newId } = require('./src/recipeList');
+const {
+  sourceType,
+  audioMimeType,
+  fingerprint,
+  readState,
+  needsProcessing,
+  resumableEntry,
+  runWithConcurrency,
+  summarizeBatch,
+} = require('./src/batch');
+
+const DEFAULT_OUT = 'recipes-out';
+const DEFAULT_CONCURRENCY = 2;
+const STATE_KEY = 'batch-state';
+const REPORT_KEY = 'batch-report';
+
+const EXPORT_FORMATS = {
+  md: { write: toMarkdown },
+  json: { write: toBackup },
+  jsonld: { write: toJsonLd },
+};
+
+const USAGE = `Usage:
+  node cli.js transcribe <audio> [--spoken <code>] [--out <dir>]
+  node cli.js structure <text-file> [--language <code>] [--out <dir>]
+  node cli.js batch <dir> [--concurrency <n>] [--language <code>] [--spoken <code>] [--out <dir>]
+  node cli.js export --format md|json|jsonld [--file <path>] [--out <dir>]`;
+
+const OPTIONS = {
+  out: { type: 'string', default: DEFAULT_OUT },
+  language: { type: 'string' },
+  spoken: { type: 'string' },
+  concurrency: { type: 'string', default: String(DEFAULT_CONCURRENCY) },
+  format: { type: 'string' },
+  file: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {}
+
+const recipesRepository = (out) => createRecipeRepository(createFileStorage(path.join(out, 'recipes')));
+
+const readAudio = (file) => {
+  const data = fs.readFileSync(file);
+  return {
+    base64: data.toString('base64'),
+    size: data.length,
+    mimeType: audioMimeType(file),
+    name: path.basename(file),
+  };
+};
+
+// Transcripts are named after the file they came from, subfolders included
+const saveTranscript = (out, relativePath, text) => {
+  const file = path.join(out, 'transcripts', `${relativePath.split(path.sep).join('__')}.txt`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${text}\n`, 'utf8');
+  return file;
+};
+
+const newRecipe = (recipe, fields) => ({
+  ...recipe,
+  ...fields,
+  id: newId(),
+  date: new Date().toISOString(),
+});
+
+// The model output as a recipe. Unlike the app there is nobody to fix an
+// unreadable answer by hand, so it fails the file instead.
+const recipeFromModel = (output) => {
+  const result = parseRecipeOutput(output);
+  if (!result.ok) throw new Error(`Could not read a recipe from the model output: ${result.error.message}`);
+  return result.recipe;
+};
+
+async function structureText(providers, text, { language, signal }) {
+  const output = await providers.recipe.generate(buildRecipePrompt(text, { language }), { signal });
+  return newRecipe(recipeFromModel(output), { transcript: text, language });
+}
+
+// A saved page yields its JSON-LD recipes, or the page text run through the model
+async function structureHtml(providers, html, { language, signal }) {
+  const imported = await importFromHtml(html, {
+    generate: (text) => providers.recipe.generate(buildRecipePrompt(text, { language }), { signal }),
+  });
+  if (imported.source === 'json-ld') return imported.recipes.map(recipe => newRecipe(recipe));
+  return [newRecipe(recipeFromModel(imported.output), { transcript: imported.text, language })];
+}
+
+// Recipes from one batch source. `previous` is its saved entry when the file
+// is unchanged, so a transcript made before an interruption is reused.
+async function convertSource(providers, source, { previous, language, spoken, signal, onTranscript }) {
+  if (source.type === 'html') {
+    return structureHtml(providers, fs.readFileSync(source.file, 'utf8'), { language, signal });
+  }
+
+  let transcript = source.type === 'text' ? fs.readFileSync(source.file, 'utf8').trim() : '';
+  let spokenLanguage = spoken;
+  if (source.type === 'audio') {
+    if (previous && previous.transcript) {
+      ({ transcript, spokenLanguage } = previous);
+    } else {
+      const transcription = await providers.transcription.transcribe(readAudio(source.file), {
+        language: spoken,
+        signal,
+      });
+      transcript = transcription.text.trim();
+      spokenLanguage = transcription.language || spoken;
+      await onTranscript(transcript, spokenLanguage);
+    }
+  }
+  if (!transcript) throw new Error('Nothing to convert: the file has no text');
+
+  const recipe = await structureText(providers, transcript, { language: language || spokenLanguage, signal });
+  return [source.type === 'audio' ? { ...recipe, spokenLanguage } : recipe];
+}
+
+// Every file under `dir` the batch can convert, in a stable order
+function findSources(dir, relativeDir = '') {
+  return fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.name.startsWith('.')) return [];
+      if (entry.isDirectory()) return findSources(dir, relativePath);
+      const type = entry.isFile() && sourceType(entry.name);
+      if (!type) return [];
+      const file = path.join(dir, relativePath);
+      return [{ path: relativePath, file, type, fingerprint: fingerprint(fs.statSync(file)) }];
+    });
+}
+
+async function runBatch(providers, dir, { out, language, spoken, concurrency, signal, log }) {
+  const storage = createFileStorage(out);
+  const repository = recipesRepository(out);
+  const state = readState(await storage.getItem(STATE_KEY));
+  // The output directory may sit inside the input one; its transcripts are not sources
+  const outDir = path.resolve(out);
+  const sources = findSources(dir)
+    .filter(source => !path.resolve(source.file).startsWith(`${outDir}${path.sep}`));
+  const pending = sources.filter(source => needsProcessing(state, source));
+  const processed = [];
+  const startedAt = new Date().toISOString();
+
+  // Writes go one after the other, workers finish in any order
+  let saving = Promise.resolve();
+  const update = (source, fields) => {
+    state.files[source.path] = {
+      ...resumableEntry(state, source),
+      ...fields,
+      fingerprint: source.fingerprint,
+      updatedAt: new Date().toISOString(),
+    };
+    saving = saving.then(() => storage.setItem(STATE_KEY, JSON.stringify(state, null, 2)));
+    return saving;
+  };
+
+  log(`Converting ${pending.length} of ${sources.length} file(s) from ${dir}`);
+  await runWithConcurrency(pending, concurrency, async (source) => {
+    processed.push(source.path);
+    const saved = state.files[source.path];
+    const previous = resumableEntry(state, source);
+    const attempts = ((previous && previous.attempts) || 0) + 1;
+    try {
+      const recipes = await convertSource(providers, source, {
+        previous,
+        language,
+        spoken,
+        signal,
+        onTranscript: (transcript, spokenLanguage) => {
+          saveTranscript(out, source.path, transcript);
+          return update(source, { status: 'transcribed', transcript, spokenLanguage, error: null, attempts });
+        },
+      });
+      // A file that changed since it was converted replaces its old recipes
+      if (saved && saved.recipeIds) await repository.remove(saved.recipeIds);
+      for (const recipe of recipes) await repository.save(recipe);
+      await update(source, { status: 'done', recipeIds: recipes.map(recipe => recipe.id), error: null, attempts });
+      log(`✓ ${source.path} → ${recipes.map(recipe => recipe.title).join(', ')}`);
+    } catch (error) {
+      // Interrupted files keep what they had and are picked up next run
+      if (signal && signal.aborted) {
+        log(`… ${source.path} interrupted`);
+        return;
+      }
+      await update(source, { status: 'failed', error: error.message, attempts });
+      log(`✗ ${source.path}: ${error.message}`);
+    }
+  }, { signal });
+  await saving;
+
+  const summary = summarizeBatch(state, sources, {
+    processed,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    interrupted: Boolean(signal && signal.aborted),
+  });
+  await storage.setItem(REPORT_KEY, JSON.stringify(summary, null, 2));
+  return summary;
+}
+
+const formatSummary = (summary, out) => [
+  '',
+  `${summary.interrupted ? 'Batch interrupted' : 'Batch finished'} after ${summary.seconds}s: `
+    + `${summary.files} file(s), ${summary.processed} converted this run, ${summary.skipped} skipped`,
+  `  done: ${summary.done}  failed: ${summary.failed.length}  pending: ${summary.pending.length}  recipes: ${summary.recipes}`,
+  ...summary.failed.map(({ path: file, error }) => `  ✗ ${file}: ${error}`),
+  ...(summary.pending.length > 0 ? ['  Run the same command again to resume.'] : []),
+  `Report: ${path.join(out, `${REPORT_KEY}.json`)}`,
+].join('\n');
+
+// Runs one command and resolves to the process exit code. Tests pass their
+// own `providers` and streams; `signal` interrupts a batch.
+async function runCli(argv, {
+  env = process.env,
+  providers: givenProviders,
+  stdout = process.stdout,
+  stderr = process.stderr,
+  signal,
+} = {}) {
+  const print = (text) => stdout.write(`${text}\n`);
+  const log = (text) => stderr.write(`${text}\n`);
+
+  try {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, input] = positionals;
+    if (options.help || !command) {
+      print(USAGE);
+      return options.help ? 0 : 1;
+    }
+
+    const providers = () => givenProviders || createProviders(providerConfigFromEnv(env));
+    const { out } = options;
+    const language = options.language || env.RECIPE_LANGUAGE || undefined;
+    const needInput = (what) => {
+      if (!input) throw new UsageError(`${command} needs ${what}`);
+      return input;
+    };
+
+    switch (command) {
+      case 'transcribe': {
+        const file = needInput('an audio file');
+        const { text, language: spokenLanguage } = await providers().transcription.transcribe(readAudio(file), {
+          language: options.spoken,
+          signal,
+        });
+        const saved = saveTranscript(out, path.basename(file), text.trim());
+        log(`Transcribed ${file} (${spokenLanguage || 'unknown language'}) → ${saved}`);
+        print(text.trim());
+        return 0;
+      }
+      case 'structure': {
+        const file = needInput('a text file');
+        const text = fs.readFileSync(file, 'utf8');
+        const recipes = /\.html?$/i.test(file)
+          ? await structureHtml(providers(), text, { language, signal })
+          : [await structureText(providers(), text.trim(), { language, signal })];
+        const repository = recipesRepository(out);
+        for (const recipe of recipes) await repository.save(recipe);
+        log(`Saved ${recipes.length} recipe(s) to ${path.join(out, 'recipes')}`);
+        print(toMarkdown(recipes).trimEnd());
+        return 0;
+      }
+      case 'batch': {
+        const dir = needInput('a directory');
+        const concurrency = Number(options.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+          throw new UsageError('--concurrency must be a whole number of at least 1');
+        }
+        const summary = await runBatch(providers(), dir, {
+          out,
+          language,
+          spoken: options.spoken,
+          concurrency,
+          signal,
+          log,
+        });
+        print(formatSummary(summary, out));
+        if (summary.interrupted) return 130;
+        return summary.failed.length > 0 ? 1 : 0;
+      }
+      case 'export': {
+        const format = EXPORT_FORMATS[options.format];
+        if (!format) throw new UsageError(`--format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        const recipes = await recipesRepository(out).list();
+        const text = format.write(recipes);
+        if (options.file) {
+          fs.writeFileSync(options.file, text, 'utf8');
+          log(`Exported ${recipes.length} recipe(s) to ${options.file}`);
+        } else {
+          stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+        }
+        return 0;
+      }
+      default:
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      log(`${error.message}\n\n${USAGE}`);
+      return 1;
+    }
+    log(`❌ ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  // The first Ctrl+C lets the batch save its progress, a second one quits
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(130);
+    process.stderr.write('\nStopping: finishing up and saving progress (Ctrl+C again to quit now)\n');
+    controller.abort();
+  });
+  runCli(process.argv.slice(2), { signal: controller.signal }).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  findSources,
+  runBatch,
+  runCli,
+};
@@ -0,0 +1,90 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { normalizeIngredients, ingredientText } from '../src/ingredients';
+import ProcessingProgress from './ProcessingProgress';
+import RecipeDiff from './RecipeDiff';
+
+const DIETS = [
+  { type: 'vegetarian', icon: 'eco' },
+  { type: 'glutenFree', icon: 'grain' },
+  { type: 'lactoseFree', icon: 'local-drink' },
+];
+
+// Adapting the open recipe: choosing a diet or a missing ingredient, then
+// processing, then a review of the copy against the original
+const AdaptRecipe = ({
+  adaptation,
+  recipe,
+  progress,
+  t,
+  onChoose,
+  onCancelProcessing,
+  onOpen,
+  onDiscard,
+}) => {
+  if (adaptation.status === 'choosing') {
+    return (
+      <>
+        <ScrollView style={styles.modalScroll}>
+          <Text style={styles.modalTitle}>{t('adapt.title')}</Text>
+          {DIETS.map(({ type, icon }) => (
+            <TouchableOpacity key={type} style={styles.regenerateButton} onPress={() => onChoose(type)}>
+              <MaterialIcons name={icon} size={18} color="white" />
+              <Text style={styles.cookButtonText}>{t(`adapt.${type}`)}</Text>
+            </TouchableOpacity>
+          ))}
+          <Text style={styles.sectionTitle}>{t('adapt.missing')}</Text>
+          <View style={styles.tagRow}>
+            {normalizeIngredients(recipe.ingredients).map(ingredientText).map((line, index) => (
+              <TouchableOpacity key={index} style={styles.tagChip} onPress={() => onChoose('substitute', line)}>
+                <Text style={styles.tagChipText}>{line}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </ScrollView>
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onDiscard}>
+            <Text style={styles.buttonText}>{t('common.cancel')}</Text>
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  }
+
+  if (adaptation.status === 'processing') {
+    return (
+      <>
+        <Text style={styles.modalTitle}>{t('adapt.title')}</Text>
+        {progress && (
+          <ProcessingProgress progress={progress} stages={['structuring']} t={t} onCancel={onCancelProcessing} />
+        )}
+      </>
+    );
+  }
+
+  const { adapted, diff, conflicts } = adaptation;
+  return (
+    <>
+      <ScrollView style={styles.modalScroll}>
+        <Text style={styles.modalTitle}>{adapted.title}</Text>
+        <Text style={styles.additionHint}>{t('adapt.review')}</Text>
+        {conflicts.length > 0 && (
+          <Text style={styles.adaptWarning}>{t('adapt.conflicts', { ingredients: conflicts.join('; ') })}</Text>
+        )}
+        <RecipeDiff diff={diff} t={t} />
+      </ScrollView>
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={[styles.button, styles.saveButton]} onPress={onOpen}>
+          <Text style={styles.buttonText}>{t('adapt.open')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onDiscard}>
+          <Text style={styles.buttonText}>{t('adapt.discard')}</Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+};
+
+export default AdaptRecipe;
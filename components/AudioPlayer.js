@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { Audio } from 'expo-av';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { formatDuration } from '../src/durations';
+
+const STOPPED = { isPlaying: false, positionMillis: 0, durationMillis: 0 };
+
+// Play/pause control for a recipe's source recording. The sound is only
+// loaded on the first play and unloaded when the player unmounts. The
+// segments of a long recording play one after the other.
+const AudioPlayer = ({ uris }) => {
+  const sound = useRef(null);
+  const segment = useRef(0);
+  const [segmentIndex, setSegmentIndex] = useState(0);
+  const [status, setStatus] = useState(STOPPED);
+
+  // A new recording starts from a stopped player on its first segment
+  useEffect(() => () => {
+    if (sound.current) sound.current.unloadAsync();
+    sound.current = null;
+    segment.current = 0;
+    setSegmentIndex(0);
+    setStatus(STOPPED);
+  }, [uris.join('|')]);
+
+  const loadSegment = async (index) => {
+    if (sound.current) await sound.current.unloadAsync();
+    segment.current = index;
+    setSegmentIndex(index);
+    const { sound: loaded } = await Audio.Sound.createAsync(
+      { uri: uris[index] },
+      { shouldPlay: true },
+      (update) => {
+        if (!update.isLoaded) return;
+        setStatus(update);
+        if (update.didJustFinish && segment.current < uris.length - 1) {
+          loadSegment(segment.current + 1).catch(e => console.error('Failed to play recording', e));
+        }
+      }
+    );
+    sound.current = loaded;
+  };
+
+  const togglePlayback = async () => {
+    try {
+      if (!sound.current) {
+        await Audio.setAudioModeAsync({ allowsRecordingIOS: false, playsInSilentModeIOS: true });
+        await loadSegment(0);
+      } else if (status.isPlaying) {
+        await sound.current.pauseAsync();
+      } else if (status.didJustFinish || status.positionMillis >= status.durationMillis) {
+        if (uris.length > 1) await loadSegment(0);
+        else await sound.current.replayAsync();
+      } else {
+        await sound.current.playAsync();
+      }
+    } catch (e) {
+      console.error('Failed to play recording', e);
+    }
+  };
+
+  return (
+    <View style={styles.audioPlayer}>
+      <TouchableOpacity onPress={togglePlayback}>
+        <MaterialIcons name={status.isPlaying ? 'pause-circle-filled' : 'play-circle-filled'} size={36} color="#4CAF50" />
+      </TouchableOpacity>
+      <Text style={styles.audioPlayerTime}>
+        {uris.length > 1 ? `${segmentIndex + 1}/${uris.length} · ` : ''}
+        {formatDuration(status.positionMillis / 1000)}
+        {status.durationMillis ? ` / ${formatDuration(status.durationMillis / 1000)}` : ''}
+      </Text>
+    </View>
+  );
+};
+
+export default AudioPlayer;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, Modal, ScrollView } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import * as Speech from 'expo-speech';
+import { ExpoSpeechRecognitionModule, useSpeechRecognitionEvent } from 'expo-speech-recognition';
+import { useKeepAwake } from 'expo-keep-awake';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { styles } from '../styles';
+import { ingredientText } from '../src/ingredients';
+import { LANGUAGES, guessRecipeLanguage } from '../src/language';
+import { parseVoiceCommand } from '../src/voiceCommands';
+import { createTranslator } from '../src/i18n';
+
+// Last step reached per recipe id, so cooking can resume where it stopped
+const PROGRESS_KEY = 'cookProgress';
+
+const loadProgress = async () => {
+  try {
+    const saved = await AsyncStorage.getItem(PROGRESS_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.error('Failed to load cooking progress', e);
+    return {};
+  }
+};
+
+const saveProgress = async (recipeId, stepIndex) => {
+  try {
+    const progress = await loadProgress();
+    await AsyncStorage.setItem(PROGRESS_KEY, JSON.stringify({ ...progress, [recipeId]: stepIndex }));
+  } catch (e) {
+    console.error('Failed to save cooking progress', e);
+  }
+};
+
+// Hands-free, one step at a time view of a recipe. Each step is read aloud
+// and voice commands (próximo, voltar, repetir, ingredientes, pausar)
+// drive the navigation. Mount it only while cooking: it keeps the screen awake.
+const CookMode = ({ recipe, t, onClose }) => {
+  useKeepAwake();
+
+  const steps = recipe.steps || [];
+  const language = recipe.language || guessRecipeLanguage(recipe);
+  const locale = LANGUAGES[language] ? LANGUAGES[language].locale : 'pt-BR';
+  // Speech is read and recognised in the recipe's language, whatever the UI uses
+  const voiceHint = createTranslator(language)('cook.voiceHint');
+
+  const [stepIndex, setStepIndex] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [showIngredients, setShowIngredients] = useState(false);
+  const [isListening, setIsListening] = useState(false);
+  const [lastHeard, setLastHeard] = useState('');
+  const isActive = useRef(true);
+  const isSpeaking = useRef(false);
+  const lastUtterance = useRef(0);
+
+  // Recognition is off while something is read aloud, so the app doesn't
+  // take its own voice for a command, and comes back when the reading ends
+  const speak = (text) => {
+    const utterance = lastUtterance.current + 1;
+    lastUtterance.current = utterance;
+    isSpeaking.current = true;
+    Speech.stop();
+    ExpoSpeechRecognitionModule.abort();
+    const done = () => {
+      // A stopped earlier utterance must not restart recognition mid-reading
+      if (utterance !== lastUtterance.current) return;
+      isSpeaking.current = false;
+      if (isActive.current) startListening();
+    };
+    Speech.speak(text, { language: locale, onDone: done, onStopped: done, onError: done });
+  };
+
+  const speakStep = (index) => {
+    if (steps[index]) speak(`${index + 1}. ${steps[index]}`);
+  };
+
+  const speakIngredients = () => {
+    speak((recipe.ingredients || []).map(ingredientText).join('. '));
+  };
+
+  const goToStep = (index) => {
+    if (index < 0 || index >= steps.length) return;
+    setShowIngredients(false);
+    setStepIndex(index);
+    saveProgress(recipe.id, index);
+  };
+
+  const startListening = async () => {
+    try {
+      const { granted } = await ExpoSpeechRecognitionModule.requestPermissionsAsync();
+      if (!granted) return;
+      ExpoSpeechRecognitionModule.start({ lang: locale, interimResults: false, continuous: true });
+    } catch (e) {
+      console.error('Failed to start voice commands', e);
+    }
+  };
+
+  // Resume from the last step reached for this recipe
+  useEffect(() => {
+    loadProgress().then(progress => {
+      const saved = progress[recipe.id];
+      setStepIndex(Number.isInteger(saved) && saved < steps.length ? saved : 0);
+    });
+    startListening();
+
+    return () => {
+      isActive.current = false;
+      Speech.stop();
+      ExpoSpeechRecognitionModule.stop();
+    };
+  }, [recipe.id]);
+
+  useEffect(() => {
+    if (stepIndex !== null && !isPaused) speakStep(stepIndex);
+  }, [stepIndex]);
+
+  const handleCommand = (command) => {
+    switch (command) {
+      case 'next':
+        setIsPaused(false);
+        goToStep(stepIndex + 1);
+        break;
+      case 'previous':
+        setIsPaused(false);
+        goToStep(stepIndex - 1);
+        break;
+      case 'repeat':
+        setIsPaused(false);
+        speakStep(stepIndex);
+        break;
+      case 'ingredients':
+        setShowIngredients(true);
+        speakIngredients();
+        break;
+      case 'pause':
+        setIsPaused(true);
+        Speech.stop();
+        break;
+      case 'resume':
+        setIsPaused(false);
+        speakStep(stepIndex);
+        break;
+      default:
+        break;
+    }
+  };
+
+  useSpeechRecognitionEvent('start', () => setIsListening(true));
+  useSpeechRecognitionEvent('result', (event) => {
+    if (!event.isFinal || !event.results[0] || isSpeaking.current) return;
+    const transcript = event.results[0].transcript;
+    setLastHeard(transcript);
+    handleCommand(parseVoiceCommand(transcript));
+  });
+  // Recognition sessions end on silence; keep listening while cooking,
+  // except while reading aloud (speak restarts it)
+  useSpeechRecognitionEvent('end', () => {
+    setIsListening(false);
+    if (isActive.current && !isSpeaking.current) startListening();
+  });
+  useSpeechRecognitionEvent('error', (event) => {
+    console.warn('Voice command error', event.error, event.message);
+  });
+
+  if (stepIndex === null) return null;
+
+  return (
+    <Modal animationType="slide" visible onRequestClose={onClose}>
+      <View style={styles.cookContainer}>
+        <View style={styles.cookHeader}>
+          <Text style={styles.cookRecipeTitle} numberOfLines={1}>{recipe.title}</Text>
+          <TouchableOpacity onPress={onClose}>
+            <MaterialIcons name="close" size={28} color="#333" />
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.cookProgress}>
+          {t('cook.progress', { step: stepIndex + 1, total: steps.length })}{isPaused ? t('cook.paused') : ''}
+        </Text>
+
+        <ScrollView style={styles.cookBody}>
+          {showIngredients ? (
+            (recipe.ingredients || []).map((ingredient, index) => (
+              <Text key={`cook-ingredient-${index}`} style={styles.cookIngredient}>• {ingredientText(ingredient)}</Text>
+            ))
+          ) : (
+            <Text style={styles.cookStep}>{steps[stepIndex]}</Text>
+          )}
+        </ScrollView>
+
+        <View style={styles.cookListening}>
+          <MaterialIcons name={isListening ? 'mic' : 'mic-off'} size={18} color={isListening ? '#4CAF50' : '#999'} />
+          <Text style={styles.cookListeningText}>
+            {lastHeard ? `"${lastHeard}"` : voiceHint}
+          </Text>
+        </View>
+
+        <View style={styles.cookControls}>
+          <TouchableOpacity onPress={() => handleCommand('previous')} disabled={stepIndex === 0}>
+            <MaterialIcons name="skip-previous" size={48} color={stepIndex === 0 ? '#ccc' : '#4CAF50'} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleCommand('repeat')}>
+            <MaterialIcons name="replay" size={48} color="#4CAF50" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleCommand(isPaused ? 'resume' : 'pause')}>
+            <MaterialIcons name={isPaused ? 'play-arrow' : 'pause'} size={48} color="#4CAF50" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => (showIngredients ? setShowIngredients(false) : handleCommand('ingredients'))}>
+            <MaterialIcons name="list" size={48} color={showIngredients ? '#2196F3' : '#4CAF50'} />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => handleCommand('next')} disabled={stepIndex === steps.length - 1}>
+            <MaterialIcons name="skip-next" size={48} color={stepIndex === steps.length - 1 ? '#ccc' : '#4CAF50'} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default CookMode;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, Modal } from 'react-native';
+import { styles } from '../styles';
+import { LANGUAGES } from '../src/language';
+import { UI_LOCALES } from '../src/i18n';
+
+const OptionRow = ({ options, value, onChange }) => (
+  <View style={styles.tagRow}>
+    {options.map(({ value: option, label }) => (
+      <TouchableOpacity
+        key={option || 'none'}
+        style={[styles.tagChip, value === option && styles.tagChipSelected]}
+        onPress={() => onChange(option)}
+      >
+        <Text style={[styles.tagChipText, value === option && styles.tagChipSelectedText]}>{label}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const languageOptions = (codes) => codes.map(code => ({ value: code, label: LANGUAGES[code].name }));
+
+// App language, plus the spoken and written language of new recipes
+const LanguageSettings = ({ visible, settings, onClose }) => {
+  const { t } = settings;
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles.modalView}>
+        <Text style={styles.modalTitle}>{t('language.title')}</Text>
+
+        <Text style={styles.sectionTitle}>{t('language.app')}</Text>
+        <OptionRow options={languageOptions(UI_LOCALES)} value={settings.uiLocale} onChange={settings.setUiLocale} />
+
+        <Text style={styles.sectionTitle}>{t('language.spoken')}</Text>
+        <OptionRow
+          options={[{ value: null, label: t('language.auto') }, ...languageOptions(Object.keys(LANGUAGES))]}
+          value={settings.spokenLanguage}
+          onChange={settings.setSpokenLanguage}
+        />
+
+        <Text style={styles.sectionTitle}>{t('language.recipe')}</Text>
+        <OptionRow
+          options={[{ value: null, label: t('language.sameAsSpoken') }, ...languageOptions(Object.keys(LANGUAGES))]}
+          value={settings.recipeLanguage}
+          onChange={settings.setRecipeLanguage}
+        />
+
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={[styles.button, styles.saveButton]} onPress={onClose}>
+            <Text style={styles.buttonText}>{t('common.done')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default LanguageSettings;
@@ -0,0 +1,204 @@
+import React, { useState, useRef } from 'react';
+import { View, Text, TouchableOpacity, Modal, ScrollView, FlatList, Animated, PanResponder, Alert } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { MEAL_SLOTS, weekStart, weekDays, addDays, entriesForWeek } from '../src/mealPlan';
+
+const shortDate = (dateKey) => `${dateKey.slice(8, 10)}/${dateKey.slice(5, 7)}`;
+const slotKey = (date, slot) => `${date}|${slot}`;
+
+// Recipes laid out on a week of days × meal slots. Long-press a meal to pick
+// it up, then drag it onto another slot (or tap the slot) to move it.
+const MealPlanner = ({ visible, recipes, mealPlan, t, onOpenRecipe, onShoppingList, onExport, onClose }) => {
+  const dayLabels = t('planner.days').split(',');
+
+  const [start, setStart] = useState(weekStart());
+  const [picking, setPicking] = useState(null);
+  const [dragging, setDragging] = useState(null);
+
+  const slotViews = useRef({});
+  const slotRects = useRef({});
+  const pan = useRef(new Animated.ValueXY()).current;
+  // The responder is created once, so it reads the current drag through refs
+  const draggingRef = useRef(null);
+  const dropRef = useRef(null);
+
+  const endDrag = () => {
+    draggingRef.current = null;
+    setDragging(null);
+    pan.setValue({ x: 0, y: 0 });
+  };
+
+  dropRef.current = (x, y) => {
+    const target = Object.entries(slotRects.current).find(([, rect]) => (
+      x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+    ));
+    if (target) {
+      const [date, slot] = target[0].split('|');
+      mealPlan.move(draggingRef.current, { date, slot });
+      endDrag();
+    } else {
+      // Dropped outside a slot: stay picked up so a slot can be tapped
+      pan.setValue({ x: 0, y: 0 });
+    }
+  };
+
+  const panResponder = useRef(PanResponder.create({
+    onMoveShouldSetPanResponderCapture: () => Boolean(draggingRef.current),
+    onPanResponderMove: Animated.event([null, { dx: pan.x, dy: pan.y }], { useNativeDriver: false }),
+    onPanResponderRelease: (_, gesture) => {
+      if (gesture.moveX || gesture.moveY) dropRef.current(gesture.moveX, gesture.moveY);
+    },
+    onPanResponderTerminate: () => pan.setValue({ x: 0, y: 0 }),
+  })).current;
+
+  const startDrag = (entryId) => {
+    // Scrolling is off while dragging, so these positions stay valid
+    slotRects.current = {};
+    Object.entries(slotViews.current).forEach(([key, view]) => {
+      if (view) {
+        view.measureInWindow((x, y, width, height) => {
+          slotRects.current[key] = { x, y, width, height };
+        });
+      }
+    });
+    draggingRef.current = entryId;
+    setDragging(entryId);
+  };
+
+  const entryOptions = (entry, recipe) => Alert.alert(recipe.title, null, [
+    { text: t('common.open'), onPress: () => onOpenRecipe(recipe) },
+    { text: t('common.remove'), style: 'destructive', onPress: () => mealPlan.remove(entry.id) },
+    { text: t('common.cancel'), style: 'cancel' },
+  ]);
+
+  const onSlotPress = (date, slot) => {
+    if (dragging) {
+      mealPlan.move(dragging, { date, slot });
+      endDrag();
+      return;
+    }
+    setPicking({ date, slot });
+  };
+
+  const weekEntries = entriesForWeek(mealPlan.plan, start);
+  const recipeById = (id) => recipes.find(recipe => recipe.id === id);
+
+  return (
+    <Modal animationType="slide" visible={visible} onRequestClose={onClose}>
+      <View style={styles.plannerContainer} {...panResponder.panHandlers}>
+        <View style={styles.cookHeader}>
+          <TouchableOpacity onPress={() => setStart(addDays(start, -7))}>
+            <MaterialIcons name="chevron-left" size={32} color="#555" />
+          </TouchableOpacity>
+          <Text style={styles.plannerWeek}>{t('planner.week', { date: shortDate(start) })}</Text>
+          <TouchableOpacity onPress={() => setStart(addDays(start, 7))}>
+            <MaterialIcons name="chevron-right" size={32} color="#555" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={onClose}>
+            <MaterialIcons name="close" size={28} color="#555" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.libraryActions}>
+          <TouchableOpacity style={styles.libraryAction} onPress={() => mealPlan.copyWeek(addDays(start, -7), start)}>
+            <MaterialIcons name="content-copy" size={18} color="#2196F3" />
+            <Text style={styles.libraryActionText}>{t('planner.copyLastWeek')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.libraryAction} onPress={() => onShoppingList(start)} disabled={weekEntries.length === 0}>
+            <MaterialIcons name="shopping-cart" size={18} color="#2196F3" />
+            <Text style={styles.libraryActionText}>{t('library.shoppingList')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.libraryAction} onPress={() => onExport(start)} disabled={weekEntries.length === 0}>
+            <MaterialIcons name="event" size={18} color="#2196F3" />
+            <Text style={styles.libraryActionText}>{t('planner.exportIcs')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {dragging && (
+          <View style={styles.plannerHint}>
+            <Text style={styles.cookListeningText}>{t('planner.dragHint')}</Text>
+            <TouchableOpacity onPress={endDrag}>
+              <Text style={styles.selectionAction}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <ScrollView scrollEnabled={!dragging}>
+          {weekDays(start).map((date, dayIndex) => (
+            <View key={date} style={styles.plannerDay}>
+              <Text style={styles.plannerDayLabel}>{dayLabels[dayIndex]} {shortDate(date)}</Text>
+              <View style={styles.plannerSlots}>
+                {MEAL_SLOTS.map(slot => (
+                  <View
+                    key={slot.key}
+                    ref={view => { slotViews.current[slotKey(date, slot.key)] = view; }}
+                    style={[styles.plannerSlot, dragging && styles.plannerSlotTarget]}
+                  >
+                    <TouchableOpacity style={styles.plannerSlotTouch} onPress={() => onSlotPress(date, slot.key)}>
+                      <Text style={styles.plannerSlotLabel}>{t(`mealSlots.${slot.key}`)}</Text>
+                      {weekEntries
+                        .filter(entry => entry.date === date && entry.slot === slot.key)
+                        .map(entry => {
+                          const recipe = recipeById(entry.recipeId);
+                          if (!recipe) return null;
+                          const isDragged = entry.id === dragging;
+                          return (
+                            <Animated.View
+                              key={entry.id}
+                              style={[styles.plannerEntry, isDragged && styles.plannerEntryDragged,
+                                isDragged && { transform: pan.getTranslateTransform() }]}
+                            >
+                              <TouchableOpacity
+                                onPress={() => (dragging ? onSlotPress(date, slot.key) : entryOptions(entry, recipe))}
+                                onLongPress={() => startDrag(entry.id)}
+                              >
+                                <Text style={styles.plannerEntryText} numberOfLines={2}>{recipe.title}</Text>
+                              </TouchableOpacity>
+                            </Animated.View>
+                          );
+                        })}
+                      {!dragging && <MaterialIcons name="add" size={16} color="#4CAF50" />}
+                    </TouchableOpacity>
+                  </View>
+                ))}
+              </View>
+            </View>
+          ))}
+        </ScrollView>
+
+        <Modal animationType="fade" transparent={true} visible={Boolean(picking)} onRequestClose={() => setPicking(null)}>
+          <View style={styles.modalView}>
+            <Text style={styles.modalTitle}>
+              {picking && `${t(`mealSlots.${picking.slot}`)}, ${shortDate(picking.date)}`}
+            </Text>
+            <FlatList
+              data={recipes}
+              keyExtractor={item => item.id}
+              style={styles.plannerPicker}
+              renderItem={({ item }) => (
+                <TouchableOpacity
+                  style={styles.shoppingItem}
+                  onPress={() => {
+                    mealPlan.assign({ ...picking, recipeId: item.id });
+                    setPicking(null);
+                  }}
+                >
+                  <Text style={styles.ingredient}>{item.title}</Text>
+                </TouchableOpacity>
+              )}
+              ListEmptyComponent={<Text style={styles.emptyText}>{t('planner.noRecipes')}</Text>}
+            />
+            <View style={styles.buttonRow}>
+              <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={() => setPicking(null)}>
+                <Text style={styles.buttonText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
+      </View>
+    </Modal>
+  );
+};
+
+export default MealPlanner;
@@ -0,0 +1,110 @@
+import React, { useMemo, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity } from 'react-native';
+import { styles } from '../styles';
+import { estimateNutrition, searchFoods } from '../src/nutrition';
+import { formatNumber } from '../src/units';
+
+const MACROS = ['protein', 'carbs', 'fat'];
+
+// Picks a food for an ingredient line by hand, or marks it as not a food
+const FoodPicker = ({ line, t, onPick }) => {
+  const [query, setQuery] = useState(line.ingredient.item || line.ingredient.original);
+  const foods = searchFoods(query);
+  return (
+    <View style={styles.nutritionPicker}>
+      <TextInput
+        style={styles.editInput}
+        value={query}
+        onChangeText={setQuery}
+        placeholder={t('nutrition.search')}
+        autoFocus
+      />
+      <View style={styles.tagRow}>
+        {foods.map(food => (
+          <TouchableOpacity key={food.id} style={styles.tagChip} onPress={() => onPick(food.id)}>
+            <Text style={styles.tagChipText}>{food.name}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity style={styles.tagChip} onPress={() => onPick(null)}>
+          <Text style={styles.tagChipText}>{t('nutrition.notFood')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+// Estimated calories, macros and allergens from the bundled food table.
+// Lines without a (sure) match can be mapped by hand; `onMap(key, foodId)`
+// remembers the choice for every recipe.
+const NutritionEstimate = ({ recipe, mappings, language, t, onMap }) => {
+  const estimate = useMemo(() => estimateNutrition(recipe, { mappings }), [recipe, mappings]);
+  const [mapping, setMapping] = useState(null);
+  const values = estimate.perServing || estimate.total;
+  // Fuzzy matches and the user's own can be changed
+  const matched = [...estimate.approximate, ...estimate.lines.filter(line => line.mapped)];
+  const number = (value) => formatNumber(value, language);
+
+  const pick = (key, foodId) => {
+    onMap(key, foodId);
+    setMapping(null);
+  };
+
+  const renderLine = (line, label) => (
+    <View key={`${line.key}-${line.ingredient.original}`}>
+      <TouchableOpacity onPress={() => setMapping(mapping === line.key ? null : line.key)}>
+        <Text style={styles.nutritionLine}>
+          • {line.ingredient.original}{label ? ` → ${label}` : ''}
+        </Text>
+      </TouchableOpacity>
+      {mapping === line.key && <FoodPicker line={line} t={t} onPick={(foodId) => pick(line.key, foodId)} />}
+    </View>
+  );
+
+  return (
+    <View style={styles.nutritionContainer}>
+      <Text style={styles.sectionTitle}>{t('nutrition.title')}</Text>
+      <Text style={styles.nutritionBasis}>
+        {estimate.perServing ? t('nutrition.perServing', { servings: estimate.servings }) : t('nutrition.wholeRecipe')}
+      </Text>
+      <View style={styles.nutritionRow}>
+        <View style={styles.nutritionCell}>
+          <Text style={styles.nutritionValue}>{values.kcal}</Text>
+          <Text style={styles.nutritionLabel}>kcal</Text>
+        </View>
+        {MACROS.map(macro => (
+          <View key={macro} style={styles.nutritionCell}>
+            <Text style={styles.nutritionValue}>{number(values[macro])} g</Text>
+            <Text style={styles.nutritionLabel}>{t(`nutrition.${macro}`)}</Text>
+          </View>
+        ))}
+      </View>
+
+      <Text style={styles.nutritionAllergens}>
+        {estimate.allergens.length > 0
+          ? t('nutrition.contains', { allergens: estimate.allergens.map(allergen => t(`allergens.${allergen}`)).join(', ') })
+          : t('nutrition.noAllergens')}
+      </Text>
+
+      {estimate.unmatched.length > 0 && (
+        <>
+          <Text style={styles.nutritionHint}>{t('nutrition.unmatched')}</Text>
+          {estimate.unmatched.map(line => renderLine(line))}
+        </>
+      )}
+      {matched.length > 0 && (
+        <>
+          <Text style={styles.nutritionHint}>{t('nutrition.approximate')}</Text>
+          {matched.map(line => renderLine(line, line.food ? line.food.name : t('nutrition.notFood')))}
+        </>
+      )}
+      {estimate.unmeasured.length > 0 && (
+        <Text style={styles.nutritionHint}>
+          {t('nutrition.unmeasured', { ingredients: estimate.unmeasured.map(line => line.ingredient.original).join('; ') })}
+        </Text>
+      )}
+      <Text style={styles.nutritionSource}>{t('nutrition.source')}</Text>
+    </View>
+  );
+};
+
+export default NutritionEstimate;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { JOB_STAGES } from '../src/jobQueue';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// "Pending recipes" section listing the offline processing queue
+const PendingJobs = ({ jobs, activeJobId, t, onRetry, onDiscard, onReview }) => {
+  if (jobs.length === 0) return null;
+
+  return (
+    <View style={styles.pendingContainer}>
+      <Text style={styles.sectionTitle}>{t('jobs.title')}</Text>
+      {jobs.map(job => {
+        const isActive = job.id === activeJobId;
+        const isDone = job.stage === JOB_STAGES.DONE;
+        return (
+          <View key={job.id} style={styles.pendingRow}>
+            <View style={styles.pendingInfo}>
+              <Text style={styles.pendingTitle} numberOfLines={1}>
+                {isDone && job.recipe
+                  ? job.recipe.title
+                  : t('jobs.recording', { date: new Date(job.createdAt).toLocaleString() })}
+              </Text>
+              <Text style={styles.pendingStatus} numberOfLines={2}>
+                {isActive ? t('common.processing') : t(`jobs.stage.${job.stage}`)}
+                {!isActive && job.lastError ? ` · ${job.lastError}` : ''}
+                {!isActive && job.nextAttemptAt && job.nextAttemptAt > Date.now()
+                  ? t('jobs.retryAt', { time: formatTime(job.nextAttemptAt) })
+                  : ''}
+              </Text>
+            </View>
+            {isActive && <ActivityIndicator size="small" color="#4CAF50" />}
+            {isDone && (
+              <TouchableOpacity style={styles.recipeItemAction} onPress={() => onReview(job)}>
+                <MaterialIcons name="visibility" size={22} color="#4CAF50" />
+              </TouchableOpacity>
+            )}
+            {!isDone && !isActive && (
+              <TouchableOpacity style={styles.recipeItemAction} onPress={() => onRetry(job.id)}>
+                <MaterialIcons name="refresh" size={22} color="#2196F3" />
+              </TouchableOpacity>
+            )}
+            {!isActive && (
+              <TouchableOpacity style={styles.recipeItemAction} onPress={() => onDiscard(job.id)}>
+                <MaterialIcons name="delete-outline" size={22} color="#F44336" />
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+export default PendingJobs;
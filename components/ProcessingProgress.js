@@ -0,0 +1,71 @@
+import React, { useMemo } from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, ScrollView } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { parseRecipeOutput } from '../src/recipeParser';
+
+const STAGES = ['uploading', 'transcribing', 'structuring'];
+
+// Live view of a recording being processed: the stages, the transcript once
+// it arrives (segment by segment for long recordings) and the recipe as the
+// model streams it out. Work on text only shows the stages it goes through.
+const ProcessingProgress = ({ progress, t, onCancel, stages = STAGES }) => {
+  const current = stages.indexOf(progress.stage);
+  const { segment } = progress;
+
+  // The parser repairs truncated JSON, so a half-written recipe still shows
+  const partial = useMemo(() => {
+    if (!progress.output) return null;
+    const result = parseRecipeOutput(progress.output);
+    return result.ok ? result.recipe : null;
+  }, [progress.output]);
+
+  return (
+    <View style={styles.progressContainer}>
+      {stages.map((stage, index) => (
+        <View key={stage} style={styles.progressStage}>
+          {index < current ? (
+            <MaterialIcons name="check-circle" size={20} color="#4CAF50" />
+          ) : index === current ? (
+            <ActivityIndicator size="small" color="#4CAF50" />
+          ) : (
+            <MaterialIcons name="radio-button-unchecked" size={20} color="#ccc" />
+          )}
+          <Text style={[styles.progressStageText, index > current && styles.progressStagePending]}>
+            {t(`progress.${stage}`)}
+            {stage === 'transcribing' && segment && segment.total > 1
+              ? ` · ${t('progress.segments', segment)}`
+              : ''}
+          </Text>
+        </View>
+      ))}
+
+      <ScrollView style={styles.progressDetails}>
+        {progress.transcript ? (
+          <>
+            <Text style={styles.sectionTitle}>{t('progress.transcript')}</Text>
+            <Text style={styles.progressTranscript}>{progress.transcript}</Text>
+          </>
+        ) : null}
+        {partial && (
+          <>
+            {partial.title ? <Text style={styles.progressRecipeTitle}>{partial.title}</Text> : null}
+            {partial.ingredients.map((ingredient, index) => (
+              <Text key={`i${index}`} style={styles.progressLine}>• {ingredient.original}</Text>
+            ))}
+            {partial.steps.map((step, index) => (
+              <Text key={`s${index}`} style={styles.progressLine}>{index + 1}. {step}</Text>
+            ))}
+          </>
+        )}
+      </ScrollView>
+
+      <TouchableOpacity style={[styles.recordButton, styles.cancelButton]} onPress={onCancel}>
+        <MaterialIcons name="cancel" size={24} color="white" />
+        <Text style={styles.recordButtonText}>{t('common.cancel')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+export default ProcessingProgress;
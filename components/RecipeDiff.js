@@ -0,0 +1,39 @@
+import React from 'react';
+import { Text } from 'react-native';
+import { styles } from '../styles';
+
+const LINE_STYLES = {
+  added: styles.diffAdded,
+  removed: styles.diffRemoved,
+  same: null,
+};
+const LINE_MARKS = { added: '+ ', removed: '− ', same: '  ' };
+
+const DiffLines = ({ lines }) => lines.map((line, index) => (
+  <Text key={index} style={[styles.diffLine, LINE_STYLES[line.type]]}>
+    {LINE_MARKS[line.type]}{line.text}
+  </Text>
+));
+
+const FieldChange = ({ label, change }) => (change ? (
+  <Text style={styles.diffLine}>
+    {label} <Text style={styles.diffRemoved}>{String(change.before == null ? '—' : change.before)}</Text>
+    {' → '}
+    <Text style={styles.diffAdded}>{String(change.after == null ? '—' : change.after)}</Text>
+  </Text>
+) : null);
+
+// A diff from recipeUpdate.diffRecipes: changed title and servings, then the
+// ingredients and steps with added and removed lines marked
+const RecipeDiff = ({ diff, t }) => (
+  <>
+    <FieldChange label={t('editor.title')} change={diff.title} />
+    <FieldChange label={t('recipe.servings')} change={diff.servings} />
+    <Text style={styles.sectionTitle}>{t('recipe.ingredients')}</Text>
+    <DiffLines lines={diff.ingredients} />
+    <Text style={styles.sectionTitle}>{t('recipe.instructions')}</Text>
+    <DiffLines lines={diff.steps} />
+  </>
+);
+
+export default RecipeDiff;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { parseIngredient, ingredientText } from '../src/ingredients';
+import { normalizeServings } from '../src/units';
+import { normalizeTag, suggestTags } from '../src/recipeSearch';
+import { TagChip } from './RecipeFilters';
+
+const replaceAt = (list, index, value) => list.map((item, i) => (i === index ? value : item));
+const removeAt = (list, index) => list.filter((_, i) => i !== index);
+const moveItem = (list, from, to) => {
+  if (to < 0 || to >= list.length) return list;
+  const updated = [...list];
+  const [item] = updated.splice(from, 1);
+  updated.splice(to, 0, item);
+  return updated;
+};
+
+// Editable list of strings (ingredients or steps) with add, delete,
+// reorder and inline edit
+const EditableList = ({ items, onChange, placeholder, addLabel, numbered }) => (
+  <>
+    {items.map((item, index) => (
+      <View key={`${placeholder}-${index}`} style={styles.editRow}>
+        <Text style={styles.editRowIndex}>{numbered ? `${index + 1}.` : '•'}</Text>
+        <TextInput
+          style={[styles.editInput, styles.editRowInput]}
+          value={item}
+          multiline
+          placeholder={placeholder}
+          onChangeText={(text) => onChange(replaceAt(items, index, text))}
+        />
+        <TouchableOpacity onPress={() => onChange(moveItem(items, index, index - 1))} disabled={index === 0}>
+          <MaterialIcons name="arrow-upward" size={20} color={index === 0 ? '#ccc' : '#555'} />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => onChange(moveItem(items, index, index + 1))} disabled={index === items.length - 1}>
+          <MaterialIcons name="arrow-downward" size={20} color={index === items.length - 1 ? '#ccc' : '#555'} />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => onChange(removeAt(items, index))}>
+          <MaterialIcons name="delete-outline" size={20} color="#F44336" />
+        </TouchableOpacity>
+      </View>
+    ))}
+    <TouchableOpacity style={styles.addRowButton} onPress={() => onChange([...items, ''])}>
+      <MaterialIcons name="add" size={18} color="#4CAF50" />
+      <Text style={styles.addRowText}>{addLabel}</Text>
+    </TouchableOpacity>
+  </>
+);
+
+// Current tags (tap to remove), an input for new ones and tags suggested
+// from the recipe content
+const TagEditor = ({ recipe, t, onChange }) => {
+  const [text, setText] = useState('');
+  const tags = recipe.tags || [];
+  const suggestions = suggestTags(recipe);
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !tags.includes(normalized)) onChange({ ...recipe, tags: [...tags, normalized] });
+    setText('');
+  };
+
+  return (
+    <>
+      <View style={styles.tagRow}>
+        {tags.map(tag => (
+          <TagChip
+            key={tag}
+            tag={tag}
+            selected
+            icon="close"
+            onPress={() => onChange({ ...recipe, tags: tags.filter(existing => existing !== tag) })}
+          />
+        ))}
+        <TextInput
+          style={[styles.editInput, styles.tagInput]}
+          value={text}
+          placeholder={t('editor.addTag')}
+          autoCapitalize="none"
+          onChangeText={setText}
+          onSubmitEditing={() => addTag(text)}
+        />
+      </View>
+      <View style={styles.tagRow}>
+        {suggestions.length > 0 && <Text style={styles.tagSuggestionLabel}>{t('editor.suggested')}</Text>}
+        {suggestions.map(tag => (
+          <TagChip key={tag} tag={tag} icon="add" onPress={() => addTag(tag)} />
+        ))}
+      </View>
+    </>
+  );
+};
+
+const RecipeEditor = ({ recipe, t, onChange }) => (
+  <>
+    {recipe.parseError && (
+      <View style={styles.parseErrorContainer}>
+        <Text style={styles.errorText}>{recipe.parseError.message}</Text>
+        <Text style={styles.parseErrorRaw} selectable>{recipe.parseError.raw}</Text>
+      </View>
+    )}
+    <TextInput
+      style={[styles.editInput, styles.editTitleInput]}
+      value={recipe.title}
+      placeholder={t('editor.title')}
+      onChangeText={(title) => onChange({ ...recipe, title })}
+    />
+    <View style={styles.editRow}>
+      <Text style={styles.servingsLabel}>{t('recipe.servings')}</Text>
+      <TextInput
+        style={[styles.editInput, styles.servingsInput]}
+        value={recipe.servings ? String(recipe.servings) : ''}
+        keyboardType="number-pad"
+        placeholder="?"
+        onChangeText={(text) => onChange({ ...recipe, servings: normalizeServings(text) })}
+      />
+    </View>
+    <Text style={styles.sectionTitle}>{t('recipe.tags')}</Text>
+    <TagEditor recipe={recipe} t={t} onChange={onChange} />
+    <Text style={styles.sectionTitle}>{t('recipe.ingredients')}</Text>
+    <EditableList
+      items={(recipe.ingredients || []).map(ingredientText)}
+      placeholder={t('editor.ingredient')}
+      addLabel={t('editor.addIngredient')}
+      onChange={(ingredients) => onChange({ ...recipe, ingredients: ingredients.map(parseIngredient) })}
+    />
+    <Text style={styles.sectionTitle}>{t('recipe.instructions')}</Text>
+    <EditableList
+      items={recipe.steps || []}
+      placeholder={t('editor.step')}
+      addLabel={t('editor.addStep')}
+      numbered
+      onChange={(steps) => onChange({ ...recipe, steps })}
+    />
+  </>
+);
+
+export default RecipeEditor;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { SORT_OPTIONS } from '../src/recipeSearch';
+
+export const TagChip = ({ tag, selected, onPress, icon }) => (
+  <TouchableOpacity style={[styles.tagChip, selected && styles.tagChipSelected]} onPress={onPress}>
+    <Text style={[styles.tagChipText, selected && styles.tagChipSelectedText]}>#{tag}</Text>
+    {icon && <MaterialIcons name={icon} size={14} color={selected ? 'white' : '#4CAF50'} style={styles.tagChipIcon} />}
+  </TouchableOpacity>
+);
+
+// Search bar, sort toggle and tag/ingredient filters above the recipe list
+const RecipeFilters = ({ filters, onChange, tags, t }) => {
+  const [showIngredient, setShowIngredient] = useState(Boolean(filters.ingredient));
+
+  const toggleTag = (tag) => onChange({
+    ...filters,
+    tags: filters.tags.includes(tag) ? filters.tags.filter(selected => selected !== tag) : [...filters.tags, tag],
+  });
+
+  return (
+    <View style={styles.filters}>
+      <View style={styles.searchRow}>
+        <MaterialIcons name="search" size={20} color="#888" />
+        <TextInput
+          style={styles.searchInput}
+          value={filters.query}
+          placeholder={t('filters.search')}
+          autoCorrect={false}
+          onChangeText={(query) => onChange({ ...filters, query })}
+        />
+        {filters.query !== '' && (
+          <TouchableOpacity onPress={() => onChange({ ...filters, query: '' })}>
+            <MaterialIcons name="close" size={18} color="#888" />
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={styles.recipeItemAction}
+          onPress={() => {
+            if (showIngredient) onChange({ ...filters, ingredient: '' });
+            setShowIngredient(!showIngredient);
+          }}
+        >
+          <MaterialIcons name="kitchen" size={20} color={showIngredient ? '#4CAF50' : '#888'} />
+        </TouchableOpacity>
+      </View>
+      {showIngredient && (
+        <TextInput
+          style={[styles.editInput, styles.ingredientFilterInput]}
+          value={filters.ingredient}
+          placeholder={t('filters.ingredient')}
+          autoCorrect={false}
+          onChangeText={(ingredient) => onChange({ ...filters, ingredient })}
+        />
+      )}
+      <View style={styles.unitToggle}>
+        {SORT_OPTIONS.map(sortBy => (
+          <TouchableOpacity
+            key={sortBy}
+            style={[styles.unitToggleOption, filters.sortBy === sortBy && styles.unitToggleSelected]}
+            onPress={() => onChange({ ...filters, sortBy })}
+          >
+            <Text style={filters.sortBy === sortBy ? styles.unitToggleSelectedText : styles.unitToggleText}>
+              {t(`filters.sort.${sortBy}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {tags.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.tagScroll}>
+          {tags.map(tag => (
+            <TagChip key={tag} tag={tag} selected={filters.tags.includes(tag)} onPress={() => toggleTag(tag)} />
+          ))}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+export default RecipeFilters;
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { styles } from '../styles';
+import { diffVersions } from '../src/recipeHistory';
+import RecipeDiff from './RecipeDiff';
+
+// Saved versions of the open recipe, newest first. Two are compared at a
+// time, by default the last change; "restore" brings back the one compared
+// from.
+const RecipeHistory = ({ versions, t, onRestore, onClose }) => {
+  const latest = versions.length - 1;
+  const [from, setFrom] = useState(Math.max(0, latest - 1));
+  const [to, setTo] = useState(latest);
+  const diff = versions.length > 1 && from !== to ? diffVersions(versions[from], versions[to]) : null;
+
+  const chip = (selected, label, onPress) => (
+    <TouchableOpacity style={[styles.tagChip, selected && styles.tagChipSelected]} onPress={onPress}>
+      <Text style={selected ? styles.tagChipSelectedText : styles.tagChipText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <>
+      <ScrollView style={styles.modalScroll}>
+        <Text style={styles.modalTitle}>{t('history.title')}</Text>
+        {versions.length < 2 && <Text style={styles.additionHint}>{t('history.empty')}</Text>}
+        {versions.map((version, index) => ({ version, index })).reverse().map(({ version, index }) => (
+          <View key={version.id} style={styles.historyRow}>
+            <Text style={styles.historyVersion}>
+              {t('history.version', { number: index + 1 })} · {t(`history.source.${version.source}`)}
+              {'\n'}
+              <Text style={styles.historyDate}>{new Date(version.at).toLocaleString()}</Text>
+            </Text>
+            {versions.length > 1 && chip(index === from, t('history.from'), () => setFrom(index))}
+            {versions.length > 1 && chip(index === to, t('history.to'), () => setTo(index))}
+          </View>
+        ))}
+        {diff && (
+          <>
+            <Text style={styles.additionHint}>
+              {t('history.comparing', { from: from + 1, to: to + 1 })}
+              {diff.changed ? '' : ` ${t('history.same')}`}
+            </Text>
+            <RecipeDiff diff={diff} t={t} />
+          </>
+        )}
+      </ScrollView>
+      <View style={styles.buttonRow}>
+        {versions.length > 1 && from !== latest && (
+          <TouchableOpacity style={[styles.button, styles.saveButton]} onPress={() => onRestore(versions[from])}>
+            <Text style={styles.buttonText}>{t('history.restore', { number: from + 1 })}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onClose}>
+          <Text style={styles.buttonText}>{t('common.close')}</Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+};
+
+export default RecipeHistory;
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { UNIT_SYSTEMS, presentRecipe, normalizeServings } from '../src/units';
+import { LANGUAGES, guessRecipeLanguage } from '../src/language';
+import { extractDurations } from '../src/durations';
+import AudioPlayer from './AudioPlayer';
+import NutritionEstimate from './NutritionEstimate';
+import { recordingUris } from '../src/recording';
+
+const languageName = (code) => (LANGUAGES[code] ? LANGUAGES[code].name : code);
+
+// Read-only recipe view with servings scaling and unit conversion. The
+// chosen servings are state of the view, so key it by recipe id and servings
+// for a recipe that changes in place to start from its own amounts.
+const RecipeView = ({
+  recipe,
+  t,
+  onCook,
+  onStartTimer,
+  onRegenerate,
+  isRegenerating,
+  onTranslate,
+  isTranslating,
+  onRecordAddition,
+  onAdapt,
+  parentRecipe,
+  onOpenParent,
+  onShowHistory,
+  foodMappings,
+  onMapFood,
+}) => {
+  const baseServings = normalizeServings(recipe.servings);
+  const [servings, setServings] = useState(baseServings);
+  const [unitSystem, setUnitSystem] = useState('original');
+  const [showTranscript, setShowTranscript] = useState(false);
+
+  const language = recipe.language || guessRecipeLanguage(recipe);
+  const { ingredients, steps } = presentRecipe(recipe, { servings, unitSystem, language });
+
+  // The translated copy keeps the same quantities, only the words change
+  const chooseTranslation = () => Alert.alert(
+    t('recipe.translateTo'),
+    null,
+    [
+      ...Object.keys(LANGUAGES)
+        .filter(code => code !== language)
+        .map(code => ({ text: LANGUAGES[code].name, onPress: () => onTranslate(code) })),
+      { text: t('common.cancel'), style: 'cancel' },
+    ]
+  );
+
+  return (
+    <>
+      <Text style={styles.modalTitle}>{recipe.title}</Text>
+      <Text style={styles.recipeLanguage}>
+        {languageName(language)}
+        {recipe.spokenLanguage && recipe.spokenLanguage !== language
+          ? ` · ${t('language.detected', { language: languageName(recipe.spokenLanguage) })}`
+          : ''}
+      </Text>
+      {parentRecipe && (
+        <TouchableOpacity onPress={() => onOpenParent(parentRecipe)}>
+          <Text style={styles.parentLink}>
+            {t('adapt.from', { title: parentRecipe.title })}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {onCook && recipe.steps && recipe.steps.length > 0 && (
+        <TouchableOpacity style={styles.cookButton} onPress={onCook}>
+          <MaterialIcons name="restaurant" size={18} color="white" />
+          <Text style={styles.cookButtonText}>{t('recipe.cook')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {baseServings && (
+        <View style={styles.servingsRow}>
+          <Text style={styles.servingsLabel}>{t('recipe.servings')}</Text>
+          <TouchableOpacity onPress={() => setServings(Math.max(1, servings - 1))}>
+            <MaterialIcons name="remove-circle-outline" size={24} color="#4CAF50" />
+          </TouchableOpacity>
+          <Text style={styles.servingsValue}>{servings}</Text>
+          <TouchableOpacity onPress={() => setServings(servings + 1)}>
+            <MaterialIcons name="add-circle-outline" size={24} color="#4CAF50" />
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.unitToggle}>
+        {UNIT_SYSTEMS.map(system => (
+          <TouchableOpacity
+            key={system}
+            style={[styles.unitToggleOption, unitSystem === system && styles.unitToggleSelected]}
+            onPress={() => setUnitSystem(system)}
+          >
+            <Text style={unitSystem === system ? styles.unitToggleSelectedText : styles.unitToggleText}>
+              {t(`units.${system}`)}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.sectionTitle}>{t('recipe.ingredients')}</Text>
+      {ingredients.map((ingredient, index) => (
+        <Text key={`ingredient-${index}`} style={styles.ingredient}>• {ingredient}</Text>
+      ))}
+      {onMapFood && (
+        <NutritionEstimate recipe={recipe} mappings={foodMappings} language={language} t={t} onMap={onMapFood} />
+      )}
+      <Text style={styles.sectionTitle}>{t('recipe.instructions')}</Text>
+      {steps.map((step, index) => (
+        <View key={`step-${index}`}>
+          <Text style={styles.step}>{index + 1}. {step}</Text>
+          {onStartTimer && extractDurations(step).length > 0 && (
+            <View style={styles.timerChips}>
+              {extractDurations(step).map((duration, durationIndex) => (
+                <TouchableOpacity
+                  key={`timer-${index}-${durationIndex}`}
+                  style={styles.timerChip}
+                  onPress={() => onStartTimer({
+                    label: t('recipe.timerLabel', { title: recipe.title, step: index + 1, duration: duration.text }),
+                    seconds: duration.seconds,
+                    recipeId: recipe.id,
+                  })}
+                >
+                  <MaterialIcons name="timer" size={16} color="#2196F3" />
+                  <Text style={styles.timerChipText}>{duration.text}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+      ))}
+
+      {(recipe.audioUri || recipe.transcript) && (
+        <>
+          <Text style={styles.sectionTitle}>{t('recipe.source')}</Text>
+          {recipe.audioUri && <AudioPlayer uris={recordingUris(recipe)} />}
+          {recipe.transcript && (
+            <>
+              <TouchableOpacity onPress={() => setShowTranscript(!showTranscript)}>
+                <Text style={styles.linkText}>{t(showTranscript ? 'recipe.hideTranscript' : 'recipe.showTranscript')}</Text>
+              </TouchableOpacity>
+              {showTranscript && <Text style={styles.transcript} selectable>{recipe.transcript}</Text>}
+              {onRegenerate && (
+                <TouchableOpacity style={styles.regenerateButton} onPress={onRegenerate} disabled={isRegenerating}>
+                  {isRegenerating
+                    ? <ActivityIndicator size="small" color="white" />
+                    : <MaterialIcons name="autorenew" size={18} color="white" />}
+                  <Text style={styles.cookButtonText}>{t('recipe.regenerate')}</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </>
+      )}
+
+      {onTranslate && (
+        <TouchableOpacity style={styles.regenerateButton} onPress={chooseTranslation} disabled={isTranslating}>
+          {isTranslating
+            ? <ActivityIndicator size="small" color="white" />
+            : <MaterialIcons name="translate" size={18} color="white" />}
+          <Text style={styles.cookButtonText}>{t('recipe.translate')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {onRecordAddition && (
+        <TouchableOpacity style={styles.regenerateButton} onPress={onRecordAddition}>
+          <MaterialIcons name="mic" size={18} color="white" />
+          <Text style={styles.cookButtonText}>{t('recipe.recordAddition')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {onAdapt && (
+        <TouchableOpacity style={styles.regenerateButton} onPress={onAdapt}>
+          <MaterialIcons name="swap-horiz" size={18} color="white" />
+          <Text style={styles.cookButtonText}>{t('recipe.adapt')}</Text>
+        </TouchableOpacity>
+      )}
+
+      {onShowHistory && (
+        <TouchableOpacity style={styles.regenerateButton} onPress={onShowHistory}>
+          <MaterialIcons name="history" size={18} color="white" />
+          <Text style={styles.cookButtonText}>{t('recipe.history')}</Text>
+        </TouchableOpacity>
+      )}
+    </>
+  );
+};
+
+export default RecipeView;
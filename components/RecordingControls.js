@@ -0,0 +1,31 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import RecordingMeter from './RecordingMeter';
+
+// Meter plus stop and cancel buttons for the recording in progress
+const RecordingControls = ({ recorder, t, onStop, onCancel, onPause, onResume }) => (
+  <>
+    <RecordingMeter recorder={recorder} t={t} onPause={onPause} onResume={onResume} />
+    <View style={styles.recordingControlsContainer}>
+      <TouchableOpacity
+        style={[styles.recordButton, styles.recordingButton]}
+        onPress={onStop}
+      >
+        <MaterialIcons name="mic" size={24} color="white" />
+        <Text style={styles.recordButtonText}>{t('recording.stop')}</Text>
+      </TouchableOpacity>
+      
+      <TouchableOpacity
+        style={[styles.recordButton, styles.cancelButton]}
+        onPress={onCancel}
+      >
+        <MaterialIcons name="cancel" size={24} color="white" />
+        <Text style={styles.recordButtonText}>{t('common.cancel')}</Text>
+      </TouchableOpacity>
+    </View>
+  </>
+);
+
+export default RecordingControls;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { formatDuration } from '../src/durations';
+import { MAX_RECORDING_MS } from '../src/recording';
+
+// Elapsed time, input level and pause/resume for the recording in progress,
+// with a warning as it nears the maximum length
+const RecordingMeter = ({ recorder, t, onPause, onResume }) => (
+  <View style={styles.recordingMeter}>
+    <View style={styles.recordingMeterRow}>
+      <MaterialIcons
+        name="fiber-manual-record"
+        size={16}
+        color={recorder.isPaused ? '#aaa' : '#F44336'}
+      />
+      <Text style={styles.recordingDuration}>{formatDuration(recorder.durationMillis / 1000)}</Text>
+      <View style={styles.levelTrack}>
+        <View style={[styles.levelFill, { width: `${Math.round(recorder.level * 100)}%` }]} />
+      </View>
+      <TouchableOpacity onPress={recorder.isPaused ? onResume : onPause}>
+        <MaterialIcons name={recorder.isPaused ? 'play-circle-filled' : 'pause-circle-filled'} size={36} color="#4CAF50" />
+      </TouchableOpacity>
+    </View>
+    {recorder.isPaused && <Text style={styles.recordingHint}>{t('recording.paused')}</Text>}
+    {recorder.limitState === 'warning' && (
+      <Text style={styles.recordingWarning}>
+        {t('recording.nearLimit', {
+          remaining: formatDuration(Math.max(MAX_RECORDING_MS - recorder.durationMillis, 0) / 1000),
+        })}
+      </Text>
+    )}
+  </View>
+);
+
+export default RecordingMeter;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, Modal, ScrollView, Share } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { AISLES, groupByAisle, shoppingListText } from '../src/shoppingList';
+
+// Combined shopping list from useShoppingList: servings per recipe, items
+// grouped by aisle with checkboxes, and sharing as plain text
+const ShoppingList = ({ visible, list, recipes, t, onSetServings, onToggleItem, onClear, onClose }) => {
+  const aisleLabels = Object.fromEntries(AISLES.map(({ key }) => [key, t(`aisles.${key}`)]));
+  const share = () => Share.share({ message: shoppingListText(list.items, { title: t('shopping.title'), aisleLabels }) })
+    .catch(e => console.error('Failed to share shopping list', e));
+
+  const baseServings = (recipeId) => {
+    const recipe = recipes.find(item => item.id === recipeId);
+    return recipe && recipe.servings;
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles.modalView}>
+        <Text style={styles.modalTitle}>{t('shopping.title')}</Text>
+        <ScrollView style={styles.modalScroll}>
+          {list.selections.map((selection, index) => {
+            const servings = selection.servings || baseServings(selection.recipeId);
+            return (
+              <View key={`${selection.recipeId}-${index}`} style={styles.servingsRow}>
+                <Text style={[styles.servingsLabel, styles.shoppingRecipeTitle]} numberOfLines={1}>{selection.title}</Text>
+                {servings ? (
+                  <>
+                    <TouchableOpacity onPress={() => onSetServings(selection.recipeId, Math.max(1, servings - 1))}>
+                      <MaterialIcons name="remove-circle-outline" size={24} color="#4CAF50" />
+                    </TouchableOpacity>
+                    <Text style={styles.servingsValue}>{servings}</Text>
+                    <TouchableOpacity onPress={() => onSetServings(selection.recipeId, servings + 1)}>
+                      <MaterialIcons name="add-circle-outline" size={24} color="#4CAF50" />
+                    </TouchableOpacity>
+                  </>
+                ) : null}
+              </View>
+            );
+          })}
+          {list.items.length === 0 && (
+            <Text style={styles.emptyText}>{t('shopping.empty')}</Text>
+          )}
+          {groupByAisle(list.items).map(group => (
+            <View key={group.aisle}>
+              <Text style={styles.sectionTitle}>{aisleLabels[group.aisle]}</Text>
+              {group.items.map(item => (
+                <TouchableOpacity key={item.key} style={styles.shoppingItem} onPress={() => onToggleItem(item.key)}>
+                  <MaterialIcons
+                    name={item.checked ? 'check-box' : 'check-box-outline-blank'}
+                    size={22}
+                    color="#4CAF50"
+                    style={styles.recipeItemCheckbox}
+                  />
+                  <Text style={[styles.ingredient, styles.shoppingItemText, item.checked && styles.shoppingItemChecked]}>
+                    {item.text}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ))}
+        </ScrollView>
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={[styles.button, styles.editButton]} onPress={share} disabled={list.items.length === 0}>
+            <Text style={styles.buttonText}>{t('common.share')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onClear} disabled={list.items.length === 0}>
+            <Text style={styles.buttonText}>{t('common.clear')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.button, styles.saveButton]} onPress={onClose}>
+            <Text style={styles.buttonText}>{t('common.close')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default ShoppingList;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Modal, ActivityIndicator } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+
+// "Add from text": paste a recipe (or a web page's HTML) or open a saved
+// .html file. onSubmit receives the text and resolves once it is processed;
+// a file that can't be read goes to onError.
+const TextImport = ({ visible, t, onClose, onSubmit, onPickFile, onError }) => {
+  const [text, setText] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const submit = async (value) => {
+    if (!value || !value.trim()) return;
+    setIsProcessing(true);
+    try {
+      await onSubmit(value);
+      setText('');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const pickFile = async () => {
+    let content;
+    try {
+      content = await onPickFile();
+    } catch (err) {
+      onError(err);
+      return;
+    }
+    if (content) await submit(content);
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles.modalView}>
+        <Text style={styles.modalTitle}>{t('textImport.title')}</Text>
+        <TextInput
+          style={[styles.editInput, styles.textImportInput]}
+          value={text}
+          multiline
+          textAlignVertical="top"
+          placeholder={t('textImport.placeholder')}
+          onChangeText={setText}
+          editable={!isProcessing}
+        />
+        <TouchableOpacity style={styles.addRowButton} onPress={pickFile} disabled={isProcessing}>
+          <MaterialIcons name="insert-drive-file" size={18} color="#4CAF50" />
+          <Text style={styles.addRowText}>{t('textImport.openFile')}</Text>
+        </TouchableOpacity>
+        {isProcessing ? (
+          <View style={styles.processingContainer}>
+            <ActivityIndicator size="large" color="#4CAF50" />
+            <Text style={styles.processingText}>{t('recording.processing')}</Text>
+          </View>
+        ) : (
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.saveButton, styles.wideButton]}
+              onPress={() => submit(text)}
+              disabled={!text.trim()}
+            >
+              <Text style={styles.buttonText}>{t('textImport.create')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onClose}>
+              <Text style={styles.buttonText}>{t('common.close')}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+export default TextImport;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { styles } from '../styles';
+import { formatDuration } from '../src/durations';
+
+// Countdown list for the timers from useTimers
+const TimerList = ({ timers, now, t, onRemove }) => {
+  if (timers.length === 0) return null;
+
+  return (
+    <View style={styles.timerList}>
+      {timers.map(timer => (
+        <View key={timer.id} style={[styles.timerRow, timer.finished && styles.timerRowFinished]}>
+          <MaterialIcons name={timer.finished ? 'alarm-on' : 'timer'} size={20} color={timer.finished ? '#F44336' : '#555'} />
+          <Text style={styles.timerLabel} numberOfLines={1}>{timer.label}</Text>
+          <Text style={[styles.timerCountdown, timer.finished && styles.timerCountdownFinished]}>
+            {timer.finished ? t('timers.done') : formatDuration((timer.endsAt - now) / 1000)}
+          </Text>
+          <TouchableOpacity onPress={() => onRemove(timer.id)}>
+            <MaterialIcons name={timer.finished ? 'check' : 'close'} size={22} color="#555" />
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+export default TimerList;
@@ -0,0 +1,26 @@
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { styles } from '../styles';
+
+// Bottom bar offering to undo the last destructive action. It dismisses
+// itself after `duration` ms.
+const UndoSnackbar = ({ message, onUndo, onDismiss, actionLabel = 'UNDO', duration = 5000 }) => {
+  useEffect(() => {
+    if (!message) return undefined;
+    const timeout = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timeout);
+  }, [message]);
+
+  if (!message) return null;
+
+  return (
+    <View style={styles.snackbar}>
+      <Text style={styles.snackbarText}>{message}</Text>
+      <TouchableOpacity onPress={onUndo}>
+        <Text style={styles.snackbarAction}>{actionLabel}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+export default UndoSnackbar;
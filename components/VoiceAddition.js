@@ -0,0 +1,76 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { styles } from '../styles';
+import RecordingControls from './RecordingControls';
+import ProcessingProgress from './ProcessingProgress';
+import RecipeDiff from './RecipeDiff';
+
+// Dictating an addition or correction to the open recipe: recording, then
+// processing, then a review of what changes before it is applied
+const VoiceAddition = ({
+  addition,
+  recorder,
+  progress,
+  t,
+  onStop,
+  onCancelRecording,
+  onPause,
+  onResume,
+  onCancelProcessing,
+  onApply,
+  onDiscard,
+}) => {
+  if (addition.status === 'recording') {
+    return (
+      <>
+        <Text style={styles.modalTitle}>{t('addition.title')}</Text>
+        <Text style={styles.additionHint}>{t('addition.hint')}</Text>
+        <RecordingControls
+          recorder={recorder}
+          t={t}
+          onStop={onStop}
+          onCancel={onCancelRecording}
+          onPause={onPause}
+          onResume={onResume}
+        />
+      </>
+    );
+  }
+
+  if (addition.status === 'processing') {
+    return (
+      <>
+        <Text style={styles.modalTitle}>{t('addition.title')}</Text>
+        {progress && <ProcessingProgress progress={progress} t={t} onCancel={onCancelProcessing} />}
+      </>
+    );
+  }
+
+  const { diff } = addition;
+  return (
+    <>
+      <ScrollView style={styles.modalScroll}>
+        <Text style={styles.modalTitle}>{t('addition.review')}</Text>
+        {!diff.changed && <Text style={styles.additionHint}>{t('addition.noChanges')}</Text>}
+        <RecipeDiff diff={diff} t={t} />
+      </ScrollView>
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.button, styles.saveButton]}
+          onPress={onApply}
+          disabled={!diff.changed}
+        >
+          <Text style={styles.buttonText}>{t('addition.apply')}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, styles.cancelButton]}
+          onPress={onDiscard}
+        >
+          <Text style={styles.buttonText}>{t('addition.discard')}</Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+};
+
+export default VoiceAddition;
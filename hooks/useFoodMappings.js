@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const FOOD_MAPPINGS_KEY = 'foodMappings';
+
+// Ingredients the user matched to the food table by hand, shared by every
+// recipe: { [mappingKey]: foodId, or null for "not a food" } (see
+// src/nutrition.js). Persisted on every change.
+const useFoodMappings = () => {
+  const [mappings, setMappings] = useState({});
+
+  useEffect(() => {
+    AsyncStorage.getItem(FOOD_MAPPINGS_KEY)
+      .then(saved => saved && setMappings(previous => ({ ...JSON.parse(saved), ...previous })))
+      .catch(e => console.error('Failed to load food mappings', e));
+  }, []);
+
+  const setMapping = (key, foodId) => {
+    setMappings(previous => {
+      const updated = { ...previous, [key]: foodId };
+      AsyncStorage.setItem(FOOD_MAPPINGS_KEY, JSON.stringify(updated)).catch(e => {
+        console.error('Failed to save food mappings', e);
+      });
+      return updated;
+    });
+  };
+
+  return { mappings, setMapping };
+};
+
+export default useFoodMappings;
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createJob, isDue, isPending, resetJob, advanceJob } from '../src/jobQueue';
+import { persistRecordings } from '../services/recordingStorage';
+import { recordingUris, recordingFields } from '../src/recording';
+
+const QUEUE_KEY = 'processingQueue';
+
+// Persistent queue of recordings waiting to become recipes (see src/jobQueue).
+// Due jobs run when the queue loads, whenever the app comes back to the
+// foreground and when the earliest backoff expires while the app is open.
+// `pipeline` is { transcribe(audioUri, job), structure(transcript, job) }.
+const useJobQueue = (pipeline) => {
+  const [jobs, setJobs] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [activeJobId, setActiveJobId] = useState(null);
+  const jobsRef = useRef([]);
+  const pipelineRef = useRef(pipeline);
+  const isRunning = useRef(false);
+  pipelineRef.current = pipeline;
+
+  const persistJobs = (updated) => {
+    jobsRef.current = updated;
+    setJobs(updated);
+    AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(updated)).catch(e => {
+      console.error('Failed to save processing queue', e);
+    });
+  };
+
+  const updateJob = (id, update) => {
+    persistJobs(jobsRef.current.map(job => (job.id === id ? update(job) : job)));
+  };
+
+  const processDueJobs = async () => {
+    if (isRunning.current) return;
+    isRunning.current = true;
+    try {
+      for (const job of jobsRef.current.filter(item => isDue(item))) {
+        setActiveJobId(job.id);
+        const result = await advanceJob(job, pipelineRef.current);
+        // Skip jobs discarded while they were running
+        if (jobsRef.current.some(item => item.id === job.id)) {
+          updateJob(job.id, () => result);
+        }
+      }
+    } finally {
+      setActiveJobId(null);
+      isRunning.current = false;
+    }
+  };
+
+  useEffect(() => {
+    const loadJobs = async () => {
+      try {
+        const saved = await AsyncStorage.getItem(QUEUE_KEY);
+        if (saved) {
+          jobsRef.current = JSON.parse(saved);
+          setJobs(jobsRef.current);
+        }
+      } catch (e) {
+        console.error('Failed to load processing queue', e);
+      }
+      setIsLoaded(true);
+      processDueJobs();
+    };
+    loadJobs();
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') processDueJobs();
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Wake up for the next scheduled retry while the app stays open
+  useEffect(() => {
+    const waiting = jobs.filter(isPending).map(job => job.nextAttemptAt);
+    if (waiting.length === 0) return undefined;
+    const delay = Math.max(Math.min(...waiting) - Date.now(), 0);
+    const timeout = setTimeout(() => {
+      if (AppState.currentState === 'active') processDueJobs();
+    }, delay);
+    return () => clearTimeout(timeout);
+  }, [jobs]);
+
+  // Queue a recording; its audio is moved out of the cache first so it
+  // can't be cleaned up before the job runs
+  const enqueue = async ({ audioUri, audioSegments, transcript, language, spokenLanguage, error }) => {
+    const job = createJob({ audioUri, audioSegments, transcript, language, spokenLanguage, error });
+    try {
+      Object.assign(job, recordingFields(await persistRecordings(recordingUris(job), job.id)));
+    } catch (e) {
+      console.error('Failed to keep queued recording', e);
+    }
+    persistJobs([...jobsRef.current, job]);
+    return job;
+  };
+
+  const retryJob = (id) => {
+    updateJob(id, job => resetJob(job));
+    processDueJobs();
+  };
+
+  const removeJob = (id) => {
+    persistJobs(jobsRef.current.filter(job => job.id !== id));
+  };
+
+  return { jobs, isLoaded, activeJobId, enqueue, retryJob, removeJob };
+};
+
+export default useJobQueue;
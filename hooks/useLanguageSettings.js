@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getLocales } from 'expo-localization';
+import { createTranslator, resolveLocale } from '../src/i18n';
+
+const LANGUAGE_SETTINGS_KEY = 'languageSettings';
+
+// Device language until the user picks one
+const deviceLocale = () => {
+  const [locale] = getLocales();
+  return resolveLocale(locale && locale.languageCode);
+};
+
+// UI language plus the languages used for new recordings, persisted on every
+// change. `spokenLanguage` is a hint for transcription and `recipeLanguage`
+// the language recipes are written in; null means detect / same as spoken.
+const useLanguageSettings = () => {
+  const [settings, setSettings] = useState({
+    uiLocale: deviceLocale(),
+    spokenLanguage: null,
+    recipeLanguage: null,
+  });
+
+  const updateSettings = (update) => {
+    setSettings(previous => {
+      const updated = { ...previous, ...update };
+      AsyncStorage.setItem(LANGUAGE_SETTINGS_KEY, JSON.stringify(updated)).catch(e => {
+        console.error('Failed to save language settings', e);
+      });
+      return updated;
+    });
+  };
+
+  useEffect(() => {
+    AsyncStorage.getItem(LANGUAGE_SETTINGS_KEY)
+      .then(saved => saved && setSettings(previous => ({ ...previous, ...JSON.parse(saved) })))
+      .catch(e => console.error('Failed to load language settings', e));
+  }, []);
+
+  return {
+    ...settings,
+    t: createTranslator(settings.uiLocale),
+    setUiLocale: (uiLocale) => updateSettings({ uiLocale }),
+    setSpokenLanguage: (spokenLanguage) => updateSettings({ spokenLanguage }),
+    setRecipeLanguage: (recipeLanguage) => updateSettings({ recipeLanguage }),
+  };
+};
+
+export default useLanguageSettings;
@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { EMPTY_PLAN, assignRecipe, moveEntry, removeEntry, copyWeek } from '../src/mealPlan';
+
+const MEAL_PLAN_KEY = 'mealPlan';
+
+// The weekly meal plan, persisted on every change
+const useMealPlan = () => {
+  const [plan, setPlan] = useState(EMPTY_PLAN);
+
+  const updatePlan = (update) => {
+    setPlan(previous => {
+      const updated = update(previous);
+      AsyncStorage.setItem(MEAL_PLAN_KEY, JSON.stringify(updated)).catch(e => {
+        console.error('Failed to save meal plan', e);
+      });
+      return updated;
+    });
+  };
+
+  useEffect(() => {
+    AsyncStorage.getItem(MEAL_PLAN_KEY)
+      .then(saved => saved && setPlan(JSON.parse(saved)))
+      .catch(e => console.error('Failed to load meal plan', e));
+  }, []);
+
+  return {
+    plan,
+    assign: (assignment) => updatePlan(previous => assignRecipe(previous, assignment)),
+    move: (entryId, target) => updatePlan(previous => moveEntry(previous, entryId, target)),
+    remove: (entryId) => updatePlan(previous => removeEntry(previous, entryId)),
+    copyWeek: (fromStart, toStart) => updatePlan(previous => copyWeek(previous, fromStart, toStart)),
+  };
+};
+
+export default useMealPlan;
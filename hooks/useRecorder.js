@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef } from 'react';
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system';
+import { meterLevel, recordingLimitState, shouldStartNewSegment } from '../src/recording';
+
+const RECORDING_OPTIONS = { ...Audio.RecordingOptionsPresets.HIGH_QUALITY, isMeteringEnabled: true };
+const STATUS_INTERVAL_MS = 250;
+
+// Microphone recording with pause/resume, a live duration and input level.
+// Long recordings are split into segment files (see src/recording.js);
+// stop() resolves to every segment's URI in order. `onLimit` is called once
+// the maximum length is reached.
+const useRecorder = ({ onLimit } = {}) => {
+  const [state, setState] = useState('idle'); // 'idle', 'recording' or 'paused'
+  const [durationMillis, setDurationMillis] = useState(0);
+  const [level, setLevel] = useState(0);
+  const recording = useRef(null);
+  const segments = useRef([]);
+  // Length of the finished segments
+  const finishedMillis = useRef(0);
+  const rollover = useRef(null);
+  const limitReached = useRef(false);
+  const onLimitRef = useRef(onLimit);
+  onLimitRef.current = onLimit;
+
+  // Only reads refs, so the callback registered with the first segment stays valid
+  const onStatus = (status) => {
+    if (!status.isRecording || rollover.current) return;
+    const total = finishedMillis.current + status.durationMillis;
+    setDurationMillis(total);
+    setLevel(meterLevel(status.metering));
+
+    if (recordingLimitState(total) === 'limit') {
+      if (!limitReached.current && onLimitRef.current) onLimitRef.current();
+      limitReached.current = true;
+      return;
+    }
+    if (shouldStartNewSegment({ segmentMs: status.durationMillis, metering: status.metering })) {
+      rollover.current = startNewSegment().finally(() => {
+        rollover.current = null;
+      });
+    }
+  };
+
+  const createSegment = async () => {
+    const { recording: created } = await Audio.Recording.createAsync(RECORDING_OPTIONS, onStatus, STATUS_INTERVAL_MS);
+    recording.current = created;
+  };
+
+  // Close the current file and carry on in a new one
+  const startNewSegment = async () => {
+    try {
+      const current = recording.current;
+      const status = await current.stopAndUnloadAsync();
+      finishedMillis.current += status.durationMillis || 0;
+      segments.current.push(current.getURI());
+      recording.current = null;
+      await createSegment();
+    } catch (e) {
+      console.error('Failed to start a new recording segment', e);
+    }
+  };
+
+  useEffect(() => () => {
+    if (recording.current) recording.current.stopAndUnloadAsync().catch(() => {});
+  }, []);
+
+  const reset = () => {
+    segments.current = [];
+    finishedMillis.current = 0;
+    limitReached.current = false;
+    setDurationMillis(0);
+    setLevel(0);
+  };
+
+  const start = async () => {
+    reset();
+    await createSegment();
+    setState('recording');
+  };
+
+  const pause = async () => {
+    if (rollover.current) await rollover.current;
+    if (!recording.current) return;
+    await recording.current.pauseAsync();
+    setState('paused');
+    setLevel(0);
+  };
+
+  const resume = async () => {
+    if (!recording.current) return;
+    await recording.current.startAsync();
+    setState('recording');
+  };
+
+  const stop = async () => {
+    if (rollover.current) await rollover.current;
+    const current = recording.current;
+    const uris = segments.current;
+    recording.current = null;
+    setState('idle');
+    reset();
+    if (current) {
+      await current.stopAndUnloadAsync();
+      uris.push(current.getURI());
+    }
+    return uris.filter(Boolean);
+  };
+
+  // Stop and delete every segment
+  const cancel = async () => {
+    const uris = await stop();
+    await Promise.all(uris.map(uri => FileSystem.deleteAsync(uri, { idempotent: true })));
+  };
+
+  return {
+    isRecording: state !== 'idle',
+    isPaused: state === 'paused',
+    durationMillis,
+    level,
+    limitState: recordingLimitState(durationMillis),
+    start,
+    pause,
+    resume,
+    stop,
+    cancel,
+  };
+};
+
+export default useRecorder;
@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { buildShoppingList, carryOverChecked } from '../src/shoppingList';
+
+const SHOPPING_LIST_KEY = 'shoppingList';
+
+const EMPTY_LIST = { selections: [], items: [] };
+
+// The shopping list for a set of saved recipes, persisted with what has
+// already been checked off. `recipes` is the saved list, used to rebuild
+// when servings change, and `language` the one amounts are written in.
+const useShoppingList = (recipes, language) => {
+  const [list, setList] = useState(EMPTY_LIST);
+
+  const updateList = (update) => {
+    setList(previous => {
+      const updated = update(previous);
+      AsyncStorage.setItem(SHOPPING_LIST_KEY, JSON.stringify(updated)).catch(e => {
+        console.error('Failed to save shopping list', e);
+      });
+      return updated;
+    });
+  };
+
+  useEffect(() => {
+    AsyncStorage.getItem(SHOPPING_LIST_KEY)
+      .then(saved => saved && setList(JSON.parse(saved)))
+      .catch(e => console.error('Failed to load shopping list', e));
+  }, []);
+
+  // selections: [{ recipeId, servings }], servings null for the recipe's own.
+  // A recipe may appear more than once (cooked twice in a week).
+  const build = (selections) => {
+    const resolved = selections
+      .map(selection => ({ ...selection, recipe: recipes.find(recipe => recipe.id === selection.recipeId) }))
+      .filter(selection => selection.recipe);
+    updateList(previous => ({
+      selections: resolved.map(({ recipeId, recipe, servings }) => ({
+        recipeId,
+        title: recipe.title,
+        servings: servings || null,
+      })),
+      items: carryOverChecked(buildShoppingList(resolved, { language }), previous.items),
+      updatedAt: new Date().toISOString(),
+    }));
+  };
+
+  const buildFromRecipes = (recipeIds) => build(recipeIds.map(recipeId => ({ recipeId, servings: null })));
+
+  const setServings = (recipeId, servings) => build(list.selections.map(selection => (
+    selection.recipeId === recipeId ? { ...selection, servings } : selection
+  )));
+
+  const toggleItem = (key) => updateList(previous => ({
+    ...previous,
+    items: previous.items.map(item => (item.key === key ? { ...item, checked: !item.checked } : item)),
+  }));
+
+  const clear = () => updateList(() => EMPTY_LIST);
+
+  return { list, build, buildFromRecipes, setServings, toggleItem, clear };
+};
+
+export default useShoppingList;
@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef } from 'react';
+import { Audio } from 'expo-av';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const TIMERS_KEY = 'timers';
+
+// Named countdown timers that run side by side. They are stored with their
+// end time, so closing the recipe modal (or the app) doesn't lose them, and
+// an alarm loops through expo-av until every finished timer is dismissed.
+const useTimers = () => {
+  const [timers, setTimers] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const alarm = useRef(null);
+
+  const updateTimers = (update) => {
+    setTimers(previous => {
+      const updated = update(previous);
+      AsyncStorage.setItem(TIMERS_KEY, JSON.stringify(updated)).catch(e => {
+        console.error('Failed to save timers', e);
+      });
+      return updated;
+    });
+  };
+
+  useEffect(() => {
+    AsyncStorage.getItem(TIMERS_KEY)
+      .then(saved => saved && setTimers(JSON.parse(saved)))
+      .catch(e => console.error('Failed to load timers', e));
+    return () => {
+      if (alarm.current) alarm.current.unloadAsync();
+    };
+  }, []);
+
+  const hasRunning = timers.some(timer => !timer.finished);
+
+  // Tick once a second while something is counting down
+  useEffect(() => {
+    if (!hasRunning) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasRunning]);
+
+  useEffect(() => {
+    if (timers.some(timer => !timer.finished && timer.endsAt <= now)) {
+      updateTimers(previous => previous.map(timer => (
+        !timer.finished && timer.endsAt <= now ? { ...timer, finished: true } : timer
+      )));
+    }
+  }, [now]);
+
+  const hasFinished = timers.some(timer => timer.finished);
+
+  useEffect(() => {
+    const toggleAlarm = async () => {
+      try {
+        if (hasFinished && !alarm.current) {
+          const { sound } = await Audio.Sound.createAsync(
+            require('../assets/alarm.wav'),
+            { isLooping: true, shouldPlay: true }
+          );
+          alarm.current = sound;
+        } else if (!hasFinished && alarm.current) {
+          const sound = alarm.current;
+          alarm.current = null;
+          await sound.stopAsync();
+          await sound.unloadAsync();
+        }
+      } catch (e) {
+        console.error('Failed to play timer alarm', e);
+      }
+    };
+    toggleAlarm();
+  }, [hasFinished]);
+
+  const startTimer = ({ label, seconds, recipeId }) => {
+    const startedAt = Date.now();
+    setNow(startedAt);
+    updateTimers(previous => [
+      ...previous,
+      {
+        id: `${startedAt}${Math.floor(Math.random() * 1000)}`,
+        label,
+        recipeId,
+        seconds,
+        endsAt: startedAt + seconds * 1000,
+        finished: false,
+      },
+    ]);
+  };
+
+  // Cancelling a running timer and dismissing a finished one both remove it
+  const removeTimer = (id) => {
+    updateTimers(previous => previous.filter(timer => timer.id !== id));
+  };
+
+  return { timers, now, startTimer, removeTimer };
+};
+
+export default useTimers;
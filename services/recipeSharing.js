@@ -0,0 +1,51 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { toBackup, toMarkdown, toJsonLd, parseImport } from '../src/recipeExport';
+import { fold } from '../src/ingredients';
+
+// Labels are the 'export.format.<key>' translations
+export const EXPORT_FORMATS = {
+  backup: { extension: 'json', mimeType: 'application/json', UTI: 'public.json', build: toBackup },
+  markdown: { extension: 'md', mimeType: 'text/markdown', UTI: 'net.daringfireball.markdown', build: toMarkdown },
+  jsonLd: { extension: 'jsonld', mimeType: 'application/ld+json', UTI: 'public.json', build: toJsonLd },
+};
+
+const exportFileName = (recipes, extension) => {
+  const base = recipes.length === 1
+    ? fold(recipes[0].title).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'recipe'
+    : `recipes-${new Date().toISOString().slice(0, 10)}`;
+  return `${base}.${extension}`;
+};
+
+// Write text to a file in the cache and open the native share sheet for it.
+// Rejects with code SHARING_UNAVAILABLE where there is no share sheet.
+export const shareTextFile = async (fileName, content, { mimeType, UTI, dialogTitle }) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw Object.assign(new Error('Sharing is not available on this device'), { code: 'SHARING_UNAVAILABLE' });
+  }
+  const uri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(uri, content);
+  await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle });
+};
+
+// Share the recipes as a file in one of EXPORT_FORMATS
+export const shareRecipes = (recipes, format, { dialogTitle } = {}) => {
+  const { extension, mimeType, UTI, build } = EXPORT_FORMATS[format];
+  return shareTextFile(exportFileName(recipes, extension), build(recipes), { mimeType, UTI, dialogTitle });
+};
+
+// Let the user pick a file and read it as text.
+// Resolves to null when the picker is cancelled.
+export const pickTextFile = async (type = '*/*') => {
+  const result = await DocumentPicker.getDocumentAsync({ type, copyToCacheDirectory: true });
+  if (result.canceled || !result.assets || result.assets.length === 0) return null;
+  return FileSystem.readAsStringAsync(result.assets[0].uri);
+};
+
+// Let the user pick a backup or JSON-LD file and parse it.
+// Resolves to null when the picker is cancelled.
+export const pickImportFile = async () => {
+  const text = await pickTextFile(['application/json', 'application/ld+json', 'text/plain', '*/*']);
+  return text === null ? null : parseImport(text);
+};
@@ -0,0 +1,55 @@
+import * as FileSystem from 'expo-file-system';
+
+// Recordings kept with saved recipes live in the document directory;
+// expo-av writes fresh recordings to these cache subfolders
+const RECORDINGS_DIR = `${FileSystem.documentDirectory}recordings/`;
+const CACHE_RECORDING_DIRS = ['AV/', 'Audio/'].map(dir => `${FileSystem.cacheDirectory}${dir}`);
+
+const isStoredRecording = (uri) => Boolean(uri) && uri.startsWith(RECORDINGS_DIR);
+
+const extensionOf = (uri) => {
+  const match = uri.match(/\.(\w+)$/);
+  return match ? match[1] : 'm4a';
+};
+
+// Move a recording out of the cache so it survives with the recipe.
+// Returns the new URI (or the same one if it is already stored).
+export const persistRecording = async (uri, recipeId) => {
+  if (!uri || isStoredRecording(uri)) return uri;
+
+  await FileSystem.makeDirectoryAsync(RECORDINGS_DIR, { intermediates: true });
+  const target = `${RECORDINGS_DIR}${recipeId}.${extensionOf(uri)}`;
+  await FileSystem.deleteAsync(target, { idempotent: true });
+  await FileSystem.moveAsync({ from: uri, to: target });
+  return target;
+};
+
+// Same for every segment of a long recording: recipeId-1.m4a, recipeId-2.m4a...
+export const persistRecordings = async (uris, recipeId) => {
+  if (uris.length === 1) return [await persistRecording(uris[0], recipeId)];
+  const stored = [];
+  for (let index = 0; index < uris.length; index++) {
+    stored.push(await persistRecording(uris[index], `${recipeId}-${index + 1}`));
+  }
+  return stored;
+};
+
+const listFiles = async (dir) => {
+  const info = await FileSystem.getInfoAsync(dir);
+  if (!info.exists) return [];
+  const names = await FileSystem.readDirectoryAsync(dir);
+  return names.map(name => `${dir}${name}`);
+};
+
+// Delete stored recordings no recipe points to any more (e.g. after a delete)
+// and leftover cache recordings that were never saved. `keepUris` lists every
+// recording still in use.
+export const cleanupOrphanedRecordings = async (keepUris) => {
+  const keep = new Set(keepUris.filter(Boolean));
+  const directories = [RECORDINGS_DIR, ...CACHE_RECORDING_DIRS];
+  const files = (await Promise.all(directories.map(listFiles))).flat();
+  const orphans = files.filter(uri => !keep.has(uri));
+
+  await Promise.all(orphans.map(uri => FileSystem.deleteAsync(uri, { idempotent: true })));
+  return orphans;
+};
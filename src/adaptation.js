@@ -0,0 +1,161 @@
+// Adapted copies of a recipe: vegetarian, gluten-free, lactose-free, or
+// without an ingredient the cook doesn't have. The model rewrites the whole
+// recipe (see prompts.buildAdaptationPrompt). The rules below are the swaps
+// it is asked to prefer, so common ones come out the same every time, and
+// the copy is checked against them for lines that still break the diet.
+
+const { fold, parseIngredient, normalizeIngredients, ingredientText } = require('./ingredients');
+const { ingredientKey } = require('./shoppingList');
+const { updatedContent } = require('./recipeUpdate');
+const { derivedCopy } = require('./recipeList');
+
+const ADAPTATIONS = ['vegetarian', 'glutenFree', 'lactoseFree', 'substitute'];
+
+// The words a rule replaces (folded, any language) and what to use instead
+const rule = (words, pt, en, es) => ({ words, to: { pt, en, es } });
+
+// The first matching rule wins, so specific names come before general ones
+const RULES = {
+  vegetarian: [
+    rule(['caldo de carne', 'caldo de galinha', 'caldo de frango', 'beef stock', 'beef broth', 'chicken stock',
+      'chicken broth', 'caldo de pollo', 'caldo de res'], 'caldo de legumes', 'vegetable stock', 'caldo de verduras'),
+    rule(['carne moida', 'ground beef', 'minced beef', 'carne molida', 'carne picada'],
+      'proteína de soja texturizada hidratada', 'rehydrated textured soy protein', 'soja texturizada hidratada'),
+    rule(['bacon', 'toucinho', 'presunto', 'ham', 'panceta', 'tocino', 'jamon'],
+      'tofu defumado', 'smoked tofu', 'tofu ahumado'),
+    rule(['linguica', 'calabresa', 'salsicha', 'sausage', 'chorizo', 'salchicha'],
+      'linguiça vegetal', 'plant-based sausage', 'salchicha vegetal'),
+    rule(['frango', 'peito de frango', 'chicken', 'pollo', 'pechuga'], 'tofu firme', 'firm tofu', 'tofu firme'),
+    rule(['camarao', 'shrimp', 'prawn', 'camaron', 'gamba', 'peixe', 'fish', 'pescado', 'atum', 'tuna', 'atun',
+      'bacalhau', 'cod', 'bacalao', 'salmao', 'salmon', 'tilapia'], 'palmito', 'hearts of palm', 'palmito'),
+    rule(['carne', 'patinho', 'acem', 'alcatra', 'costela', 'picanha', 'lombo', 'porco', 'beef', 'pork', 'steak',
+      'lamb', 'cerdo', 'ternera', 'cordero'], 'cogumelos', 'mushrooms', 'champiñones'),
+  ],
+  glutenFree: [
+    rule(['farinha de rosca', 'breadcrumbs', 'bread crumbs', 'pan rallado'],
+      'farinha de milho flocada', 'cornmeal', 'harina de maíz'),
+    rule(['farinha de trigo', 'farinha', 'flour', 'harina de trigo', 'harina'],
+      'mix de farinha sem glúten', 'gluten-free flour blend', 'harina sin gluten'),
+    rule(['macarrao', 'espaguete', 'massa', 'pasta', 'spaghetti', 'noodles', 'fideos', 'espagueti'],
+      'macarrão de arroz', 'rice pasta', 'pasta de arroz'),
+    rule(['pao', 'bread', 'pan'], 'pão sem glúten', 'gluten-free bread', 'pan sin gluten'),
+    rule(['shoyu', 'molho de soja', 'soy sauce', 'salsa de soja'], 'tamari', 'tamari', 'tamari'),
+    rule(['aveia', 'oats', 'oatmeal', 'avena'], 'aveia sem glúten', 'gluten-free oats', 'avena sin gluten'),
+    rule(['biscoito', 'bolacha', 'cookie', 'cracker', 'galleta'],
+      'biscoito sem glúten', 'gluten-free cookies', 'galletas sin gluten'),
+    rule(['cerveja', 'beer', 'cerveza'], 'cerveja sem glúten', 'gluten-free beer', 'cerveza sin gluten'),
+  ],
+  lactoseFree: [
+    rule(['leite condensado', 'condensed milk', 'leche condensada'],
+      'leite condensado sem lactose', 'lactose-free condensed milk', 'leche condensada sin lactosa'),
+    rule(['creme de leite', 'nata', 'cream', 'heavy cream', 'crema de leche', 'crema'],
+      'creme de leite sem lactose', 'lactose-free cream', 'nata sin lactosa'),
+    rule(['chocolate ao leite', 'milk chocolate', 'chocolate con leche'],
+      'chocolate meio amargo', 'dark chocolate', 'chocolate negro'),
+    rule(['requeijao', 'cream cheese', 'queso crema'],
+      'requeijão sem lactose', 'lactose-free cream cheese', 'queso crema sin lactosa'),
+    rule(['leite', 'milk', 'leche'], 'leite sem lactose', 'lactose-free milk', 'leche sin lactosa'),
+    rule(['manteiga', 'butter', 'mantequilla'], 'manteiga ghee', 'ghee', 'ghee'),
+    rule(['iogurte', 'yogurt', 'yoghurt', 'yogur'], 'iogurte sem lactose', 'lactose-free yogurt', 'yogur sin lactosa'),
+    rule(['queijo', 'parmesao', 'mussarela', 'mucarela', 'cheese', 'parmesan', 'mozzarella', 'queso'],
+      'queijo sem lactose', 'lactose-free cheese', 'queso sin lactosa'),
+  ],
+  // Usual stand-ins for something missing from the pantry
+  substitute: [
+    rule(['ovo', 'egg', 'huevo'], '1 colher (sopa) de linhaça moída + 3 colheres (sopa) de água por ovo',
+      '1 tbsp ground flaxseed + 3 tbsp water per egg', '1 cucharada de linaza molida + 3 cucharadas de agua por huevo'),
+    rule(['creme de leite', 'cream', 'heavy cream', 'nata', 'crema de leche'],
+      '3/4 de leite + 1/4 de manteiga derretida', '3/4 milk + 1/4 melted butter', '3/4 de leche + 1/4 de mantequilla derretida'),
+    rule(['leitelho', 'buttermilk', 'suero de leche'], 'leite com 1 colher (sopa) de vinagre por xícara',
+      'milk with 1 tbsp vinegar per cup', 'leche con 1 cucharada de vinagre por taza'),
+    rule(['fermento em po', 'fermento quimico', 'baking powder', 'levadura quimica', 'polvo de hornear'],
+      '1/4 colher (chá) de bicarbonato + 1/2 colher (chá) de vinagre por colher (chá)',
+      '1/4 tsp baking soda + 1/2 tsp vinegar per tsp', '1/4 cucharadita de bicarbonato + 1/2 cucharadita de vinagre por cucharadita'),
+    rule(['amido de milho', 'maisena', 'cornstarch', 'maicena'], 'o dobro de farinha de trigo',
+      'twice as much flour', 'el doble de harina de trigo'),
+    rule(['farinha de rosca', 'breadcrumbs', 'pan rallado'], 'aveia em flocos', 'rolled oats', 'copos de avena'),
+    rule(['manteiga', 'butter', 'mantequilla'], '3/4 da quantidade em óleo', '3/4 of the amount in oil',
+      '3/4 de la cantidad en aceite'),
+    rule(['leite', 'milk', 'leche'], 'leite em pó dissolvido em água', 'powdered milk mixed with water',
+      'leche en polvo disuelta en agua'),
+    rule(['azeite', 'olive oil', 'aceite de oliva'], 'óleo vegetal', 'vegetable oil', 'aceite vegetal'),
+    rule(['acucar', 'sugar', 'azucar'], '3/4 da quantidade em mel', '3/4 of the amount in honey',
+      '3/4 de la cantidad en miel'),
+    rule(['vinagre', 'vinegar'], 'suco de limão', 'lemon juice', 'jugo de limón'),
+    rule(['limao', 'lemon', 'lime', 'limon'], 'vinagre', 'vinegar', 'vinagre'),
+    rule(['alho', 'garlic', 'ajo'], '1/8 colher (chá) de alho em pó por dente', '1/8 tsp garlic powder per clove',
+      '1/8 cucharadita de ajo en polvo por diente'),
+    rule(['cebola', 'onion', 'cebolla'], 'alho-poró', 'leek', 'puerro'),
+  ],
+};
+
+// Lines with these words already fit the diet ("leite de coco", "pão sem
+// glúten") and are left alone; for 'substitute', ones the usual stand-ins
+// don't cover ("leite condensado" is not milk)
+const FITS = {
+  vegetarian: ['vegetal', 'vegetariano', 'vegetarian', 'vegano', 'vegan', 'de soja', 'de legumes', 'vegetable',
+    'de verduras', 'de cogumelos'],
+  glutenFree: ['sem gluten', 'gluten free', 'sin gluten', 'de arroz', 'de milho', 'de mandioca', 'de tapioca',
+    'de amendoas', 'de tomate', 'rice', 'corn', 'de maiz'],
+  lactoseFree: ['sem lactose', 'zero lactose', 'lactose free', 'sin lactosa', 'vegetal', 'de coco', 'de soja',
+    'de amendoas', 'de aveia', 'de arroz', 'coconut', 'soy', 'almond', 'oat', 'plant', 'de almendras',
+    'ghee', 'amargo', 'dark'],
+  substitute: ['condensado', 'condensed', 'condensada', 'de coco', 'coconut'],
+};
+
+const words = (text) => ` ${fold(String(text || '')).replace(/[^a-z0-9]+/g, ' ')} `;
+const mentions = (text, word) => new RegExp(` ${word}s? `).test(text);
+
+// The rule for an ingredient line, or null when it needs no change
+function ruleFor(adaptation, line) {
+  const text = words(line);
+  if ((FITS[adaptation] || []).some(word => mentions(text, word))) return null;
+  return (RULES[adaptation] || []).find(({ words: ruleWords }) => ruleWords.some(word => mentions(text, word))) || null;
+}
+
+// Swaps to suggest to the model: [{ from, to }]. A diet looks at every
+// ingredient line; 'substitute' only at the missing `ingredient`, and may
+// have none, which leaves the choice to the model.
+function substitutionsFor(recipe, adaptation, { ingredient, language = 'pt' } = {}) {
+  const lines = adaptation === 'substitute'
+    ? [ingredient].filter(Boolean)
+    : normalizeIngredients(recipe.ingredients).map(ingredientText);
+  return lines
+    .map((line) => {
+      const match = ruleFor(adaptation, line);
+      return match && { from: line, to: match.to[language] || match.to.en };
+    })
+    .filter(Boolean);
+}
+
+// Ingredient lines of the adapted copy that still break the diet, or still
+// use the missing ingredient. Shown with the review; the copy is kept as the
+// model wrote it.
+function remainingConflicts(adapted, adaptation, { ingredient } = {}) {
+  const lines = normalizeIngredients(adapted.ingredients);
+  if (adaptation === 'substitute') {
+    const missing = ingredient && ingredientKey(parseIngredient(ingredient));
+    return missing ? lines.filter(line => mentions(` ${ingredientKey(line)} `, missing)).map(ingredientText) : [];
+  }
+  return lines.map(ingredientText).filter(line => ruleFor(adaptation, line));
+}
+
+// The adapted copy from the model's recipe (parseRecipeOutput). Lists the
+// model left empty keep the original's.
+function applyAdaptation(recipe, parsed, { adaptation, ingredient } = {}) {
+  const copy = derivedCopy(recipe, {
+    ...updatedContent(recipe, parsed),
+    adaptedFrom: recipe.id,
+    adaptation: adaptation === 'substitute' ? { type: adaptation, ingredient } : { type: adaptation },
+  });
+  // Regenerating from the original's transcript would undo the adaptation
+  delete copy.transcript;
+  return copy;
+}
+
+module.exports = {
+  ADAPTATIONS,
+  substitutionsFor,
+  remainingConflicts,
+  applyAdaptation,
+};
@@ -0,0 +1,124 @@
+// Bulk conversion of audio and text files into recipes (see cli.js).
+//
+// The batch state is a plain object kept as JSON in the output directory, so
+// an interrupted run picks up where it stopped:
+// { version, files: { [relativePath]: { fingerprint, status, transcript,
+//   spokenLanguage, recipeIds, error, attempts, updatedAt } } }
+// status goes 'transcribed' (audio only) -> 'done', or 'failed'. A file is
+// skipped when it is done and unchanged since (same size and mtime).
+
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+const AUDIO_MIME_TYPES = {
+  '.m4a': 'audio/m4a',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.webm': 'audio/webm',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac',
+  '.mp4': 'audio/mp4',
+};
+const TEXT_EXTENSIONS = ['.txt', '.md'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+// 'audio', 'text', 'html' or null for files the batch ignores
+function sourceType(fileName) {
+  const extension = path.extname(fileName).toLowerCase();
+  if (AUDIO_MIME_TYPES[extension]) return 'audio';
+  if (TEXT_EXTENSIONS.includes(extension)) return 'text';
+  if (HTML_EXTENSIONS.includes(extension)) return 'html';
+  return null;
+}
+
+const audioMimeType = (fileName) => AUDIO_MIME_TYPES[path.extname(fileName).toLowerCase()] || 'audio/m4a';
+
+const fingerprint = (stats) => `${stats.size}:${Math.round(stats.mtimeMs)}`;
+
+const emptyState = () => ({ version: STATE_VERSION, files: {} });
+
+// Saved state, or a fresh one when there is none or it is unreadable
+function readState(json) {
+  try {
+    const state = JSON.parse(json);
+    if (state && state.version === STATE_VERSION && state.files) return state;
+  } catch (e) {
+    // Start over
+  }
+  return emptyState();
+}
+
+// Whether a source still needs work. Failed files are retried on every run.
+function needsProcessing(state, source) {
+  const entry = state.files[source.path];
+  return !entry || entry.fingerprint !== source.fingerprint || entry.status !== 'done';
+}
+
+// The part of an entry a run can reuse: a transcript made from the same file
+function resumableEntry(state, source) {
+  const entry = state.files[source.path];
+  return entry && entry.fingerprint === source.fingerprint ? entry : null;
+}
+
+// Run `worker(item, index)` over `items` with at most `limit` at a time.
+// Once `signal` aborts no new item starts; resolves to the settled results
+// of the items that ran.
+async function runWithConcurrency(items, limit, worker, { signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+// Totals for the report. `sources` are the files found this run and
+// `processed` the paths this run worked on.
+function summarizeBatch(state, sources, { processed = [], startedAt, finishedAt, interrupted = false }) {
+  const entries = sources.map(source => ({ source, entry: state.files[source.path] }));
+  const byStatus = (status) => entries.filter(({ entry }) => entry && entry.status === status);
+  const touched = new Set(processed);
+
+  return {
+    startedAt,
+    finishedAt,
+    seconds: Math.round((new Date(finishedAt) - new Date(startedAt)) / 1000),
+    interrupted,
+    files: sources.length,
+    processed: processed.length,
+    skipped: entries.filter(({ source }) => !touched.has(source.path)).length,
+    done: byStatus('done').length,
+    failed: byStatus('failed').map(({ source, entry }) => ({ path: source.path, error: entry.error })),
+    pending: entries
+      .filter(({ entry }) => !entry || (entry.status !== 'done' && entry.status !== 'failed'))
+      .map(({ source }) => source.path),
+    recipes: entries.reduce((count, { entry }) => count + ((entry && entry.recipeIds) || []).length, 0),
+  };
+}
+
+module.exports = {
+  STATE_VERSION,
+  sourceType,
+  audioMimeType,
+  fingerprint,
+  emptyState,
+  readState,
+  needsProcessing,
+  resumableEntry,
+  runWithConcurrency,
+  summarizeBatch,
+};
@@ -0,0 +1,99 @@
+// Cooking durations mentioned in recipe steps, in Portuguese and English:
+// "cozinhar por cerca de 15 minutos", "Refogue por 2 minutos",
+// "roast for about 45 minutes", "1 hora e meia", "1h30", "half an hour"
+
+const { fold, numberValue, NUMBER_WORDS } = require('./ingredients');
+
+const UNIT_SECONDS = {
+  second: 1,
+  minute: 60,
+  hour: 3600,
+};
+
+const UNIT_WORDS = [
+  ['segundos', 'second'], ['segundo', 'second'], ['seconds', 'second'], ['second', 'second'],
+  ['secs', 'second'], ['sec', 'second'], ['seg', 'second'],
+  ['minutos', 'minute'], ['minuto', 'minute'], ['minutes', 'minute'], ['minute', 'minute'],
+  ['mins', 'minute'], ['min', 'minute'],
+  ['horas', 'hour'], ['hora', 'hour'], ['hours', 'hour'], ['hour', 'hour'], ['hrs', 'hour'], ['hr', 'hour'], ['h', 'hour'],
+];
+
+const NUMBER = `\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?|${Object.keys(NUMBER_WORDS).join('|')}|an|a`;
+const UNIT = UNIT_WORDS.map(([word]) => word).join('|');
+
+const PATTERNS = [
+  // "1h30", "2h 15min"
+  {
+    regex: /\b(\d+)\s*h\s*(\d{1,2})(?:\s*min)?\b/g,
+    seconds: (match) => Number(match[1]) * 3600 + Number(match[2]) * 60,
+  },
+  // "meia hora", "half an hour"
+  {
+    regex: /\b(?:meia hora|half an hour|half hour)\b/g,
+    seconds: () => 1800,
+  },
+  // "15 minutos", "10 a 15 minutos", "1 hora e meia", "1 hour and 20 minutes", "an hour"
+  {
+    regex: new RegExp(
+      `\\b(${NUMBER})\\s*(?:(?:-|–|a|to|ou|or)\\s*(${NUMBER})\\s*)?(${UNIT})\\b`
+      + `(?:\\s*(?:e|and)\\s*(?:(meia|meio|a half)\\b|(\\d+)\\s*(?:minutos?|minutes?|mins?)\\b))?`,
+      'g'
+    ),
+    seconds: (match) => {
+      const amount = wordOrNumber(match[1]);
+      if (amount === null) return null;
+      const unit = UNIT_WORDS.find(([word]) => word === match[3])[1];
+      let seconds = amount * UNIT_SECONDS[unit];
+      if (match[4]) seconds += UNIT_SECONDS[unit] / 2;
+      if (match[5]) seconds += Number(match[5]) * 60;
+      return seconds;
+    },
+  },
+];
+
+const wordOrNumber = (text) => {
+  if (NUMBER_WORDS[text] !== undefined) return NUMBER_WORDS[text];
+  if (text === 'a' || text === 'an') return 1;
+  return numberValue(text);
+};
+
+// Find every duration in a step. Ranges ("10 a 15 minutos") use the lower
+// bound so the cook checks early. Returns [{ seconds, text, index }] in
+// order of appearance, where text is the matched part of the original step.
+function extractDurations(step) {
+  const original = String(step || '').normalize('NFC');
+  const folded = fold(original);
+  const found = [];
+
+  PATTERNS.forEach(({ regex, seconds }) => {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(folded)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const overlaps = found.some(item => start < item.index + item.text.length && end > item.index);
+      const value = seconds(match);
+      if (!overlaps && value) {
+        found.push({ seconds: Math.round(value), text: original.slice(start, end), index: start });
+      }
+    }
+  });
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+// "1:05:00", "15:00", "0:45"
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.ceil(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+    : `${minutes}:${rest}`;
+}
+
+module.exports = {
+  extractDurations,
+  formatDuration,
+};
@@ -0,0 +1,144 @@
+// Bundled food composition table for the offline nutrition estimate (see
+// nutrition.js): a subset of TACO (Tabela Brasileira de Composição de
+// Alimentos, NEPA/UNICAMP, 4th edition) covering common home-cooking
+// ingredients. Values are per 100 g of the food as bought (raw unless the
+// name says otherwise): [kcal, protein g, carbohydrate g, fat g, fiber g].
+//
+// `names` are the spellings matched against ingredient lines (accents and
+// plurals don't matter), Portuguese first, then English and Spanish; the
+// first one is shown to the user. `density` (g/ml) turns spoons
+// and cups into grams, 1 when absent; `portions` gives the weight of one
+// unit, clove, slice, can... for foods counted that way.
+
+const food = (id, names, [kcal, protein, carbs, fat, fiber], { allergens = [], density, portions } = {}) => ({
+  id,
+  name: names[0],
+  names,
+  per100g: { kcal, protein, carbs, fat, fiber },
+  allergens,
+  density: density || 1,
+  portions: portions || {},
+});
+
+const GLUTEN = ['gluten'];
+const LACTOSE = ['lactose'];
+
+const FOODS = [
+  // Cereals, flours and bakery
+  food('arroz', ['arroz', 'arroz branco', 'rice', 'white rice'], [358, 7.2, 78.8, 0.3, 1.6], { density: 0.85 }),
+  food('farinha-trigo', ['farinha de trigo', 'farinha', 'flour', 'wheat flour', 'all purpose flour', 'harina', 'harina de trigo'],
+    [360, 9.8, 75.1, 1.4, 2.3], { allergens: GLUTEN, density: 0.53 }),
+  food('farinha-rosca', ['farinha de rosca', 'breadcrumbs', 'bread crumbs', 'pan rallado'],
+    [371, 11.4, 75.8, 1.5, 4.8], { allergens: GLUTEN, density: 0.45 }),
+  food('macarrao', ['macarrão', 'espaguete', 'massa', 'pasta', 'spaghetti', 'fideos', 'espagueti'],
+    [371, 10.0, 77.9, 1.3, 2.9], { allergens: GLUTEN }),
+  food('pao-frances', ['pão francês', 'pão', 'bread roll', 'bread', 'pan'], [300, 8.0, 58.6, 3.1, 2.3],
+    { allergens: GLUTEN, portions: { unit: 50, slice: 25 } }),
+  food('pao-forma', ['pão de forma', 'sandwich bread', 'pan de molde'], [253, 12.0, 44.1, 2.7, 2.5],
+    { allergens: GLUTEN, portions: { slice: 25, unit: 25 } }),
+  food('aveia', ['aveia', 'aveia em flocos', 'oats', 'rolled oats', 'avena'], [394, 13.9, 66.6, 8.5, 9.1],
+    { allergens: GLUTEN, density: 0.4 }),
+  food('fuba', ['fubá', 'farinha de milho', 'cornmeal', 'harina de maíz'], [353, 7.2, 78.9, 1.9, 4.7], { density: 0.6 }),
+  food('amido-milho', ['amido de milho', 'maisena', 'cornstarch', 'corn starch', 'maicena'], [361, 0.6, 87.1, 0, 0.7],
+    { density: 0.55 }),
+  food('fermento-quimico', ['fermento em pó', 'fermento químico', 'fermento', 'baking powder', 'polvo de hornear'],
+    [90, 0.5, 43.9, 0.1, 0], { density: 0.9 }),
+  food('tapioca', ['tapioca', 'goma de tapioca', 'polvilho', 'tapioca starch'], [336, 0.5, 83.8, 0, 0.6], { density: 0.6 }),
+
+  // Legumes
+  food('feijao-carioca', ['feijão', 'feijão carioca', 'beans', 'pinto beans', 'frijoles', 'frijol'],
+    [329, 20.0, 61.2, 1.3, 18.4], { density: 0.8 }),
+  food('feijao-preto', ['feijão preto', 'black beans', 'frijoles negros'], [324, 21.3, 58.8, 1.2, 21.8], { density: 0.8 }),
+  food('lentilha', ['lentilha', 'lentils', 'lentil', 'lentejas', 'lenteja'], [339, 23.2, 62.0, 0.8, 16.9], { density: 0.8 }),
+  food('grao-de-bico', ['grão-de-bico', 'chickpeas', 'chickpea', 'garbanzos', 'garbanzo'], [355, 21.2, 57.9, 5.4, 12.4],
+    { density: 0.8 }),
+
+  // Vegetables and fruit
+  food('cebola', ['cebola', 'onion', 'cebolla'], [39, 1.7, 8.9, 0.1, 2.2], { portions: { unit: 110 } }),
+  food('alho', ['alho', 'garlic', 'ajo'], [113, 7.0, 23.9, 0.2, 4.3], { portions: { clove: 5, unit: 40 } }),
+  food('tomate', ['tomate', 'tomato', 'tomatoes'], [15, 1.1, 3.1, 0.2, 1.2], { portions: { unit: 100 } }),
+  food('batata', ['batata', 'batata inglesa', 'potato', 'papa', 'patata'], [64, 1.8, 14.7, 0, 1.2], { portions: { unit: 150 } }),
+  food('batata-doce', ['batata doce', 'sweet potato', 'camote'], [118, 1.3, 28.2, 0.1, 2.6],
+    { portions: { unit: 200 } }),
+  food('cenoura', ['cenoura', 'carrot', 'zanahoria'], [34, 1.3, 7.7, 0.2, 3.2], { portions: { unit: 100 } }),
+  food('mandioca', ['mandioca', 'aipim', 'macaxeira', 'cassava', 'yuca'], [151, 1.1, 36.2, 0.3, 1.9]),
+  food('abobrinha', ['abobrinha', 'zucchini', 'calabacín'], [19, 1.1, 4.3, 0.1, 1.4], { portions: { unit: 200 } }),
+  food('brocolis', ['brócolis', 'broccoli', 'brócoli'], [25, 3.6, 4.0, 0.3, 2.9], { portions: { bunch: 300 } }),
+  food('pimentao', ['pimentão', 'bell pepper', 'pimiento'], [21, 1.1, 4.9, 0.2, 2.6], { portions: { unit: 150 } }),
+  food('espinafre', ['espinafre', 'spinach', 'espinaca'], [16, 2.0, 2.6, 0.2, 2.1], { portions: { bunch: 250 } }),
+  food('alface', ['alface', 'lettuce', 'lechuga'], [11, 1.3, 1.7, 0.2, 1.8], { portions: { unit: 300 } }),
+  food('banana', ['banana', 'banana prata', 'plátano'], [98, 1.3, 26.0, 0.1, 2.0], { portions: { unit: 70 } }),
+  food('maca', ['maçã', 'apple', 'manzana'], [56, 0.3, 15.2, 0, 1.3], { portions: { unit: 130 } }),
+  food('limao', ['limão', 'lemon', 'lime', 'limón'], [32, 0.9, 11.1, 0.1, 1.2], { portions: { unit: 70 } }),
+  food('laranja', ['laranja', 'orange', 'naranja'], [37, 1.0, 8.9, 0.1, 0.8], { portions: { unit: 180 } }),
+  food('salsinha', ['salsinha', 'salsa', 'cheiro verde', 'parsley', 'perejil'], [33, 3.3, 5.7, 0.6, 1.9],
+    { portions: { bunch: 50, sprig: 2 } }),
+
+  // Meat, fish and eggs
+  food('ovo', ['ovo', 'ovo de galinha', 'egg', 'huevo'], [143, 13.0, 1.6, 8.9, 0], { allergens: ['egg'], portions: { unit: 50 } }),
+  food('frango-peito', ['peito de frango', 'frango', 'filé de frango', 'chicken breast', 'chicken', 'pollo', 'pechuga de pollo'],
+    [119, 21.5, 0, 3.0, 0], { portions: { unit: 200 } }),
+  food('patinho', ['carne bovina', 'patinho', 'carne', 'beef', 'carne de res'], [133, 21.7, 0, 4.5, 0]),
+  food('carne-moida', ['carne moída', 'ground beef', 'minced beef', 'carne molida'], [137, 19.4, 0, 5.9, 0]),
+  food('costela', ['costela bovina', 'costela', 'beef ribs', 'costilla'], [358, 16.7, 0, 31.8, 0]),
+  food('porco-lombo', ['lombo de porco', 'lombo', 'pork loin', 'pork', 'lomo de cerdo', 'cerdo'], [176, 22.6, 0, 8.8, 0]),
+  food('linguica', ['linguiça', 'linguiça toscana', 'calabresa', 'sausage', 'chorizo'], [296, 16.1, 0, 25.4, 0],
+    { portions: { unit: 80 } }),
+  food('presunto', ['presunto', 'ham', 'jamón'], [128, 14.4, 1.4, 6.8, 0], { portions: { slice: 15 } }),
+  food('toucinho', ['bacon', 'toucinho', 'tocino', 'panceta'], [593, 11.5, 0, 60.3, 0], { portions: { slice: 15 } }),
+  food('pescada', ['peixe', 'pescada', 'filé de peixe', 'fish', 'white fish', 'pescado'], [111, 16.3, 0, 4.6, 0]),
+  food('salmao', ['salmão', 'salmon'], [170, 19.3, 0, 9.7, 0]),
+  food('camarao', ['camarão', 'shrimp', 'prawns', 'camarón', 'gamba'], [47, 10.0, 0, 0.5, 0], { allergens: ['seafood'] }),
+  food('caranguejo', ['caranguejo', 'siri', 'crab', 'cangrejo'], [83, 18.5, 0, 0.4, 0], { allergens: ['seafood'] }),
+
+  // Dairy
+  food('leite', ['leite', 'leite integral', 'milk', 'whole milk', 'leche'], [61, 2.9, 4.3, 3.2, 0],
+    { allergens: LACTOSE, density: 1.03 }),
+  food('manteiga', ['manteiga', 'butter', 'mantequilla', 'manteca'], [726, 0.4, 0.1, 82.4, 0],
+    { allergens: LACTOSE, density: 0.96, portions: { stick: 100 } }),
+  food('creme-de-leite', ['creme de leite', 'nata', 'heavy cream', 'cream', 'crema de leche'], [221, 1.5, 4.5, 22.5, 0],
+    { allergens: LACTOSE, density: 1.0, portions: { can: 200, package: 200 } }),
+  food('leite-condensado', ['leite condensado', 'condensed milk', 'leche condensada'], [313, 7.7, 57.0, 6.7, 0],
+    { allergens: LACTOSE, density: 1.3, portions: { can: 395 } }),
+  food('mucarela', ['queijo muçarela', 'muçarela', 'mussarela', 'queijo', 'mozzarella', 'cheese', 'queso'],
+    [330, 22.6, 3.0, 25.2, 0], { allergens: LACTOSE, portions: { slice: 20 } }),
+  food('parmesao', ['queijo parmesão', 'parmesão', 'parmesan', 'queso parmesano'], [453, 35.6, 1.7, 33.5, 0],
+    { allergens: LACTOSE, density: 0.4 }),
+  food('queijo-minas', ['queijo minas', 'queijo branco', 'queso blanco'],
+    [264, 17.4, 3.2, 20.2, 0], { allergens: LACTOSE }),
+  food('requeijao', ['requeijão', 'cream cheese', 'queso crema'], [257, 9.6, 2.4, 23.4, 0], { allergens: LACTOSE }),
+  food('iogurte', ['iogurte', 'iogurte natural', 'yogurt', 'yoghurt', 'yogur'], [51, 4.1, 1.9, 3.0, 0],
+    { allergens: LACTOSE, portions: { unit: 170 } }),
+
+  // Fats, sugar and the rest of the pantry
+  food('oleo-soja', ['óleo', 'óleo de soja', 'óleo vegetal', 'oil', 'vegetable oil', 'aceite', 'aceite vegetal'],
+    [884, 0, 0, 100, 0], { density: 0.92 }),
+  food('azeite', ['azeite', 'azeite de oliva', 'olive oil', 'aceite de oliva'], [884, 0, 0, 100, 0], { density: 0.92 }),
+  food('acucar', ['açúcar', 'açúcar refinado', 'sugar', 'azúcar'], [387, 0.3, 99.5, 0, 0], { density: 0.85 }),
+  food('acucar-mascavo', ['açúcar mascavo', 'brown sugar', 'azúcar moreno'], [369, 0.8, 94.5, 0.1, 0], { density: 0.9 }),
+  food('mel', ['mel', 'honey', 'miel'], [309, 0, 84.0, 0, 0], { density: 1.42 }),
+  food('chocolate-leite', ['chocolate ao leite', 'chocolate', 'milk chocolate'], [540, 7.2, 59.6, 30.3, 2.2],
+    { allergens: LACTOSE, portions: { stick: 170 } }),
+  food('chocolate-amargo', ['chocolate meio amargo', 'chocolate amargo', 'dark chocolate', 'chocolate negro'],
+    [475, 4.9, 62.4, 29.9, 4.9], { portions: { stick: 170 } }),
+  food('cacau', ['cacau em pó', 'cacau', 'achocolatado', 'cocoa', 'cocoa powder', 'cacao'], [401, 4.2, 91.2, 2.2, 3.9],
+    { density: 0.45 }),
+  food('leite-coco', ['leite de coco', 'coconut milk', 'leche de coco'], [166, 1.0, 2.2, 18.4, 0.7],
+    { density: 1.0, portions: { unit: 200 } }),
+  food('coco-ralado', ['coco ralado', 'coco', 'shredded coconut', 'coconut'], [406, 3.9, 11.7, 41.4, 12.2], { density: 0.35 }),
+  food('amendoim', ['amendoim', 'amendoim torrado', 'peanuts', 'peanut', 'cacahuete', 'maní'], [606, 22.5, 18.7, 54.0, 7.8],
+    { allergens: ['peanut'], density: 0.6 }),
+  food('pacoca', ['paçoca', 'pasta de amendoim', 'manteiga de amendoim', 'peanut butter', 'mantequilla de maní'],
+    [487, 16.0, 52.4, 26.1, 3.4],
+    { allergens: ['peanut'], density: 1.1 }),
+  food('milho', ['milho', 'milho verde', 'corn', 'sweet corn', 'maíz', 'elote'], [98, 3.2, 17.1, 2.4, 4.6],
+    { density: 0.7, portions: { can: 170 } }),
+  food('extrato-tomate', ['extrato de tomate', 'molho de tomate', 'tomate pelado', 'tomato paste', 'tomato sauce',
+    'salsa de tomate', 'puré de tomate'], [61, 2.4, 15.0, 0.2, 2.8], { density: 1.1, portions: { can: 340, package: 340 } }),
+  food('sal', ['sal', 'sal refinado', 'salt', 'sal fino'], [0, 0, 0, 0, 0], { density: 1.2 }),
+  food('agua', ['água', 'water'], [0, 0, 0, 0, 0]),
+];
+
+module.exports = {
+  FOODS,
+};
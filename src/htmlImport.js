@@ -0,0 +1,95 @@
+// Import recipes from a saved web page. Pages that embed schema.org Recipe
+// JSON-LD are read directly; otherwise the visible text goes through the
+// recipe model like a transcript would.
+
+const { findJsonLdRecipes, fromJsonLdRecipe, validateImportedRecipe } = require('./recipeExport');
+
+const looksLikeHtml = (text) => /<(?:!doctype\s+html|html|head|body|script)\b/i.test(text);
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  aacute: 'á', agrave: 'à', acirc: 'â', atilde: 'ã', eacute: 'é', ecirc: 'ê', iacute: 'í',
+  oacute: 'ó', ocirc: 'ô', otilde: 'õ', uacute: 'ú', ccedil: 'ç', deg: '°', frac12: '½', frac14: '¼', frac34: '¾',
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    // Numbers past the last Unicode code point are left as written
+    return number <= 0x10FFFF ? String.fromCodePoint(number) : entity;
+  }
+  const decoded = ENTITIES[code.toLowerCase()];
+  return decoded === undefined ? entity : decoded;
+});
+
+// Parsed contents of every <script type="application/ld+json"> block.
+// Blocks that aren't valid JSON are skipped.
+function extractJsonLd(html) {
+  const blocks = [];
+  const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const content = match[1]
+      .replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)/, '')
+      .replace(/(?:-->|\/\/\s*\]\]>)\s*$/, '')
+      .trim();
+    try {
+      blocks.push(JSON.parse(content));
+    } catch (error) {
+      // Some sites ship broken JSON-LD next to a valid block
+    }
+  }
+  return blocks;
+}
+
+// Readable text of the page, with scripts, styles and navigation removed
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style|noscript|svg|nav|header|footer)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|li|h[1-6]|tr|section|article)>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t\f\v\r]+/g, ' ')
+    .replace(/ *\n[\n ]*/g, '\n')
+    .trim();
+}
+
+// Recipes from the page's JSON-LD, already validated and in the stored model
+function recipesFromJsonLd(html) {
+  return extractJsonLd(html)
+    .flatMap(findJsonLdRecipes)
+    .map(fromJsonLdRecipe)
+    // Sites often leave entities such as &frac12; in the JSON-LD strings
+    .map(recipe => validateImportedRecipe({
+      ...recipe,
+      title: decodeEntities(recipe.title),
+      ingredients: recipe.ingredients.map(decodeEntities),
+      steps: recipe.steps.map(decodeEntities),
+    }))
+    .filter(result => result.recipe)
+    .map(result => ({ ...result.recipe, id: undefined }));
+}
+
+// Resolves to { source: 'json-ld', recipes } when the page has Recipe JSON-LD,
+// or runs `generate(text) -> Promise<model output>` on the page text and
+// resolves to { source: 'llm', text, output } with the raw model output
+async function importFromHtml(html, { generate }) {
+  const recipes = recipesFromJsonLd(html);
+  if (recipes.length > 0) return { source: 'json-ld', recipes };
+
+  const text = htmlToText(html);
+  if (!text) throw new Error('The page has no readable text');
+  const output = await generate(text);
+  return { source: 'llm', text, output };
+}
+
+module.exports = {
+  looksLikeHtml,
+  decodeEntities,
+  extractJsonLd,
+  htmlToText,
+  recipesFromJsonLd,
+  importFromHtml,
+};
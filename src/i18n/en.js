@@ -0,0 +1,222 @@
+// English UI strings. Every key used by the app is defined here; the other
+// locales fall back to these for anything they don't translate.
+
+module.exports = {
+  'app.title': 'Voice to Recipe',
+  'app.settings': 'Settings',
+
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.dismiss': 'Dismiss',
+  'common.done': 'Done',
+  'common.edit': 'Edit',
+  'common.save': 'Save',
+  'common.share': 'Share',
+  'common.clear': 'Clear',
+  'common.open': 'Open',
+  'common.remove': 'Remove',
+  'common.undo': 'UNDO',
+  'common.processing': 'Processing…',
+
+  'recording.start': 'Start Recording',
+  'recording.stop': 'Stop Recording',
+  'recording.processing': 'Processing your recipe...',
+  'recording.recipeLanguage': 'Recipe in: {language}',
+  'recording.paused': 'Paused',
+  'recording.nearLimit': 'Recording stops in {remaining}',
+
+  'progress.uploading': 'Uploading recording',
+  'progress.transcribing': 'Transcribing',
+  'progress.structuring': 'Building the recipe',
+  'progress.transcript': 'Transcript',
+  'progress.segments': '{done} of {total} parts',
+  'progress.cancelled': 'Processing was cancelled',
+
+  'language.title': 'Language',
+  'language.app': 'App language',
+  'language.spoken': 'Spoken language',
+  'language.recipe': 'Recipe language',
+  'language.auto': 'Detect',
+  'language.sameAsSpoken': 'Same as spoken',
+  'language.detected': 'Spoken: {language}',
+
+  'library.selected': '{count} selected',
+  'library.selectAll': 'Select all',
+  'library.shop': 'Shop',
+  'library.export': 'Export',
+  'library.delete': 'Delete',
+  'library.addFromText': 'Add from text',
+  'library.import': 'Import',
+  'library.mealPlan': 'Meal plan',
+  'library.shoppingList': 'Shopping list',
+  'library.exportAll': 'Export all',
+  'library.noMatches': 'No recipes match your search.',
+  'library.empty': 'No recipes yet. Start recording to create your first recipe!',
+  'library.deletedOne': 'Deleted "{title}"',
+  'library.deletedMany': 'Deleted {count} recipes',
+  'library.copyTitle': '{title} (copy)',
+
+  'export.title': 'Export',
+  'export.recipeCount': '{count} recipes',
+  'export.mealPlan': 'Export meal plan',
+  'export.recipes': 'Export recipes',
+  'export.format.backup': 'Backup (JSON)',
+  'export.format.markdown': 'Markdown',
+  'export.format.jsonLd': 'Web (JSON-LD)',
+  'import.title': 'Import',
+  'import.summary': 'Added {added}, updated {updated}, skipped {skipped} duplicates.',
+  'import.invalid': '{count} invalid entries were ignored.',
+  'import.pageSummary': 'Added {added} recipes from the page, skipped {skipped} duplicates.',
+
+  'errors.microphone': 'Permission to access microphone was denied',
+  'errors.startRecording': 'Failed to start recording',
+  'errors.stopRecording': 'Failed to stop recording',
+  'errors.cancelRecording': 'Failed to cancel recording',
+  'errors.pauseRecording': 'Failed to pause or resume recording',
+  'errors.noSpeech': 'No speech was recognized in the recording',
+  'errors.queued': 'Could not process the recording right now. It was added to Pending recipes and will be retried.',
+  'errors.notLoaded': 'Recipes were not loaded, so changes are not being saved',
+  'errors.save': 'Failed to save recipes',
+  'errors.load': 'Failed to load recipes',
+  'errors.keepRecording': 'Failed to keep the recording with the recipe',
+  'errors.export': 'Export failed: {message}',
+  'errors.import': 'Import failed: {message}',
+  'errors.sharingUnavailable': 'Sharing is not available on this device',
+  'errors.fromText': 'Could not create a recipe from the text. Please try again.',
+  'errors.regenerate': 'Recipe generation failed',
+  'errors.translate': 'Translation failed: {message}',
+  'errors.addition': 'Could not apply the addition: {message}',
+  'errors.adapt': 'Could not adapt the recipe: {message}',
+  'errors.history': 'Could not load the recipe history.',
+
+  'recipe.cook': 'Cook',
+  'recipe.servings': 'Servings:',
+  'recipe.tags': 'Tags:',
+  'recipe.ingredients': 'Ingredients:',
+  'recipe.instructions': 'Instructions:',
+  'recipe.source': 'Source:',
+  'recipe.showTranscript': 'Show transcript',
+  'recipe.hideTranscript': 'Hide transcript',
+  'recipe.regenerate': 'Regenerate from transcript',
+  'recipe.translate': 'Translate',
+  'recipe.translateTo': 'Translate into',
+  'recipe.recordAddition': 'Record addition',
+  'recipe.adapt': 'Adapt / substitute',
+  'recipe.history': 'History',
+  'recipe.untitled': 'Untitled Recipe',
+  'recipe.timerLabel': '{title} · Step {step} ({duration})',
+
+  'nutrition.title': 'Nutrition (estimate)',
+  'nutrition.perServing': 'Per serving ({servings} servings)',
+  'nutrition.wholeRecipe': 'Whole recipe (servings unknown)',
+  'nutrition.protein': 'protein',
+  'nutrition.carbs': 'carbs',
+  'nutrition.fat': 'fat',
+  'nutrition.contains': 'Contains: {allergens}',
+  'nutrition.noAllergens': 'No common allergens found',
+  'nutrition.unmatched': 'Not in the food table (tap to match):',
+  'nutrition.approximate': 'Matched as (tap to change):',
+  'nutrition.unmeasured': 'Not counted, no amount: {ingredients}',
+  'nutrition.search': 'Search foods',
+  'nutrition.notFood': 'Not a food',
+  'nutrition.source': 'Estimated offline from the TACO food composition table.',
+  'allergens.gluten': 'gluten',
+  'allergens.lactose': 'lactose',
+  'allergens.egg': 'egg',
+  'allergens.peanut': 'peanut',
+  'allergens.seafood': 'seafood',
+
+  'units.original': 'Original',
+  'units.metric': 'Metric',
+  'units.us': 'US',
+
+  'editor.title': 'Title',
+  'editor.ingredient': 'Ingredient',
+  'editor.step': 'Step',
+  'editor.addIngredient': 'Add ingredient',
+  'editor.addStep': 'Add step',
+  'editor.addTag': 'Add tag',
+  'editor.suggested': 'Suggested:',
+
+  'filters.search': 'Search recipes',
+  'filters.ingredient': 'Contains ingredient',
+  'filters.sort.date': 'Newest',
+  'filters.sort.title': 'A–Z',
+  'filters.sort.lastCooked': 'Last cooked',
+
+  'cook.progress': 'Step {step} of {total}',
+  'cook.paused': ' · paused',
+  // Shown in the recipe's language, since that is what the recognizer listens for
+  'cook.voiceHint': 'Say: next, go back, repeat, ingredients, pause',
+
+  'timers.done': 'Done!',
+
+  'addition.title': 'Record addition',
+  'addition.hint': 'Say what is missing or what to correct, e.g. "actually it is 3 eggs".',
+  'addition.review': 'Review changes',
+  'addition.noChanges': 'The recording did not change the recipe.',
+  'addition.apply': 'Apply',
+  'addition.discard': 'Discard',
+
+  'adapt.title': 'Adapt recipe',
+  'adapt.vegetarian': 'Make vegetarian',
+  'adapt.glutenFree': 'Make gluten-free',
+  'adapt.lactoseFree': 'Without lactose',
+  'adapt.missing': "I don't have… (tap to substitute)",
+  'adapt.review': 'Changes from the original recipe. The copy opens unsaved; the original stays as it is.',
+  'adapt.conflicts': 'Check these, they may still not fit: {ingredients}',
+  'adapt.open': 'Open copy',
+  'adapt.discard': 'Discard',
+  'adapt.from': 'Adapted from "{title}"',
+
+  'history.title': 'Version history',
+  'history.empty': 'No earlier versions yet. Every saved change is kept here.',
+  'history.version': 'Version {number}',
+  'history.from': 'From',
+  'history.to': 'To',
+  'history.comparing': 'Changes from version {from} to version {to}.',
+  'history.same': 'They are the same.',
+  'history.restore': 'Restore version {number}',
+  'history.source.created': 'created',
+  'history.source.saved': 'earlier version',
+  'history.source.edit': 'edited',
+  'history.source.addition': 'voice addition',
+  'history.source.regenerate': 'regenerated',
+  'history.source.restore': 'restored',
+  'history.source.import': 'imported',
+
+  'jobs.title': 'Pending recipes',
+  'jobs.recording': 'Recording from {date}',
+  'jobs.retryAt': ' · retry at {time}',
+  'jobs.stage.pending_transcription': 'Waiting to transcribe',
+  'jobs.stage.pending_structuring': 'Waiting to build recipe',
+  'jobs.stage.done': 'Ready to review',
+  'jobs.stage.failed': 'Failed',
+
+  'textImport.title': 'Add from text',
+  'textImport.placeholder': 'Paste or type a recipe',
+  'textImport.openFile': 'Open saved web page',
+  'textImport.create': 'Create recipe',
+
+  'shopping.title': 'Shopping list',
+  'shopping.empty': 'Select recipes and choose "Shopping list" to build one.',
+  'aisles.produce': 'Produce',
+  'aisles.meat': 'Meat & fish',
+  'aisles.dairy': 'Dairy & eggs',
+  'aisles.bakery': 'Bakery',
+  'aisles.spices': 'Spices',
+  'aisles.pantry': 'Pantry',
+  'aisles.drinks': 'Drinks',
+  'aisles.frozen': 'Frozen',
+  'aisles.other': 'Other',
+
+  'planner.week': 'Week of {date}',
+  'planner.copyLastWeek': 'Copy last week',
+  'planner.exportIcs': 'Export .ics',
+  'planner.dragHint': 'Drag onto a meal slot or tap one to move it.',
+  'planner.noRecipes': 'No saved recipes yet.',
+  'planner.days': 'Mon,Tue,Wed,Thu,Fri,Sat,Sun',
+  'mealSlots.breakfast': 'Breakfast',
+  'mealSlots.lunch': 'Lunch',
+  'mealSlots.dinner': 'Dinner',
+};
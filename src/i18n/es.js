@@ -0,0 +1,220 @@
+// Spanish UI strings
+
+module.exports = {
+  'app.title': 'Receta por Voz',
+  'app.settings': 'Ajustes',
+
+  'common.cancel': 'Cancelar',
+  'common.close': 'Cerrar',
+  'common.dismiss': 'Descartar',
+  'common.done': 'Listo',
+  'common.edit': 'Editar',
+  'common.save': 'Guardar',
+  'common.share': 'Compartir',
+  'common.clear': 'Vaciar',
+  'common.open': 'Abrir',
+  'common.remove': 'Quitar',
+  'common.undo': 'DESHACER',
+  'common.processing': 'Procesando…',
+
+  'recording.start': 'Empezar a grabar',
+  'recording.stop': 'Detener grabación',
+  'recording.processing': 'Preparando tu receta...',
+  'recording.recipeLanguage': 'Receta en: {language}',
+  'recording.paused': 'En pausa',
+  'recording.nearLimit': 'La grabación se detiene en {remaining}',
+
+  'progress.uploading': 'Subiendo la grabación',
+  'progress.transcribing': 'Transcribiendo',
+  'progress.structuring': 'Armando la receta',
+  'progress.transcript': 'Transcripción',
+  'progress.segments': '{done} de {total} partes',
+  'progress.cancelled': 'Se canceló el procesamiento',
+
+  'language.title': 'Idioma',
+  'language.app': 'Idioma de la app',
+  'language.spoken': 'Idioma hablado',
+  'language.recipe': 'Idioma de la receta',
+  'language.auto': 'Detectar',
+  'language.sameAsSpoken': 'El mismo que el hablado',
+  'language.detected': 'Hablado: {language}',
+
+  'library.selected': '{count} seleccionadas',
+  'library.selectAll': 'Seleccionar todo',
+  'library.shop': 'Compras',
+  'library.export': 'Exportar',
+  'library.delete': 'Eliminar',
+  'library.addFromText': 'Añadir desde texto',
+  'library.import': 'Importar',
+  'library.mealPlan': 'Menú semanal',
+  'library.shoppingList': 'Lista de compras',
+  'library.exportAll': 'Exportar todo',
+  'library.noMatches': 'Ninguna receta coincide con la búsqueda.',
+  'library.empty': 'Todavía no hay recetas. ¡Graba tu primera receta!',
+  'library.deletedOne': '"{title}" eliminada',
+  'library.deletedMany': '{count} recetas eliminadas',
+  'library.copyTitle': '{title} (copia)',
+
+  'export.title': 'Exportar',
+  'export.recipeCount': '{count} recetas',
+  'export.mealPlan': 'Exportar menú',
+  'export.recipes': 'Exportar recetas',
+  'export.format.backup': 'Copia de seguridad (JSON)',
+  'export.format.markdown': 'Markdown',
+  'export.format.jsonLd': 'Web (JSON-LD)',
+  'import.title': 'Importar',
+  'import.summary': '{added} añadidas, {updated} actualizadas, {skipped} duplicadas omitidas.',
+  'import.invalid': '{count} entradas no válidas se ignoraron.',
+  'import.pageSummary': '{added} recetas añadidas desde la página, {skipped} duplicadas omitidas.',
+
+  'errors.microphone': 'Se denegó el permiso para usar el micrófono',
+  'errors.startRecording': 'No se pudo empezar a grabar',
+  'errors.stopRecording': 'No se pudo detener la grabación',
+  'errors.cancelRecording': 'No se pudo cancelar la grabación',
+  'errors.pauseRecording': 'No se pudo pausar o reanudar la grabación',
+  'errors.noSpeech': 'No se reconoció ninguna voz en la grabación',
+  'errors.queued': 'No se pudo procesar la grabación ahora. Se añadió a Recetas pendientes y se volverá a intentar.',
+  'errors.notLoaded': 'Las recetas no se cargaron, así que los cambios no se están guardando',
+  'errors.save': 'No se pudieron guardar las recetas',
+  'errors.load': 'No se pudieron cargar las recetas',
+  'errors.keepRecording': 'No se pudo guardar la grabación con la receta',
+  'errors.export': 'Error al exportar: {message}',
+  'errors.import': 'Error al importar: {message}',
+  'errors.sharingUnavailable': 'Compartir no está disponible en este dispositivo',
+  'errors.fromText': 'No se pudo crear una receta a partir del texto. Inténtalo de nuevo.',
+  'errors.regenerate': 'Error al generar la receta',
+  'errors.translate': 'Error al traducir: {message}',
+  'errors.addition': 'No se pudo aplicar el añadido: {message}',
+  'errors.adapt': 'No se pudo adaptar la receta: {message}',
+  'errors.history': 'No se pudo cargar el historial de la receta.',
+
+  'recipe.cook': 'Cocinar',
+  'recipe.servings': 'Porciones:',
+  'recipe.tags': 'Etiquetas:',
+  'recipe.ingredients': 'Ingredientes:',
+  'recipe.instructions': 'Preparación:',
+  'recipe.source': 'Origen:',
+  'recipe.showTranscript': 'Mostrar transcripción',
+  'recipe.hideTranscript': 'Ocultar transcripción',
+  'recipe.regenerate': 'Regenerar desde la transcripción',
+  'recipe.translate': 'Traducir',
+  'recipe.translateTo': 'Traducir al',
+  'recipe.recordAddition': 'Grabar añadido',
+  'recipe.adapt': 'Adaptar / sustituir',
+  'recipe.history': 'Historial',
+  'recipe.untitled': 'Receta sin título',
+  'recipe.timerLabel': '{title} · Paso {step} ({duration})',
+
+  'nutrition.title': 'Nutrición (estimación)',
+  'nutrition.perServing': 'Por porción ({servings} porciones)',
+  'nutrition.wholeRecipe': 'Receta entera (porciones desconocidas)',
+  'nutrition.protein': 'proteínas',
+  'nutrition.carbs': 'carbohidratos',
+  'nutrition.fat': 'grasas',
+  'nutrition.contains': 'Contiene: {allergens}',
+  'nutrition.noAllergens': 'No se encontraron alérgenos comunes',
+  'nutrition.unmatched': 'Fuera de la tabla de alimentos (toca para asociar):',
+  'nutrition.approximate': 'Asociados a (toca para cambiar):',
+  'nutrition.unmeasured': 'Sin contar, sin cantidad: {ingredients}',
+  'nutrition.search': 'Buscar alimentos',
+  'nutrition.notFood': 'No es un alimento',
+  'nutrition.source': 'Estimación sin conexión a partir de la tabla TACO.',
+  'allergens.gluten': 'gluten',
+  'allergens.lactose': 'lactosa',
+  'allergens.egg': 'huevo',
+  'allergens.peanut': 'cacahuete',
+  'allergens.seafood': 'mariscos',
+
+  'units.original': 'Original',
+  'units.metric': 'Métrico',
+  'units.us': 'EE. UU.',
+
+  'editor.title': 'Título',
+  'editor.ingredient': 'Ingrediente',
+  'editor.step': 'Paso',
+  'editor.addIngredient': 'Añadir ingrediente',
+  'editor.addStep': 'Añadir paso',
+  'editor.addTag': 'Añadir etiqueta',
+  'editor.suggested': 'Sugerencias:',
+
+  'filters.search': 'Buscar recetas',
+  'filters.ingredient': 'Contiene el ingrediente',
+  'filters.sort.date': 'Recientes',
+  'filters.sort.title': 'A–Z',
+  'filters.sort.lastCooked': 'Última vez',
+
+  'cook.progress': 'Paso {step} de {total}',
+  'cook.paused': ' · en pausa',
+  'cook.voiceHint': 'Di: siguiente, atrás, repite, ingredientes, pausa',
+
+  'timers.done': '¡Listo!',
+
+  'addition.title': 'Grabar añadido',
+  'addition.hint': 'Di lo que falta o lo que hay que corregir, por ejemplo "en realidad son 3 huevos".',
+  'addition.review': 'Revisar cambios',
+  'addition.noChanges': 'La grabación no cambió la receta.',
+  'addition.apply': 'Aplicar',
+  'addition.discard': 'Descartar',
+
+  'adapt.title': 'Adaptar receta',
+  'adapt.vegetarian': 'Hacer vegetariana',
+  'adapt.glutenFree': 'Hacer sin gluten',
+  'adapt.lactoseFree': 'Sin lactosa',
+  'adapt.missing': 'No tengo… (toca para sustituir)',
+  'adapt.review': 'Cambios respecto a la receta original. La copia se abre sin guardar; la original queda como está.',
+  'adapt.conflicts': 'Revisa estos, puede que aún no sirvan: {ingredients}',
+  'adapt.open': 'Abrir copia',
+  'adapt.discard': 'Descartar',
+  'adapt.from': 'Adaptada de "{title}"',
+
+  'history.title': 'Historial de versiones',
+  'history.empty': 'Todavía no hay versiones anteriores. Cada cambio guardado se conserva aquí.',
+  'history.version': 'Versión {number}',
+  'history.from': 'De',
+  'history.to': 'A',
+  'history.comparing': 'Cambios de la versión {from} a la versión {to}.',
+  'history.same': 'Son iguales.',
+  'history.restore': 'Restaurar versión {number}',
+  'history.source.created': 'creada',
+  'history.source.saved': 'versión anterior',
+  'history.source.edit': 'editada',
+  'history.source.addition': 'añadido por voz',
+  'history.source.regenerate': 'regenerada',
+  'history.source.restore': 'restaurada',
+  'history.source.import': 'importada',
+
+  'jobs.title': 'Recetas pendientes',
+  'jobs.recording': 'Grabación del {date}',
+  'jobs.retryAt': ' · nuevo intento a las {time}',
+  'jobs.stage.pending_transcription': 'Esperando transcripción',
+  'jobs.stage.pending_structuring': 'Esperando armar la receta',
+  'jobs.stage.done': 'Lista para revisar',
+  'jobs.stage.failed': 'Falló',
+
+  'textImport.title': 'Añadir desde texto',
+  'textImport.placeholder': 'Pega o escribe una receta',
+  'textImport.openFile': 'Abrir página guardada',
+  'textImport.create': 'Crear receta',
+
+  'shopping.title': 'Lista de compras',
+  'shopping.empty': 'Selecciona recetas y elige "Compras" para crear una lista.',
+  'aisles.produce': 'Frutas y verduras',
+  'aisles.meat': 'Carnes y pescados',
+  'aisles.dairy': 'Lácteos y huevos',
+  'aisles.bakery': 'Panadería',
+  'aisles.spices': 'Especias',
+  'aisles.pantry': 'Despensa',
+  'aisles.drinks': 'Bebidas',
+  'aisles.frozen': 'Congelados',
+  'aisles.other': 'Otros',
+
+  'planner.week': 'Semana del {date}',
+  'planner.copyLastWeek': 'Copiar semana anterior',
+  'planner.exportIcs': 'Exportar .ics',
+  'planner.dragHint': 'Arrastra a una comida o toca una para moverla.',
+  'planner.noRecipes': 'Todavía no hay recetas guardadas.',
+  'planner.days': 'Lun,Mar,Mié,Jue,Vie,Sáb,Dom',
+  'mealSlots.breakfast': 'Desayuno',
+  'mealSlots.lunch': 'Almuerzo',
+  'mealSlots.dinner': 'Cena',
+};
@@ -0,0 +1,41 @@
+// UI string lookup. Messages are flat 'section.name' keys with {param}
+// placeholders; a locale missing a key falls back to English, and an unknown
+// key shows the key itself so it is easy to spot.
+
+const MESSAGES = {
+  en: require('./en'),
+  pt: require('./pt'),
+  es: require('./es'),
+};
+
+const UI_LOCALES = Object.keys(MESSAGES);
+const DEFAULT_LOCALE = 'en';
+
+// 'pt-BR', 'es_MX', 'PT' -> a supported locale, English otherwise
+function resolveLocale(tag) {
+  const code = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[code] ? code : DEFAULT_LOCALE;
+}
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined ? match : String(params[name])
+));
+
+// t('library.selected', { count: 2 }) -> '2 selected'
+function createTranslator(locale) {
+  const messages = MESSAGES[resolveLocale(locale)];
+  const t = (key, params = {}) => {
+    const text = messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+    return text === undefined ? key : interpolate(text, params);
+  };
+  t.locale = resolveLocale(locale);
+  return t;
+}
+
+module.exports = {
+  MESSAGES,
+  UI_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  createTranslator,
+};
@@ -0,0 +1,220 @@
+// Portuguese (Brazil) UI strings
+
+module.exports = {
+  'app.title': 'Receita por Voz',
+  'app.settings': 'Configurações',
+
+  'common.cancel': 'Cancelar',
+  'common.close': 'Fechar',
+  'common.dismiss': 'Dispensar',
+  'common.done': 'Concluir',
+  'common.edit': 'Editar',
+  'common.save': 'Salvar',
+  'common.share': 'Compartilhar',
+  'common.clear': 'Limpar',
+  'common.open': 'Abrir',
+  'common.remove': 'Remover',
+  'common.undo': 'DESFAZER',
+  'common.processing': 'Processando…',
+
+  'recording.start': 'Começar a gravar',
+  'recording.stop': 'Parar gravação',
+  'recording.processing': 'Preparando sua receita...',
+  'recording.recipeLanguage': 'Receita em: {language}',
+  'recording.paused': 'Pausado',
+  'recording.nearLimit': 'A gravação para em {remaining}',
+
+  'progress.uploading': 'Enviando gravação',
+  'progress.transcribing': 'Transcrevendo',
+  'progress.structuring': 'Montando a receita',
+  'progress.transcript': 'Transcrição',
+  'progress.segments': '{done} de {total} partes',
+  'progress.cancelled': 'O processamento foi cancelado',
+
+  'language.title': 'Idioma',
+  'language.app': 'Idioma do app',
+  'language.spoken': 'Idioma falado',
+  'language.recipe': 'Idioma da receita',
+  'language.auto': 'Detectar',
+  'language.sameAsSpoken': 'O mesmo da fala',
+  'language.detected': 'Falado: {language}',
+
+  'library.selected': '{count} selecionadas',
+  'library.selectAll': 'Selecionar tudo',
+  'library.shop': 'Compras',
+  'library.export': 'Exportar',
+  'library.delete': 'Excluir',
+  'library.addFromText': 'Adicionar de texto',
+  'library.import': 'Importar',
+  'library.mealPlan': 'Cardápio',
+  'library.shoppingList': 'Lista de compras',
+  'library.exportAll': 'Exportar tudo',
+  'library.noMatches': 'Nenhuma receita encontrada.',
+  'library.empty': 'Nenhuma receita ainda. Grave a sua primeira receita!',
+  'library.deletedOne': '"{title}" excluída',
+  'library.deletedMany': '{count} receitas excluídas',
+  'library.copyTitle': '{title} (cópia)',
+
+  'export.title': 'Exportar',
+  'export.recipeCount': '{count} receitas',
+  'export.mealPlan': 'Exportar cardápio',
+  'export.recipes': 'Exportar receitas',
+  'export.format.backup': 'Backup (JSON)',
+  'export.format.markdown': 'Markdown',
+  'export.format.jsonLd': 'Web (JSON-LD)',
+  'import.title': 'Importar',
+  'import.summary': '{added} adicionadas, {updated} atualizadas, {skipped} duplicadas ignoradas.',
+  'import.invalid': '{count} itens inválidos foram ignorados.',
+  'import.pageSummary': '{added} receitas adicionadas da página, {skipped} duplicadas ignoradas.',
+
+  'errors.microphone': 'A permissão para usar o microfone foi negada',
+  'errors.startRecording': 'Não foi possível começar a gravar',
+  'errors.stopRecording': 'Não foi possível parar a gravação',
+  'errors.cancelRecording': 'Não foi possível cancelar a gravação',
+  'errors.pauseRecording': 'Não foi possível pausar ou retomar a gravação',
+  'errors.noSpeech': 'Nenhuma fala foi reconhecida na gravação',
+  'errors.queued': 'Não foi possível processar a gravação agora. Ela foi adicionada às receitas pendentes e será tentada de novo.',
+  'errors.notLoaded': 'As receitas não foram carregadas, então as alterações não estão sendo salvas',
+  'errors.save': 'Não foi possível salvar as receitas',
+  'errors.load': 'Não foi possível carregar as receitas',
+  'errors.keepRecording': 'Não foi possível guardar a gravação com a receita',
+  'errors.export': 'Falha ao exportar: {message}',
+  'errors.import': 'Falha ao importar: {message}',
+  'errors.sharingUnavailable': 'O compartilhamento não está disponível neste aparelho',
+  'errors.fromText': 'Não foi possível criar uma receita a partir do texto. Tente de novo.',
+  'errors.regenerate': 'Falha ao gerar a receita',
+  'errors.translate': 'Falha ao traduzir: {message}',
+  'errors.addition': 'Não foi possível aplicar o complemento: {message}',
+  'errors.adapt': 'Não foi possível adaptar a receita: {message}',
+  'errors.history': 'Não foi possível carregar o histórico da receita.',
+
+  'recipe.cook': 'Cozinhar',
+  'recipe.servings': 'Porções:',
+  'recipe.tags': 'Tags:',
+  'recipe.ingredients': 'Ingredientes:',
+  'recipe.instructions': 'Modo de preparo:',
+  'recipe.source': 'Origem:',
+  'recipe.showTranscript': 'Mostrar transcrição',
+  'recipe.hideTranscript': 'Ocultar transcrição',
+  'recipe.regenerate': 'Gerar de novo a partir da transcrição',
+  'recipe.translate': 'Traduzir',
+  'recipe.translateTo': 'Traduzir para',
+  'recipe.recordAddition': 'Gravar complemento',
+  'recipe.adapt': 'Adaptar / substituir',
+  'recipe.history': 'Histórico',
+  'recipe.untitled': 'Receita sem título',
+  'recipe.timerLabel': '{title} · Passo {step} ({duration})',
+
+  'nutrition.title': 'Nutrição (estimativa)',
+  'nutrition.perServing': 'Por porção ({servings} porções)',
+  'nutrition.wholeRecipe': 'Receita inteira (porções desconhecidas)',
+  'nutrition.protein': 'proteínas',
+  'nutrition.carbs': 'carboidratos',
+  'nutrition.fat': 'gorduras',
+  'nutrition.contains': 'Contém: {allergens}',
+  'nutrition.noAllergens': 'Nenhum alergênico comum encontrado',
+  'nutrition.unmatched': 'Fora da tabela de alimentos (toque para associar):',
+  'nutrition.approximate': 'Associados a (toque para mudar):',
+  'nutrition.unmeasured': 'Não contados, sem quantidade: {ingredients}',
+  'nutrition.search': 'Buscar alimentos',
+  'nutrition.notFood': 'Não é alimento',
+  'nutrition.source': 'Estimativa offline com base na tabela TACO.',
+  'allergens.gluten': 'glúten',
+  'allergens.lactose': 'lactose',
+  'allergens.egg': 'ovo',
+  'allergens.peanut': 'amendoim',
+  'allergens.seafood': 'frutos do mar',
+
+  'units.original': 'Original',
+  'units.metric': 'Métrico',
+  'units.us': 'EUA',
+
+  'editor.title': 'Título',
+  'editor.ingredient': 'Ingrediente',
+  'editor.step': 'Passo',
+  'editor.addIngredient': 'Adicionar ingrediente',
+  'editor.addStep': 'Adicionar passo',
+  'editor.addTag': 'Adicionar tag',
+  'editor.suggested': 'Sugestões:',
+
+  'filters.search': 'Buscar receitas',
+  'filters.ingredient': 'Contém o ingrediente',
+  'filters.sort.date': 'Recentes',
+  'filters.sort.title': 'A–Z',
+  'filters.sort.lastCooked': 'Última vez',
+
+  'cook.progress': 'Passo {step} de {total}',
+  'cook.paused': ' · pausado',
+  'cook.voiceHint': 'Diga: próximo, voltar, repetir, ingredientes, pausar',
+
+  'timers.done': 'Pronto!',
+
+  'addition.title': 'Gravar complemento',
+  'addition.hint': 'Diga o que faltou ou o que corrigir, por exemplo "na verdade são 3 ovos".',
+  'addition.review': 'Revisar alterações',
+  'addition.noChanges': 'A gravação não alterou a receita.',
+  'addition.apply': 'Aplicar',
+  'addition.discard': 'Descartar',
+
+  'adapt.title': 'Adaptar receita',
+  'adapt.vegetarian': 'Deixar vegetariana',
+  'adapt.glutenFree': 'Deixar sem glúten',
+  'adapt.lactoseFree': 'Sem lactose',
+  'adapt.missing': 'Não tenho… (toque para substituir)',
+  'adapt.review': 'Mudanças em relação à receita original. A cópia abre sem salvar; a original continua como está.',
+  'adapt.conflicts': 'Confira, talvez ainda não sirvam: {ingredients}',
+  'adapt.open': 'Abrir cópia',
+  'adapt.discard': 'Descartar',
+  'adapt.from': 'Adaptada de "{title}"',
+
+  'history.title': 'Histórico de versões',
+  'history.empty': 'Ainda não há versões anteriores. Cada alteração salva fica guardada aqui.',
+  'history.version': 'Versão {number}',
+  'history.from': 'De',
+  'history.to': 'Para',
+  'history.comparing': 'Mudanças da versão {from} para a versão {to}.',
+  'history.same': 'São iguais.',
+  'history.restore': 'Restaurar versão {number}',
+  'history.source.created': 'criada',
+  'history.source.saved': 'versão anterior',
+  'history.source.edit': 'editada',
+  'history.source.addition': 'complemento por voz',
+  'history.source.regenerate': 'gerada novamente',
+  'history.source.restore': 'restaurada',
+  'history.source.import': 'importada',
+
+  'jobs.title': 'Receitas pendentes',
+  'jobs.recording': 'Gravação de {date}',
+  'jobs.retryAt': ' · nova tentativa às {time}',
+  'jobs.stage.pending_transcription': 'Aguardando transcrição',
+  'jobs.stage.pending_structuring': 'Aguardando montar a receita',
+  'jobs.stage.done': 'Pronta para revisar',
+  'jobs.stage.failed': 'Falhou',
+
+  'textImport.title': 'Adicionar de texto',
+  'textImport.placeholder': 'Cole ou digite uma receita',
+  'textImport.openFile': 'Abrir página salva',
+  'textImport.create': 'Criar receita',
+
+  'shopping.title': 'Lista de compras',
+  'shopping.empty': 'Selecione receitas e escolha "Compras" para montar uma lista.',
+  'aisles.produce': 'Hortifrúti',
+  'aisles.meat': 'Carnes e peixes',
+  'aisles.dairy': 'Laticínios e ovos',
+  'aisles.bakery': 'Padaria',
+  'aisles.spices': 'Temperos',
+  'aisles.pantry': 'Mercearia',
+  'aisles.drinks': 'Bebidas',
+  'aisles.frozen': 'Congelados',
+  'aisles.other': 'Outros',
+
+  'planner.week': 'Semana de {date}',
+  'planner.copyLastWeek': 'Copiar semana passada',
+  'planner.exportIcs': 'Exportar .ics',
+  'planner.dragHint': 'Arraste para uma refeição ou toque em uma para mover.',
+  'planner.noRecipes': 'Nenhuma receita salva ainda.',
+  'planner.days': 'Seg,Ter,Qua,Qui,Sex,Sáb,Dom',
+  'mealSlots.breakfast': 'Café',
+  'mealSlots.lunch': 'Almoço',
+  'mealSlots.dinner': 'Jantar',
+};
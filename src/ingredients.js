@@ -0,0 +1,289 @@
+// Structured ingredient model.
+//
+// The LLM returns ingredients as free text ("1 colher (sopa) de azeite",
+// "3 cloves of minced garlic", "2 tazas de harina"); parseIngredient turns each line into
+// { quantity, unit, item, note, original } so scaling, shopping lists and
+// nutrition can work with numbers and canonical unit keys.
+
+const SPOON_QUALIFIERS = {
+  tbsp: ['de sopa', '(sopa)', '(de sopa)', 'sopa'],
+  tsp: ['de cha', '(cha)', '(de cha)', 'cha'],
+  dsp: ['de sobremesa', '(sobremesa)', 'sobremesa'],
+  coffeespoon: ['de cafe', '(cafe)', 'cafe'],
+};
+
+const withQualifiers = (bases, qualifiers) => bases.flatMap(base => qualifiers.map(q => `${base} ${q}`));
+
+// Canonical unit keys and the (accent-folded, lower case) spellings that map to them
+const UNITS = {
+  tbsp: [
+    ...withQualifiers(['colher', 'colheres', 'colh.', 'colh', 'c.', 'c'], SPOON_QUALIFIERS.tbsp),
+    'tablespoons', 'tablespoon', 'tbsp.', 'tbsp', 'tbs', 'csp', 'cs', 'colheres', 'colher',
+    'cucharadas', 'cucharada',
+  ],
+  tsp: [
+    ...withQualifiers(['colher', 'colheres', 'colh.', 'colh', 'c.', 'c'], SPOON_QUALIFIERS.tsp),
+    'teaspoons', 'teaspoon', 'tsp.', 'tsp', 'cc', 'cucharaditas', 'cucharadita',
+  ],
+  dsp: withQualifiers(['colher', 'colheres'], SPOON_QUALIFIERS.dsp),
+  coffeespoon: withQualifiers(['colher', 'colheres'], SPOON_QUALIFIERS.coffeespoon),
+  cup: [
+    ...withQualifiers(['xicara', 'xicaras', 'xic.', 'xic'], ['de cha', '(cha)', '(de cha)']),
+    'xicaras', 'xicara', 'xic.', 'xic', 'cups', 'cup', 'c.', 'tazas', 'taza',
+  ],
+  glass: ['copos', 'copo', 'glasses', 'glass', 'vasos', 'vaso'],
+  ml: ['mililitros', 'mililitro', 'milliliters', 'milliliter', 'millilitres', 'millilitre', 'ml'],
+  l: ['litros', 'litro', 'liters', 'liter', 'litres', 'litre', 'l'],
+  g: ['gramas', 'grama', 'gramos', 'gramo', 'grams', 'gram', 'gr', 'g'],
+  kg: ['quilogramas', 'quilograma', 'quilos', 'quilo', 'kilograms', 'kilogram', 'kilos', 'kilo', 'kg'],
+  lb: ['pounds', 'pound', 'libras', 'libra', 'lbs', 'lb'],
+  oz: ['ounces', 'ounce', 'onzas', 'onza', 'oz'],
+  floz: ['fluid ounces', 'fluid ounce', 'fl oz', 'fl. oz.'],
+  clove: ['dentes', 'dente', 'dientes', 'diente', 'cloves', 'clove'],
+  pinch: ['pitadas', 'pitada', 'pizcas', 'pizca', 'pinches', 'pinch'],
+  dash: ['dashes', 'dash'],
+  drizzle: ['fios', 'fio', 'drizzle'],
+  can: ['latas', 'lata', 'cans', 'can'],
+  package: ['pacotes', 'pacote', 'paquetes', 'paquete', 'packages', 'package', 'pkg'],
+  slice: ['fatias', 'fatia', 'rebanadas', 'rebanada', 'slices', 'slice'],
+  bunch: ['macos', 'maco', 'manojos', 'manojo', 'bunches', 'bunch'],
+  sprig: ['ramos', 'ramo', 'raminhos', 'raminho', 'ramitas', 'ramita', 'sprigs', 'sprig'],
+  stick: ['tabletes', 'tablete', 'sticks', 'stick'],
+  unit: ['unidades', 'unidade', 'unidad', 'un.', 'un'],
+};
+
+// Longest spellings first so "colher (sopa)" wins over "colher"
+const UNIT_ALIASES = Object.entries(UNITS)
+  .flatMap(([key, aliases]) => aliases.map(alias => ({ key, alias })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4, '⅛': 1 / 8,
+};
+
+const NUMBER_WORDS = {
+  meia: 0.5, meio: 0.5, half: 0.5, media: 0.5, medio: 0.5,
+  um: 1, uma: 1, one: 1, an: 1, un: 1, uno: 1,
+  dois: 2, duas: 2, two: 2, dos: 2,
+  tres: 3, three: 3,
+  quatro: 4, four: 4, cuatro: 4,
+  cinco: 5, five: 5,
+  seis: 6, six: 6,
+  sete: 7, seven: 7, siete: 7,
+  oito: 8, eight: 8, ocho: 8,
+  nove: 9, nine: 9, nueve: 9,
+  dez: 10, ten: 10, diez: 10,
+  duzia: 12, dozen: 12, docena: 12,
+};
+
+// "a" is also a Portuguese preposition ("a gosto"), so it only counts as a
+// quantity when a unit follows ("a pinch of salt")
+const ARTICLES = ['a'];
+
+const NOTE_PHRASES = [
+  'a gosto', 'q.b.', 'qb', 'to taste', 'al gusto', 'opcional', 'optional', 'se necessario', 'if needed', 'si es necesario',
+];
+
+// Lower case and strip accents while keeping one character per character,
+// so indexes in the folded string match the original
+const fold = (text) => text
+  .normalize('NFC')
+  .split('')
+  .map(char => char.normalize('NFD').replace(/[̀-ͯ]/g, '').charAt(0) || char)
+  .join('')
+  .toLowerCase();
+
+const parseNumber = (text) => {
+  const value = Number(text.replace(',', '.'));
+  return Number.isFinite(value) ? value : null;
+};
+
+const NUMBER_PATTERN = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?\\s*[½⅓⅔¼¾⅛]?|[½⅓⅔¼¾⅛])';
+
+const numberValue = (token) => {
+  const mixed = token.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const fraction = token.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : null;
+  const withUnicode = token.match(/^(\d+(?:[.,]\d+)?)?\s*([½⅓⅔¼¾⅛])?$/);
+  if (withUnicode) {
+    const whole = withUnicode[1] ? parseNumber(withUnicode[1]) : 0;
+    const part = withUnicode[2] ? UNICODE_FRACTIONS[withUnicode[2]] : 0;
+    return whole + part;
+  }
+  return parseNumber(token);
+};
+
+const matchUnit = (folded) => {
+  for (const { key, alias } of UNIT_ALIASES) {
+    if (folded.startsWith(alias)) {
+      const next = folded.charAt(alias.length);
+      // The unit must end at a word boundary ("g" must not match "garlic")
+      if (!next || /[\s(),.;:-]/.test(next) || /[.)]$/.test(alias)) {
+        return { key, length: alias.length };
+      }
+    }
+  }
+  return null;
+};
+
+// Read a leading quantity: digits, fractions, mixed numbers, ranges and
+// number words. Returns the value and how many characters were consumed.
+const matchQuantity = (text, folded) => {
+  const numeric = text.match(new RegExp(`^${NUMBER_PATTERN}`));
+  if (numeric) {
+    let length = numeric[0].length;
+    let quantity = numberValue(numeric[1].trim());
+    let quantityMax = null;
+
+    const rest = text.slice(length);
+    const range = rest.match(new RegExp(`^\\s*(?:-|–|a|to|ou|or)\\s*${NUMBER_PATTERN}`));
+    if (range) {
+      quantityMax = numberValue(range[1].trim());
+      length += range[0].length;
+    } else {
+      // "1 e meia xícara", "1 and a half cups", "1 y media taza"
+      const half = fold(rest).match(/^\s*(?:e meia|e meio|and a half|y media|y medio)\b/);
+      // "2 e ½ xícaras", "1 and 1/2 cups"
+      const fraction = rest.match(/^\s*(?:e|and|y)\s+(\d+\/\d+|[½⅓⅔¼¾⅛])/);
+      if (half) {
+        quantity += 0.5;
+        length += half[0].length;
+      } else if (fraction) {
+        quantity += numberValue(fraction[1]);
+        length += fraction[0].length;
+      }
+    }
+    return { quantity, quantityMax, length };
+  }
+
+  const word = folded.match(/^([a-z]+)\b/);
+  if (word) {
+    const afterWord = folded.slice(word[0].length).replace(/^\s+/, '');
+    const skipped = folded.length - word[0].length - afterWord.length;
+    if (NUMBER_WORDS[word[1]] !== undefined) {
+      return { quantity: NUMBER_WORDS[word[1]], quantityMax: null, length: word[0].length + skipped };
+    }
+    if (ARTICLES.includes(word[1]) && matchUnit(afterWord)) {
+      return { quantity: 1, quantityMax: null, length: word[0].length + skipped };
+    }
+  }
+  return null;
+};
+
+const stripConnector = (text) => text.replace(/^(?:de|do|da|dos|das|del|of)\s+/i, '');
+
+// `original` is kept verbatim (the editor parses while the user types);
+// normalizeIngredient trims it before the recipe is saved
+function parseIngredient(line) {
+  const original = String(line == null ? '' : line);
+  let rest = original.trim().replace(/^[-*•]\s*/, '').trim();
+  const notes = [];
+
+  let quantity = null;
+  let quantityMax = null;
+  const quantityMatch = matchQuantity(rest, fold(rest));
+  if (quantityMatch) {
+    ({ quantity, quantityMax } = quantityMatch);
+    rest = rest.slice(quantityMatch.length).replace(/^[\s-]+/, '');
+  }
+
+  let unit = null;
+  const unitMatch = matchUnit(fold(rest));
+  if (unitMatch) {
+    unit = unitMatch.key;
+    rest = rest.slice(unitMatch.length).trim();
+    // A spoon qualifier can also come right after a generic unit: "colher (de sopa)"
+    const qualifier = fold(rest).match(/^\((?:de )?(sopa|cha)\)/);
+    if (qualifier) {
+      unit = qualifier[1] === 'sopa' ? 'tbsp' : 'tsp';
+      rest = rest.slice(qualifier[0].length).trim();
+    }
+  }
+  rest = stripConnector(rest.replace(/^\.\s*/, ''));
+
+  // Parenthesised remarks become notes: "cebola (não muito fina)"
+  rest = rest.replace(/\s*\(([^)]*)\)\s*/g, (_, note) => {
+    if (note.trim()) notes.push(note.trim());
+    return ' ';
+  }).trim();
+
+  // Trailing remarks after a comma: "garlic, minced"
+  const commaIndex = rest.indexOf(',');
+  if (commaIndex > 0) {
+    notes.push(rest.slice(commaIndex + 1).trim());
+    rest = rest.slice(0, commaIndex).trim();
+  }
+
+  // "sal a gosto", "salt to taste"
+  const foldedRest = fold(rest);
+  for (const phrase of NOTE_PHRASES) {
+    const index = foldedRest.lastIndexOf(` ${phrase}`);
+    if (index >= 0 && index + phrase.length + 1 === foldedRest.length) {
+      notes.unshift(rest.slice(index + 1));
+      rest = rest.slice(0, index).trim();
+      break;
+    }
+  }
+
+  const ingredient = {
+    quantity,
+    unit,
+    item: rest,
+    note: notes.filter(Boolean).join(', ') || null,
+    original,
+  };
+  if (quantityMax !== null) ingredient.quantityMax = quantityMax;
+  return ingredient;
+}
+
+const isStructuredIngredient = (ingredient) => (
+  ingredient !== null && typeof ingredient === 'object' && typeof ingredient.original === 'string'
+);
+
+// Accept strings (LLM output, legacy saves) or already structured entries
+const normalizeIngredient = (ingredient) => {
+  if (isStructuredIngredient(ingredient)) {
+    const trimmed = ingredient.original.trim();
+    return trimmed === ingredient.original ? ingredient : parseIngredient(trimmed);
+  }
+  if (ingredient && typeof ingredient === 'object') {
+    return parseIngredient(ingredient.text || ingredient.name || JSON.stringify(ingredient));
+  }
+  return parseIngredient(String(ingredient == null ? '' : ingredient).trim());
+};
+
+const normalizeIngredients = (ingredients) => (Array.isArray(ingredients) ? ingredients : [])
+  .map(normalizeIngredient)
+  .filter(ingredient => ingredient.original !== '');
+
+// Display text of an ingredient, structured or legacy string
+const ingredientText = (ingredient) => (
+  isStructuredIngredient(ingredient) ? ingredient.original : String(ingredient)
+);
+
+// Upgrade recipes saved with string ingredients to the structured model.
+// Returns the same array when nothing needed upgrading.
+function migrateRecipeIngredients(recipes) {
+  let changed = false;
+  const migrated = recipes.map(recipe => {
+    const ingredients = recipe.ingredients || [];
+    if (ingredients.every(isStructuredIngredient)) return recipe;
+    changed = true;
+    return { ...recipe, ingredients: normalizeIngredients(ingredients) };
+  });
+  return changed ? migrated : recipes;
+}
+
+module.exports = {
+  UNITS,
+  NUMBER_WORDS,
+  fold,
+  numberValue,
+  parseIngredient,
+  isStructuredIngredient,
+  normalizeIngredient,
+  normalizeIngredients,
+  ingredientText,
+  migrateRecipeIngredients,
+};
@@ -0,0 +1,114 @@
+// Offline processing queue for recordings that could not be turned into a
+// recipe right away (no signal, provider down, timeout).
+//
+// Jobs are plain objects so they can be stored as JSON:
+// { id, audioUri, audioSegments?, stage, transcript, language, spokenLanguage,
+//   recipe, attempts, nextAttemptAt, lastError, createdAt }
+// `audioSegments` lists every file of a long recording (see src/recording.js).
+// `language` is the requested recipe language (null: same as spoken) and
+// `spokenLanguage` the one Whisper detected.
+// A job moves pending_transcription -> pending_structuring -> done. Transient
+// errors schedule a retry with exponential backoff; after MAX_ATTEMPTS the
+// job is marked failed and only a manual retry restarts it.
+
+const JOB_STAGES = {
+  PENDING_TRANSCRIPTION: 'pending_transcription',
+  PENDING_STRUCTURING: 'pending_structuring',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+
+// 30s, 1min, 2min, 4min... capped at 30min
+const backoffDelay = (attempts) => Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+
+function createJob({
+  audioUri,
+  audioSegments,
+  transcript = null,
+  language = null,
+  spokenLanguage = null,
+  error = null,
+}, now = Date.now()) {
+  return {
+    id: `job-${now}${Math.floor(Math.random() * 1000)}`,
+    audioUri,
+    ...(audioSegments && audioSegments.length > 1 ? { audioSegments } : {}),
+    stage: transcript ? JOB_STAGES.PENDING_STRUCTURING : JOB_STAGES.PENDING_TRANSCRIPTION,
+    transcript,
+    language,
+    spokenLanguage,
+    recipe: null,
+    attempts: error ? 1 : 0,
+    nextAttemptAt: error ? now + backoffDelay(1) : now,
+    lastError: error,
+    createdAt: new Date(now).toISOString(),
+  };
+}
+
+const isPending = (job) => (
+  job.stage === JOB_STAGES.PENDING_TRANSCRIPTION || job.stage === JOB_STAGES.PENDING_STRUCTURING
+);
+
+const isDue = (job, now = Date.now()) => isPending(job) && job.nextAttemptAt <= now;
+
+function recordFailure(job, error, now = Date.now()) {
+  const attempts = job.attempts + 1;
+  const message = error instanceof Error ? error.message : String(error);
+  return attempts >= MAX_ATTEMPTS
+    ? { ...job, attempts, lastError: message, stage: JOB_STAGES.FAILED, nextAttemptAt: null }
+    : { ...job, attempts, lastError: message, nextAttemptAt: now + backoffDelay(attempts) };
+}
+
+// Make a job (failed or waiting on its backoff) run at the next opportunity
+function resetJob(job, now = Date.now()) {
+  return {
+    ...job,
+    stage: job.transcript ? JOB_STAGES.PENDING_STRUCTURING : JOB_STAGES.PENDING_TRANSCRIPTION,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+  };
+}
+
+// Run the remaining pipeline stages of a job. `pipeline` provides
+// transcribe(audioUri, job) -> { text, language } and
+// structure(transcript, job) -> recipe.
+// Never throws: failures are recorded on the returned job.
+async function advanceJob(job, pipeline, now = Date.now) {
+  let current = job;
+  try {
+    if (current.stage === JOB_STAGES.PENDING_TRANSCRIPTION) {
+      const { text, language } = await pipeline.transcribe(current.audioUri, current);
+      if (!text) throw new Error('Empty transcription');
+      current = {
+        ...current,
+        transcript: text,
+        spokenLanguage: language || null,
+        stage: JOB_STAGES.PENDING_STRUCTURING,
+      };
+    }
+    if (current.stage === JOB_STAGES.PENDING_STRUCTURING) {
+      const recipe = await pipeline.structure(current.transcript, current);
+      current = { ...current, recipe, stage: JOB_STAGES.DONE, lastError: null, nextAttemptAt: null };
+    }
+    return current;
+  } catch (error) {
+    return recordFailure(current, error, now());
+  }
+}
+
+module.exports = {
+  JOB_STAGES,
+  MAX_ATTEMPTS,
+  backoffDelay,
+  createJob,
+  isPending,
+  isDue,
+  recordFailure,
+  resetJob,
+  advanceJob,
+};
@@ -0,0 +1,62 @@
+// Recipe languages and lightweight language guessing for recipe text
+
+const { fold } = require('./ingredients');
+
+// Languages recipes can be written in. `promptName` goes into model prompts,
+// `locale` is used for speech.
+const LANGUAGES = {
+  pt: { name: 'Português (Brasil)', promptName: 'Brazilian Portuguese', locale: 'pt-BR' },
+  en: { name: 'English', promptName: 'English', locale: 'en-US' },
+  es: { name: 'Español', promptName: 'Spanish', locale: 'es-ES' },
+};
+
+// Whisper reports the detected language by name
+const LANGUAGE_NAMES = {
+  portuguese: 'pt',
+  english: 'en',
+  spanish: 'es',
+  french: 'fr',
+  italian: 'it',
+  german: 'de',
+};
+
+// 'pt', 'pt-BR', 'Portuguese' -> 'pt'. Unknown names are kept lower case,
+// empty values become null.
+function languageCode(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  if (LANGUAGE_NAMES[text]) return LANGUAGE_NAMES[text];
+  const code = text.match(/^([a-z]{2})(?:[-_][a-z]{2})?$/);
+  return code ? code[1] : text;
+}
+
+const promptLanguage = (code) => (LANGUAGES[code] ? LANGUAGES[code].promptName : code);
+
+const MARKERS = {
+  pt: ['com', 'e', 'o', 'os', 'em', 'ate', 'xicara', 'colher', 'minutos', 'fogo', 'ovos', 'acucar', 'cebola', 'agua'],
+  en: ['the', 'of', 'and', 'with', 'to', 'in', 'until', 'for', 'cup', 'cups', 'salt', 'minutes', 'heat'],
+  es: ['el', 'la', 'los', 'las', 'y', 'con', 'hasta', 'taza', 'cucharada', 'fuego', 'huevos', 'azucar', 'cebolla', 'sal'],
+};
+
+// Returns 'pt', 'en' or 'es', defaulting to Portuguese on ties
+function guessLanguage(text) {
+  const words = fold(String(text || '')).split(/[^a-z]+/).filter(Boolean);
+  const score = (language) => words.filter(word => MARKERS[language].includes(word)).length;
+  return ['en', 'es'].reduce((best, language) => (score(language) > score(best) ? language : best), 'pt');
+}
+
+const recipeText = (recipe) => [
+  recipe.title,
+  ...(recipe.ingredients || []).map(ingredient => (typeof ingredient === 'string' ? ingredient : ingredient.original)),
+  ...(recipe.steps || []),
+].join(' ');
+
+const guessRecipeLanguage = (recipe) => guessLanguage(recipeText(recipe));
+
+module.exports = {
+  LANGUAGES,
+  languageCode,
+  promptLanguage,
+  guessLanguage,
+  guessRecipeLanguage,
+};
@@ -0,0 +1,160 @@
+// Weekly meal plan: saved recipes assigned to a day and meal slot.
+//
+// A plan is { entries: [{ id, date: 'YYYY-MM-DD', slot, recipeId, servings }] }.
+// Dates are local calendar days, weeks start on Monday.
+
+const { newId } = require('./recipeList');
+const { ingredientText } = require('./ingredients');
+
+const MEAL_SLOTS = [
+  { key: 'breakfast', label: 'Café', start: '08:00' },
+  { key: 'lunch', label: 'Almoço', start: '12:30' },
+  { key: 'dinner', label: 'Jantar', start: '19:30' },
+];
+
+const EMPTY_PLAN = { entries: [] };
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+function addDays(dateKey, days) {
+  const date = fromDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+// Monday of the week containing `date` (a Date or a date key)
+function weekStart(date = new Date()) {
+  const day = typeof date === 'string' ? fromDateKey(date) : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const sinceMonday = (day.getDay() + 6) % 7;
+  day.setDate(day.getDate() - sinceMonday);
+  return toDateKey(day);
+}
+
+const weekDays = (start) => Array.from({ length: 7 }, (_, index) => addDays(start, index));
+
+const entriesForWeek = (plan, start) => {
+  const days = new Set(weekDays(start));
+  return plan.entries.filter(entry => days.has(entry.date));
+};
+
+function assignRecipe(plan, { date, slot, recipeId, servings = null }) {
+  return { ...plan, entries: [...plan.entries, { id: newId(), date, slot, recipeId, servings }] };
+}
+
+function moveEntry(plan, entryId, { date, slot }) {
+  return {
+    ...plan,
+    entries: plan.entries.map(entry => (entry.id === entryId ? { ...entry, date, slot } : entry)),
+  };
+}
+
+function removeEntry(plan, entryId) {
+  return { ...plan, entries: plan.entries.filter(entry => entry.id !== entryId) };
+}
+
+// Copy one week's entries onto another, skipping meals already planned there
+function copyWeek(plan, fromStart, toStart) {
+  const offset = Math.round((fromDateKey(toStart) - fromDateKey(fromStart)) / 86400000);
+  const existing = new Set(plan.entries.map(entry => `${entry.date}|${entry.slot}|${entry.recipeId}`));
+  const copies = entriesForWeek(plan, fromStart)
+    .map(entry => ({ ...entry, id: newId(), date: addDays(entry.date, offset) }))
+    .filter(entry => !existing.has(`${entry.date}|${entry.slot}|${entry.recipeId}`));
+  return { ...plan, entries: [...plan.entries, ...copies] };
+}
+
+// Shopping list selections for the week; a recipe planned twice counts twice
+const weekSelections = (plan, start) => entriesForWeek(plan, start)
+  .map(({ recipeId, servings }) => ({ recipeId, servings }));
+
+// iCalendar text escaping and 75-octet line folding (RFC 5545)
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = utf8Length(char);
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const icsDateTime = (dateKey, time) => `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+const utcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Plan entries (optionally one week only) as an .ics calendar. Times are
+// floating local times, so events land at the same hour in any time zone.
+// `slotLabels` maps slot keys to translated meal names.
+function toICalendar(plan, recipes, { start = null, slotLabels = {} } = {}) {
+  const entries = start ? entriesForWeek(plan, start) : plan.entries;
+  const stamp = utcStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//cooking-master//Meal plan//EN',
+    'CALSCALE:GREGORIAN',
+  ];
+
+  entries.forEach(entry => {
+    const recipe = recipes.find(item => item.id === entry.recipeId);
+    const slot = MEAL_SLOTS.find(item => item.key === entry.slot);
+    if (!recipe || !slot) return;
+    const [hours, minutes] = slot.start.split(':').map(Number);
+    const end = `${pad(hours + 1)}:${pad(minutes)}`;
+    const description = (recipe.ingredients || []).map(ingredient => `- ${ingredientText(ingredient)}`).join('\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry.id}@cooking-master`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDateTime(entry.date, slot.start)}`,
+      `DTEND:${icsDateTime(entry.date, end)}`,
+      `SUMMARY:${escapeText(`${slotLabels[slot.key] || slot.label}: ${recipe.title}`)}`,
+      ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  MEAL_SLOTS,
+  EMPTY_PLAN,
+  toDateKey,
+  addDays,
+  weekStart,
+  weekDays,
+  entriesForWeek,
+  assignRecipe,
+  moveEntry,
+  removeEntry,
+  copyWeek,
+  weekSelections,
+  toICalendar,
+};
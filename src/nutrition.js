@@ -0,0 +1,222 @@
+// Offline nutrition and allergen estimate for a recipe. Each ingredient line
+// is matched by name against the bundled food table (foodTable.js), its
+// amount turned into grams and the table values added up.
+//
+// Matching is fuzzy: accents, plurals and preparation words are ignored (the
+// same key as the shopping list) and a typo per word is tolerated. Lines
+// without a match are listed so the user can map them by hand. Those
+// mappings, { [mappingKey]: foodId, or null for "not a food" }, are kept by
+// the app and win over the automatic match in every recipe.
+
+const { fold, normalizeIngredients } = require('./ingredients');
+const { VOLUME_ML, MASS_G, normalizeServings } = require('./units');
+const { ingredientKey } = require('./shoppingList');
+const { FOODS } = require('./foodTable');
+
+const ALLERGENS = ['gluten', 'lactose', 'egg', 'peanut', 'seafood'];
+const NUTRIENTS = ['kcal', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Allergens are also flagged by name on lines without a sure match
+// ("biscoito maisena", "molho shoyu"), so a miss never hides one
+const ALLERGEN_WORDS = {
+  gluten: [
+    'trigo', 'farinha de rosca', 'pao', 'macarrao', 'massa', 'cevada', 'centeio', 'aveia', 'biscoito', 'bolacha',
+    'shoyu', 'wheat', 'flour', 'bread', 'pasta', 'barley', 'rye', 'cracker', 'harina', 'pan', 'galleta',
+  ],
+  lactose: [
+    'leite', 'queijo', 'manteiga', 'creme de leite', 'iogurte', 'requeijao', 'nata', 'milk', 'cheese', 'butter',
+    'cream', 'yogurt', 'leche', 'queso', 'mantequilla',
+  ],
+  egg: ['ovo', 'gema', 'clara', 'maionese', 'egg', 'yolk', 'mayonnaise', 'huevo', 'yema', 'mayonesa'],
+  peanut: ['amendoim', 'pacoca', 'peanut', 'cacahuete', 'mani'],
+  seafood: [
+    'camarao', 'lagosta', 'caranguejo', 'siri', 'lula', 'polvo', 'mexilhao', 'marisco', 'ostra', 'shrimp',
+    'prawn', 'lobster', 'crab', 'squid', 'octopus', 'mussel', 'clam', 'oyster', 'camaron', 'gamba',
+    'langosta', 'cangrejo', 'calamar', 'pulpo', 'mejillon', 'almeja',
+  ],
+};
+
+// Lowest score that counts as a match (see matchScore)
+const MATCH_THRESHOLD = 0.6;
+
+// Volumes the unit table doesn't define, in millilitres, and a pinch in grams
+const EXTRA_VOLUME_ML = { glass: 200, drizzle: 10, dash: 0.6 };
+const PINCH_G = 0.4;
+
+// "sal a gosto", "pepper to taste": too little to count
+const TO_TASTE = /\b(?:a gosto|q\.?b\.?|to taste|al gusto)\b/;
+
+const FOOD_BY_ID = new Map(FOODS.map(food => [food.id, food]));
+
+const keyWords = (text) => ingredientKey({ item: text }).split(' ').filter(Boolean);
+
+// Every spelling of every food as the words of its key
+const FOOD_NAMES = FOODS.flatMap(food => food.names.map(name => ({ food, words: keyWords(name) })));
+
+// Key the user's mappings are stored under: the shopping-list key, so
+// "2 ovos" and "1 ovo batido" share one mapping
+const mappingKey = (ingredient) => ingredientKey(ingredient) || fold(ingredient.original || '').trim();
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for the same word; a typo is allowed in words of five letters or more
+// ("mussarela" / "mucarela"), two from eight
+const wordSimilarity = (a, b) => {
+  if (a === b) return 1;
+  const length = Math.max(a.length, b.length);
+  if (Math.min(a.length, b.length) < 5) return 0;
+  const distance = editDistance(a, b);
+  return distance <= (length >= 8 ? 2 : 1) ? 1 - distance / length : 0;
+};
+
+// How well a food name covers an ingredient, 0 to 1. Every word of the name
+// should be in the line (weighs most); extra words in the line ("cebola
+// roxa") lower the score a little, so the most specific name wins.
+function matchScore(lineWords, nameWords) {
+  if (lineWords.length === 0 || nameWords.length === 0) return 0;
+  const best = nameWords.map(word => Math.max(...lineWords.map(lineWord => wordSimilarity(lineWord, word))));
+  if (best.every(similarity => similarity === 0)) return 0;
+  const nameCoverage = best.reduce((sum, similarity) => sum + similarity, 0) / nameWords.length;
+  const used = lineWords.filter(lineWord => nameWords.some(word => wordSimilarity(lineWord, word) > 0)).length;
+  return 0.7 * nameCoverage + 0.3 * (used / lineWords.length);
+}
+
+const bestFoods = (words) => {
+  const scores = new Map();
+  FOOD_NAMES.forEach(({ food, words: nameWords }) => {
+    const score = matchScore(words, nameWords);
+    if (score > (scores.get(food) || 0)) scores.set(food, score);
+  });
+  return [...scores.entries()]
+    .map(([food, score]) => ({ food, score }))
+    .sort((a, b) => b.score - a.score);
+};
+
+// { key, food, score, mapped }: the user's mapping when there is one,
+// otherwise the best match above MATCH_THRESHOLD (food null when none)
+function matchFood(ingredient, mappings = {}) {
+  const key = mappingKey(ingredient);
+  if (Object.prototype.hasOwnProperty.call(mappings, key)) {
+    const foodId = mappings[key];
+    return { key, food: (foodId && FOOD_BY_ID.get(foodId)) || null, score: 1, mapped: true };
+  }
+  const [best] = bestFoods(keyWords(ingredient.item || ingredient.original || ''));
+  return best && best.score >= MATCH_THRESHOLD
+    ? { key, food: best.food, score: best.score, mapped: false }
+    : { key, food: null, score: best ? best.score : 0, mapped: false };
+}
+
+// Foods to offer when mapping a line by hand, best first
+function searchFoods(query, { limit = 6 } = {}) {
+  const words = keyWords(query);
+  if (words.length === 0) return [];
+  return bestFoods(words).slice(0, limit).map(({ food }) => food);
+}
+
+const getFood = (foodId) => FOOD_BY_ID.get(foodId) || null;
+
+// Grams of `food` in an ingredient line, or null when the amount can't be
+// told ("cebola picada", "1 maço" of something sold by weight). Ranges
+// count their middle.
+function ingredientGrams(ingredient, food) {
+  const { quantity, quantityMax, unit } = ingredient;
+  if (quantity == null) return null;
+  const amount = quantityMax != null ? (quantity + quantityMax) / 2 : quantity;
+
+  if (MASS_G[unit]) return amount * MASS_G[unit];
+  if (VOLUME_ML[unit]) return amount * VOLUME_ML[unit] * food.density;
+  const portion = food.portions[unit || 'unit'];
+  if (portion) return amount * portion;
+  if (EXTRA_VOLUME_ML[unit]) return amount * EXTRA_VOLUME_ML[unit] * food.density;
+  if (unit === 'pinch') return amount * PINCH_G;
+  return null;
+}
+
+const mentionsAllergen = (ingredient, allergen) => {
+  const text = ` ${fold(ingredient.original).replace(/[^a-z0-9]+/g, ' ')} `;
+  return ALLERGEN_WORDS[allergen].some(word => new RegExp(` ${word}s? `).test(text));
+};
+
+const emptyNutrients = () => NUTRIENTS.reduce((totals, nutrient) => ({ ...totals, [nutrient]: 0 }), {});
+
+// Whole kcal, one decimal for grams
+const roundNutrients = (nutrients) => NUTRIENTS.reduce((rounded, nutrient) => ({
+  ...rounded,
+  [nutrient]: nutrient === 'kcal' ? Math.round(nutrients[nutrient]) : Math.round(nutrients[nutrient] * 10) / 10,
+}), {});
+
+// { total, perServing, servings, allergens, lines, unmatched, unmeasured,
+// approximate }. lines: [{ ingredient, key, food, score, grams, mapped,
+// status }] where status is 'counted', 'unmeasured' (no amount to count),
+// 'unmatched' or 'ignored' (mapped to "not a food"). approximate lists the
+// fuzzy matches, which the user may want to check. perServing is null when
+// servings are unknown.
+function estimateNutrition(recipe, { mappings = {} } = {}) {
+  const lines = normalizeIngredients(recipe.ingredients).map((ingredient) => {
+    const { key, food, score, mapped } = matchFood(ingredient, mappings);
+    const line = { ingredient, key, food, score, mapped, grams: null };
+    if (!food) return { ...line, status: mapped ? 'ignored' : 'unmatched' };
+    const grams = ingredientGrams(ingredient, food);
+    // Salt, water: no amount needed to know they add nothing
+    const weightless = NUTRIENTS.every(nutrient => food.per100g[nutrient] === 0);
+    const toTaste = ingredient.quantity == null && TO_TASTE.test(fold(ingredient.note || ''));
+    if (grams == null && !weightless && !toTaste) return { ...line, status: 'unmeasured' };
+    return { ...line, grams: grams || 0, status: 'counted' };
+  });
+
+  const total = emptyNutrients();
+  lines.filter(line => line.status === 'counted').forEach(({ food, grams }) => {
+    NUTRIENTS.forEach((nutrient) => {
+      total[nutrient] += (food.per100g[nutrient] * grams) / 100;
+    });
+  });
+
+  const servings = normalizeServings(recipe.servings);
+  const perServing = servings
+    ? NUTRIENTS.reduce((values, nutrient) => ({ ...values, [nutrient]: total[nutrient] / servings }), {})
+    : null;
+
+  // Exact and mapped matches trust the table ("leite de coco" has no
+  // lactose); anything fuzzier is also checked by its words
+  const allergens = ALLERGENS.filter(allergen => lines.some(({ ingredient, food, score, mapped }) => (
+    (food && food.allergens.includes(allergen))
+    || (!(food && (mapped || score === 1)) && mentionsAllergen(ingredient, allergen))
+  )));
+
+  return {
+    total: roundNutrients(total),
+    perServing: perServing && roundNutrients(perServing),
+    servings,
+    allergens,
+    lines,
+    unmatched: lines.filter(line => line.status === 'unmatched'),
+    unmeasured: lines.filter(line => line.status === 'unmeasured'),
+    approximate: lines.filter(line => line.food && !line.mapped && line.score < 1),
+  };
+}
+
+module.exports = {
+  ALLERGENS,
+  NUTRIENTS,
+  MATCH_THRESHOLD,
+  mappingKey,
+  matchFood,
+  searchFoods,
+  getFood,
+  ingredientGrams,
+  estimateNutrition,
+};
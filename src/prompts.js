@@ -0,0 +1,86 @@
+// Prompts sent to the recipe-structuring provider
+
+const { promptLanguage } = require('./language');
+const { ingredientText } = require('./ingredients');
+
+// A recipe in the shape the model answers in
+const promptRecipe = (recipe) => ({
+  title: recipe.title,
+  servings: recipe.servings == null ? null : recipe.servings,
+  ingredients: (recipe.ingredients || []).map(ingredientText),
+  steps: recipe.steps || [],
+});
+
+// `language` is a language code ('pt', 'en', 'es'). Without one the recipe
+// stays in the language of the text.
+function buildRecipePrompt(transcriptionText, { language } = {}) {
+  const languageRule = language
+    ? `You write the title, ingredients and instructions in ${promptLanguage(language)}. `
+    : 'You write the recipe in the same language as the text. ';
+  return `You are a skilled chef who converts spoken cooking instructions into structured recipes.
+            Extract the title, ingredients with quantities, and step-by-step instructions from this text.
+            Format your response as a JSON object with fields: title, servings (number of people it serves, or null if not mentioned),
+            ingredients (array of strings with quantities), and steps (array of strings). ${languageRule}Do not make any other comment only give me the structured answer.
+            Text: ${transcriptionText}`;
+}
+
+// `content` is the JSON from translation.translationContent. Only words are
+// sent, so quantities and units can't change on the way.
+function buildTranslationPrompt(content, language) {
+  return `You are a skilled chef who translates recipes into ${promptLanguage(language)}.
+            Translate every text value of this JSON object into ${promptLanguage(language)}, keeping its keys,
+            the number of entries in each array and their order. Ingredient names are translated into the name a cook
+            would look for in the supermarket. Do not make any other comment only give me the translated JSON.
+            Recipe: ${JSON.stringify(content)}`;
+}
+
+// Something said about a recipe after it was made: a forgotten step, another
+// ingredient or a correction. The model gets the recipe in the shape it
+// answers in and returns the whole updated recipe.
+function buildRecipeUpdatePrompt(recipe, additionText, { language } = {}) {
+  const current = promptRecipe(recipe);
+  const languageRule = language
+    ? `Keep writing in ${promptLanguage(language)}. `
+    : 'Keep writing in the language of the recipe. ';
+  return `You are a skilled chef who updates structured recipes from spoken notes.
+            The cook said something more about this recipe: new ingredients, a forgotten step or a correction
+            (for example "actually it is 3 eggs"). Apply it to the recipe: merge new ingredients into the list, insert new
+            steps at the point of the preparation where they belong, and change whatever is corrected. Leave everything
+            else exactly as it is. Answer with the whole updated recipe as a JSON object with the same fields: title,
+            servings, ingredients (array of strings with quantities) and steps (array of strings). ${languageRule}Do not make any other comment only give me the structured answer.
+            Recipe: ${JSON.stringify(current)}
+            Note: ${additionText}`;
+}
+
+const ADAPTATION_GOALS = {
+  vegetarian: () => 'Make it vegetarian: no meat, poultry, fish or seafood, including stocks made from them. Eggs and dairy are fine.',
+  glutenFree: () => 'Make it gluten-free: no wheat, barley, rye or anything made from them.',
+  lactoseFree: () => 'Make it lactose-free: no milk or dairy with lactose. Lactose-free versions are fine.',
+  substitute: ingredient => `The cook does not have "${ingredient}". Replace it with something a cook usually has at home.`,
+};
+
+// A diet or a missing ingredient. `substitutions` are the swaps from
+// adaptation.substitutionsFor; the model follows them unless the recipe
+// needs something else.
+function buildAdaptationPrompt(recipe, { adaptation, ingredient, substitutions = [], language } = {}) {
+  const swaps = substitutions.length > 0
+    ? `Prefer these substitutions: ${substitutions.map(({ from, to }) => `"${from}" -> ${to}`).join('; ')}. `
+    : '';
+  const languageRule = language
+    ? `Keep writing in ${promptLanguage(language)}. `
+    : 'Keep writing in the language of the recipe. ';
+  return `You are a skilled chef who adapts recipes to diets and to what the cook has at home.
+            ${ADAPTATION_GOALS[adaptation](ingredient)} ${swaps}Change only what has to change: the replaced
+            ingredients with their quantities, and the steps that use them (cooking times, order, technique). Leave
+            everything else exactly as it is. Answer with the whole adapted recipe as a JSON object with the same fields:
+            title (saying what changed), servings, ingredients (array of strings with quantities) and steps (array of
+            strings). ${languageRule}Do not make any other comment only give me the structured answer.
+            Recipe: ${JSON.stringify(promptRecipe(recipe))}`;
+}
+
+module.exports = {
+  buildRecipePrompt,
+  buildTranslationPrompt,
+  buildRecipeUpdatePrompt,
+  buildAdaptationPrompt,
+};
@@ -0,0 +1,60 @@
+// Cancellation helpers shared by the providers. AbortSignal.timeout and
+// AbortSignal.any are not available in React Native, so combine by hand.
+
+const abortError = (message = 'Request cancelled') => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+// Signal that aborts when `signal` does or after `timeoutMs`.
+// Call clear() once the request is over.
+function linkSignal(signal, timeoutMs) {
+  const controller = new AbortController();
+  const abort = (reason) => controller.abort(reason);
+  const onAbort = () => abort(abortError());
+  let timeout = null;
+
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort);
+  }
+  if (timeoutMs && Number.isFinite(timeoutMs)) {
+    timeout = setTimeout(() => abort(abortError(`Timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      if (timeout) clearTimeout(timeout);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : abortError();
+  }
+};
+
+// setTimeout that rejects as soon as the signal aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  throwIfAborted(signal);
+  const timeout = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  function onAbort() {
+    clearTimeout(timeout);
+    reject(signal.reason instanceof Error ? signal.reason : abortError());
+  }
+  if (signal) signal.addEventListener('abort', onAbort);
+});
+
+module.exports = {
+  abortError,
+  linkSignal,
+  throwIfAborted,
+  wait,
+};
@@ -0,0 +1,15 @@
+// Audio files for multipart uploads. React Native's FormData takes a
+// { uri, name, type } descriptor while Node needs an actual Blob, so pick
+// whichever the current runtime supports.
+
+const toFormDataFile = (audio) => {
+  const type = audio.mimeType || 'audio/m4a';
+  if (audio.uri && typeof Buffer === 'undefined') {
+    return [{ uri: audio.uri, name: audio.name || 'recording.m4a', type }];
+  }
+  return [new Blob([Buffer.from(audio.base64, 'base64')], { type }), audio.name || 'recording.m4a'];
+};
+
+module.exports = {
+  toFormDataFile,
+};
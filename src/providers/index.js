@@ -0,0 +1,76 @@
+// Provider registry shared by the app and the Node simulator.
+//
+// A transcription provider exposes `transcribe(audio, options) -> Promise<{ text, language }>`,
+// where `language` is the spoken language code Whisper detected ('pt', 'en'...)
+// and `options.language` optionally tells it which language to expect. `audio`
+// is { uri?, base64?, size?, mimeType }: recordings above INLINE_AUDIO_LIMIT
+// may leave out base64 and are uploaded from the file. A recipe provider
+// exposes `generate(prompt, options) -> Promise<string>` with the raw model
+// text. Both accept `{ signal, timeoutMs }` in their options to cancel or
+// bound a request. For progress, `transcribe` takes `onUploaded()` and
+// `generate` takes `onToken(token, textSoFar)`, which streams the output.
+// Which implementation is used is decided by configuration only, so UI code
+// never talks to a vendor API directly.
+
+const {
+  INLINE_AUDIO_LIMIT,
+  createReplicateTranscriptionProvider,
+  createReplicateRecipeProvider,
+} = require('./replicate');
+const {
+  createOpenAITranscriptionProvider,
+  createOpenAIRecipeProvider,
+} = require('./openaiCompatible');
+
+const transcriptionFactories = {
+  replicate: (config) => createReplicateTranscriptionProvider(config.replicate),
+  openai: (config) => createOpenAITranscriptionProvider(config.openai),
+};
+
+const recipeFactories = {
+  replicate: (config) => createReplicateRecipeProvider(config.replicate),
+  openai: (config) => createOpenAIRecipeProvider(config.openai),
+};
+
+const pick = (factories, name, kind) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown ${kind} provider "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory;
+};
+
+// Build the provider config from environment-style variables
+// (process.env in Node, the @env module in the app)
+function providerConfigFromEnv(env = {}) {
+  const defaultProvider = env.AI_PROVIDER || 'replicate';
+  return {
+    transcriptionProvider: env.TRANSCRIPTION_PROVIDER || defaultProvider,
+    recipeProvider: env.RECIPE_PROVIDER || defaultProvider,
+    replicate: {
+      apiToken: env.REPLICATE_API_TOKEN,
+      transcriptionModel: env.REPLICATE_TRANSCRIPTION_MODEL,
+      recipeModel: env.REPLICATE_RECIPE_MODEL,
+      baseUrl: env.REPLICATE_BASE_URL || undefined,
+    },
+    openai: {
+      baseUrl: env.OPENAI_BASE_URL || undefined,
+      apiKey: env.OPENAI_API_KEY,
+      transcriptionModel: env.OPENAI_TRANSCRIPTION_MODEL || undefined,
+      recipeModel: env.OPENAI_RECIPE_MODEL || undefined,
+    },
+  };
+}
+
+function createProviders(config) {
+  return {
+    transcription: pick(transcriptionFactories, config.transcriptionProvider, 'transcription')(config),
+    recipe: pick(recipeFactories, config.recipeProvider, 'recipe')(config),
+  };
+}
+
+module.exports = {
+  INLINE_AUDIO_LIMIT,
+  providerConfigFromEnv,
+  createProviders,
+};
@@ -0,0 +1,132 @@
+// OpenAI-compatible implementation of the transcription and recipe providers.
+// Works against the OpenAI API as well as local stand-ins that expose the
+// same routes (llama.cpp server, whisper.cpp / faster-whisper servers, LocalAI...)
+
+const { linkSignal } = require('./abort');
+const { streamEvents } = require('./sse');
+const { toFormDataFile } = require('./formData');
+const { languageCode } = require('../language');
+
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// fetch that gives up after `timeoutMs` or when `signal` aborts
+const fetchWithTimeout = async (url, init, { signal, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const linked = linkSignal(signal, timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: linked.signal });
+  } catch (error) {
+    throw linked.signal.aborted && linked.signal.reason instanceof Error ? linked.signal.reason : error;
+  } finally {
+    linked.clear();
+  }
+};
+
+const authHeaders = (apiKey) => (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {});
+
+const readError = async (response) => {
+  try {
+    const body = await response.json();
+    return (body.error && (body.error.message || body.error)) || response.status;
+  } catch (e) {
+    return response.status;
+  }
+};
+
+// Read a `stream: true` chat completion: `data:` chunks with a content delta
+// each, then `data: [DONE]`
+const streamCompletion = async (url, request, onToken, { signal, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const linked = linkSignal(signal, timeoutMs);
+  let text = '';
+  try {
+    await streamEvents(url, {
+      ...request,
+      signal: linked.signal,
+      onEvent: ({ data }) => {
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        if (chunk.error) throw new Error(`Recipe request failed: ${chunk.error.message || chunk.error}`);
+        const choice = chunk.choices && chunk.choices[0];
+        const token = (choice && choice.delta && choice.delta.content) || '';
+        if (token) {
+          text += token;
+          onToken(token, text);
+        }
+      },
+    });
+    return text;
+  } catch (error) {
+    throw linked.signal.aborted && linked.signal.reason instanceof Error ? linked.signal.reason : error;
+  } finally {
+    linked.clear();
+  }
+};
+
+function createOpenAITranscriptionProvider({ baseUrl = DEFAULT_BASE_URL, apiKey, transcriptionModel = 'whisper-1' }) {
+  return {
+    name: 'openai',
+    // audio: { uri?, base64?, mimeType, name? }; React Native uploads from
+    // the uri, Node from base64. verbose_json also reports
+    // the language that was detected (or the one passed as a hint).
+    transcribe: async (audio, { language, onUploaded, ...options } = {}) => {
+      const form = new FormData();
+      form.append('file', ...toFormDataFile(audio));
+      form.append('model', transcriptionModel);
+      form.append('response_format', 'verbose_json');
+      if (language) form.append('language', language);
+
+      // Upload and transcription are a single request here, so the upload
+      // can't be told apart from the wait for the transcript
+      if (onUploaded) onUploaded();
+
+      const response = await fetchWithTimeout(`${baseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: authHeaders(apiKey),
+        body: form,
+      }, options);
+      if (!response.ok) {
+        throw new Error(`Transcription request failed: ${await readError(response)}`);
+      }
+      const result = await response.json();
+      return { text: result.text || '', language: languageCode(result.language || language) };
+    },
+  };
+}
+
+function createOpenAIRecipeProvider({ baseUrl = DEFAULT_BASE_URL, apiKey, recipeModel = 'local-model' }) {
+  return {
+    name: 'openai',
+    // With `onToken` the completion is streamed token by token
+    generate: async (prompt, { maxTokens = 1000, temperature = 0.1, topP = 0.95, onToken, ...options } = {}) => {
+      const request = {
+        method: 'POST',
+        headers: {
+          ...authHeaders(apiKey),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          model: recipeModel,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: maxTokens,
+          temperature,
+          top_p: topP,
+          ...(onToken ? { stream: true } : {}),
+        }),
+      };
+      if (onToken) return streamCompletion(`${baseUrl}/chat/completions`, request, onToken, options);
+
+      const response = await fetchWithTimeout(`${baseUrl}/chat/completions`, request, options);
+      if (!response.ok) {
+        throw new Error(`Recipe request failed: ${await readError(response)}`);
+      }
+      const result = await response.json();
+      const choice = result.choices && result.choices[0];
+      return (choice && choice.message && choice.message.content) || '';
+    },
+  };
+}
+
+module.exports = {
+  createOpenAITranscriptionProvider,
+  createOpenAIRecipeProvider,
+};
@@ -0,0 +1,276 @@
+// Replicate implementation of the transcription and recipe providers
+
+const { linkSignal, wait } = require('./abort');
+const { streamEvents } = require('./sse');
+const { toFormDataFile } = require('./formData');
+const { languageCode } = require('../language');
+
+const DEFAULT_BASE_URL = 'https://api.replicate.com/v1';
+const WHISPER_VERSION = '84d2ad2d6194fe98a17d2b60bef1c7f910c46b2f6fd38996ca457afd9c8abfcb';
+const LLAMA_MODEL = 'meta/meta-llama-3-8b-instruct';
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+// Audio up to this size goes inline as a data URI; bigger files are uploaded
+// through the files API first
+const INLINE_AUDIO_LIMIT = 256 * 1024;
+
+// Replicate returns either a plain string, an array of streamed tokens
+// or an object (Whisper returns { transcription, segments, ... })
+const outputToText = (output) => {
+  if (output == null) return '';
+  if (typeof output === 'string') return output;
+  if (Array.isArray(output)) return output.join('');
+  return output.transcription || JSON.stringify(output);
+};
+
+// Stream events carry JSON (`{"detail": ...}`, `{"reason": "canceled"}`) or nothing
+const readEventData = (data) => {
+  try {
+    return JSON.parse(data) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+function createReplicateClient({
+  apiToken,
+  baseUrl = DEFAULT_BASE_URL,
+  pollInterval = 1000,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const headers = {
+    'Authorization': `Token ${apiToken}`,
+    'Content-Type': 'application/json',
+  };
+
+  const createPrediction = async (body, { signal } = {}) => {
+    const response = await fetch(`${baseUrl}/predictions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+    const prediction = await response.json();
+    if (!response.ok || !prediction.id) {
+      throw new Error(`Replicate request failed: ${prediction.detail || response.status}`);
+    }
+    return prediction;
+  };
+
+  const getPrediction = async (predictionId, { signal } = {}) => {
+    const response = await fetch(`${baseUrl}/predictions/${predictionId}`, { headers, signal });
+    if (response.status === 404) {
+      throw new Error('Prediction not found');
+    }
+    return response.json();
+  };
+
+  // Upload a file for use as a prediction input. Resolves to
+  // { id, urls: { get } }; pass urls.get as the input.
+  const uploadFile = async (audio, { signal } = {}) => {
+    const form = new FormData();
+    form.append('content', ...toFormDataFile(audio));
+    const response = await fetch(`${baseUrl}/files`, {
+      method: 'POST',
+      headers: { 'Authorization': headers.Authorization },
+      body: form,
+      signal,
+    });
+    const file = await response.json();
+    if (!response.ok || !file.urls) {
+      throw new Error(`Replicate upload failed: ${file.detail || response.status}`);
+    }
+    return file;
+  };
+
+  const deleteFile = async (fileId) => {
+    try {
+      await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE', headers });
+    } catch (e) {
+      console.warn('Failed to delete uploaded file', fileId, e.message);
+    }
+  };
+
+  // Best effort: stop paying for a prediction nobody is waiting for
+  const cancelPrediction = async (predictionId) => {
+    try {
+      await fetch(`${baseUrl}/predictions/${predictionId}/cancel`, { method: 'POST', headers });
+    } catch (e) {
+      console.warn('Failed to cancel prediction', predictionId, e.message);
+    }
+  };
+
+  // Poll a prediction until it reaches a terminal status. `onStatus` hears
+  // every status change (starting -> processing -> ...).
+  const waitForPrediction = async (predictionId, { maxAttempts = Infinity, signal, onStatus } = {}) => {
+    let lastStatus = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      await wait(pollInterval, signal);
+      const prediction = await getPrediction(predictionId, { signal });
+      if (onStatus && prediction.status !== lastStatus) onStatus(prediction.status);
+      lastStatus = prediction.status;
+
+      if (prediction.status === 'succeeded') {
+        return prediction;
+      }
+      if (prediction.status === 'failed' || prediction.status === 'canceled') {
+        throw new Error(`Prediction ${prediction.status}: ${prediction.error || 'Unknown error'}`);
+      }
+    }
+    throw new Error('Prediction timed out');
+  };
+
+  // Run `work(signal, prediction)` for a new prediction. Gives up after
+  // `timeoutMs` or when `signal` aborts, cancelling the prediction on
+  // Replicate's side.
+  const withPrediction = async (body, { signal, timeoutMs: runTimeoutMs = timeoutMs, onStatus }, work) => {
+    const linked = linkSignal(signal, runTimeoutMs);
+    let predictionId = null;
+    try {
+      const prediction = await createPrediction(body, { signal: linked.signal });
+      predictionId = prediction.id;
+      if (onStatus) onStatus(prediction.status);
+      return await work(linked.signal, prediction);
+    } catch (error) {
+      if (predictionId && linked.signal.aborted) {
+        cancelPrediction(predictionId);
+      }
+      throw linked.signal.aborted && linked.signal.reason instanceof Error ? linked.signal.reason : error;
+    } finally {
+      linked.clear();
+    }
+  };
+
+  // Create a prediction and wait for its raw output
+  const run = (body, { maxAttempts, onStatus, ...options } = {}) => withPrediction(
+    body,
+    { ...options, onStatus },
+    async (signal, prediction) => {
+      const result = await waitForPrediction(prediction.id, { maxAttempts, signal, onStatus });
+      return result.output;
+    }
+  );
+
+  // Create a prediction with streamed output, passing each token to
+  // `onToken(token, textSoFar)`. Resolves to the whole text. Models that
+  // don't stream are polled instead and report their output in one go.
+  const stream = (body, { onToken, maxAttempts, onStatus, ...options } = {}) => withPrediction(
+    { ...body, stream: true },
+    { ...options, onStatus },
+    async (signal, prediction) => {
+      const streamUrl = prediction.urls && prediction.urls.stream;
+      if (!streamUrl) {
+        const result = await waitForPrediction(prediction.id, { maxAttempts, signal, onStatus });
+        const text = outputToText(result.output);
+        onToken(text, text);
+        return text;
+      }
+
+      let text = '';
+      await streamEvents(streamUrl, {
+        headers: { 'Authorization': headers.Authorization },
+        signal,
+        onEvent: ({ event, data }) => {
+          if (event === 'output') {
+            text += data;
+            onToken(data, text);
+          } else if (event === 'error') {
+            const { detail } = readEventData(data);
+            throw new Error(`Prediction failed: ${detail || data || 'Unknown error'}`);
+          } else if (event === 'done' && readEventData(data).reason === 'canceled') {
+            throw new Error('Prediction canceled');
+          }
+        },
+      });
+      return text;
+    }
+  );
+
+  return {
+    createPrediction,
+    getPrediction,
+    cancelPrediction,
+    waitForPrediction,
+    uploadFile,
+    deleteFile,
+    run,
+    stream,
+  };
+}
+
+function createReplicateTranscriptionProvider(config) {
+  const client = createReplicateClient(config);
+  const version = config.transcriptionModel || WHISPER_VERSION;
+  const inlineAudioLimit = config.inlineAudioLimit || INLINE_AUDIO_LIMIT;
+
+  // `size` is the file size when known, otherwise what base64 decodes to
+  const isInline = (audio) => Boolean(audio.base64)
+    && (audio.size != null ? audio.size : Math.ceil(audio.base64.length * 3 / 4)) <= inlineAudioLimit;
+
+  return {
+    name: 'replicate',
+    // audio: { base64?, uri?, size?, mimeType }. Without a `language` hint
+    // Whisper detects the spoken language and reports it as
+    // `detected_language`. Inline audio has arrived once the prediction
+    // exists; bigger files once their upload is done.
+    transcribe: async (audio, { language, onUploaded, ...options } = {}) => {
+      const file = isInline(audio) ? null : await client.uploadFile(audio, options);
+      let uploaded = false;
+      const markUploaded = () => {
+        if (uploaded || !onUploaded) return;
+        uploaded = true;
+        onUploaded();
+      };
+      if (file) markUploaded();
+
+      try {
+        const output = await client.run({
+          version,
+          input: {
+            audio_file: file ? file.urls.get : `data:${audio.mimeType || 'audio/m4a'};base64,${audio.base64}`,
+            ...(language ? { language } : {}),
+          },
+        }, { ...options, onStatus: markUploaded });
+        return {
+          text: outputToText(output),
+          language: languageCode((output && output.detected_language) || language),
+        };
+      } finally {
+        if (file) client.deleteFile(file.id);
+      }
+    },
+  };
+}
+
+function createReplicateRecipeProvider(config) {
+  const client = createReplicateClient(config);
+  const version = config.recipeModel || LLAMA_MODEL;
+
+  return {
+    name: 'replicate',
+    // With `onToken` the output is streamed token by token
+    generate: async (prompt, { maxTokens = 1000, temperature = 0.1, topP = 0.95, onToken, ...options } = {}) => {
+      const body = {
+        version,
+        input: {
+          prompt,
+          max_tokens: maxTokens,
+          temperature,
+          top_p: topP,
+        },
+      };
+      return onToken
+        ? client.stream(body, { ...options, onToken })
+        : outputToText(await client.run(body, options));
+    },
+  };
+}
+
+module.exports = {
+  WHISPER_VERSION,
+  INLINE_AUDIO_LIMIT,
+  LLAMA_MODEL,
+  outputToText,
+  createReplicateClient,
+  createReplicateTranscriptionProvider,
+  createReplicateRecipeProvider,
+};
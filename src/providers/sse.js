@@ -0,0 +1,145 @@
+// Server-sent events for streamed model output. React Native's fetch can't
+// read a response body as it arrives, so streams go through XMLHttpRequest
+// progress events there and through the fetch body reader in Node.
+
+const { abortError } = require('./abort');
+
+// Feed text chunks in, get { event, data, id } events out. Chunks may split
+// lines anywhere; events are dispatched on the blank line that ends them.
+function createSseParser(onEvent) {
+  let buffer = '';
+  let event = null;
+  let data = [];
+  let id = null;
+
+  const dispatch = () => {
+    if (data.length > 0) onEvent({ event: event || 'message', data: data.join('\n'), id });
+    event = null;
+    data = [];
+  };
+
+  const readLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+    else if (field === 'id') id = value;
+  };
+
+  return {
+    push: (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => readLine(line.replace(/\r$/, '')));
+    },
+    // Streams may close without the final blank line
+    end: () => {
+      if (buffer) readLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      dispatch();
+    },
+  };
+}
+
+const streamWithXhr = (url, { method, headers, body, signal }, parser) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  let seen = 0;
+  let settled = false;
+  const finish = (error) => {
+    if (settled) return;
+    settled = true;
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (error) reject(error);
+    else resolve();
+  };
+  const readNew = () => {
+    const text = xhr.responseText || '';
+    parser.push(text.slice(seen));
+    seen = text.length;
+  };
+  function onAbort() {
+    xhr.abort();
+    finish(signal.reason instanceof Error ? signal.reason : abortError());
+  }
+
+  xhr.open(method, url);
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+  xhr.onprogress = () => {
+    if (xhr.status >= 400) return;
+    try {
+      readNew();
+    } catch (error) {
+      xhr.abort();
+      finish(error);
+    }
+  };
+  xhr.onload = () => {
+    if (xhr.status >= 400) {
+      finish(new Error(`Stream request failed: ${xhr.status}`));
+      return;
+    }
+    try {
+      readNew();
+      parser.end();
+      finish();
+    } catch (error) {
+      finish(error);
+    }
+  };
+  xhr.onerror = () => finish(new Error('Stream request failed'));
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort);
+  }
+  xhr.send(body || null);
+});
+
+const streamWithFetch = async (url, { method, headers, body, signal }, parser) => {
+  const response = await fetch(url, { method, headers, body, signal });
+  if (!response.ok) {
+    throw new Error(`Stream request failed: ${response.status}`);
+  }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.end();
+  } finally {
+    reader.releaseLock();
+  }
+};
+
+// Open an event stream and call `onEvent` for every event until the server
+// closes it. Throwing from `onEvent` stops the stream with that error.
+function streamEvents(url, { method = 'GET', headers = {}, body, signal, onEvent }) {
+  const parser = createSseParser(onEvent);
+  const request = {
+    method,
+    headers: { Accept: 'text/event-stream', 'Cache-Control': 'no-store', ...headers },
+    body,
+    signal,
+  };
+  return typeof XMLHttpRequest !== 'undefined'
+    ? streamWithXhr(url, request, parser)
+    : streamWithFetch(url, request, parser);
+}
+
+module.exports = {
+  createSseParser,
+  streamEvents,
+};
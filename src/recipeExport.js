@@ -0,0 +1,243 @@
+// Export recipes as a JSON backup, Markdown or schema.org Recipe JSON-LD, and
+// import them back with validation, deduplication and merging.
+
+const { fold, normalizeIngredients, ingredientText } = require('./ingredients');
+const { normalizeServings } = require('./units');
+const { SCHEMA_VERSION, migrateRecipes } = require('./recipeRepository');
+const { newId } = require('./recipeList');
+
+const BACKUP_FORMAT = 'cooking-master-backup';
+const BACKUP_VERSION = 1;
+
+// Fields that only make sense on the device that created them
+const LOCAL_FIELDS = ['audioUri', 'audioSegments', 'parseError'];
+
+const withoutLocalFields = (recipe) => {
+  const exported = { ...recipe };
+  LOCAL_FIELDS.forEach(field => delete exported[field]);
+  return exported;
+};
+
+// Full-fidelity backup, readable back by parseImport on any phone
+function toBackup(recipes) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    recipes: recipes.map(withoutLocalFields),
+  }, null, 2);
+}
+
+// Same layout as the simulator's displayRecipe
+function toMarkdown(recipes) {
+  return recipes.map(recipe => {
+    const lines = [`# ${recipe.title}`, ''];
+    if (recipe.servings) lines.push(`Serves ${recipe.servings}`, '');
+    if (recipe.tags && recipe.tags.length > 0) {
+      lines.push(recipe.tags.map(tag => `#${tag}`).join(' '), '');
+    }
+    lines.push('## Ingredients', '');
+    (recipe.ingredients || []).forEach((ingredient, index) => lines.push(`${index + 1}. ${ingredientText(ingredient)}`));
+    lines.push('', '## Instructions', '');
+    (recipe.steps || []).forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+    return lines.join('\n');
+  }).join('\n\n---\n\n') + '\n';
+}
+
+const toJsonLdRecipe = (recipe) => {
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    identifier: recipe.id,
+    name: recipe.title,
+    recipeIngredient: (recipe.ingredients || []).map(ingredientText),
+    recipeInstructions: (recipe.steps || []).map(text => ({ '@type': 'HowToStep', text })),
+  };
+  if (recipe.servings) jsonLd.recipeYield = String(recipe.servings);
+  if (recipe.tags && recipe.tags.length > 0) jsonLd.keywords = recipe.tags.join(', ');
+  if (recipe.date) jsonLd.dateCreated = recipe.date;
+  if (recipe.updatedAt) jsonLd.dateModified = recipe.updatedAt;
+  return jsonLd;
+};
+
+// One recipe becomes a single Recipe object, several become an array
+function toJsonLd(recipes) {
+  const items = recipes.map(toJsonLdRecipe);
+  return JSON.stringify(items.length === 1 ? items[0] : items, null, 2);
+}
+
+const asText = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return asText(value[0]);
+  if (typeof value === 'object') return asText(value.text || value.name || value['@value']);
+  return String(value);
+};
+
+const isType = (node, type) => node && [].concat(node['@type'] || []).includes(type);
+
+// recipeInstructions may be text, HowToStep items or HowToSections of steps
+const instructionSteps = (instructions) => {
+  if (!instructions) return [];
+  if (typeof instructions === 'string') {
+    return instructions.split(/\n+/).map(step => step.trim()).filter(Boolean);
+  }
+  return [].concat(instructions).flatMap(item => {
+    if (typeof item === 'string') return instructionSteps(item);
+    if (isType(item, 'HowToSection')) return instructionSteps(item.itemListElement);
+    return [asText(item)].filter(Boolean);
+  });
+};
+
+const fromJsonLdRecipe = (node) => {
+  const keywords = [].concat(node.keywords || [])
+    .flatMap(keyword => String(keyword).split(','))
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+  const recipe = {
+    id: asText(node.identifier) || undefined,
+    title: asText(node.name),
+    servings: normalizeServings(asText(node.recipeYield)),
+    ingredients: [].concat(node.recipeIngredient || node.ingredients || []).map(asText),
+    steps: instructionSteps(node.recipeInstructions),
+    tags: keywords,
+  };
+  if (node.dateCreated || node.datePublished) recipe.date = asText(node.dateCreated || node.datePublished);
+  if (node.dateModified) recipe.updatedAt = asText(node.dateModified);
+  return recipe;
+};
+
+// Recipe nodes anywhere in a JSON-LD document (plain, array or @graph)
+const findJsonLdRecipes = (node) => {
+  if (Array.isArray(node)) return node.flatMap(findJsonLdRecipes);
+  if (!node || typeof node !== 'object') return [];
+  if (isType(node, 'Recipe')) return [node];
+  return findJsonLdRecipes(node['@graph']);
+};
+
+// Check the shape of an imported recipe and bring it to the stored model.
+// Returns { recipe } or { error }.
+function validateImportedRecipe(candidate) {
+  if (!candidate || typeof candidate !== 'object') return { error: 'Not a recipe object' };
+  const title = typeof candidate.title === 'string' ? candidate.title.trim() : '';
+  if (!title) return { error: 'Missing title' };
+  if (!Array.isArray(candidate.ingredients)) return { error: `"${title}" has no ingredient list` };
+  if (!Array.isArray(candidate.steps)) return { error: `"${title}" has no step list` };
+
+  return {
+    recipe: {
+      ...withoutLocalFields(candidate),
+      id: candidate.id ? String(candidate.id) : undefined,
+      title,
+      servings: normalizeServings(candidate.servings),
+      ingredients: normalizeIngredients(candidate.ingredients),
+      steps: candidate.steps.map(step => String(step).trim()).filter(Boolean),
+      tags: Array.isArray(candidate.tags) ? candidate.tags.map(String) : [],
+    },
+  };
+}
+
+// Read a backup, JSON-LD document or plain recipe array.
+// Returns { recipes, errors } or throws when the text isn't a known format.
+function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  let candidates;
+  if (data && data.format === BACKUP_FORMAT) {
+    if (data.version > BACKUP_VERSION || data.schemaVersion > SCHEMA_VERSION) {
+      throw new Error('The backup was made by a newer app version');
+    }
+    // Bring older backups up to the current recipe schema
+    candidates = migrateRecipes(Array.isArray(data.recipes) ? data.recipes : [], data.schemaVersion || 0);
+  } else if (findJsonLdRecipes(data).length > 0) {
+    candidates = findJsonLdRecipes(data).map(fromJsonLdRecipe);
+  } else if (Array.isArray(data)) {
+    candidates = data;
+  } else {
+    throw new Error('No recipes found in the file');
+  }
+
+  const recipes = [];
+  const errors = [];
+  candidates.forEach((candidate, index) => {
+    const { recipe, error } = validateImportedRecipe(candidate);
+    if (error) errors.push({ index, message: error });
+    else recipes.push(recipe);
+  });
+  return { recipes, errors };
+}
+
+// FNV-1a over the folded title, ingredients and steps: the same recipe typed
+// with different accents, case or spacing hashes the same
+function contentHash(recipe) {
+  const content = [
+    recipe.title || '',
+    ...(recipe.ingredients || []).map(ingredientText),
+    ...(recipe.steps || []),
+  ].map(line => fold(String(line)).replace(/\s+/g, ' ').trim()).join('\n');
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < content.length; i += 1) {
+    hash ^= content.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Merge imported recipes into the list. A recipe with a known id replaces the
+// saved one only when it was edited more recently; one whose content matches
+// a saved recipe is skipped. Everything else is appended.
+function mergeRecipes(existing, incoming) {
+  const merged = [...existing];
+  const hashes = new Set(existing.map(contentHash));
+  const summary = { added: 0, updated: 0, skipped: 0 };
+
+  incoming.forEach(recipe => {
+    const index = recipe.id ? merged.findIndex(item => item.id === recipe.id) : -1;
+    if (index !== -1) {
+      const current = merged[index];
+      const isNewer = (recipe.updatedAt || recipe.date || '') > (current.updatedAt || current.date || '');
+      if (isNewer && contentHash(recipe) !== contentHash(current)) {
+        // Keep the local recording, which the export left out
+        merged[index] = { ...recipe, audioUri: current.audioUri, audioSegments: current.audioSegments };
+        if (!merged[index].audioUri) delete merged[index].audioUri;
+        if (!merged[index].audioSegments) delete merged[index].audioSegments;
+        summary.updated += 1;
+      } else {
+        summary.skipped += 1;
+      }
+      return;
+    }
+
+    const hash = contentHash(recipe);
+    if (hashes.has(hash)) {
+      summary.skipped += 1;
+      return;
+    }
+    hashes.add(hash);
+    merged.push({ ...recipe, id: recipe.id || newId(), date: recipe.date || new Date().toISOString() });
+    summary.added += 1;
+  });
+
+  return { recipes: merged, ...summary };
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  toBackup,
+  toMarkdown,
+  toJsonLd,
+  parseImport,
+  findJsonLdRecipes,
+  fromJsonLdRecipe,
+  validateImportedRecipe,
+  contentHash,
+  mergeRecipes,
+};
@@ -0,0 +1,63 @@
+// Saved versions of a recipe, so a bad edit or a regeneration that dropped a
+// step can be undone. Each saved change adds { id, at, source, recipe } to
+// the recipe's history (oldest first), where `recipe` holds the content
+// fields only and source is one of VERSION_SOURCES. The repository stores
+// it next to the recipe (recipeRepository.addVersion).
+
+const { diffRecipes } = require('./recipeUpdate');
+const { newId } = require('./recipeList');
+
+// 'saved' is the state a recipe had before it had a history
+const VERSION_SOURCES = ['created', 'saved', 'edit', 'addition', 'regenerate', 'restore', 'import'];
+const MAX_VERSIONS = 50;
+
+// What a version keeps: the parts a change can lose
+const versionContent = (recipe) => JSON.parse(JSON.stringify({
+  title: recipe.title || '',
+  servings: recipe.servings == null ? null : recipe.servings,
+  ingredients: recipe.ingredients || [],
+  steps: recipe.steps || [],
+}));
+
+const sameContent = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const makeVersion = (recipe, source, at) => ({
+  id: newId(),
+  at,
+  source,
+  recipe: versionContent(recipe),
+});
+
+// The history with the saved `recipe` added. `previous` is the saved
+// version it replaces, kept first when there is no history yet. Returns
+// `history` itself when nothing changed, so it needn't be written.
+function recordVersion(history, recipe, { source, previous, at = new Date().toISOString() } = {}) {
+  const versions = history.length === 0 && previous
+    ? [makeVersion(previous, 'saved', previous.updatedAt || previous.date || at)]
+    : history;
+  const last = versions[versions.length - 1];
+  if (last && sameContent(last.recipe, versionContent(recipe))) return history;
+  return [...versions, makeVersion(recipe, source, at)].slice(-MAX_VERSIONS);
+}
+
+// What the open recipe's changes are saved as after `change` ('edit' or
+// 'regenerate'), given the source so far. A regeneration touched up by hand
+// is still saved as 'regenerate': the edit didn't write the recipe.
+const nextChangeSource = (current, change) => (current === 'regenerate' ? current : change);
+
+// What changed from one version to another, as recipeUpdate.diffRecipes
+const diffVersions = (from, to) => diffRecipes(from.recipe, to.recipe);
+
+// The recipe with an older version's content back. Everything else (id,
+// recording, tags, cooking history) stays as it is now.
+const restoreVersion = (recipe, version) => ({ ...recipe, ...version.recipe });
+
+module.exports = {
+  VERSION_SOURCES,
+  MAX_VERSIONS,
+  versionContent,
+  recordVersion,
+  nextChangeSource,
+  diffVersions,
+  restoreVersion,
+};
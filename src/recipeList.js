@@ -0,0 +1,77 @@
+// Pure helpers for managing the saved recipe list
+
+const newId = () => `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+
+// Insert a recipe, or overwrite the saved one with the same id. The original
+// creation date is kept so re-saving doesn't reorder or duplicate the list.
+function upsertRecipe(recipes, recipe) {
+  const now = new Date().toISOString();
+  const existing = recipe.id && recipes.find(item => item.id === recipe.id);
+  if (existing) {
+    const updated = { ...recipe, date: existing.date || now, updatedAt: now };
+    return recipes.map(item => (item.id === recipe.id ? updated : item));
+  }
+  return [...recipes, { ...recipe, id: recipe.id || newId(), date: now }];
+}
+
+// Remove recipes by id, returning the new list and what is needed to undo it
+function removeRecipes(recipes, ids) {
+  const idSet = new Set(ids);
+  const removed = [];
+  recipes.forEach((recipe, index) => {
+    if (idSet.has(recipe.id)) removed.push({ index, recipe });
+  });
+  return {
+    recipes: recipes.filter(recipe => !idSet.has(recipe.id)),
+    removed,
+  };
+}
+
+// Put previously removed recipes back at their original positions
+function restoreRecipes(recipes, removed) {
+  const restored = [...recipes];
+  removed
+    .filter(({ recipe }) => !restored.some(item => item.id === recipe.id))
+    .forEach(({ index, recipe }) => {
+      restored.splice(Math.min(index, restored.length), 0, recipe);
+    });
+  return restored;
+}
+
+// `title` is the copy's, translated by the caller
+function duplicateRecipe(recipe, title = `${recipe.title} (copy)`) {
+  const now = new Date().toISOString();
+  return {
+    ...recipe,
+    id: newId(),
+    title,
+    date: now,
+    updatedAt: undefined,
+  };
+}
+
+// A new recipe made from `recipe` with `fields` changed, such as a translated
+// copy. The recording and cooking history belong to the original.
+function derivedCopy(recipe, fields) {
+  const copy = {
+    ...recipe,
+    ...fields,
+    id: newId(),
+    date: new Date().toISOString(),
+    updatedAt: undefined,
+  };
+  delete copy.audioUri;
+  delete copy.audioSegments;
+  delete copy.lastCookedAt;
+  delete copy.parseError;
+  return copy;
+}
+
+module.exports = {
+  newId,
+  upsertRecipe,
+  removeRecipes,
+  restoreRecipes,
+  duplicateRecipe,
+  derivedCopy,
+};
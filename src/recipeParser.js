@@ -0,0 +1,396 @@
+// Shared parser for recipe-structuring model output.
+//
+// Accepts the raw output as a string or as an array of streamed chunks,
+// finds the JSON object inside markdown fences or surrounding prose, repairs
+// the faults LLMs commonly make (single quotes, unquoted keys, trailing or
+// missing commas, truncated output) and validates the result against the
+// recipe schema. Failures come back as structured errors that keep the raw
+// text so the user can review it.
+
+const { normalizeIngredients } = require('./ingredients');
+const { normalizeServings } = require('./units');
+
+const FIELD_ALIASES = {
+  title: ['title', 'titulo', 'título', 'name', 'nome', 'recipe_name', 'recipeName'],
+  servings: ['servings', 'serves', 'yield', 'porcoes', 'porções', 'rendimento'],
+  ingredients: ['ingredients', 'ingredientes'],
+  steps: [
+    'steps', 'instructions', 'directions', 'method', 'preparation',
+    'passos', 'instrucoes', 'instruções', 'modo_de_preparo', 'modoDePreparo', 'preparo',
+  ],
+};
+
+const failure = (code, message, raw, details = []) => ({
+  ok: false,
+  error: { code, message, details },
+  raw,
+});
+
+// Chunk arrays are joined; a string holding a JSON array of string fragments
+// (how outputs used to be stored) is decoded and joined too
+function outputToText(output) {
+  if (output == null) return '';
+  if (Array.isArray(output)) return output.map(chunk => (chunk == null ? '' : String(chunk))).join('');
+  if (typeof output !== 'string') return JSON.stringify(output);
+
+  const trimmed = output.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      const fragments = JSON.parse(trimmed);
+      if (Array.isArray(fragments) && fragments.every(fragment => typeof fragment === 'string')) {
+        return fragments.join('');
+      }
+    } catch (e) {
+      // Not a fragment array, use the text as is
+    }
+  }
+  return output;
+}
+
+// Locate the outermost JSON object, preferring the inside of a ```json fence.
+// `truncated` is set when the object never closes (max_tokens reached).
+function extractJsonCandidate(text) {
+  const fence = text.match(/```(?:json|JSON)?\s*([\s\S]*?)(?:```|$)/);
+  const source = fence && fence[1].includes('{') ? fence[1] : text;
+
+  const start = source.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"') {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return { text: source.slice(start, i + 1), truncated: false };
+    }
+  }
+  return { text: source.slice(start), truncated: true };
+}
+
+const SMART_QUOTES = [[/[“”„]/g, '"'], [/[‘’]/g, "'"]];
+const CLOSERS = { '{': '}', '[': ']' };
+const VALUE_END = /(["}\]\d]|true|false|null)$/;
+
+const lastSignificant = (text) => text.replace(/\s+$/, '').slice(-1);
+
+// A quote closes a string only when what follows looks like JSON structure;
+// otherwise it is an unescaped quote inside the text ("corte em "cubos"")
+const closesString = (text, index) => {
+  const rest = text.slice(index + 1);
+  const next = rest.match(/^([ \t]*)(\r?\n)?\s*(.?)/);
+  return !next[3] || Boolean(next[2]) || /[,}\]:]/.test(next[3]);
+};
+
+// Best-effort rewrite of almost-JSON into valid JSON
+function repairJson(input) {
+  let text = input;
+  SMART_QUOTES.forEach(([pattern, replacement]) => { text = text.replace(pattern, replacement); });
+  text = text.replace(/^\s*\/\/.*$/gm, '');
+
+  let out = '';
+  const stack = [];
+
+  // Insert the comma models often forget between two values
+  const startValue = () => {
+    const last = lastSignificant(out);
+    if (last && VALUE_END.test(out.replace(/\s+$/, ''))) {
+      out = `${out.replace(/\s+$/, '')},${out.slice(out.replace(/\s+$/, '').length)}`;
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === '"' || ch === "'") {
+      startValue();
+      let content = '';
+      let closed = false;
+      i++;
+      while (i < text.length) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+          const escaped = text[i + 1];
+          content += escaped === "'" ? "'" : `\\${escaped}`;
+          i += 2;
+        } else if (c === ch && (ch === "'" ? !/[a-zà-ú]/i.test(text[i + 1] || '') : closesString(text, i))) {
+          closed = true;
+          i++;
+          break;
+        } else {
+          if (c === '"') content += '\\"';
+          else if (c === '\n') content += '\\n';
+          else if (c === '\r') content += '';
+          else if (c === '\t') content += '\\t';
+          else content += c;
+          i++;
+        }
+      }
+      out += `"${content}"`;
+      if (!closed) break;
+      continue;
+    }
+
+    if (ch === '{' || ch === '[') {
+      startValue();
+      stack.push(ch);
+      out += ch;
+    } else if (ch === '}' || ch === ']') {
+      out = out.replace(/,\s*$/, '');
+      if (stack.length) out += CLOSERS[stack.pop()];
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const word = text.slice(i).match(/^[A-Za-z_][\w-]*/)[0];
+      i += word.length;
+      const isKey = /^\s*:/.test(text.slice(i));
+      startValue();
+      if (isKey) out += JSON.stringify(word);
+      else if (['true', 'false', 'null'].includes(word)) out += word;
+      else if (word === 'True' || word === 'False') out += word.toLowerCase();
+      else if (word === 'None') out += 'null';
+      else {
+        // Unquoted text value: take everything up to the next delimiter
+        const rest = text.slice(i).match(/^[^,}\]\n]*/)[0];
+        out += JSON.stringify(`${word}${rest}`.trim());
+        i += rest.length;
+      }
+      continue;
+    } else if (/[-\d]/.test(ch)) {
+      const number = text.slice(i).match(/^-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?/);
+      if (number) {
+        startValue();
+        out += number[0];
+        i += number[0].length;
+        continue;
+      }
+    } else if (ch === ',' || ch === ':' || /\s/.test(ch)) {
+      out += ch;
+    }
+    i++;
+  }
+
+  // Close whatever a truncated output left open
+  out = out.replace(/\s+$/, '').replace(/,$/, '');
+  if (out.endsWith(':')) out += 'null';
+  while (stack.length) out += CLOSERS[stack.pop()];
+  return out;
+}
+
+// Port of the simulator's heuristic reader for markdown-style answers
+// ("# Title", "## Ingredients", "- item", "1. step")
+function parseMarkdownRecipe(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  let title = null;
+  const ingredients = [];
+  const steps = [];
+  let section = null;
+
+  lines.forEach(line => {
+    const lower = line.toLowerCase().replace(/[*_]/g, '');
+    const isHeading = /^#/.test(line) || /:\s*$/.test(line) || /^\*\*.*\*\*$/.test(line);
+
+    if (/^(#\s|title:|título:|titulo:)/i.test(line) && !title) {
+      title = line.replace(/^#\s*/, '').replace(/^t[ií]tulo:\s*|^title:\s*/i, '').replace(/\*\*/g, '').trim();
+    } else if (isHeading && /ingredient/.test(lower)) {
+      section = 'ingredients';
+    } else if (isHeading && /(instruc|instruç|step|passo|modo de preparo|preparo|method|direction)/.test(lower)) {
+      section = 'steps';
+    } else if (section === 'ingredients' && !/^#/.test(line)) {
+      ingredients.push(line.replace(/^[-*•]\s*/, '').trim());
+    } else if (section === 'steps' && !/^#/.test(line)) {
+      steps.push(line.replace(/^(\d+[.)]|[-*•])\s*/, '').trim());
+    }
+  });
+
+  if (ingredients.length === 0 || steps.length === 0) return null;
+  return { title, ingredients, steps };
+}
+
+const pickField = (data, field) => {
+  const key = FIELD_ALIASES[field].find(alias => data[alias] !== undefined);
+  return key === undefined ? undefined : data[key];
+};
+
+// Text of a field that should hold one: numbers are written out, anything
+// else (a nested object, a list) has no text
+const fieldText = (value) => {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number') return String(value);
+  return '';
+};
+
+const firstText = (item, keys) => keys.map(key => fieldText(item[key])).find(Boolean) || '';
+
+// Ingredient and step converters return a string, or null for an item with
+// no readable text
+const ingredientToString = (item) => {
+  if (typeof item === 'string') return item;
+  if (typeof item === 'number') return String(item);
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    const name = firstText(item, ['name', 'item', 'ingredient', 'nome']);
+    const amount = [
+      firstText(item, ['quantity', 'amount', 'quantidade']),
+      firstText(item, ['unit', 'unidade']),
+    ].filter(Boolean).join(' ');
+    const text = [amount, name].filter(Boolean).join(' ');
+    const note = firstText(item, ['note', 'notes']);
+    if (!text) return null;
+    return note ? `${text}, ${note}` : text;
+  }
+  return null;
+};
+
+const stepToString = (item) => {
+  if (typeof item === 'string') return item.replace(/^\s*(?:\d+[.)]|step \d+:|passo \d+:)\s*/i, '');
+  if (item && typeof item === 'object' && !Array.isArray(item)) {
+    // "step" is often the step number, only text counts
+    const key = ['text', 'description', 'instruction', 'step_description', 'descricao', 'step']
+      .find(field => typeof item[field] === 'string' && item[field].trim());
+    return key ? item[key] : null;
+  }
+  return null;
+};
+
+// { items, skipped }: blank items are dropped, ones with no readable text
+// are dropped and counted
+const toList = (value, convert) => {
+  if (value === undefined) return { items: [], skipped: 0 };
+  if (typeof value === 'string') {
+    return { items: value.split(/\n+|(?<=[.!])\s+(?=\d+[.)]\s)/).map(convert).filter(Boolean), skipped: 0 };
+  }
+  const converted = value.map(convert);
+  return {
+    items: converted.filter(item => item && item.trim()),
+    skipped: converted.filter(item => item === null).length,
+  };
+};
+
+// Check parsed data against the recipe schema and build the recipe object.
+// Returns { recipe, warnings, errors }; errors make the output unusable.
+function validateRecipe(data) {
+  const errors = [];
+  const warnings = [];
+
+  let source = data;
+  if (Array.isArray(source) && source.length === 1) source = source[0];
+  if (source && typeof source === 'object' && !Array.isArray(source) && source.recipe && typeof source.recipe === 'object') {
+    source = source.recipe;
+  }
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { recipe: null, warnings, errors: ['Expected a JSON object with title, ingredients and steps'] };
+  }
+
+  const title = pickField(source, 'title');
+  if (title !== undefined && typeof title !== 'string') errors.push('"title" must be a string');
+  if (!title) warnings.push('MISSING_TITLE');
+
+  const ingredients = pickField(source, 'ingredients');
+  const steps = pickField(source, 'steps');
+  if (ingredients !== undefined && !Array.isArray(ingredients) && typeof ingredients !== 'string') {
+    errors.push('"ingredients" must be an array of strings');
+  }
+  if (steps !== undefined && !Array.isArray(steps) && typeof steps !== 'string') {
+    errors.push('"steps" must be an array of strings');
+  }
+  if (errors.length) return { recipe: null, warnings, errors };
+
+  const { items: ingredientList, skipped: skippedIngredients } = toList(ingredients, ingredientToString);
+  const { items: stepList, skipped: skippedSteps } = toList(steps, stepToString);
+  if (ingredientList.length === 0 && stepList.length === 0) {
+    return { recipe: null, warnings, errors: ['The recipe has no ingredients and no steps'] };
+  }
+  if (skippedIngredients + skippedSteps > 0) warnings.push('SKIPPED_ITEMS');
+  if (ingredientList.length === 0) warnings.push('MISSING_INGREDIENTS');
+  if (stepList.length === 0) warnings.push('MISSING_STEPS');
+
+  return {
+    recipe: {
+      title: typeof title === 'string' && title.trim() ? title.trim() : 'Untitled Recipe',
+      servings: normalizeServings(pickField(source, 'servings')),
+      ingredients: normalizeIngredients(ingredientList),
+      steps: stepList.map(step => step.trim()),
+    },
+    warnings,
+    errors,
+  };
+}
+
+// Parse model output into a recipe.
+// Success: { ok: true, recipe, warnings, raw }
+// Failure: { ok: false, error: { code, message, details }, raw } where code is
+// EMPTY_OUTPUT, NO_JSON, INVALID_JSON or SCHEMA
+function parseRecipeOutput(output) {
+  const raw = outputToText(output);
+  if (!raw.trim()) {
+    return failure('EMPTY_OUTPUT', 'The model returned no output', raw);
+  }
+
+  const warnings = [];
+  const candidate = extractJsonCandidate(raw);
+  let data = null;
+
+  if (candidate) {
+    try {
+      data = JSON.parse(candidate.text);
+    } catch (e) {
+      try {
+        data = JSON.parse(repairJson(candidate.text));
+        warnings.push('REPAIRED_JSON');
+      } catch (repairError) {
+        data = null;
+      }
+    }
+    if (data && candidate.truncated) warnings.push('TRUNCATED');
+  }
+
+  if (!data) {
+    data = parseMarkdownRecipe(raw);
+    if (data) warnings.push('HEURISTIC');
+  }
+
+  if (!data) {
+    return candidate
+      ? failure('INVALID_JSON', 'The model output contains JSON that could not be repaired', raw)
+      : failure('NO_JSON', 'The model output does not contain a recipe', raw);
+  }
+
+  const { recipe, warnings: schemaWarnings, errors } = validateRecipe(data);
+  if (errors.length) {
+    return failure('SCHEMA', errors.join('; '), raw, errors);
+  }
+  return { ok: true, recipe, warnings: [...warnings, ...schemaWarnings], raw };
+}
+
+// Recipe for the app from raw model output, with a fresh id. When the output
+// can't be parsed the recipe is empty and keeps the error and the raw text
+// in `parseError`, so the user can fix it in the editor.
+function recipeFromOutput(output, { untitled = 'Untitled Recipe', id = Date.now().toString() } = {}) {
+  const result = parseRecipeOutput(output);
+  if (!result.ok) {
+    return {
+      id,
+      title: untitled,
+      ingredients: [],
+      steps: [],
+      parseError: { ...result.error, raw: result.raw },
+    };
+  }
+  return { ...result.recipe, id };
+}
+
+module.exports = {
+  outputToText,
+  extractJsonCandidate,
+  repairJson,
+  parseMarkdownRecipe,
+  validateRecipe,
+  parseRecipeOutput,
+  recipeFromOutput,
+};
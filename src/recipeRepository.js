@@ -0,0 +1,239 @@
+// Versioned recipe persistence on top of a key/value storage adapter.
+//
+// An adapter exposes the async AsyncStorage subset `getItem(key)`,
+// `setItem(key, value)`, `removeItem(key)` and `getAllKeys()`, and optionally
+// `multiGet(keys)`, so the app passes AsyncStorage itself while Node uses
+// src/storage/memoryStorage.js or src/storage/fileStorage.js.
+//
+// Every recipe is stored under its own key and an index keeps the list order,
+// so saving one recipe rewrites one record instead of the whole list. The
+// stored schema version decides which MIGRATIONS still have to run on load.
+// Each recipe's saved versions (recipeHistory.js) live under a key of their
+// own, so they don't weigh on loading the list.
+
+const { migrateRecipeIngredients } = require('./ingredients');
+const { newId } = require('./recipeList');
+const { recordVersion } = require('./recipeHistory');
+
+const LEGACY_KEY = 'savedRecipes';
+const VERSION_KEY = 'recipes:version';
+const INDEX_KEY = 'recipes:index';
+const recordKey = (id) => `recipe:${id}`;
+const HISTORY_PREFIX = 'history:';
+const historyKey = (id) => `${HISTORY_PREFIX}${id}`;
+
+// Ordered list of schema upgrades. `up` receives every stored recipe and
+// returns the list, reusing the objects it didn't change so only those get
+// rewritten. Append new entries; never edit or reorder shipped ones.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Structured ingredients',
+    up: (recipes) => migrateRecipeIngredients(recipes),
+  },
+  {
+    version: 2,
+    description: 'Tags are always a list',
+    up: (recipes) => recipes.map(recipe => (Array.isArray(recipe.tags) ? recipe : { ...recipe, tags: [] })),
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const parseJson = (value, fallback) => {
+  if (value == null) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Ignoring unreadable stored value', error);
+    return fallback;
+  }
+};
+
+// Run the migrations newer than `fromVersion`, in order
+function migrateRecipes(recipes, fromVersion) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((migrated, migration) => migration.up(migrated), recipes);
+}
+
+function createRecipeRepository(storage) {
+  // Last state written, used to work out which records changed
+  let cache = new Map();
+  let order = [];
+  let loaded = null;
+  // Writes run one after another so a slow save can't overwrite a newer one
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const list = () => order.map(id => cache.get(id));
+
+  const writeIndex = () => storage.setItem(INDEX_KEY, JSON.stringify(order));
+  const writeRecord = (recipe) => storage.setItem(recordKey(recipe.id), JSON.stringify(recipe));
+
+  // Values of `keys` in order, in one batch when the adapter has multiGet
+  const readValues = async (keys) => (
+    storage.multiGet
+      ? (await storage.multiGet(keys)).map(([, value]) => value)
+      : Promise.all(keys.map(key => storage.getItem(key)))
+  );
+
+  // Read the stored recipes at whatever version they were written
+  const readStored = async () => {
+    const storedVersion = parseJson(await storage.getItem(VERSION_KEY), null);
+    if (storedVersion === null) {
+      // Before the repository, every recipe lived in one JSON array
+      const legacy = parseJson(await storage.getItem(LEGACY_KEY), []);
+      return { version: 0, recipes: Array.isArray(legacy) ? legacy : [], legacy: true };
+    }
+
+    const ids = parseJson(await storage.getItem(INDEX_KEY), []);
+    const recipes = (await readValues(ids.map(recordKey)))
+      .map(value => parseJson(value, null))
+      .filter(Boolean);
+    return { version: storedVersion, recipes, legacy: false };
+  };
+
+  const doLoad = async () => {
+    const stored = await readStored();
+    if (stored.version > SCHEMA_VERSION) {
+      throw new Error(`Recipes were saved by a newer app version (schema ${stored.version})`);
+    }
+
+    const recipes = migrateRecipes(stored.recipes, stored.version)
+      .map(recipe => (recipe.id ? recipe : { ...recipe, id: newId() }));
+
+    cache = new Map(recipes.map(recipe => [recipe.id, recipe]));
+    order = recipes.map(recipe => recipe.id);
+
+    if (stored.version < SCHEMA_VERSION) {
+      const before = new Set(stored.legacy ? [] : stored.recipes);
+      for (const recipe of recipes) {
+        if (!before.has(recipe)) await writeRecord(recipe);
+      }
+      await writeIndex();
+      await storage.setItem(VERSION_KEY, JSON.stringify(SCHEMA_VERSION));
+      if (stored.legacy) await storage.removeItem(LEGACY_KEY);
+    }
+
+    // History of recipes deleted in an earlier session, kept until now so
+    // the deletion could be undone
+    for (const key of await storage.getAllKeys()) {
+      if (key.startsWith(HISTORY_PREFIX) && !cache.has(key.slice(HISTORY_PREFIX.length))) {
+        await storage.removeItem(key);
+      }
+    }
+    return list();
+  };
+
+  // Load (and migrate) the stored recipes once; later calls reuse the result
+  const load = () => {
+    if (!loaded) {
+      loaded = enqueue(doLoad);
+      loaded.catch(() => {
+        loaded = null;
+      });
+    }
+    return loaded;
+  };
+
+  const get = async (id) => {
+    await load();
+    return cache.get(id) || null;
+  };
+
+  // Insert or overwrite a recipe by id. New recipes go to the end of the list.
+  const save = async (recipe) => {
+    await load();
+    return enqueue(async () => {
+      const saved = recipe.id ? recipe : { ...recipe, id: newId() };
+      await writeRecord(saved);
+      const isNew = !cache.has(saved.id);
+      cache.set(saved.id, saved);
+      if (isNew) {
+        order = [...order, saved.id];
+        await writeIndex();
+      }
+      return saved;
+    });
+  };
+
+  const remove = async (ids) => {
+    await load();
+    return enqueue(async () => {
+      const idSet = new Set([].concat(ids));
+      order = order.filter(id => !idSet.has(id));
+      await writeIndex();
+      for (const id of idSet) {
+        cache.delete(id);
+        await storage.removeItem(recordKey(id));
+        await storage.removeItem(historyKey(id));
+      }
+    });
+  };
+
+  // Persist a whole list (as kept in UI state): writes the recipes that
+  // changed since the last write, removes missing ones and updates the order
+  const replaceAll = async (recipes) => {
+    await load();
+    return enqueue(async () => {
+      const nextOrder = recipes.map(recipe => recipe.id);
+      const nextIds = new Set(nextOrder);
+      for (const recipe of recipes) {
+        if (cache.get(recipe.id) !== recipe) await writeRecord(recipe);
+      }
+      if (nextOrder.join('\n') !== order.join('\n')) {
+        await storage.setItem(INDEX_KEY, JSON.stringify(nextOrder));
+      }
+      for (const id of order) {
+        if (!nextIds.has(id)) await storage.removeItem(recordKey(id));
+      }
+      cache = new Map(recipes.map(recipe => [recipe.id, recipe]));
+      order = nextOrder;
+    });
+  };
+
+  // Saved versions of a recipe, oldest first
+  const history = async (id) => {
+    await load();
+    return parseJson(await storage.getItem(historyKey(id)), []);
+  };
+
+  // Add the saved state of `recipe` to its history. `source` says what
+  // changed it; `previous` is the state it replaced (see recordVersion).
+  const addVersion = async (recipe, { source, previous } = {}) => {
+    await load();
+    return enqueue(async () => {
+      const versions = parseJson(await storage.getItem(historyKey(recipe.id)), []);
+      const updated = recordVersion(versions, recipe, { source, previous });
+      if (updated !== versions) await storage.setItem(historyKey(recipe.id), JSON.stringify(updated));
+      return updated;
+    });
+  };
+
+  return {
+    load,
+    list: async () => {
+      await load();
+      return list();
+    },
+    get,
+    save,
+    remove,
+    replaceAll,
+    history,
+    addVersion,
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  migrateRecipes,
+  createRecipeRepository,
+};
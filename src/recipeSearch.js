@@ -0,0 +1,104 @@
+// Search, tag suggestions, filtering and sorting over the saved recipe list.
+// Matching is case and accent insensitive ("feijao" finds "feijão").
+
+const { fold, ingredientText } = require('./ingredients');
+const { extractDurations } = require('./durations');
+
+const SORT_OPTIONS = ['date', 'title', 'lastCooked'];
+
+// Folded search text per recipe object. Recipes are replaced (never mutated)
+// on every change, so a WeakMap keeps this cache correct and cheap.
+const searchCache = new WeakMap();
+
+const searchText = (recipe) => {
+  if (!searchCache.has(recipe)) {
+    const ingredients = (recipe.ingredients || []).map(ingredientText);
+    searchCache.set(recipe, {
+      title: fold(recipe.title || ''),
+      ingredients: ingredients.map(fold),
+      all: fold([recipe.title, ...ingredients, ...(recipe.steps || []), ...(recipe.tags || [])].join('\n')),
+    });
+  }
+  return searchCache.get(recipe);
+};
+
+const normalizeTag = (tag) => fold(String(tag || '')).trim().replace(/\s+/g, '-');
+
+const MEAT_WORDS = [
+  'carne', 'frango', 'bacon', 'linguica', 'presunto', 'peixe', 'camarao', 'atum', 'sardinha', 'bacalhau',
+  'porco', 'costela', 'file', 'picanha', 'calabresa', 'salsicha', 'peru', 'beef', 'chicken', 'pork',
+  'fish', 'shrimp', 'ham', 'sausage', 'tuna', 'lamb', 'roast', 'steak', 'turkey', 'salmon', 'salmao',
+];
+const DESSERT_WORDS = [
+  'acucar', 'chocolate', 'leite condensado', 'brigadeiro', 'bolo', 'pudim', 'mousse', 'doce', 'cacau',
+  'sugar', 'cake', 'cookie', 'dessert', 'sobremesa', 'mel', 'honey',
+];
+const PASTA_WORDS = ['macarrao', 'massa', 'espaguete', 'lasanha', 'penne', 'talharim', 'pasta', 'spaghetti', 'noodle'];
+
+const containsAny = (text, words) => words.some(word => new RegExp(`\\b${word}`).test(text));
+
+// Tags derived from the recipe content, offered to the user as suggestions
+function suggestTags(recipe) {
+  const { title, ingredients } = searchText(recipe);
+  const ingredientText = ingredients.join('\n');
+  const tags = [];
+
+  if (ingredients.length > 0 && !containsAny(`${title}\n${ingredientText}`, MEAT_WORDS)) tags.push('vegetariano');
+  if (containsAny(title, DESSERT_WORDS) || containsAny(ingredientText, ['acucar', 'leite condensado', 'chocolate', 'sugar'])) {
+    tags.push('sobremesa');
+  }
+  if (containsAny(`${title}\n${ingredientText}`, PASTA_WORDS)) tags.push('massa');
+
+  const totalSeconds = (recipe.steps || [])
+    .flatMap(step => extractDurations(step))
+    .reduce((sum, duration) => sum + duration.seconds, 0);
+  if (totalSeconds > 0 && totalSeconds <= 30 * 60) tags.push('rapido');
+
+  return tags.filter(tag => !(recipe.tags || []).map(normalizeTag).includes(tag));
+}
+
+// Every tag in use, most frequent first
+function collectTags(recipes) {
+  const counts = {};
+  recipes.forEach(recipe => (recipe.tags || []).forEach(tag => {
+    counts[tag] = (counts[tag] || 0) + 1;
+  }));
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+}
+
+const COMPARATORS = {
+  date: (a, b) => (b.date || '').localeCompare(a.date || ''),
+  title: (a, b) => (a.title || '').localeCompare(b.title || '', 'pt-BR', { sensitivity: 'base' }),
+  // Never-cooked recipes go last
+  lastCooked: (a, b) => (b.lastCookedAt || '').localeCompare(a.lastCookedAt || ''),
+};
+
+// query: words that must all appear in the title, ingredients, steps or tags
+// tags: the recipe must have every one of them
+// ingredient: text that must appear in one of the ingredient lines
+function filterRecipes(recipes, { query = '', tags = [], ingredient = '', sortBy = 'date' } = {}) {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  const wantedTags = tags.map(normalizeTag);
+  const wantedIngredient = fold(ingredient).trim();
+
+  const matches = recipes.filter(recipe => {
+    const text = searchText(recipe);
+    if (!words.every(word => text.all.includes(word))) return false;
+    if (wantedTags.length > 0) {
+      const recipeTags = (recipe.tags || []).map(normalizeTag);
+      if (!wantedTags.every(tag => recipeTags.includes(tag))) return false;
+    }
+    if (wantedIngredient && !text.ingredients.some(line => line.includes(wantedIngredient))) return false;
+    return true;
+  });
+
+  return matches.sort(COMPARATORS[sortBy] || COMPARATORS.date);
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  normalizeTag,
+  suggestTags,
+  collectTags,
+  filterRecipes,
+};
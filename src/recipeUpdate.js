@@ -0,0 +1,95 @@
+// Voice additions to an existing recipe. The model returns the whole updated
+// recipe (see prompts.buildRecipeUpdatePrompt); the update keeps everything
+// the model doesn't know about, and the diff is what the user reviews before
+// it replaces the saved version.
+
+const { normalizeIngredients, ingredientText } = require('./ingredients');
+
+// The content fields of `parsed` (the recipe from parseRecipeOutput) over
+// `recipe`'s. An empty list means the model left it out, not that the
+// change removed everything.
+function updatedContent(recipe, parsed) {
+  const ingredients = normalizeIngredients(parsed.ingredients);
+  const steps = (parsed.steps || []).filter(step => String(step).trim() !== '');
+  return {
+    title: (parsed.title && parsed.title.trim()) || recipe.title,
+    servings: parsed.servings == null ? recipe.servings : parsed.servings,
+    ingredients: ingredients.length > 0 ? ingredients : recipe.ingredients,
+    steps: steps.length > 0 ? steps : recipe.steps,
+  };
+}
+
+function applyRecipeUpdate(recipe, parsed, additionTranscript) {
+  return {
+    ...recipe,
+    ...updatedContent(recipe, parsed),
+    transcript: [recipe.transcript, additionTranscript].filter(Boolean).join('\n\n'),
+  };
+}
+
+// Line diff by longest common subsequence:
+// [{ type: 'same' | 'added' | 'removed', text }] in display order.
+// A corrected line shows up as its old version removed and the new one added.
+function diffLines(before, after) {
+  const rows = before.length;
+  const columns = after.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(columns + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < columns) {
+    if (before[i] === after[j]) {
+      lines.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: before[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: after[j] });
+      j++;
+    }
+  }
+  before.slice(i).forEach(text => lines.push({ type: 'removed', text }));
+  after.slice(j).forEach(text => lines.push({ type: 'added', text }));
+  return lines;
+}
+
+const fieldChange = (before, after) => (
+  (before == null ? null : before) === (after == null ? null : after) ? null : { before, after }
+);
+
+// What an update changes: { title, servings, ingredients, steps, changed }.
+// title and servings are { before, after } or null when unchanged.
+function diffRecipes(before, after) {
+  const ingredients = diffLines(
+    (before.ingredients || []).map(ingredientText),
+    (after.ingredients || []).map(ingredientText)
+  );
+  const steps = diffLines(before.steps || [], after.steps || []);
+  const title = fieldChange(before.title, after.title);
+  const servings = fieldChange(before.servings, after.servings);
+  return {
+    title,
+    servings,
+    ingredients,
+    steps,
+    changed: Boolean(title || servings)
+      || [...ingredients, ...steps].some(line => line.type !== 'same'),
+  };
+}
+
+module.exports = {
+  updatedContent,
+  applyRecipeUpdate,
+  diffLines,
+  diffRecipes,
+};
@@ -0,0 +1,92 @@
+// Long recordings. A recording is made of segments: after SEGMENT_MS the
+// recorder starts a new file at the next quiet moment, so each segment stays
+// small enough to upload and is transcribed on its own. The transcripts are
+// stitched back together in order.
+
+const SEGMENT_MS = 5 * 60 * 1000;
+// Don't wait for a pause longer than this past SEGMENT_MS
+const SEGMENT_GRACE_MS = 30 * 1000;
+const SILENCE_DB = -45;
+const MAX_RECORDING_MS = 30 * 60 * 1000;
+const WARNING_BEFORE_MS = 2 * 60 * 1000;
+
+// expo-av metering is in dBFS, roughly -160 (silence) to 0 (loudest).
+// Map the useful -60..0 range to 0..1 for the level meter.
+const meterLevel = (metering) => {
+  if (typeof metering !== 'number' || !Number.isFinite(metering)) return 0;
+  return Math.min(Math.max((metering + 60) / 60, 0), 1);
+};
+
+function shouldStartNewSegment({ segmentMs, metering }) {
+  if (segmentMs < SEGMENT_MS) return false;
+  return segmentMs >= SEGMENT_MS + SEGMENT_GRACE_MS
+    || (typeof metering === 'number' && metering <= SILENCE_DB);
+}
+
+// 'ok', 'warning' (close to the maximum length) or 'limit'
+function recordingLimitState(durationMs) {
+  if (durationMs >= MAX_RECORDING_MS) return 'limit';
+  if (durationMs >= MAX_RECORDING_MS - WARNING_BEFORE_MS) return 'warning';
+  return 'ok';
+}
+
+// Every audio file of a recipe or queued job, in order
+const recordingUris = (item) => {
+  if (item.audioSegments && item.audioSegments.length > 0) return item.audioSegments;
+  return item.audioUri ? [item.audioUri] : [];
+};
+
+// { audioUri, audioSegments? } to store for a recording's files;
+// audioSegments is only set when there is more than one
+const recordingFields = (uris) => (
+  uris.length > 1 ? { audioUri: uris[0], audioSegments: uris } : { audioUri: uris[0] }
+);
+
+// [{ text, language }] per segment -> { text, language }. The language is
+// the one most segments were detected in.
+function stitchTranscripts(parts) {
+  const text = parts
+    .map(part => (part.text || '').trim())
+    .filter(Boolean)
+    .join(' ');
+
+  const counts = {};
+  parts.forEach(part => {
+    if (part.language) counts[part.language] = (counts[part.language] || 0) + 1;
+  });
+  const language = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+
+  return { text, language };
+}
+
+// Transcribe each segment of a recording in turn and stitch the results.
+// Resolves to { text, language } with the spoken language Whisper detected.
+// `readAudio(uri)` gives the audio the provider takes, `transcribe(audio,
+// options)` is the provider call, and `onSegment({ done, total, text })`
+// hears about every finished segment. Other options (language, signal) go
+// to every call.
+async function transcribeSegments(uris, { readAudio, transcribe, onSegment, ...options } = {}) {
+  if (!Array.isArray(uris) || uris.length === 0) throw new Error('No recording to transcribe');
+  const parts = [];
+  for (const uri of uris) {
+    const audio = await readAudio(uri);
+    parts.push(await transcribe(audio, options));
+    if (onSegment) onSegment({ done: parts.length, total: uris.length, text: stitchTranscripts(parts).text });
+  }
+  return stitchTranscripts(parts);
+}
+
+module.exports = {
+  SEGMENT_MS,
+  SEGMENT_GRACE_MS,
+  SILENCE_DB,
+  MAX_RECORDING_MS,
+  WARNING_BEFORE_MS,
+  meterLevel,
+  shouldStartNewSegment,
+  recordingLimitState,
+  recordingUris,
+  recordingFields,
+  stitchTranscripts,
+  transcribeSegments,
+};
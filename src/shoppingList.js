@@ -0,0 +1,208 @@
+// Combined shopping list for several recipes: the same ingredient is merged
+// across recipes, compatible amounts are summed ("2 ovos" + "3 ovos" =
+// "5 ovos", "200 g" + "1 kg" = "1,2 kg") and items are grouped by aisle.
+
+const { fold, normalizeIngredients } = require('./ingredients');
+const { VOLUME_ML, MASS_G, roundQuantity, formatIngredient, scaleIngredient, normalizeServings } = require('./units');
+
+// Preparation words that don't change what has to be bought
+const PREPARATION_WORDS = [
+  'picado', 'picada', 'picados', 'picadas', 'ralado', 'ralada', 'ralados', 'raladas', 'amassado', 'amassada',
+  'fatiado', 'fatiada', 'cozido', 'cozida', 'cozidos', 'cozidas', 'descascado', 'descascada', 'derretido', 'derretida',
+  'grande', 'grandes', 'medio', 'media', 'medios', 'medias', 'pequeno', 'pequena', 'pequenos', 'pequenas',
+  'fresco', 'fresca', 'frescos', 'frescas', 'maduro', 'madura', 'maduros', 'maduras', 'bem', 'finamente',
+  'minced', 'chopped', 'diced', 'sliced', 'grated', 'large', 'medium', 'small', 'fresh', 'finely', 'peeled', 'melted',
+];
+const PREPARATION_PHRASES = /\b(?:em (?:cubos|rodelas|tiras|fatias|pedacos|po)|cortad[oa]s? em \w+|to taste|a gosto)\b/g;
+
+// Crude Portuguese/English singular, enough to match "ovos" with "ovo"
+const singular = (word) => {
+  if (word.length <= 3) return word;
+  if (/oes$|aes$/.test(word)) return `${word.slice(0, -3)}ao`;
+  // "franceses" -> "frances", then on as the singular would
+  if (/eses$/.test(word)) return singular(word.slice(0, -2));
+  if (/ais$/.test(word)) return `${word.slice(0, -2)}l`;
+  if (/eis$/.test(word)) return `${word.slice(0, -3)}el`;
+  if (/(?:r|z)es$/.test(word)) return word.slice(0, -2);
+  if (/ns$/.test(word)) return `${word.slice(0, -2)}m`;
+  if (/ies$/.test(word)) return `${word.slice(0, -3)}y`;
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+const CONNECTORS = ['de', 'do', 'da', 'dos', 'das', 'of', 'e', 'and', 'com', 'with'];
+
+const cleanItem = (item) => fold(item || '')
+  .replace(PREPARATION_PHRASES, ' ')
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !PREPARATION_WORDS.includes(word) && !CONNECTORS.includes(word));
+
+// Key that identifies the same product across recipes
+const ingredientKey = (ingredient) => cleanItem(ingredient.item).map(singular).join(' ');
+
+// Display name: the item as written, without preparation words. fold keeps
+// one character per character, so phrase matches map back onto the original.
+const displayName = (item) => {
+  const original = String(item || '');
+  let text = original;
+  fold(original).replace(PREPARATION_PHRASES, (match, offset) => {
+    text = text.slice(0, offset) + ' '.repeat(match.length) + text.slice(offset + match.length);
+    return match;
+  });
+  const words = text.split(/\s+/)
+    .filter(word => word && !PREPARATION_WORDS.includes(fold(word).replace(/[^a-z0-9]/g, '')));
+  while (words.length > 0 && CONNECTORS.includes(fold(words[words.length - 1]))) words.pop();
+  while (words.length > 0 && CONNECTORS.includes(fold(words[0]))) words.shift();
+  return words.join(' ') || original.trim();
+};
+
+const AISLES = [
+  { key: 'produce', label: 'Produce', words: ['alho', 'cebola', 'tomate', 'batata', 'cenoura', 'alface', 'limao', 'laranja', 'banana', 'maca', 'salsa', 'salsinha', 'cebolinha', 'coentro', 'manjericao', 'pimentao', 'abobrinha', 'abobora', 'brocolis', 'couve', 'espinafre', 'mandioca', 'aipim', 'gengibre', 'garlic', 'onion', 'tomato', 'potato', 'carrot', 'lettuce', 'lemon', 'lime', 'apple', 'parsley', 'basil', 'pepper bell', 'spinach', 'ginger', 'rosemary', 'alecrim', 'hortela', 'morango', 'fruta', 'legume'] },
+  { key: 'meat', label: 'Meat & fish', words: ['carne', 'frango', 'bacon', 'linguica', 'presunto', 'peixe', 'camarao', 'bacalhau', 'porco', 'costela', 'file', 'picanha', 'calabresa', 'salsicha', 'patinho', 'acem', 'musculo', 'beef', 'chicken', 'pork', 'fish', 'shrimp', 'ham', 'sausage', 'roast', 'steak', 'salmon', 'salmao', 'atum', 'tuna'] },
+  { key: 'dairy', label: 'Dairy & eggs', words: ['leite', 'queijo', 'manteiga', 'creme', 'iogurte', 'requeijao', 'nata', 'ovo', 'mucarela', 'mussarela', 'parmesao', 'milk', 'cheese', 'butter', 'cream', 'yogurt', 'egg'] },
+  { key: 'bakery', label: 'Bakery', words: ['pao', 'torrada', 'bread', 'tortilla', 'bisnaguinha'] },
+  { key: 'spices', label: 'Spices', words: ['sal', 'pimenta', 'oregano', 'cominho', 'paprica', 'canela', 'noz moscada', 'cravo', 'louro', 'colorau', 'curry', 'salt', 'pepper', 'cinnamon', 'nutmeg', 'paprika', 'cumin', 'oregano', 'tempero'] },
+  { key: 'pantry', label: 'Pantry', words: ['arroz', 'feijao', 'farinha', 'acucar', 'oleo', 'azeite', 'macarrao', 'fermento', 'chocolate', 'cacau', 'amido', 'maisena', 'fuba', 'aveia', 'vinagre', 'molho', 'extrato', 'milho', 'ervilha', 'lentilha', 'grao', 'mel', 'caldo', 'leite condensado', 'rice', 'bean', 'flour', 'sugar', 'oil', 'olive', 'pasta', 'yeast', 'baking', 'vinegar', 'sauce', 'honey', 'broth', 'stock'] },
+  { key: 'drinks', label: 'Drinks', words: ['vinho', 'cerveja', 'suco', 'agua', 'cafe', 'cha', 'wine', 'beer', 'juice', 'water', 'coffee', 'tea'] },
+  { key: 'frozen', label: 'Frozen', words: ['congelado', 'congelada', 'sorvete', 'frozen', 'ice cream'] },
+  { key: 'other', label: 'Other', words: [] },
+];
+
+// Longer keyword matches win, so "leite condensado" is pantry, not dairy
+function aisleFor(key) {
+  let best = { aisle: 'other', length: 0 };
+  AISLES.forEach(({ key: aisle, words }) => words.forEach(word => {
+    if (word.length > best.length && new RegExp(`(?:^| )${word}(?:$| |s)`).test(key)) {
+      best = { aisle, length: word.length };
+    }
+  }));
+  return best.aisle;
+}
+
+// How amounts in a unit can be added up: volume and mass through a base
+// unit, everything else only with the same unit
+const dimensionOf = (unit) => {
+  if (VOLUME_ML[unit]) return { dimension: 'volume', factor: VOLUME_ML[unit] };
+  if (MASS_G[unit]) return { dimension: 'mass', factor: MASS_G[unit] };
+  return { dimension: unit || 'count', factor: 1 };
+};
+
+// Sum of one dimension, in the shared unit when all entries used the same
+// one and in ml/l or g/kg otherwise
+const totalAmount = (entries) => {
+  const units = [...new Set(entries.map(entry => entry.unit))];
+  if (units.length === 1) {
+    return { quantity: entries.reduce((sum, entry) => sum + entry.quantity, 0), unit: units[0] };
+  }
+  const base = entries.reduce((sum, entry) => sum + entry.quantity * dimensionOf(entry.unit).factor, 0);
+  if (dimensionOf(units[0]).dimension === 'volume') {
+    return base >= 1000 ? { quantity: base / 1000, unit: 'l' } : { quantity: base, unit: 'ml' };
+  }
+  return base >= 1000 ? { quantity: base / 1000, unit: 'kg' } : { quantity: base, unit: 'g' };
+};
+
+const formatAmount = ({ quantity, unit }, item, language) => formatIngredient({
+  quantity: roundQuantity(quantity, unit),
+  unit: unit === 'unit' ? null : unit,
+  item,
+  note: null,
+}, language);
+
+// selections: [{ recipe, servings }], servings optional (defaults to the
+// recipe's own). Returns items sorted by aisle and name:
+// { key, name, aisle, amounts: ['5', '2 xícaras'], notes, recipes: [titles], text }
+function buildShoppingList(selections, { language = 'pt' } = {}) {
+  const byKey = new Map();
+
+  selections.forEach(({ recipe, servings }) => {
+    const baseServings = normalizeServings(recipe.servings);
+    const factor = baseServings && servings ? servings / baseServings : 1;
+
+    normalizeIngredients(recipe.ingredients).forEach(ingredient => {
+      const key = ingredientKey(ingredient) || fold(ingredient.original);
+      if (!byKey.has(key)) {
+        byKey.set(key, { key, names: [], entries: [], notes: new Set(), recipes: new Set() });
+      }
+      const entry = byKey.get(key);
+      entry.names.push(displayName(ingredient.item || ingredient.original));
+      entry.recipes.add(recipe.title);
+      if (ingredient.quantity == null) {
+        if (ingredient.note) entry.notes.add(ingredient.note);
+        return;
+      }
+      const scaled = scaleIngredient(ingredient, factor);
+      // Ranges are bought for the upper bound
+      entry.entries.push({ quantity: scaled.quantityMax || scaled.quantity, unit: scaled.unit });
+    });
+  });
+
+  const items = [...byKey.values()].map(({ key, names, entries, notes, recipes }) => {
+    const groups = {};
+    entries.forEach(entry => {
+      const { dimension } = dimensionOf(entry.unit);
+      (groups[dimension] = groups[dimension] || []).push(entry);
+    });
+    const totals = Object.values(groups).map(totalAmount);
+
+    // Plural name when buying more than one ("5 ovos"), shortest otherwise.
+    // The longest name ending in s is the plural: "pão francês" ends in one too.
+    const count = groups.count ? groups.count.reduce((sum, entry) => sum + entry.quantity, 0) : 0;
+    const sorted = [...new Set(names)].sort((a, b) => a.length - b.length);
+    const name = (count > 1 && [...sorted].reverse().find(candidate => /s$/i.test(candidate))) || sorted[0];
+
+    // "1 kg + 2 xícaras de farinha": only the last amount carries the name.
+    // Notes of unmeasured lines ("sal a gosto") follow it either way.
+    const amounts = totals.map(total => formatAmount(total, '', language));
+    const text = (totals.length === 0
+      ? name
+      : [...amounts.slice(0, -1), formatAmount(totals[totals.length - 1], name, language)].join(' + '))
+      + (notes.size > 0 ? ` (${[...notes].join(', ')})` : '');
+    return {
+      key,
+      name,
+      aisle: aisleFor(key),
+      amounts,
+      notes: [...notes],
+      recipes: [...recipes],
+      text,
+    };
+  });
+
+  const aisleOrder = AISLES.map(aisle => aisle.key);
+  return items.sort((a, b) => aisleOrder.indexOf(a.aisle) - aisleOrder.indexOf(b.aisle)
+    || a.name.localeCompare(b.name, 'pt-BR'));
+}
+
+// Items grouped for display: [{ aisle, label, items }]
+function groupByAisle(items) {
+  return AISLES
+    .map(({ key, label }) => ({ aisle: key, label, items: items.filter(item => item.aisle === key) }))
+    .filter(group => group.items.length > 0);
+}
+
+// Rebuilt lists keep the checked state of items that are still on them
+function carryOverChecked(items, previousItems = []) {
+  const checked = new Set(previousItems.filter(item => item.checked).map(item => item.key));
+  return items.map(item => ({ ...item, checked: checked.has(item.key) }));
+}
+
+// Plain text for sharing or pasting into a notes app. `aisleLabels` maps
+// aisle keys to translated headings.
+function shoppingListText(items, { title = 'Shopping list', aisleLabels = {} } = {}) {
+  const lines = [title];
+  groupByAisle(items).forEach(group => {
+    lines.push('', `${aisleLabels[group.aisle] || group.label}:`);
+    group.items.forEach(item => lines.push(`${item.checked ? '[x]' : '[ ]'} ${item.text}`));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  AISLES,
+  ingredientKey,
+  aisleFor,
+  buildShoppingList,
+  groupByAisle,
+  carryOverChecked,
+  shoppingListText,
+};
@@ -0,0 +1,46 @@
+// File-backed storage adapter for Node (the simulator and CLI tools). Each key
+// is one file in `dir`, so records can be inspected and diffed by hand.
+// Exposes the same async interface as AsyncStorage.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const fileName = (key) => `${encodeURIComponent(key)}.json`;
+
+function createFileStorage(dir) {
+  const filePath = (key) => path.join(dir, fileName(key));
+
+  return {
+    getItem: async (key) => {
+      try {
+        return await fs.readFile(filePath(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    setItem: async (key, value) => {
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so a crash never leaves a half-written record
+      const tmp = `${filePath(key)}.tmp`;
+      await fs.writeFile(tmp, String(value), 'utf8');
+      await fs.rename(tmp, filePath(key));
+    },
+    removeItem: async (key) => {
+      await fs.rm(filePath(key), { force: true });
+    },
+    getAllKeys: async () => {
+      try {
+        const files = await fs.readdir(dir);
+        return files
+          .filter(file => file.endsWith('.json'))
+          .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,20 @@
+// In-memory storage adapter with the same async key/value interface as
+// AsyncStorage. Used by tests and anywhere data doesn't need to outlive the
+// process.
+
+function createMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: async (key) => (items.has(key) ? items.get(key) : null),
+    setItem: async (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+    getAllKeys: async () => [...items.keys()],
+    multiGet: async (keys) => keys.map(key => [key, items.has(key) ? items.get(key) : null]),
+  };
+}
+
+module.exports = { createMemoryStorage };
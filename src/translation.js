@@ -0,0 +1,76 @@
+// Translated copies of a recipe. Only the words go through the model: each
+// ingredient keeps its parsed quantity and unit and its line is rebuilt in
+// the target language, so "2 xícaras de farinha" becomes "2 cups flour" and
+// never "3 cups flour".
+
+const { normalizeIngredients } = require('./ingredients');
+const { formatIngredient } = require('./units');
+const { extractJsonCandidate, repairJson } = require('./recipeParser');
+const { derivedCopy } = require('./recipeList');
+
+// What the model is asked to translate
+function translationContent(recipe) {
+  return {
+    title: recipe.title,
+    ingredients: normalizeIngredients(recipe.ingredients).map(ingredient => ({
+      item: ingredient.item,
+      note: ingredient.note || '',
+    })),
+    steps: recipe.steps || [],
+  };
+}
+
+const readJson = (output) => {
+  const candidate = extractJsonCandidate(String(output || ''));
+  if (!candidate) return null;
+  try {
+    return JSON.parse(candidate.text);
+  } catch (e) {
+    try {
+      return JSON.parse(repairJson(candidate.text));
+    } catch (repairError) {
+      return null;
+    }
+  }
+};
+
+const translateIngredient = (ingredient, translated, language) => {
+  const item = (translated && typeof translated.item === 'string' && translated.item.trim()) || ingredient.item;
+  const note = (translated && typeof translated.note === 'string' && translated.note.trim()) || null;
+  const result = { ...ingredient, item, note };
+  result.original = ingredient.quantity == null
+    ? [item, note].filter(Boolean).join(', ')
+    : formatIngredient(result, language);
+  return result;
+};
+
+// Build the translated copy from the model output. Throws when the output
+// doesn't match the recipe (missing JSON, a different number of steps or
+// ingredients) rather than saving a half translated recipe.
+function applyTranslation(recipe, output, language) {
+  const data = readJson(output);
+  if (!data || typeof data !== 'object') throw new Error('The translation could not be read');
+
+  const ingredients = normalizeIngredients(recipe.ingredients);
+  const steps = recipe.steps || [];
+  const translatedIngredients = Array.isArray(data.ingredients) ? data.ingredients : [];
+  const translatedSteps = Array.isArray(data.steps) ? data.steps : [];
+  if (translatedIngredients.length !== ingredients.length || translatedSteps.length !== steps.length) {
+    throw new Error('The translation does not match the recipe');
+  }
+
+  return derivedCopy(recipe, {
+    title: (typeof data.title === 'string' && data.title.trim()) || recipe.title,
+    ingredients: ingredients.map((ingredient, index) => (
+      translateIngredient(ingredient, translatedIngredients[index], language)
+    )),
+    steps: translatedSteps.map((step, index) => String(step || steps[index]).trim()),
+    language,
+    translatedFrom: recipe.id,
+  });
+}
+
+module.exports = {
+  translationContent,
+  applyTranslation,
+};
@@ -0,0 +1,261 @@
+// Servings scaling and metric / US customary conversion for structured
+// ingredients (see ingredients.js), plus oven temperatures in steps.
+
+const UNIT_LABELS = {
+  pt: {
+    tbsp: ['colher (sopa)', 'colheres (sopa)'],
+    tsp: ['colher (chá)', 'colheres (chá)'],
+    dsp: ['colher (sobremesa)', 'colheres (sobremesa)'],
+    coffeespoon: ['colher (café)', 'colheres (café)'],
+    cup: ['xícara', 'xícaras'],
+    glass: ['copo', 'copos'],
+    ml: ['ml', 'ml'],
+    l: ['litro', 'litros'],
+    g: ['g', 'g'],
+    kg: ['kg', 'kg'],
+    lb: ['libra', 'libras'],
+    oz: ['onça', 'onças'],
+    floz: ['onça líquida', 'onças líquidas'],
+    clove: ['dente', 'dentes'],
+    pinch: ['pitada', 'pitadas'],
+    dash: ['pingo', 'pingos'],
+    drizzle: ['fio', 'fios'],
+    can: ['lata', 'latas'],
+    package: ['pacote', 'pacotes'],
+    slice: ['fatia', 'fatias'],
+    bunch: ['maço', 'maços'],
+    sprig: ['ramo', 'ramos'],
+    stick: ['tablete', 'tabletes'],
+    unit: ['unidade', 'unidades'],
+  },
+  en: {
+    tbsp: ['tablespoon', 'tablespoons'],
+    tsp: ['teaspoon', 'teaspoons'],
+    dsp: ['dessert spoon', 'dessert spoons'],
+    coffeespoon: ['coffee spoon', 'coffee spoons'],
+    cup: ['cup', 'cups'],
+    glass: ['glass', 'glasses'],
+    ml: ['ml', 'ml'],
+    l: ['liter', 'liters'],
+    g: ['g', 'g'],
+    kg: ['kg', 'kg'],
+    lb: ['pound', 'pounds'],
+    oz: ['ounce', 'ounces'],
+    floz: ['fluid ounce', 'fluid ounces'],
+    clove: ['clove', 'cloves'],
+    pinch: ['pinch', 'pinches'],
+    dash: ['dash', 'dashes'],
+    drizzle: ['drizzle', 'drizzles'],
+    can: ['can', 'cans'],
+    package: ['package', 'packages'],
+    slice: ['slice', 'slices'],
+    bunch: ['bunch', 'bunches'],
+    sprig: ['sprig', 'sprigs'],
+    stick: ['stick', 'sticks'],
+    unit: ['unit', 'units'],
+  },
+  es: {
+    tbsp: ['cucharada', 'cucharadas'],
+    tsp: ['cucharadita', 'cucharaditas'],
+    dsp: ['cuchara de postre', 'cucharas de postre'],
+    coffeespoon: ['cucharita de café', 'cucharitas de café'],
+    cup: ['taza', 'tazas'],
+    glass: ['vaso', 'vasos'],
+    ml: ['ml', 'ml'],
+    l: ['litro', 'litros'],
+    g: ['g', 'g'],
+    kg: ['kg', 'kg'],
+    lb: ['libra', 'libras'],
+    oz: ['onza', 'onzas'],
+    floz: ['onza líquida', 'onzas líquidas'],
+    clove: ['diente', 'dientes'],
+    pinch: ['pizca', 'pizcas'],
+    dash: ['chorrito', 'chorritos'],
+    drizzle: ['chorro', 'chorros'],
+    can: ['lata', 'latas'],
+    package: ['paquete', 'paquetes'],
+    slice: ['rebanada', 'rebanadas'],
+    bunch: ['manojo', 'manojos'],
+    sprig: ['ramita', 'ramitas'],
+    stick: ['barra', 'barras'],
+    unit: ['unidad', 'unidades'],
+  },
+};
+
+// Languages that write "1,5" and put "de" between the unit and the item
+const DECIMAL_COMMA = ['pt', 'es'];
+
+// Size of each convertible unit in millilitres or grams
+const VOLUME_ML = { tsp: 5, tbsp: 15, dsp: 10, coffeespoon: 2.5, cup: 240, floz: 29.57, ml: 1, l: 1000 };
+const MASS_G = { g: 1, kg: 1000, oz: 28.35, lb: 453.6 };
+const METRIC_UNITS = ['ml', 'l', 'g', 'kg'];
+
+const UNIT_SYSTEMS = ['original', 'metric', 'us'];
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// "1,5 xícara" rather than "1.4999": coarser steps for bigger amounts,
+// quarters for cups/spoons/counts and one decimal for metric units
+function roundQuantity(value, unit) {
+  if (value >= 100) return roundTo(value, 5);
+  if (value >= 10) return Math.round(value);
+  if (METRIC_UNITS.includes(unit)) return Math.max(Math.round(value * 10) / 10, 0.1);
+  if (value < 0.25) return Math.round(value * 100) / 100;
+  return roundTo(value, 0.25);
+}
+
+function formatNumber(value, language = 'pt') {
+  const text = String(Number(value.toFixed(2)));
+  return DECIMAL_COMMA.includes(language) ? text.replace('.', ',') : text;
+}
+
+const unitLabel = (unit, quantity, language) => {
+  const labels = (UNIT_LABELS[language] || UNIT_LABELS.pt)[unit];
+  if (!labels) return unit;
+  // Portuguese keeps the singular below two ("1,5 xícara")
+  const plural = language === 'pt' ? quantity >= 2 : quantity !== 1;
+  return labels[plural ? 1 : 0];
+};
+
+function formatIngredient(ingredient, language = 'pt') {
+  if (ingredient.quantity == null) return ingredient.original;
+
+  const parts = [formatNumber(ingredient.quantity, language)];
+  if (ingredient.quantityMax != null) {
+    parts[0] += `-${formatNumber(ingredient.quantityMax, language)}`;
+  }
+  if (ingredient.unit) {
+    parts.push(unitLabel(ingredient.unit, ingredient.quantityMax || ingredient.quantity, language));
+    if (DECIMAL_COMMA.includes(language) && ingredient.item) parts.push('de');
+  }
+  if (ingredient.item) parts.push(ingredient.item);
+
+  const text = parts.join(' ');
+  return ingredient.note ? `${text}, ${ingredient.note}` : text;
+}
+
+const mapQuantities = (ingredient, fn) => ({
+  ...ingredient,
+  quantity: fn(ingredient.quantity),
+  ...(ingredient.quantityMax != null ? { quantityMax: fn(ingredient.quantityMax) } : {}),
+});
+
+function scaleIngredient(ingredient, factor) {
+  if (ingredient.quantity == null || factor === 1) return ingredient;
+  return mapQuantities(ingredient, quantity => quantity * factor);
+}
+
+const withUnit = (ingredient, unit, factor) => ({
+  ...mapQuantities(ingredient, quantity => quantity * factor),
+  unit,
+});
+
+// Pick the most readable US unit for an amount in millilitres or grams
+const usVolumeUnit = (ml) => (ml < 15 ? 'tsp' : ml < 60 ? 'tbsp' : 'cup');
+const usMassUnit = (g) => (g < MASS_G.lb ? 'oz' : 'lb');
+
+function convertIngredient(ingredient, system) {
+  const { quantity, unit } = ingredient;
+  if (quantity == null || !unit || system === 'original') return ingredient;
+
+  if (system === 'metric') {
+    // Spoons are already standard metric measures, so only cups and imperial units change
+    if (['cup', 'floz'].includes(unit)) {
+      const ml = quantity * VOLUME_ML[unit];
+      return ml >= 1000
+        ? withUnit(ingredient, 'l', VOLUME_ML[unit] / 1000)
+        : withUnit(ingredient, 'ml', VOLUME_ML[unit]);
+    }
+    if (['oz', 'lb'].includes(unit)) {
+      const g = quantity * MASS_G[unit];
+      return g >= 1000
+        ? withUnit(ingredient, 'kg', MASS_G[unit] / 1000)
+        : withUnit(ingredient, 'g', MASS_G[unit]);
+    }
+  }
+
+  if (system === 'us') {
+    if (['ml', 'l'].includes(unit)) {
+      const target = usVolumeUnit(quantity * VOLUME_ML[unit]);
+      return withUnit(ingredient, target, VOLUME_ML[unit] / VOLUME_ML[target]);
+    }
+    if (['g', 'kg'].includes(unit)) {
+      const target = usMassUnit(quantity * MASS_G[unit]);
+      return withUnit(ingredient, target, MASS_G[unit] / MASS_G[target]);
+    }
+  }
+  return ingredient;
+}
+
+const roundIngredient = (ingredient) => (
+  ingredient.quantity == null
+    ? ingredient
+    : mapQuantities(ingredient, quantity => roundQuantity(quantity, ingredient.unit))
+);
+
+// Matches "375 degrees Fahrenheit", "180 °C", "200 graus", "350°F"
+const TEMPERATURE_PATTERN = /(\d{2,3})\s*(?:°|º|degrees?|graus?)(?:\s*(fahrenheit|celsius|centígrados|[fc]\b))?/gi;
+
+const temperatureScale = (match, scale, value) => {
+  if (scale) return scale[0].toLowerCase() === 'f' ? 'F' : 'C';
+  if (/degree/i.test(match)) return 'F';
+  if (/grau/i.test(match)) return 'C';
+  // A bare degree sign: above 260 it can only be Fahrenheit
+  return value > 260 ? 'F' : 'C';
+};
+
+// Oven temperatures to the nearest 5, probe temperatures to the degree
+const roundTemperature = (value) => roundTo(value, value >= 100 ? 5 : 1);
+
+function convertTemperatures(text, system) {
+  if (system === 'original') return text;
+  return text.replace(TEMPERATURE_PATTERN, (match, digits, scaleWord) => {
+    const value = Number(digits);
+    const scale = temperatureScale(match, scaleWord, value);
+    if (system === 'metric' && scale === 'F') {
+      return `${roundTemperature((value - 32) * 5 / 9)} °C`;
+    }
+    if (system === 'us' && scale === 'C') {
+      return `${roundTemperature(value * 9 / 5 + 32)} °F`;
+    }
+    return match;
+  });
+}
+
+// Servings as stored on the recipe: a positive integer or null
+function normalizeServings(value) {
+  const number = typeof value === 'number' ? value : parseInt(String(value || ''), 10);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : null;
+}
+
+// Ingredient and step strings for displaying a recipe at a given number of
+// servings and unit system. Untouched lines keep their original wording.
+function presentRecipe(recipe, { servings, unitSystem = 'original', language = 'pt' } = {}) {
+  const baseServings = normalizeServings(recipe.servings);
+  const factor = baseServings && servings ? servings / baseServings : 1;
+
+  const ingredients = (recipe.ingredients || []).map(ingredient => {
+    if (typeof ingredient === 'string') return ingredient;
+    const converted = convertIngredient(scaleIngredient(ingredient, factor), unitSystem);
+    return converted === ingredient ? ingredient.original : formatIngredient(roundIngredient(converted), language);
+  });
+
+  const steps = (recipe.steps || []).map(step => convertTemperatures(step, unitSystem));
+
+  return { ingredients, steps, factor };
+}
+
+module.exports = {
+  UNIT_LABELS,
+  UNIT_SYSTEMS,
+  VOLUME_ML,
+  MASS_G,
+  roundQuantity,
+  formatNumber,
+  formatIngredient,
+  scaleIngredient,
+  convertIngredient,
+  convertTemperatures,
+  normalizeServings,
+  presentRecipe,
+};
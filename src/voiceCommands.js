@@ -0,0 +1,44 @@
+// Voice commands understood by cook mode, in Portuguese, English and Spanish
+
+const { fold } = require('./ingredients');
+
+// Only words a cook says to the app: everyday words that show up in steps
+// ("para", "volta", "continua mexendo", "put it back") would turn a sentence
+// into a command
+const COMMANDS = {
+  next: ['proximo', 'proxima', 'avancar', 'next', 'siguiente', 'avanzar'],
+  previous: ['voltar', 'anterior', 'previous', 'go back', 'atras', 'volver'],
+  repeat: ['repetir', 'repete', 'repeat', 'repite'],
+  ingredients: ['ingredientes', 'ingredients'],
+  pause: ['pausar', 'pausa', 'pause', 'stop', 'detener'],
+  resume: ['continuar', 'resume', 'continue'],
+};
+
+// Commands are short; anything longer is someone talking, not a command
+const MAX_COMMAND_WORDS = 4;
+
+// Map a recognised phrase to a command name, or null when none is spoken.
+// The last command in the phrase wins ("não, voltar" -> previous).
+function parseVoiceCommand(transcript) {
+  const text = fold(String(transcript || '')).replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (text.split(' ').length > MAX_COMMAND_WORDS) return null;
+  const words = ` ${text} `;
+  let found = null;
+  let foundAt = -1;
+  Object.entries(COMMANDS).forEach(([command, phrases]) => {
+    phrases.forEach(phrase => {
+      const index = words.lastIndexOf(` ${phrase} `);
+      if (index > foundAt) {
+        found = command;
+        foundAt = index;
+      }
+    });
+  });
+  return found;
+}
+
+module.exports = {
+  COMMANDS,
+  MAX_COMMAND_WORDS,
+  parseVoiceCommand,
+};
@@ -107,7 +107,7 @@ export const styles = StyleSheet.create({
   button: {
     padding: 10,
     borderRadius: 5,
-    width: '45%',
+    width: '30%',
     alignItems: 'center',
   },
   saveButton: {
@@ -145,4 +145,683 @@ export const styles = StyleSheet.create({
     paddingHorizontal: 20,
     marginVertical: 20,
   },
-});
\ No newline at end of file
+  editButton: {
+    backgroundColor: '#2196F3',
+  },
+  modalScroll: {
+    flexGrow: 0,
+  },
+  editInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    fontSize: 16,
+    backgroundColor: '#fafafa',
+  },
+  editTitleInput: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  editRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  editRowIndex: {
+    width: 24,
+    fontSize: 16,
+    color: '#555',
+  },
+  editRowInput: {
+    flex: 1,
+    marginRight: 6,
+  },
+  addRowButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  addRowText: {
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
+  recipeItemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  recipeItemSelected: {
+    backgroundColor: '#e8f5e9',
+  },
+  recipeItemCheckbox: {
+    marginRight: 10,
+  },
+  recipeItemTitle: {
+    flex: 1,
+  },
+  recipeItemAction: {
+    paddingHorizontal: 6,
+  },
+  selectionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'white',
+    padding: 10,
+    borderRadius: 10,
+    marginBottom: 10,
+  },
+  selectionText: {
+    fontWeight: 'bold',
+    flex: 1,
+  },
+  selectionAction: {
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    marginRight: 15,
+  },
+  selectionDelete: {
+    color: '#F44336',
+  },
+  snackbar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 20,
+    backgroundColor: '#323232',
+    borderRadius: 5,
+    padding: 14,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  snackbarText: {
+    color: 'white',
+    flex: 1,
+  },
+  snackbarAction: {
+    color: '#FFEB3B',
+    fontWeight: 'bold',
+    marginLeft: 15,
+  },
+  servingsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  servingsLabel: {
+    fontSize: 16,
+    marginRight: 8,
+  },
+  servingsValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    minWidth: 30,
+    textAlign: 'center',
+  },
+  servingsInput: {
+    width: 60,
+  },
+  unitToggle: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 5,
+    overflow: 'hidden',
+    alignSelf: 'flex-start',
+    marginBottom: 5,
+  },
+  unitToggleOption: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+  },
+  unitToggleSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  unitToggleText: {
+    color: '#4CAF50',
+  },
+  unitToggleSelectedText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  cookButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#FF9800',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginBottom: 10,
+  },
+  cookButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  cookContainer: {
+    flex: 1,
+    padding: 20,
+    paddingTop: 50,
+    backgroundColor: '#fffdf7',
+  },
+  cookHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  cookRecipeTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    flex: 1,
+    marginRight: 10,
+  },
+  cookProgress: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 10,
+  },
+  cookBody: {
+    flex: 1,
+    marginVertical: 20,
+  },
+  cookStep: {
+    fontSize: 30,
+    lineHeight: 42,
+  },
+  cookIngredient: {
+    fontSize: 24,
+    marginBottom: 8,
+  },
+  cookListening: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  cookListeningText: {
+    color: '#666',
+    marginLeft: 6,
+    flex: 1,
+  },
+  cookControls: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingBottom: 20,
+  },
+  timerChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: -4,
+    marginBottom: 8,
+  },
+  timerChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    borderRadius: 15,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  timerChipText: {
+    color: '#2196F3',
+    marginLeft: 4,
+  },
+  timerList: {
+    marginBottom: 10,
+  },
+  timerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e3f2fd',
+    borderRadius: 5,
+    padding: 8,
+    marginBottom: 5,
+  },
+  timerRowFinished: {
+    backgroundColor: '#ffecec',
+  },
+  timerLabel: {
+    flex: 1,
+    marginHorizontal: 8,
+  },
+  timerCountdown: {
+    fontWeight: 'bold',
+    fontSize: 16,
+    marginRight: 10,
+    fontVariant: ['tabular-nums'],
+  },
+  timerCountdownFinished: {
+    color: '#F44336',
+  },
+  parseErrorContainer: {
+    backgroundColor: '#ffecec',
+    padding: 10,
+    borderRadius: 5,
+    marginBottom: 10,
+  },
+  parseErrorRaw: {
+    fontFamily: 'monospace',
+    fontSize: 12,
+    color: '#555',
+    marginTop: 6,
+  },
+  audioPlayer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 5,
+  },
+  audioPlayerTime: {
+    marginLeft: 8,
+    color: '#555',
+    fontVariant: ['tabular-nums'],
+  },
+  linkText: {
+    color: '#2196F3',
+    marginVertical: 5,
+  },
+  transcript: {
+    fontSize: 14,
+    color: '#555',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  regenerateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    backgroundColor: '#2196F3',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  pendingContainer: {
+    marginBottom: 10,
+  },
+  pendingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff8e1',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  pendingInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  pendingTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  pendingStatus: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 3,
+  },
+  filters: {
+    marginBottom: 10,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    marginBottom: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: 8,
+    marginLeft: 6,
+  },
+  ingredientFilterInput: {
+    marginBottom: 8,
+  },
+  tagScroll: {
+    flexGrow: 0,
+    marginTop: 5,
+  },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 5,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    borderRadius: 15,
+    paddingVertical: 3,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  tagChipSelected: {
+    backgroundColor: '#4CAF50',
+  },
+  tagChipText: {
+    color: '#4CAF50',
+  },
+  tagChipSelectedText: {
+    color: 'white',
+  },
+  tagChipIcon: {
+    marginLeft: 3,
+  },
+  tagSuggestionLabel: {
+    color: '#888',
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  tagInput: {
+    flex: 1,
+    minWidth: 100,
+    marginBottom: 4,
+  },
+  recipeItemTags: {
+    fontSize: 12,
+    color: '#4CAF50',
+    marginTop: 3,
+  },
+  libraryActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    marginBottom: 5,
+  },
+  libraryAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 15,
+  },
+  libraryActionText: {
+    color: '#2196F3',
+    marginLeft: 4,
+  },
+  textImportInput: {
+    minHeight: 180,
+    maxHeight: 320,
+    marginBottom: 5,
+  },
+  wideButton: {
+    width: '60%',
+  },
+  shoppingRecipeTitle: {
+    flex: 1,
+  },
+  shoppingItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  shoppingItemText: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  shoppingItemChecked: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
+  plannerContainer: {
+    flex: 1,
+    padding: 15,
+    paddingTop: 50,
+    backgroundColor: '#f5f5f5',
+  },
+  plannerWeek: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    flex: 1,
+    textAlign: 'center',
+  },
+  plannerHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff8e1',
+    borderRadius: 5,
+    padding: 8,
+    marginBottom: 8,
+  },
+  plannerDay: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 8,
+    marginBottom: 8,
+  },
+  plannerDayLabel: {
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  plannerSlots: {
+    flexDirection: 'row',
+  },
+  plannerSlot: {
+    flex: 1,
+    minHeight: 60,
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 5,
+    marginHorizontal: 2,
+  },
+  plannerSlotTarget: {
+    borderColor: '#4CAF50',
+    borderStyle: 'dashed',
+  },
+  plannerSlotTouch: {
+    flex: 1,
+    padding: 4,
+    alignItems: 'center',
+  },
+  plannerSlotLabel: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 3,
+  },
+  plannerEntry: {
+    alignSelf: 'stretch',
+    backgroundColor: '#e8f5e9',
+    borderRadius: 5,
+    padding: 4,
+    marginBottom: 3,
+  },
+  plannerEntryDragged: {
+    backgroundColor: '#c8e6c9',
+    elevation: 4,
+    zIndex: 10,
+  },
+  plannerEntryText: {
+    fontSize: 12,
+  },
+  plannerPicker: {
+    maxHeight: 300,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerAction: {
+    position: 'absolute',
+    right: 0,
+    top: 4,
+  },
+  recordingLanguage: {
+    textAlign: 'center',
+    color: '#2196F3',
+    marginTop: -12,
+    marginBottom: 15,
+  },
+  recipeLanguage: {
+    color: '#888',
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  progressContainer: {
+    marginBottom: 20,
+  },
+  progressStage: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  progressStageText: {
+    marginLeft: 8,
+    fontSize: 16,
+    color: '#333',
+  },
+  progressStagePending: {
+    color: '#aaa',
+  },
+  progressDetails: {
+    maxHeight: 220,
+    marginVertical: 10,
+  },
+  progressTranscript: {
+    color: '#555',
+    fontStyle: 'italic',
+    marginBottom: 10,
+  },
+  progressRecipeTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 5,
+  },
+  progressLine: {
+    fontSize: 15,
+    marginBottom: 3,
+  },
+  recordingMeter: {
+    marginBottom: 10,
+  },
+  recordingMeterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  recordingDuration: {
+    marginLeft: 6,
+    fontSize: 18,
+    fontVariant: ['tabular-nums'],
+    width: 64,
+  },
+  levelTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#e0e0e0',
+    marginHorizontal: 10,
+    overflow: 'hidden',
+  },
+  levelFill: {
+    height: '100%',
+    backgroundColor: '#4CAF50',
+  },
+  recordingHint: {
+    color: '#888',
+    marginTop: 4,
+  },
+  recordingWarning: {
+    color: '#F44336',
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  additionHint: {
+    color: '#555',
+    marginBottom: 15,
+  },
+  diffLine: {
+    fontSize: 15,
+    marginBottom: 3,
+  },
+  diffAdded: {
+    color: '#2E7D32',
+    backgroundColor: '#E8F5E9',
+  },
+  diffRemoved: {
+    color: '#C62828',
+    backgroundColor: '#FFEBEE',
+    textDecorationLine: 'line-through',
+  },
+  nutritionContainer: {
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 5,
+    backgroundColor: '#F5F5F5',
+  },
+  nutritionBasis: {
+    color: '#888',
+    marginBottom: 6,
+  },
+  nutritionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  nutritionCell: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  nutritionValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  nutritionLabel: {
+    fontSize: 12,
+    color: '#555',
+  },
+  nutritionAllergens: {
+    marginTop: 8,
+    fontWeight: 'bold',
+    color: '#E65100',
+  },
+  nutritionHint: {
+    color: '#555',
+    marginTop: 8,
+  },
+  nutritionLine: {
+    color: '#2196F3',
+    marginVertical: 3,
+  },
+  nutritionPicker: {
+    marginBottom: 6,
+  },
+  nutritionSource: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 8,
+  },
+  adaptWarning: {
+    fontWeight: 'bold',
+    color: '#E65100',
+    marginBottom: 10,
+  },
+  parentLink: {
+    color: '#2196F3',
+    marginBottom: 8,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  historyVersion: {
+    flex: 1,
+    fontSize: 15,
+  },
+  historyDate: {
+    fontSize: 12,
+    color: '#888',
+  },
+});
@@ -0,0 +1,110 @@
+// Tests for adapted recipe copies: the local substitution rules, the prompt
+// they go into, the copy the model's answer becomes and what is left to check.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { substitutionsFor, remainingConflicts, applyAdaptation } = require('../src/adaptation');
+const { buildAdaptationPrompt } = require('../src/prompts');
+const { parseRecipeOutput } = require('../src/recipeParser');
+const { diffRecipes } = require('../src/recipeUpdate');
+const { normalizeIngredients } = require('../src/ingredients');
+
+const recipe = {
+  id: 'lasanha',
+  title: 'Lasanha à bolonhesa',
+  servings: 6,
+  audioUri: 'file:///recordings/lasanha.m4a',
+  transcript: 'Lasanha com carne moída...',
+  lastCookedAt: '2024-05-01T19:00:00.000Z',
+  ingredients: normalizeIngredients([
+    '500 g de carne moída',
+    '1 tablete de caldo de carne',
+    '500 g de massa de lasanha',
+    '400 ml de leite',
+    '400 ml de leite de coco',
+    '2 colheres (sopa) de manteiga',
+    '300 g de queijo mussarela',
+    '1 lata de extrato de tomate',
+  ]),
+  steps: ['Refogue a carne moída com o caldo de carne.', 'Monte as camadas e asse por 40 minutos.'],
+};
+
+const from = (substitutions) => substitutions.map(({ from: line, to }) => `${line} -> ${to}`);
+
+test('diets suggest swaps only for the lines that break them', () => {
+  assert.deepStrictEqual(from(substitutionsFor(recipe, 'vegetarian')), [
+    '500 g de carne moída -> proteína de soja texturizada hidratada',
+    '1 tablete de caldo de carne -> caldo de legumes',
+  ]);
+  assert.deepStrictEqual(from(substitutionsFor(recipe, 'lactoseFree', { language: 'en' })), [
+    '400 ml de leite -> lactose-free milk',
+    '2 colheres (sopa) de manteiga -> ghee',
+    '300 g de queijo mussarela -> lactose-free cheese',
+  ]);
+  assert.deepStrictEqual(substitutionsFor(recipe, 'glutenFree').map(({ from: line }) => line),
+    ['500 g de massa de lasanha']);
+
+  assert.deepStrictEqual(from(substitutionsFor(recipe, 'substitute', { ingredient: '3 ovos', language: 'es' })),
+    ['3 ovos -> 1 cucharada de linaza molida + 3 cucharadas de agua por huevo']);
+  assert.deepStrictEqual(substitutionsFor(recipe, 'substitute', { ingredient: '1 lata de leite condensado' }), []);
+});
+
+test('the prompt carries the goal, the swaps and the recipe', () => {
+  const prompt = buildAdaptationPrompt(recipe, {
+    adaptation: 'substitute',
+    ingredient: '2 colheres (sopa) de manteiga',
+    substitutions: substitutionsFor(recipe, 'substitute', { ingredient: '2 colheres (sopa) de manteiga' }),
+    language: 'pt',
+  });
+  assert.match(prompt, /does not have "2 colheres \(sopa\) de manteiga"/);
+  assert.match(prompt, /"2 colheres \(sopa\) de manteiga" -> 3\/4 da quantidade em óleo/);
+  assert.match(prompt, /Keep writing in Brazilian Portuguese/);
+  assert.ok(prompt.includes('"steps":["Refogue a carne moída com o caldo de carne."'));
+  assert.match(buildAdaptationPrompt(recipe, { adaptation: 'vegetarian' }), /Make it vegetarian/);
+});
+
+test('the adapted copy links back to its parent and diffs against it', () => {
+  const output = JSON.stringify({
+    title: 'Lasanha vegetariana',
+    servings: 6,
+    ingredients: [
+      '500 g de proteína de soja texturizada hidratada',
+      '1 tablete de caldo de legumes',
+      '500 g de massa de lasanha',
+      '400 ml de leite',
+      '400 ml de leite de coco',
+      '2 colheres (sopa) de manteiga',
+      '300 g de queijo mussarela',
+      '1 lata de extrato de tomate',
+    ],
+    steps: ['Refogue a proteína de soja com o caldo de legumes.', 'Monte as camadas e asse por 40 minutos.'],
+  });
+  const copy = applyAdaptation(recipe, parseRecipeOutput(output).recipe, { adaptation: 'vegetarian' });
+
+  assert.notStrictEqual(copy.id, recipe.id);
+  assert.strictEqual(copy.adaptedFrom, 'lasanha');
+  assert.deepStrictEqual(copy.adaptation, { type: 'vegetarian' });
+  ['audioUri', 'transcript', 'lastCookedAt'].forEach(field => assert.ok(!(field in copy), field));
+  assert.strictEqual(recipe.title, 'Lasanha à bolonhesa');
+
+  const diff = diffRecipes(recipe, copy);
+  assert.deepStrictEqual(diff.title, { before: 'Lasanha à bolonhesa', after: 'Lasanha vegetariana' });
+  assert.deepStrictEqual(diff.ingredients.filter(line => line.type !== 'same').map(line => line.type),
+    ['removed', 'removed', 'added', 'added']);
+  assert.deepStrictEqual(diff.steps.map(line => line.type), ['removed', 'added', 'same']);
+  assert.deepStrictEqual(remainingConflicts(copy, 'vegetarian'), []);
+});
+
+test('lines that still break the diet or use the missing ingredient are listed', () => {
+  const copy = applyAdaptation(recipe, { title: 'Lasanha sem lactose', ingredients: [], steps: [] },
+    { adaptation: 'lactoseFree' });
+  // An empty answer keeps the original lists
+  assert.deepStrictEqual(copy.steps, recipe.steps);
+  assert.deepStrictEqual(remainingConflicts(copy, 'lactoseFree'),
+    ['400 ml de leite', '2 colheres (sopa) de manteiga', '300 g de queijo mussarela']);
+
+  const substituted = { ingredients: normalizeIngredients(['3 colheres (sopa) de óleo', '2 ovos batidos']) };
+  assert.deepStrictEqual(remainingConflicts(substituted, 'substitute', { ingredient: '2 colheres (sopa) de manteiga' }), []);
+  assert.deepStrictEqual(remainingConflicts(substituted, 'substitute', { ingredient: '3 ovos' }), ['2 ovos batidos']);
+});
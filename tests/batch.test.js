@@ -0,0 +1,202 @@
+// Tests for the batch converter (cli.js, src/batch.js): the concurrency
+// limit, resuming from the saved state, and whole runs against the mock
+// Replicate server with the recorded fixtures.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockReplicate } = require('./helpers/mockReplicate');
+const { createProviders } = require('../src/providers');
+const {
+  sourceType,
+  emptyState,
+  readState,
+  needsProcessing,
+  runWithConcurrency,
+  summarizeBatch,
+} = require('../src/batch');
+const { runCli } = require('../cli.js');
+
+const fixture = (name) => JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'replicate', `${name}.json`), 'utf8')
+);
+const arroz = fixture('arroz-pt-full-pipeline');
+const roastBeef = fixture('roast-beef-en-prose-around-json');
+const proseOnly = fixture('prose-only-unparseable');
+
+const mock = createMockReplicate();
+let providers = null;
+
+test.before(async () => {
+  const baseUrl = await mock.start();
+  const replicate = { apiToken: 'test-token', baseUrl, pollInterval: 1 };
+  providers = createProviders({ transcriptionProvider: 'replicate', recipeProvider: 'replicate', replicate });
+});
+
+test.after(() => mock.stop());
+
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cooking-master-batch-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+// Runs the CLI in-process and collects what it prints
+const cli = async (args, options = {}) => {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(args, {
+    providers,
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+    ...options,
+  });
+  return { code, stdout, stderr };
+};
+
+test('batch sources are picked by extension', () => {
+  assert.strictEqual(sourceType('Bolo.M4A'), 'audio');
+  assert.strictEqual(sourceType('notes/arroz.txt'), 'text');
+  assert.strictEqual(sourceType('page.htm'), 'html');
+  assert.strictEqual(sourceType('photo.jpg'), null);
+});
+
+test('runWithConcurrency never runs more than the limit and stops on abort', async () => {
+  let running = 0;
+  let most = 0;
+  const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+    running++;
+    most = Math.max(most, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    if (n === 3) throw new Error('three');
+    return n * 10;
+  });
+  assert.strictEqual(most, 2);
+  assert.deepStrictEqual(results.map(result => result.value), [10, 20, undefined, 40, 50]);
+  assert.strictEqual(results[2].reason.message, 'three');
+
+  const controller = new AbortController();
+  const started = [];
+  await runWithConcurrency([1, 2, 3], 1, async (n) => {
+    started.push(n);
+    controller.abort();
+  }, { signal: controller.signal });
+  assert.deepStrictEqual(started, [1]);
+});
+
+test('done files are skipped until they change, failed ones are retried', () => {
+  const state = readState(JSON.stringify({
+    ...emptyState(),
+    files: {
+      'a.txt': { fingerprint: '10:1', status: 'done', recipeIds: ['1'] },
+      'b.m4a': { fingerprint: '20:1', status: 'transcribed', transcript: 'text' },
+      'c.txt': { fingerprint: '30:1', status: 'failed', error: 'NO_JSON' },
+    },
+  }));
+  const sources = [
+    { path: 'a.txt', fingerprint: '10:1' },
+    { path: 'b.m4a', fingerprint: '20:1' },
+    { path: 'c.txt', fingerprint: '30:1' },
+    { path: 'd.txt', fingerprint: '40:1' },
+  ];
+  assert.deepStrictEqual(sources.filter(source => needsProcessing(state, source)).map(source => source.path),
+    ['b.m4a', 'c.txt', 'd.txt']);
+  assert.strictEqual(needsProcessing(state, { path: 'a.txt', fingerprint: '11:2' }), true);
+  assert.deepStrictEqual(readState('{ not json'), emptyState());
+
+  const summary = summarizeBatch(state, sources, {
+    processed: ['c.txt'],
+    startedAt: '2024-05-01T10:00:00.000Z',
+    finishedAt: '2024-05-01T10:00:42.000Z',
+  });
+  assert.strictEqual(summary.seconds, 42);
+  assert.strictEqual(summary.skipped, 3);
+  assert.strictEqual(summary.done, 1);
+  assert.deepStrictEqual(summary.failed, [{ path: 'c.txt', error: 'NO_JSON' }]);
+  assert.deepStrictEqual(summary.pending, ['b.m4a', 'd.txt']);
+  assert.strictEqual(summary.recipes, 1);
+});
+
+test('batch converts a folder, reports failures and resumes on the next run', async (t) => {
+  const input = tempDir(t);
+  const out = path.join(tempDir(t), 'out');
+  fs.writeFileSync(path.join(input, 'arroz.m4a'), Buffer.from('audio'));
+  fs.mkdirSync(path.join(input, 'notes'));
+  fs.writeFileSync(path.join(input, 'notes', 'hmm.txt'), proseOnly.transcript);
+  fs.writeFileSync(path.join(input, 'roast-beef.txt'), roastBeef.transcript);
+  fs.writeFileSync(path.join(input, 'photo.jpg'), 'not a recipe');
+
+  // One at a time, so the lifecycles are taken in file order
+  [arroz.transcription, arroz.recipe, proseOnly.recipe, roastBeef.recipe].forEach(mock.enqueue);
+  const first = await cli(['batch', input, '--out', out, '--concurrency', '1']);
+  assert.strictEqual(first.code, 1);
+  assert.match(first.stdout, /3 file\(s\), 3 converted this run, 0 skipped/);
+  assert.match(first.stdout, /done: 2 {2}failed: 1/);
+  assert.match(first.stderr, /✗ notes[/\\]hmm\.txt: Could not read a recipe/);
+  assert.strictEqual(fs.readFileSync(path.join(out, 'transcripts', 'arroz.m4a.txt'), 'utf8').trim(), arroz.transcript);
+
+  const report = JSON.parse(fs.readFileSync(path.join(out, 'batch-report.json'), 'utf8'));
+  assert.strictEqual(report.recipes, 2);
+  const state = JSON.parse(fs.readFileSync(path.join(out, 'batch-state.json'), 'utf8'));
+  assert.strictEqual(state.files['arroz.m4a'].spokenLanguage, arroz.expected.language);
+
+  // Only the failed file is sent again
+  const posts = () => mock.requests.filter(request => request.url === '/predictions').length;
+  const before = posts();
+  mock.enqueue(proseOnly.recipe);
+  const second = await cli(['batch', input, '--out', out]);
+  assert.strictEqual(second.code, 1);
+  assert.match(second.stdout, /1 converted this run, 2 skipped/);
+  assert.strictEqual(posts() - before, 1);
+
+  const exported = await cli(['export', '--format', 'md', '--out', out]);
+  assert.strictEqual(exported.code, 0);
+  assert.deepStrictEqual(exported.stdout.match(/^# .*/gm), ['# Arroz com ovos e cenoura', '# Roast Beef']);
+
+  const jsonLd = path.join(out, 'recipes.jsonld');
+  await cli(['export', '--format', 'jsonld', '--out', out, '--file', jsonLd]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(jsonLd, 'utf8')).length, 2);
+  assert.strictEqual(mock.pendingLifecycles(), 0);
+});
+
+test('an interrupted batch keeps the transcript and finishes the recipe next time', async (t) => {
+  const input = tempDir(t);
+  const out = path.join(tempDir(t), 'out');
+  fs.writeFileSync(path.join(input, 'arroz.m4a'), Buffer.from('audio'));
+
+  // Interrupted while the recipe is being generated
+  const controller = new AbortController();
+  mock.enqueue(arroz.transcription);
+  mock.enqueue([{ status: 'starting' }, { status: 'processing' }]);
+  const interrupted = cli(['batch', input, '--out', out], { signal: controller.signal });
+  const stateFile = path.join(out, 'batch-state.json');
+  while (!fs.existsSync(stateFile) || !fs.readFileSync(stateFile, 'utf8').includes('"transcribed"')) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  controller.abort();
+  const first = await interrupted;
+  assert.strictEqual(first.code, 130);
+  assert.match(first.stdout, /Batch interrupted.*\n.*pending: 1/);
+  assert.strictEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).files['arroz.m4a'].status, 'transcribed');
+
+  mock.enqueue(arroz.recipe);
+  const second = await cli(['batch', input, '--out', out]);
+  assert.strictEqual(second.code, 0);
+  const exported = await cli(['export', '--format', 'json', '--out', out]);
+  const [recipe] = JSON.parse(exported.stdout).recipes;
+  assert.strictEqual(recipe.title, arroz.expected.recipe.title);
+  assert.strictEqual(recipe.transcript, arroz.transcript);
+  assert.strictEqual(mock.pendingLifecycles(), 0);
+});
+
+test('unknown commands and formats print the usage', async () => {
+  const unknown = await cli(['convert']);
+  assert.strictEqual(unknown.code, 1);
+  assert.match(unknown.stderr, /Unknown command "convert"[\s\S]*Usage:/);
+  const format = await cli(['export', '--format', 'pdf']);
+  assert.match(format.stderr, /--format must be one of: md, json, jsonld/);
+});
@@ -0,0 +1,52 @@
+// Tests for the cooking durations found in recipe steps (cook mode timers).
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractDurations, formatDuration } = require('../src/durations');
+
+// [seconds, text] of every duration in a step
+const durations = (step) => extractDurations(step).map(({ seconds, text }) => [seconds, text]);
+
+test('Portuguese steps: minutes, hours and a half, "meia hora" and "1h30"', () => {
+  assert.deepStrictEqual(durations('Cozinhe por 30 minutos.'), [[1800, '30 minutos']]);
+  assert.deepStrictEqual(durations('Asse por 1 hora e meia'), [[5400, '1 hora e meia']]);
+  assert.deepStrictEqual(durations('Leve ao forno por meia hora'), [[1800, 'meia hora']]);
+  assert.deepStrictEqual(durations('Asse por 1h30'), [[5400, '1h30']]);
+  assert.deepStrictEqual(durations('Ferva por dois minutos'), [[120, 'dois minutos']]);
+  assert.deepStrictEqual(durations('Bata por 30 segundos'), [[30, '30 segundos']]);
+  // "e" followed by another verb is not part of the duration
+  assert.deepStrictEqual(durations('Mexa por 2 minutos e sirva'), [[120, '2 minutos']]);
+});
+
+test('a range uses its lower bound so the cook checks early', () => {
+  assert.deepStrictEqual(durations('Deixe 10 a 15 min'), [[600, '10 a 15 min']]);
+  assert.deepStrictEqual(durations('bake for 20-25 minutes'), [[1200, '20-25 minutes']]);
+  assert.deepStrictEqual(durations('simmer 5 to 10 mins'), [[300, '5 to 10 mins']]);
+});
+
+test('English steps, several durations in order, and steps without any', () => {
+  assert.deepStrictEqual(durations('Bake for 1 hour and 20 minutes'), [[4800, '1 hour and 20 minutes']]);
+  assert.deepStrictEqual(durations('simmer for half an hour'), [[1800, 'half an hour']]);
+  assert.deepStrictEqual(durations('rest for an hour'), [[3600, 'an hour']]);
+  assert.deepStrictEqual(durations('roast for about 45 minutes, then rest 5 mins'), [
+    [2700, '45 minutes'],
+    [300, '5 mins'],
+  ]);
+  assert.deepStrictEqual(durations('Add 2 cups of flour'), []);
+  assert.deepStrictEqual(durations(''), []);
+});
+
+test('the matched text and index come from the original step, accents included', () => {
+  const [found] = extractDurations('Toste o pão na manteiga por 3 MINUTOS');
+  assert.strictEqual(found.text, '3 MINUTOS');
+  assert.strictEqual(found.index, 'Toste o pão na manteiga por '.length);
+});
+
+test('formatDuration shows minutes and seconds, and hours when there are any', () => {
+  assert.strictEqual(formatDuration(45), '0:45');
+  assert.strictEqual(formatDuration(900), '15:00');
+  assert.strictEqual(formatDuration(3900), '1:05:00');
+  assert.strictEqual(formatDuration(59.2), '1:00');
+  assert.strictEqual(formatDuration(-5), '0:00');
+});
@@ -0,0 +1,103 @@
+// Local stand-in for the Replicate predictions API, for the pipeline tests.
+//
+// Tests queue prediction lifecycles: the list of states a prediction goes
+// through, e.g. [{ status: 'starting' }, { status: 'processing', output: [...] },
+// { status: 'succeeded', output: [...] }]. Each POST /predictions takes the
+// next lifecycle and answers with its first state; every poll moves one
+// state further and then stays on the last. A state { httpStatus: 404 }
+// answers with that status instead (a prediction that went missing).
+
+const http = require('node:http');
+
+function createMockReplicate() {
+  const lifecycles = [];
+  const predictions = new Map();
+  const requests = [];
+  let server = null;
+  let baseUrl = null;
+  let nextId = 1;
+
+  const send = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+
+  const predictionBody = (prediction) => {
+    const { httpStatus, ...state } = prediction.states[prediction.index];
+    return {
+      id: prediction.id,
+      output: null,
+      error: null,
+      ...state,
+      urls: {
+        get: `${baseUrl}/predictions/${prediction.id}`,
+        cancel: `${baseUrl}/predictions/${prediction.id}/cancel`,
+      },
+    };
+  };
+
+  const handle = (request, response, body) => {
+    const input = body ? JSON.parse(body) : null;
+    requests.push({ method: request.method, url: request.url, body: input });
+
+    if (request.method === 'POST' && request.url === '/predictions') {
+      const states = lifecycles.shift();
+      if (!states) {
+        send(response, 422, { detail: 'No prediction lifecycle queued' });
+        return;
+      }
+      const prediction = { id: `p${nextId++}`, states, index: 0 };
+      predictions.set(prediction.id, prediction);
+      send(response, 201, predictionBody(prediction));
+      return;
+    }
+
+    const match = request.url.match(/^\/predictions\/(\w+)(\/cancel)?$/);
+    const prediction = match && predictions.get(match[1]);
+    if (!prediction) {
+      send(response, 404, { detail: 'Not found' });
+      return;
+    }
+    if (match[2]) {
+      prediction.states = [...prediction.states.slice(0, prediction.index + 1), { status: 'canceled' }];
+      prediction.index = prediction.states.length - 1;
+      send(response, 200, predictionBody(prediction));
+      return;
+    }
+
+    prediction.index = Math.min(prediction.index + 1, prediction.states.length - 1);
+    const state = prediction.states[prediction.index];
+    if (state.httpStatus) {
+      send(response, state.httpStatus, { detail: 'Not found' });
+      return;
+    }
+    send(response, 200, predictionBody(prediction));
+  };
+
+  return {
+    requests,
+    // Resolves to the base URL to give the Replicate client
+    start: async () => {
+      server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => handle(request, response, body));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return baseUrl;
+    },
+    stop: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    },
+    enqueue: (states) => {
+      lifecycles.push(states);
+    },
+    pendingLifecycles: () => lifecycles.length,
+  };
+}
+
+module.exports = {
+  createMockReplicate,
+};
@@ -0,0 +1,67 @@
+// Offline tests for importing recipes from saved web pages.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { importFromHtml, htmlToText, extractJsonLd, looksLikeHtml } = require('../src/htmlImport');
+const { parseRecipeOutput } = require('../src/recipeParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'html');
+const loadFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+const neverCalled = async () => {
+  throw new Error('The model should not be called');
+};
+
+test('reads Recipe JSON-LD from a @graph and skips broken blocks', async () => {
+  const html = loadFixture('blog-graph.html');
+  assert.strictEqual(extractJsonLd(html).length, 1);
+
+  const { source, recipes } = await importFromHtml(html, { generate: neverCalled });
+  assert.strictEqual(source, 'json-ld');
+  assert.strictEqual(recipes.length, 1);
+
+  const [recipe] = recipes;
+  assert.strictEqual(recipe.title, 'Bolo de cenoura fofinho');
+  assert.strictEqual(recipe.servings, 12);
+  assert.deepStrictEqual(recipe.tags, ['bolo', 'sobremesa', 'cenoura']);
+  assert.strictEqual(recipe.ingredients.length, 6);
+  assert.strictEqual(recipe.ingredients[0].original, '3 cenouras médias');
+  assert.strictEqual(recipe.ingredients[4].quantity, 2.5);
+  assert.deepStrictEqual(recipe.steps, [
+    'Bata no liquidificador as cenouras, os ovos e o óleo.',
+    'Misture o açúcar, a farinha e o fermento.',
+    'Asse em forno a 180 °C por 40 minutos.',
+  ]);
+});
+
+test('falls back to the model with the visible page text', async () => {
+  const html = loadFixture('plain-article.html');
+  let prompt = null;
+  const generate = async (text) => {
+    prompt = text;
+    return loadFixture('plain-article.output.txt');
+  };
+
+  const { source, text, output } = await importFromHtml(html, { generate });
+  assert.strictEqual(source, 'llm');
+  assert.strictEqual(prompt, text);
+  const result = parseRecipeOutput(output);
+  assert.ok(result.ok);
+  assert.strictEqual(result.recipe.title, 'Arroz de forno');
+  assert.strictEqual(result.recipe.ingredients.length, 3);
+
+  assert.match(text, /- 200 g de queijo muçarela/);
+  assert.match(text, /Misture o arroz com o presunto\.\nCubra com o queijo/);
+  assert.doesNotMatch(text, /analytics|font-family|Home|comentários|©/);
+});
+
+test('recognizes HTML among pasted text', () => {
+  assert.ok(looksLikeHtml(loadFixture('plain-article.html')));
+  assert.ok(!looksLikeHtml('Bata 3 ovos com 1 xícara de açúcar <até dobrar>'));
+  assert.strictEqual(htmlToText('<p>a &amp; b&nbsp;&#233;</p>'), 'a & b é');
+  // Not a code point: kept as written instead of throwing
+  assert.strictEqual(htmlToText('<p>&#99999999; &#x110000;</p>'), '&#99999999; &#x110000;');
+});
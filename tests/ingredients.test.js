@@ -0,0 +1,97 @@
+// Tests for the structured ingredient parser: Portuguese, English and Spanish
+// units, fractions, ranges, "a gosto" notes, and upgrading stored recipes.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseIngredient,
+  normalizeIngredients,
+  ingredientText,
+  migrateRecipeIngredients,
+} = require('../src/ingredients');
+
+const fields = (line) => {
+  const { quantity, quantityMax, unit, item, note } = parseIngredient(line);
+  return { quantity, quantityMax: quantityMax === undefined ? null : quantityMax, unit, item, note };
+};
+
+const expect = (quantity, unit, item, note = null, quantityMax = null) => ({ quantity, quantityMax, unit, item, note });
+
+const assertTable = (table) => table.forEach(([line, expected]) => {
+  assert.deepStrictEqual(fields(line), expected, line);
+});
+
+test('units are read in Portuguese, English and Spanish', () => {
+  assertTable([
+    ['2 xícaras de farinha de trigo', expect(2, 'cup', 'farinha de trigo')],
+    ['1 colher (sopa) de azeite', expect(1, 'tbsp', 'azeite')],
+    ['1 colher de chá de sal', expect(1, 'tsp', 'sal')],
+    ['3 cloves of garlic, minced', expect(3, 'clove', 'garlic', 'minced')],
+    ['2 tazas de harina', expect(2, 'cup', 'harina')],
+    ['500 g de carne moída', expect(500, 'g', 'carne moída')],
+    ['1 kg de batata', expect(1, 'kg', 'batata')],
+    ['1 lata de leite condensado', expect(1, 'can', 'leite condensado')],
+    ['2 dentes de alho', expect(2, 'clove', 'alho')],
+    ['uma pitada de sal', expect(1, 'pinch', 'sal')],
+    ['a pinch of salt', expect(1, 'pinch', 'salt')],
+    ['- 200 ml de creme de leite', expect(200, 'ml', 'creme de leite')],
+    ['3 ovos', expect(3, null, 'ovos')],
+  ]);
+});
+
+test('fractions, decimals and halves become numbers', () => {
+  assertTable([
+    ['½ xícara de leite', expect(0.5, 'cup', 'leite')],
+    ['1/2 cup milk', expect(0.5, 'cup', 'milk')],
+    ['1 1/2 cups flour', expect(1.5, 'cup', 'flour')],
+    ['1,5 litro de água', expect(1.5, 'l', 'água')],
+    ['meia xícara de óleo', expect(0.5, 'cup', 'óleo')],
+    ['1 e meia xícara de açúcar', expect(1.5, 'cup', 'açúcar')],
+    ['1 and a half cups sugar', expect(1.5, 'cup', 'sugar')],
+    ['1 y media taza de azúcar', expect(1.5, 'cup', 'azúcar')],
+  ]);
+});
+
+test('a whole number and a fraction joined by "e", "and" or "y" add up', () => {
+  assertTable([
+    ['2 e ½ xícaras de farinha', expect(2.5, 'cup', 'farinha')],
+    ['1 e 1/2 colher (sopa) de manteiga', expect(1.5, 'tbsp', 'manteiga')],
+    ['1 and 1/2 cups flour', expect(1.5, 'cup', 'flour')],
+    ['2 and ¾ cups milk', expect(2.75, 'cup', 'milk')],
+    ['1 y ¼ taza de leche', expect(1.25, 'cup', 'leche')],
+  ]);
+});
+
+test('ranges, "a gosto" and remarks', () => {
+  assertTable([
+    ['2-3 tomates', expect(2, null, 'tomates', null, 3)],
+    ['2 a 3 tomates', expect(2, null, 'tomates', null, 3)],
+    ['1 to 2 tbsp butter', expect(1, 'tbsp', 'butter', null, 2)],
+    ['sal a gosto', expect(null, null, 'sal', 'a gosto')],
+    ['salt to taste', expect(null, null, 'salt', 'to taste')],
+    ['pimenta-do-reino a gosto', expect(null, null, 'pimenta-do-reino', 'a gosto')],
+    ['azeite q.b.', expect(null, null, 'azeite', 'q.b.')],
+    ['1 cebola (não muito grande)', expect(1, null, 'cebola', 'não muito grande')],
+  ]);
+  // The line as written is kept for display
+  assert.strictEqual(parseIngredient('2 e meia xícaras de farinha').original, '2 e meia xícaras de farinha');
+});
+
+test('stored recipes with string ingredients are upgraded once', () => {
+  const structured = { id: 'b', ingredients: normalizeIngredients(['1 ovo']) };
+  const recipes = [
+    { id: 'a', ingredients: ['2 xícaras de arroz', '  ', { text: 'sal a gosto' }] },
+    structured,
+    { id: 'c' },
+  ];
+  const migrated = migrateRecipeIngredients(recipes);
+
+  assert.deepStrictEqual(migrated[0].ingredients.map(ingredient => [ingredient.quantity, ingredient.unit, ingredient.item]),
+    [[2, 'cup', 'arroz'], [null, null, 'sal']]);
+  assert.deepStrictEqual(migrated[0].ingredients.map(ingredientText), ['2 xícaras de arroz', 'sal a gosto']);
+  assert.strictEqual(migrated[1], structured);
+  assert.strictEqual(migrated[2], recipes[2]);
+  // Nothing left to upgrade: the same list comes back
+  assert.strictEqual(migrateRecipeIngredients(migrated), migrated);
+});
@@ -0,0 +1,118 @@
+// Tests for the offline processing queue: retry backoff, giving up after
+// MAX_ATTEMPTS, and the stage a job resumes from.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  JOB_STAGES,
+  MAX_ATTEMPTS,
+  backoffDelay,
+  createJob,
+  isDue,
+  recordFailure,
+  resetJob,
+  advanceJob,
+} = require('../src/jobQueue');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// A pipeline that records the stages it ran and fails where asked
+const fakePipeline = ({ failTranscribe, failStructure } = {}) => {
+  const calls = [];
+  return {
+    calls,
+    transcribe: async (audioUri) => {
+      calls.push(['transcribe', audioUri]);
+      if (failTranscribe) throw new Error(failTranscribe);
+      return { text: 'bolo de cenoura', language: 'pt' };
+    },
+    structure: async (transcript) => {
+      calls.push(['structure', transcript]);
+      if (failStructure) throw new Error(failStructure);
+      return { title: 'Bolo de cenoura' };
+    },
+  };
+};
+
+test('the retry delay starts at 30 seconds and doubles', () => {
+  assert.deepStrictEqual(
+    [1, 2, 3, 4, 5].map(backoffDelay),
+    [30 * SECOND, MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE]
+  );
+  assert.strictEqual(backoffDelay(0), 30 * SECOND);
+});
+
+test('the retry delay is capped at 30 minutes', () => {
+  assert.strictEqual(backoffDelay(7), 30 * MINUTE);
+  assert.strictEqual(backoffDelay(20), 30 * MINUTE);
+});
+
+test('each failure schedules the next attempt until MAX_ATTEMPTS, then the job fails', () => {
+  let job = createJob({ audioUri: 'a.m4a' }, NOW);
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt += 1) {
+    job = recordFailure(job, new Error('Network request failed'), NOW);
+    assert.strictEqual(job.attempts, attempt);
+    assert.strictEqual(job.stage, JOB_STAGES.PENDING_TRANSCRIPTION);
+    assert.strictEqual(job.nextAttemptAt, NOW + backoffDelay(attempt));
+    assert.strictEqual(job.lastError, 'Network request failed');
+    assert.ok(!isDue(job, NOW));
+    assert.ok(isDue(job, job.nextAttemptAt));
+  }
+
+  job = recordFailure(job, 'timeout', NOW);
+  assert.strictEqual(job.attempts, MAX_ATTEMPTS);
+  assert.strictEqual(job.stage, JOB_STAGES.FAILED);
+  assert.strictEqual(job.nextAttemptAt, null);
+  assert.strictEqual(job.lastError, 'timeout');
+  assert.ok(!isDue(job, NOW + 24 * 60 * MINUTE));
+
+  // A manual retry starts over
+  const retried = resetJob(job, NOW);
+  assert.strictEqual(retried.stage, JOB_STAGES.PENDING_TRANSCRIPTION);
+  assert.strictEqual(retried.attempts, 0);
+  assert.ok(isDue(retried, NOW));
+});
+
+test('a job created after a failure waits for the first retry', () => {
+  const job = createJob({ audioUri: 'a.m4a', error: 'Provider unavailable' }, NOW);
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.nextAttemptAt, NOW + 30 * SECOND);
+});
+
+test('a job that failed while structuring resumes there, without transcribing again', async () => {
+  const first = fakePipeline({ failStructure: 'Provider unavailable' });
+  const failed = await advanceJob(createJob({ audioUri: 'a.m4a' }, NOW), first, () => NOW);
+  assert.deepStrictEqual(first.calls, [['transcribe', 'a.m4a'], ['structure', 'bolo de cenoura']]);
+  assert.strictEqual(failed.stage, JOB_STAGES.PENDING_STRUCTURING);
+  assert.strictEqual(failed.transcript, 'bolo de cenoura');
+  assert.strictEqual(failed.spokenLanguage, 'pt');
+  assert.strictEqual(failed.attempts, 1);
+
+  const second = fakePipeline();
+  const done = await advanceJob(failed, second, () => NOW);
+  assert.deepStrictEqual(second.calls, [['structure', 'bolo de cenoura']]);
+  assert.strictEqual(done.stage, JOB_STAGES.DONE);
+  assert.deepStrictEqual(done.recipe, { title: 'Bolo de cenoura' });
+  assert.strictEqual(done.lastError, null);
+
+  // Resetting keeps the transcript, so it skips transcription too
+  assert.strictEqual(resetJob(failed, NOW).stage, JOB_STAGES.PENDING_STRUCTURING);
+});
+
+test('a job that failed while transcribing stays there and records the error', async () => {
+  const pipeline = fakePipeline({ failTranscribe: 'Network request failed' });
+  const job = await advanceJob(createJob({ audioUri: 'a.m4a' }, NOW), pipeline, () => NOW);
+  assert.deepStrictEqual(pipeline.calls, [['transcribe', 'a.m4a']]);
+  assert.strictEqual(job.stage, JOB_STAGES.PENDING_TRANSCRIPTION);
+  assert.strictEqual(job.transcript, null);
+  assert.strictEqual(job.lastError, 'Network request failed');
+  assert.strictEqual(job.nextAttemptAt, NOW + 30 * SECOND);
+});
+
+test('a job created with a transcript starts at structuring', () => {
+  const job = createJob({ audioUri: 'a.m4a', transcript: 'bolo de cenoura' }, NOW);
+  assert.strictEqual(job.stage, JOB_STAGES.PENDING_STRUCTURING);
+});
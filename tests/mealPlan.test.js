@@ -0,0 +1,64 @@
+// Tests for the weekly meal plan and its iCalendar export.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  EMPTY_PLAN,
+  weekStart,
+  weekDays,
+  assignRecipe,
+  moveEntry,
+  removeEntry,
+  copyWeek,
+  weekSelections,
+  toICalendar,
+} = require('../src/mealPlan');
+
+const recipes = [
+  { id: 'a', title: 'Feijoada, da vó', ingredients: [{ original: '500 g de feijão preto' }] },
+  { id: 'b', title: 'Omelete', ingredients: [] },
+];
+
+const plan = [
+  { date: '2024-10-14', slot: 'lunch', recipeId: 'a' },
+  { date: '2024-10-16', slot: 'dinner', recipeId: 'b' },
+  { date: '2024-10-21', slot: 'breakfast', recipeId: 'b' },
+].reduce(assignRecipe, EMPTY_PLAN);
+
+test('weeks start on Monday', () => {
+  assert.strictEqual(weekStart(new Date(2024, 9, 20)), '2024-10-14');
+  assert.strictEqual(weekStart('2024-10-14'), '2024-10-14');
+  assert.deepStrictEqual(weekDays('2024-10-28').slice(-2), ['2024-11-02', '2024-11-03']);
+});
+
+test('moves and removes entries', () => {
+  const [, dinner] = plan.entries;
+  const moved = moveEntry(plan, dinner.id, { date: '2024-10-17', slot: 'breakfast' });
+  assert.deepStrictEqual(
+    moved.entries.find(entry => entry.id === dinner.id),
+    { ...dinner, date: '2024-10-17', slot: 'breakfast' }
+  );
+  assert.strictEqual(removeEntry(moved, dinner.id).entries.length, 2);
+});
+
+test('copies last week without duplicating planned meals', () => {
+  const copied = copyWeek(copyWeek(plan, '2024-10-14', '2024-10-21'), '2024-10-14', '2024-10-21');
+  assert.deepStrictEqual(
+    weekSelections(copied, '2024-10-21'),
+    [{ recipeId: 'b', servings: null }, { recipeId: 'a', servings: null }, { recipeId: 'b', servings: null }]
+  );
+});
+
+test('exports a week as iCalendar', () => {
+  const ics = toICalendar(plan, recipes, { start: '2024-10-14' });
+  const lines = ics.split('\r\n');
+
+  assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+  assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+  assert.ok(lines.includes('DTSTART:20241014T123000'));
+  assert.ok(lines.includes('SUMMARY:Almoço: Feijoada\\, da vó'));
+  assert.ok(lines.includes('DESCRIPTION:- 500 g de feijão preto'));
+  assert.ok(lines.includes('DTSTART:20241016T193000'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
@@ -0,0 +1,94 @@
+// Tests for the offline nutrition and allergen estimate: fuzzy matching
+// against the bundled food table, amounts in grams, totals per serving and
+// the user's remembered mappings.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { FOODS } = require('../src/foodTable');
+const {
+  ALLERGENS,
+  mappingKey,
+  matchFood,
+  searchFoods,
+  getFood,
+  ingredientGrams,
+  estimateNutrition,
+} = require('../src/nutrition');
+const { parseIngredient } = require('../src/ingredients');
+
+const matched = (line, mappings) => {
+  const { food } = matchFood(parseIngredient(line), mappings);
+  return food && food.id;
+};
+
+test('the food table is well formed', () => {
+  const ids = FOODS.map(food => food.id);
+  assert.strictEqual(new Set(ids).size, ids.length);
+  FOODS.forEach(food => {
+    assert.ok(food.names.every(name => name === name.toLowerCase()), food.id);
+    assert.ok(food.allergens.every(allergen => ALLERGENS.includes(allergen)), food.id);
+    assert.ok(food.per100g.kcal >= 0 && food.per100g.kcal <= 900, food.id);
+  });
+});
+
+test('ingredients match regardless of accents, plurals, language and typos', () => {
+  assert.strictEqual(matched('3 ovos'), 'ovo');
+  assert.strictEqual(matched('1 xícara de açúcar'), 'acucar');
+  assert.strictEqual(matched('2 dentes de alho picados'), 'alho');
+  assert.strictEqual(matched('3 cloves of minced garlic'), 'alho');
+  assert.strictEqual(matched('2 tazas de harina'), 'farinha-trigo');
+  assert.strictEqual(matched('200 g de mussarela ralada'), 'mucarela');
+  assert.strictEqual(matched('150 g de muçarela'), 'mucarela');
+  assert.strictEqual(matched('1 lata de leite condensado'), 'leite-condensado');
+  assert.strictEqual(matched('400 ml de leite de coco'), 'leite-coco');
+  assert.strictEqual(matched('1 cebola roxa'), 'cebola');
+  assert.strictEqual(matched('1 pacote de gelatina'), null);
+  assert.deepStrictEqual(searchFoods('queijo').slice(0, 1).map(food => food.id), ['mucarela']);
+});
+
+test('amounts become grams through mass, density and portion weights', () => {
+  const grams = (line) => {
+    const ingredient = parseIngredient(line);
+    return ingredientGrams(ingredient, matchFood(ingredient).food);
+  };
+  assert.strictEqual(grams('1 kg de patinho'), 1000);
+  assert.strictEqual(grams('2 xícaras de farinha de trigo'), 2 * 240 * 0.53);
+  assert.strictEqual(grams('3 ovos'), 150);
+  assert.strictEqual(grams('2 dentes de alho'), 10);
+  assert.strictEqual(grams('1 lata de leite condensado'), 395);
+  assert.strictEqual(grams('2-4 tomates'), 300);
+  assert.strictEqual(grams('cebola picada'), null);
+});
+
+test('a recipe adds up per serving and flags its allergens', () => {
+  const recipe = {
+    servings: 4,
+    ingredients: ['200 g de farinha de trigo', '2 ovos', '250 ml de leite', 'sal a gosto', 'cebola picada', '1 pacote de gelatina'],
+  };
+  const estimate = estimateNutrition(recipe);
+
+  // 200 g flour 720 kcal, 100 g egg 143 kcal, 257.5 g milk 157 kcal
+  assert.strictEqual(estimate.total.kcal, 1020);
+  assert.strictEqual(estimate.perServing.kcal, 255);
+  assert.strictEqual(estimate.perServing.protein, Math.round(((9.8 * 2 + 13.0 + 2.9 * 2.575) / 4) * 10) / 10);
+  assert.deepStrictEqual(estimate.allergens, ['gluten', 'lactose', 'egg']);
+  assert.deepStrictEqual(estimate.unmatched.map(line => line.ingredient.original), ['1 pacote de gelatina']);
+  assert.deepStrictEqual(estimate.unmeasured.map(line => line.ingredient.original), ['cebola picada']);
+
+  assert.strictEqual(estimateNutrition({ ingredients: recipe.ingredients }).perServing, null);
+  // Coconut milk has no lactose; a cracker the table confuses with cornstarch still has gluten
+  assert.deepStrictEqual(estimateNutrition({ ingredients: ['400 ml de leite de coco'] }).allergens, []);
+  assert.deepStrictEqual(estimateNutrition({ ingredients: ['200 g de biscoito maisena'] }).allergens, ['gluten']);
+});
+
+test('mappings made by hand win and are shared by similar lines', () => {
+  const gelatina = parseIngredient('1 pacote de gelatina');
+  const mappings = { [mappingKey(gelatina)]: 'acucar', [mappingKey(parseIngredient('água'))]: null };
+
+  assert.strictEqual(matched('2 pacotes de gelatinas', mappings), 'acucar');
+  const estimate = estimateNutrition({ ingredients: ['1 pacote de gelatina', '1 litro de água'] }, { mappings });
+  assert.deepStrictEqual(estimate.lines.map(line => line.status), ['unmeasured', 'ignored']);
+  assert.strictEqual(estimate.unmatched.length, 0);
+  assert.strictEqual(getFood('acucar').name, 'açúcar');
+});
@@ -0,0 +1,117 @@
+// Headless tests for the whole processing pipeline: transcription, recipe
+// generation with polling, and parsing, against a local mock of the Replicate
+// API that replays the prediction lifecycles in tests/fixtures/replicate.
+// Each fixture is one test, so the report shows pass/fail per fixture.
+// Run with: npm test (or npm run test:pipeline for just these)
+//
+// Fixture format:
+// {
+//   "description": "...",
+//   "transcript": golden transcript the recipe is generated from,
+//   "transcription": [Whisper prediction states] (optional),
+//   "recipe": [LLM prediction states] (optional),
+//   "expected": {
+//     "language": spoken language Whisper detects,
+//     "transcriptionError": message of a failed transcription,
+//     "recipe": { title, servings, ingredients, steps } both paths produce,
+//     "parseError": code when the output can't be parsed,
+//     "error": message of a failed recipe prediction
+//   }
+// }
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createMockReplicate } = require('./helpers/mockReplicate');
+const { createProviders } = require('../src/providers');
+const { buildRecipePrompt } = require('../src/prompts');
+const { recipeFromOutput } = require('../src/recipeParser');
+const { ingredientText } = require('../src/ingredients');
+const { processWithReplicate } = require('../tests.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replicate');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(name => name.endsWith('.json'))
+  .sort()
+  .map(name => ({ name: name.replace(/\.json$/, ''), ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8')) }));
+
+const mock = createMockReplicate();
+let providers = null;
+
+test.before(async () => {
+  const baseUrl = await mock.start();
+  const replicate = { apiToken: 'test-token', baseUrl, pollInterval: 1 };
+  providers = createProviders({ transcriptionProvider: 'replicate', recipeProvider: 'replicate', replicate });
+});
+
+test.after(() => mock.stop());
+
+// The simulator logs every step; keep the test report readable
+const quiet = (t) => ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+
+const assertRecipe = (recipe, expected) => {
+  assert.strictEqual(recipe.title, expected.title);
+  assert.strictEqual(recipe.servings, expected.servings);
+  assert.deepStrictEqual(recipe.ingredients.map(ingredientText), expected.ingredients);
+  assert.deepStrictEqual(recipe.steps, expected.steps);
+};
+
+fixtures.forEach((fixture) => {
+  test(`pipeline: ${fixture.name}`, async (t) => {
+    quiet(t);
+    const { expected } = fixture;
+
+    if (fixture.transcription) {
+      mock.enqueue(fixture.transcription);
+      const transcribing = providers.transcription.transcribe({ base64: Buffer.from('audio').toString('base64') });
+      if (expected.transcriptionError) {
+        await assert.rejects(transcribing, { message: expected.transcriptionError });
+        return;
+      }
+      const { text, language } = await transcribing;
+      assert.strictEqual(text.trim(), fixture.transcript);
+      if (expected.language) assert.strictEqual(language, expected.language);
+    }
+
+    if (!fixture.recipe) return;
+
+    // The app's path: poll the prediction, then parseRecipeResult
+    mock.enqueue(fixture.recipe);
+    const generating = providers.recipe.generate(buildRecipePrompt(fixture.transcript), { maxAttempts: 30 });
+    if (expected.error) {
+      await assert.rejects(generating, { message: expected.error });
+    } else {
+      const appRecipe = recipeFromOutput(await generating);
+      if (expected.parseError) {
+        assert.strictEqual(appRecipe.parseError.code, expected.parseError);
+      } else {
+        assert.strictEqual(appRecipe.parseError, undefined);
+        assertRecipe(appRecipe, expected.recipe);
+      }
+    }
+
+    // The simulator's path, which falls back instead of failing
+    mock.enqueue(fixture.recipe);
+    const simulated = await processWithReplicate(fixture.transcript, { recipeProvider: providers.recipe });
+    if (expected.recipe) {
+      assertRecipe(simulated, expected.recipe);
+    } else if (expected.parseError) {
+      assert.strictEqual(simulated.title, 'Untitled Recipe');
+    } else {
+      // Provider failure: the steps are the sentences of the transcript
+      assert.deepStrictEqual(simulated.steps, fixture.transcript.split('. ').filter(step => step.trim() !== ''));
+    }
+    assert.strictEqual(mock.pendingLifecycles(), 0);
+  });
+});
+
+test('pipeline: predictions are polled until they finish and never cancelled', () => {
+  const posts = mock.requests.filter(request => request.method === 'POST' && request.url === '/predictions');
+  const polls = mock.requests.filter(request => request.method === 'GET');
+  assert.ok(posts.length > 0);
+  assert.ok(polls.length >= posts.length);
+  assert.ok(posts.every(request => request.body.version && request.body.input));
+  assert.ok(!mock.requests.some(request => request.url.endsWith('/cancel')));
+});
@@ -0,0 +1,109 @@
+// Round-trip tests for recipe export and import.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeIngredients } = require('../src/ingredients');
+const {
+  toBackup,
+  toMarkdown,
+  toJsonLd,
+  parseImport,
+  contentHash,
+  mergeRecipes,
+} = require('../src/recipeExport');
+
+const feijoada = {
+  id: '1700000000000123',
+  title: 'Feijoada',
+  servings: 6,
+  ingredients: normalizeIngredients(['500 g de feijão preto', '2 colheres de sopa de óleo', 'sal a gosto']),
+  steps: ['Deixe o feijão de molho.', 'Cozinhe por 2 horas.'],
+  tags: ['brasileira'],
+  date: '2024-05-01T12:00:00.000Z',
+  transcript: 'feijoada para seis pessoas',
+  audioUri: 'file:///data/recordings/1700000000000123.m4a',
+};
+
+test('backup round-trips everything but device-local fields', () => {
+  const { recipes, errors } = parseImport(toBackup([feijoada]));
+  const { audioUri, ...portable } = feijoada;
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(recipes, [portable]);
+});
+
+test('JSON-LD round-trips the schema.org fields', () => {
+  const jsonLd = JSON.parse(toJsonLd([feijoada]));
+  assert.strictEqual(jsonLd['@type'], 'Recipe');
+  assert.deepStrictEqual(jsonLd.recipeIngredient, feijoada.ingredients.map(i => i.original));
+  assert.strictEqual(jsonLd.recipeInstructions[1].text, 'Cozinhe por 2 horas.');
+
+  const [recipe] = parseImport(JSON.stringify(jsonLd)).recipes;
+  assert.strictEqual(recipe.id, feijoada.id);
+  assert.strictEqual(recipe.title, feijoada.title);
+  assert.strictEqual(recipe.servings, 6);
+  assert.deepStrictEqual(recipe.ingredients, feijoada.ingredients);
+  assert.deepStrictEqual(recipe.steps, feijoada.steps);
+  assert.deepStrictEqual(recipe.tags, feijoada.tags);
+});
+
+test('imports JSON-LD from @graph with sections and text yields', () => {
+  const document = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebPage', name: 'Blog' },
+      {
+        '@type': ['Recipe'],
+        name: 'Bolo de cenoura',
+        recipeYield: ['8 porções'],
+        recipeIngredient: ['3 cenouras', '2 xícaras de açúcar'],
+        recipeInstructions: [
+          { '@type': 'HowToSection', name: 'Massa', itemListElement: [{ '@type': 'HowToStep', text: 'Bata tudo.' }] },
+          'Asse por 40 minutos.',
+        ],
+      },
+    ],
+  };
+  const { recipes } = parseImport(JSON.stringify(document));
+  assert.strictEqual(recipes.length, 1);
+  assert.strictEqual(recipes[0].servings, 8);
+  assert.deepStrictEqual(recipes[0].steps, ['Bata tudo.', 'Asse por 40 minutos.']);
+  assert.strictEqual(recipes[0].ingredients[1].unit, 'cup');
+});
+
+test('reports invalid recipes and rejects unknown files', () => {
+  const { recipes, errors } = parseImport(JSON.stringify([{ title: 'Sem passos', ingredients: [] }, feijoada]));
+  assert.strictEqual(recipes.length, 1);
+  assert.deepStrictEqual(errors.map(e => e.index), [0]);
+
+  assert.throws(() => parseImport('not json'), /not valid JSON/);
+  assert.throws(() => parseImport('{"hello": 1}'), /No recipes/);
+});
+
+test('markdown matches the simulator layout', () => {
+  const markdown = toMarkdown([feijoada]);
+  assert.match(markdown, /^# Feijoada\n\nServes 6\n/);
+  assert.match(markdown, /## Ingredients\n\n1\. 500 g de feijão preto\n/);
+  assert.match(markdown, /## Instructions\n\n1\. Deixe o feijão de molho\.\n2\. Cozinhe por 2 horas\.\n$/);
+});
+
+test('content hash ignores case, accents and spacing', () => {
+  const retyped = { ...feijoada, title: 'FEIJOADA', steps: ['Deixe o feijao  de molho.', 'Cozinhe por 2 horas.'] };
+  assert.strictEqual(contentHash(retyped), contentHash(feijoada));
+  assert.notStrictEqual(contentHash({ ...feijoada, steps: [] }), contentHash(feijoada));
+});
+
+test('merge dedupes by id and content and keeps newer edits', () => {
+  const { audioUri, ...portable } = feijoada;
+  const edited = { ...portable, steps: [...feijoada.steps, 'Sirva.'], updatedAt: '2024-06-01T00:00:00.000Z' };
+  const copy = { ...portable, id: 'other-phone' };
+  const bolo = { title: 'Bolo', ingredients: [], steps: ['Asse.'], tags: [] };
+
+  const result = mergeRecipes([feijoada], [copy, bolo, edited, portable]);
+  assert.deepStrictEqual([result.added, result.updated, result.skipped], [1, 1, 2]);
+  assert.strictEqual(result.recipes.length, 2);
+  assert.strictEqual(result.recipes[0].steps.length, 3);
+  assert.strictEqual(result.recipes[0].audioUri, feijoada.audioUri);
+  assert.ok(result.recipes[1].id);
+});
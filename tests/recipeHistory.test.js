@@ -0,0 +1,98 @@
+// Tests for recipe version history: recording saved changes, diffing two
+// versions, restoring one, and where the repository keeps them.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_VERSIONS, recordVersion, nextChangeSource, diffVersions, restoreVersion } = require('../src/recipeHistory');
+const { createRecipeRepository } = require('../src/recipeRepository');
+const { createMemoryStorage } = require('../src/storage/memoryStorage');
+const { normalizeIngredients } = require('../src/ingredients');
+const { mergeRecipes } = require('../src/recipeExport');
+
+const recipe = {
+  id: 'bolo',
+  title: 'Bolo de cenoura',
+  servings: 8,
+  audioUri: 'file:///recordings/bolo.m4a',
+  tags: ['doce'],
+  ingredients: normalizeIngredients(['3 cenouras', '3 ovos', '2 xícaras de farinha de trigo']),
+  steps: ['Bata as cenouras com os ovos.', 'Misture a farinha.', 'Asse por 40 minutos.'],
+  date: '2024-05-01T10:00:00.000Z',
+};
+
+// Regenerated, and the model dropped the baking step
+const regenerated = { ...recipe, steps: recipe.steps.slice(0, 2), updatedAt: '2024-05-02T10:00:00.000Z' };
+
+test('saved changes become versions, unchanged saves do not', () => {
+  const history = recordVersion([], regenerated, { source: 'regenerate', previous: recipe, at: regenerated.updatedAt });
+  assert.deepStrictEqual(history.map(version => [version.source, version.at]), [
+    ['saved', recipe.date],
+    ['regenerate', regenerated.updatedAt],
+  ]);
+  assert.ok(!('audioUri' in history[0].recipe));
+
+  // Saving again without changes, e.g. after cooking
+  assert.strictEqual(recordVersion(history, { ...regenerated, lastCookedAt: 'now' }, { source: 'edit' }), history);
+  assert.deepStrictEqual(recordVersion([], recipe, { source: 'edit', previous: recipe }), []);
+  assert.deepStrictEqual(recordVersion([], recipe, { source: 'created' }).map(version => version.source), ['created']);
+
+  let long = [];
+  for (let i = 0; i <= MAX_VERSIONS; i++) long = recordVersion(long, { ...recipe, title: `Bolo ${i}` }, { source: 'edit' });
+  assert.strictEqual(long.length, MAX_VERSIONS);
+  assert.strictEqual(long[0].recipe.title, 'Bolo 1');
+});
+
+test('an import that replaces a saved recipe keeps what it replaced', () => {
+  // A backup made after the regeneration, imported on a device with the original
+  const { recipes: [imported] } = mergeRecipes([recipe], [regenerated]);
+  const history = recordVersion([], imported, { source: 'import', previous: recipe, at: regenerated.updatedAt });
+  assert.deepStrictEqual(history.map(version => version.source), ['saved', 'import']);
+  assert.deepStrictEqual(restoreVersion(imported, history[0]).steps, recipe.steps);
+});
+
+test('a regeneration edited before saving is saved as the regeneration', () => {
+  const sourceAfter = (...changes) => changes.reduce(nextChangeSource, null);
+  assert.strictEqual(sourceAfter('edit', 'edit'), 'edit');
+  assert.strictEqual(sourceAfter('regenerate'), 'regenerate');
+  assert.strictEqual(sourceAfter('regenerate', 'edit', 'edit'), 'regenerate');
+  assert.strictEqual(sourceAfter('edit', 'regenerate', 'edit'), 'regenerate');
+});
+
+test('two versions are diffed and an older one restored', () => {
+  const [before, after] = recordVersion([], regenerated, { source: 'regenerate', previous: recipe });
+  const diff = diffVersions(before, after);
+  assert.deepStrictEqual(diff.steps.filter(line => line.type !== 'same'),
+    [{ type: 'removed', text: 'Asse por 40 minutos.' }]);
+  assert.strictEqual(diff.ingredients.every(line => line.type === 'same'), true);
+
+  const restored = restoreVersion(regenerated, before);
+  assert.deepStrictEqual(restored.steps, recipe.steps);
+  assert.strictEqual(restored.id, 'bolo');
+  assert.strictEqual(restored.audioUri, recipe.audioUri);
+  assert.deepStrictEqual(restored.tags, ['doce']);
+});
+
+test('the repository keeps each history under its own key', async () => {
+  const storage = createMemoryStorage();
+  const repository = createRecipeRepository(storage);
+  await repository.save(recipe);
+  await repository.save({ id: 'arroz', title: 'Arroz', ingredients: [], steps: [], tags: [] });
+
+  await repository.addVersion(regenerated, { source: 'regenerate', previous: recipe });
+  await repository.addVersion(recipe, { source: 'restore', previous: regenerated });
+  assert.deepStrictEqual((await repository.history('bolo')).map(version => version.source),
+    ['saved', 'regenerate', 'restore']);
+  assert.deepStrictEqual(await repository.history('arroz'), []);
+  assert.ok(!JSON.parse(await storage.getItem('recipe:bolo')).history);
+
+  await repository.addVersion({ id: 'arroz', title: 'Arroz branco' }, { source: 'edit' });
+  await repository.remove('arroz');
+  assert.strictEqual(await storage.getItem('history:arroz'), null);
+
+  // Deleted through replaceAll (undoable): dropped on the next load
+  await repository.replaceAll([]);
+  assert.notStrictEqual(await storage.getItem('history:bolo'), null);
+  await createRecipeRepository(storage).load();
+  assert.strictEqual(await storage.getItem('history:bolo'), null);
+});
@@ -0,0 +1,97 @@
+// Tests for the pure recipe list helpers: saving, bulk delete with undo, and
+// duplicating.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { upsertRecipe, removeRecipes, restoreRecipes, duplicateRecipe, derivedCopy } = require('../src/recipeList');
+
+const OLD_DATE = '2026-01-01T10:00:00.000Z';
+
+const list = (...ids) => ids.map(id => ({ id, title: `Receita ${id}`, date: OLD_DATE }));
+const ids = (recipes) => recipes.map(({ id }) => id);
+
+test('upsertRecipe adds a new recipe at the end with an id and a date', () => {
+  const recipes = list('a', 'b');
+  const result = upsertRecipe(recipes, { title: 'Pudim' });
+  assert.strictEqual(result.length, 3);
+  const added = result[2];
+  assert.strictEqual(added.title, 'Pudim');
+  assert.ok(added.id);
+  assert.ok(!Number.isNaN(Date.parse(added.date)));
+  assert.strictEqual(recipes.length, 2);
+});
+
+test('upsertRecipe overwrites in place, keeping the creation date', () => {
+  const recipes = list('a', 'b', 'c');
+  const result = upsertRecipe(recipes, { id: 'b', title: 'Bolo de fubá', date: '2026-05-05T00:00:00.000Z' });
+  assert.deepStrictEqual(ids(result), ['a', 'b', 'c']);
+  assert.strictEqual(result[1].title, 'Bolo de fubá');
+  assert.strictEqual(result[1].date, OLD_DATE);
+  assert.ok(result[1].updatedAt > OLD_DATE);
+  assert.strictEqual(result[0], recipes[0]);
+});
+
+test('a bulk delete can be undone, putting each recipe back at its original index', () => {
+  const recipes = list('a', 'b', 'c', 'd', 'e');
+  const { recipes: left, removed } = removeRecipes(recipes, ['e', 'b', 'd', 'missing']);
+  assert.deepStrictEqual(ids(left), ['a', 'c']);
+  assert.deepStrictEqual(removed.map(({ index, recipe }) => [index, recipe.id]), [[1, 'b'], [3, 'd'], [4, 'e']]);
+
+  assert.deepStrictEqual(restoreRecipes(left, removed), recipes);
+});
+
+test('undo after the list changed keeps the new recipes and skips ones already back', () => {
+  const { recipes: left, removed } = removeRecipes(list('a', 'b', 'c'), ['a', 'c']);
+  assert.deepStrictEqual(ids(left), ['b']);
+
+  // Added while the undo was on offer
+  const withNew = [...left, ...list('n')];
+  assert.deepStrictEqual(ids(restoreRecipes(withNew, removed)), ['a', 'b', 'c', 'n']);
+
+  // Undoing twice doesn't duplicate
+  const restored = restoreRecipes(left, removed);
+  assert.deepStrictEqual(ids(restoreRecipes(restored, removed)), ['a', 'b', 'c']);
+});
+
+test('duplicateRecipe is a new, never-edited recipe with the same content', () => {
+  const original = {
+    id: 'a',
+    title: 'Feijoada',
+    ingredients: [{ quantity: 500, unit: 'g', item: 'feijão preto', note: null }],
+    steps: ['Cozinhe o feijão.'],
+    date: OLD_DATE,
+    updatedAt: '2026-02-01T10:00:00.000Z',
+  };
+  const copy = duplicateRecipe(original);
+  assert.notStrictEqual(copy.id, original.id);
+  assert.strictEqual(copy.title, 'Feijoada (copy)');
+  assert.deepStrictEqual(copy.ingredients, original.ingredients);
+  assert.deepStrictEqual(copy.steps, original.steps);
+  assert.ok(copy.date > OLD_DATE);
+  assert.strictEqual(copy.updatedAt, undefined);
+  assert.strictEqual(original.title, 'Feijoada');
+  // The app passes the title in the UI language
+  assert.strictEqual(duplicateRecipe(original, 'Feijoada (cópia)').title, 'Feijoada (cópia)');
+});
+
+test("derivedCopy is a new recipe without the original's recording and cooking history", () => {
+  const original = {
+    id: 'a',
+    title: 'Feijoada',
+    tags: ['almoco'],
+    audioUri: 'file:///recordings/feijoada.m4a',
+    audioSegments: ['file:///recordings/feijoada.m4a', 'file:///recordings/feijoada-2.m4a'],
+    lastCookedAt: '2026-02-01T19:00:00.000Z',
+    date: OLD_DATE,
+    updatedAt: '2026-02-01T10:00:00.000Z',
+  };
+  const copy = derivedCopy(original, { title: 'Feijoada vegetariana', adaptedFrom: 'a' });
+  assert.notStrictEqual(copy.id, 'a');
+  assert.strictEqual(copy.title, 'Feijoada vegetariana');
+  assert.strictEqual(copy.adaptedFrom, 'a');
+  assert.deepStrictEqual(copy.tags, ['almoco']);
+  assert.ok(copy.date > OLD_DATE);
+  assert.strictEqual(copy.updatedAt, undefined);
+  ['audioUri', 'audioSegments', 'lastCookedAt'].forEach(field => assert.ok(!(field in copy), field));
+});
@@ -0,0 +1,78 @@
+// Fixture-based tests for the shared LLM output parser.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseRecipeOutput, recipeFromOutput, repairJson, outputToText } = require('../src/recipeParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm-outputs');
+const expectations = require('./fixtures/llm-outputs/expected.json');
+
+// .json fixtures hold the chunk arrays Replicate streams back,
+// .txt fixtures hold the output as a single string
+const loadFixture = (name) => {
+  const content = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(content) : content;
+};
+
+Object.entries(expectations).forEach(([name, expected]) => {
+  test(`parses ${name}`, () => {
+    const output = loadFixture(name);
+    const result = parseRecipeOutput(output);
+
+    assert.strictEqual(result.ok, expected.ok, result.error && result.error.message);
+    assert.strictEqual(result.raw, outputToText(output));
+
+    if (!expected.ok) {
+      assert.strictEqual(result.error.code, expected.code);
+      return;
+    }
+
+    const { recipe } = result;
+    assert.strictEqual(recipe.title, expected.title);
+    assert.strictEqual(recipe.ingredients.length, expected.ingredients);
+    assert.strictEqual(recipe.steps.length, expected.steps);
+    if (expected.servings !== undefined) {
+      assert.strictEqual(recipe.servings, expected.servings);
+    }
+    assert.deepStrictEqual(result.warnings, expected.warnings);
+
+    recipe.ingredients.forEach(ingredient => {
+      assert.strictEqual(typeof ingredient.original, 'string');
+      assert.ok(ingredient.original.trim().length > 0);
+    });
+    recipe.steps.forEach(step => {
+      assert.strictEqual(typeof step, 'string');
+      assert.ok(step.trim().length > 0);
+    });
+  });
+});
+
+test('every fixture file has an expectation', () => {
+  const files = fs.readdirSync(FIXTURES_DIR).filter(file => file !== 'expected.json');
+  assert.deepStrictEqual(files.sort(), Object.keys(expectations).sort());
+});
+
+test('repairJson closes truncated output', () => {
+  assert.deepStrictEqual(
+    JSON.parse(repairJson('{"title": "Sopa", "steps": ["Ferva a água", "Junte')),
+    { title: 'Sopa', steps: ['Ferva a água', 'Junte'] }
+  );
+});
+
+test('instructions is accepted as an alias for steps', () => {
+  const result = parseRecipeOutput('{"title": "Chá", "ingredients": ["1 sachê"], "instructions": ["Ferva a água."]}');
+  assert.deepStrictEqual(result.recipe.steps, ['Ferva a água.']);
+});
+
+test('items without readable text are dropped, never turned into "[object Object]"', () => {
+  const result = parseRecipeOutput(loadFixture('nested-ingredient-objects.txt'));
+  assert.deepStrictEqual(result.recipe.ingredients.map(ingredient => ingredient.original), ['2 ovos', '1 xícara leite']);
+  assert.deepStrictEqual(result.recipe.steps, ['Bata tudo no liquidificador.', 'Sirva quente.']);
+
+  // Nothing readable left is a schema error, not a crash
+  const recipe = recipeFromOutput(loadFixture('non-text-steps.txt'));
+  assert.strictEqual(recipe.parseError.code, 'SCHEMA');
+});
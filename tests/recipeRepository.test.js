@@ -0,0 +1,132 @@
+// Tests for the versioned recipe repository against the in-memory and
+// file-backed storage adapters.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecipeRepository, SCHEMA_VERSION } = require('../src/recipeRepository');
+const { createMemoryStorage } = require('../src/storage/memoryStorage');
+const { createFileStorage } = require('../src/storage/fileStorage');
+
+const recipe = (id, title) => ({
+  id,
+  title,
+  ingredients: [{ quantity: 1, unit: 'cup', item: 'rice', note: '', original: '1 cup rice' }],
+  steps: ['Cook'],
+  tags: [],
+  date: '2024-01-01T00:00:00.000Z',
+});
+
+test('migrates the legacy savedRecipes blob to per-record storage', async () => {
+  const storage = createMemoryStorage({
+    savedRecipes: JSON.stringify([
+      { id: 'a', title: 'Arroz', ingredients: ['2 xícaras de arroz'], steps: ['Cozinhe'] },
+      { id: 'b', title: 'Feijão', ingredients: [], steps: [] },
+    ]),
+  });
+  const recipes = await createRecipeRepository(storage).load();
+
+  assert.deepStrictEqual(recipes.map(r => r.id), ['a', 'b']);
+  assert.strictEqual(recipes[0].ingredients[0].unit, 'cup');
+  assert.deepStrictEqual(recipes[1].tags, []);
+  assert.strictEqual(await storage.getItem('savedRecipes'), null);
+  assert.strictEqual(JSON.parse(await storage.getItem('recipes:version')), SCHEMA_VERSION);
+  assert.deepStrictEqual(JSON.parse(await storage.getItem('recipes:index')), ['a', 'b']);
+  assert.strictEqual(JSON.parse(await storage.getItem('recipe:a')).title, 'Arroz');
+});
+
+test('runs only the migrations newer than the stored version', async () => {
+  const storage = createMemoryStorage({
+    'recipes:version': '1',
+    'recipes:index': JSON.stringify(['a']),
+    // Not structured, but version 1 already covered ingredients
+    'recipe:a': JSON.stringify({ id: 'a', title: 'Arroz', ingredients: ['arroz'], steps: [] }),
+  });
+  const [loaded] = await createRecipeRepository(storage).load();
+
+  assert.deepStrictEqual(loaded.ingredients, ['arroz']);
+  assert.deepStrictEqual(loaded.tags, []);
+});
+
+test('refuses data written by a newer schema', async () => {
+  const storage = createMemoryStorage({ 'recipes:version': String(SCHEMA_VERSION + 1) });
+  await assert.rejects(createRecipeRepository(storage).load(), /newer app version/);
+});
+
+test('saves, reads and removes recipes by id', async () => {
+  const storage = createMemoryStorage();
+  const repository = createRecipeRepository(storage);
+
+  await repository.save(recipe('a', 'Arroz'));
+  await repository.save(recipe('b', 'Feijão'));
+  await repository.save({ ...recipe('a', 'Arroz doce') });
+  assert.strictEqual((await repository.get('a')).title, 'Arroz doce');
+  assert.deepStrictEqual((await repository.list()).map(r => r.id), ['a', 'b']);
+
+  await repository.remove('a');
+  assert.strictEqual(await repository.get('a'), null);
+  assert.strictEqual(await storage.getItem('recipe:a'), null);
+
+  const reopened = createRecipeRepository(storage);
+  assert.deepStrictEqual((await reopened.list()).map(r => r.title), ['Feijão']);
+});
+
+test('replaceAll only rewrites the records that changed', async () => {
+  const storage = createMemoryStorage();
+  const repository = createRecipeRepository(storage);
+  const a = recipe('a', 'Arroz');
+  const b = recipe('b', 'Feijão');
+  await repository.replaceAll([a, b]);
+
+  const writes = [];
+  const setItem = storage.setItem;
+  storage.setItem = async (key, value) => {
+    writes.push(key);
+    return setItem(key, value);
+  };
+  await repository.replaceAll([{ ...b, title: 'Feijoada' }, a]);
+
+  assert.deepStrictEqual(writes.sort(), ['recipe:b', 'recipes:index']);
+  const reopened = createRecipeRepository(storage);
+  assert.deepStrictEqual((await reopened.list()).map(r => r.title), ['Feijoada', 'Arroz']);
+});
+
+test('loads the records in one multiGet, or in parallel without it', async () => {
+  const storage = createMemoryStorage();
+  await createRecipeRepository(storage).replaceAll([recipe('a', 'Arroz'), recipe('b', 'Feijão'), recipe('c', 'Farofa')]);
+  await storage.removeItem('recipe:b');
+
+  const reads = [];
+  const counted = {
+    ...storage,
+    getItem: async (key) => {
+      reads.push(key);
+      return storage.getItem(key);
+    },
+    multiGet: async (keys) => {
+      reads.push(keys);
+      return storage.multiGet(keys);
+    },
+  };
+  assert.deepStrictEqual((await createRecipeRepository(counted).list()).map(r => r.title), ['Arroz', 'Farofa']);
+  assert.deepStrictEqual(reads.filter(Array.isArray), [['recipe:a', 'recipe:b', 'recipe:c']]);
+  assert.ok(!reads.some(key => typeof key === 'string' && key.startsWith('recipe:')));
+
+  const { multiGet, ...withoutMultiGet } = storage;
+  assert.strictEqual(typeof multiGet, 'function');
+  assert.deepStrictEqual((await createRecipeRepository(withoutMultiGet).list()).map(r => r.title), ['Arroz', 'Farofa']);
+});
+
+test('works against file-backed storage', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recipes-'));
+  try {
+    await createRecipeRepository(createFileStorage(dir)).save(recipe('a', 'Arroz'));
+    const loaded = await createRecipeRepository(createFileStorage(dir)).get('a');
+    assert.strictEqual(loaded.title, 'Arroz');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,102 @@
+// Tests for searching, filtering and sorting the recipe list and for the
+// suggested tags.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeIngredients } = require('../src/ingredients');
+const { normalizeTag, suggestTags, collectTags, filterRecipes } = require('../src/recipeSearch');
+
+const recipe = (fields) => ({
+  tags: [],
+  steps: [],
+  ...fields,
+  ingredients: normalizeIngredients(fields.ingredients || []),
+});
+
+const RECIPES = [
+  recipe({
+    id: 'feijoada',
+    title: 'Feijoada',
+    ingredients: ['500 g de feijão preto', '200 g de linguiça calabresa'],
+    steps: ['Cozinhe o feijão por 1 hora.'],
+    tags: ['Almoço', 'brasileira'],
+    date: '2026-01-10T10:00:00.000Z',
+    lastCookedAt: '2026-02-01T19:00:00.000Z',
+  }),
+  recipe({
+    id: 'brigadeiro',
+    title: 'Brigadeiro',
+    ingredients: ['1 lata de leite condensado', '2 colheres (sopa) de cacau'],
+    tags: ['sobremesa'],
+    date: '2026-01-20T10:00:00.000Z',
+  }),
+  recipe({
+    id: 'acai',
+    title: 'Açaí na tigela',
+    ingredients: ['200 g de polpa de açaí', '1 banana'],
+    tags: ['sobremesa', 'rapido'],
+    date: '2026-01-05T10:00:00.000Z',
+    lastCookedAt: '2026-02-10T08:00:00.000Z',
+  }),
+];
+
+const ids = (recipes) => recipes.map(({ id }) => id);
+
+test('search ignores case and accents, and needs every word', () => {
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { query: 'feijao' })), ['feijoada']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { query: 'ACAI' })), ['acai']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { query: 'açaí banana' })), ['acai']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { query: 'acai cacau' })), []);
+  // Steps and tags are searched too
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { query: 'cozinhe' })), ['feijoada']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { query: 'brasileira' })), ['feijoada']);
+  assert.strictEqual(filterRecipes(RECIPES, { query: '  ' }).length, 3);
+});
+
+test('tag filters need every tag, matched like normalizeTag', () => {
+  assert.strictEqual(normalizeTag(' Almoço  de domingo '), 'almoco-de-domingo');
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { tags: ['almoco'] })), ['feijoada']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { tags: ['Sobremesa'] })), ['brigadeiro', 'acai']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { tags: ['sobremesa', 'rápido'] })), ['acai']);
+});
+
+test('the ingredient filter looks at ingredient lines only', () => {
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { ingredient: 'Linguica' })), ['feijoada']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { ingredient: 'leite condensado' })), ['brigadeiro']);
+  // "feijoada" is the title, not an ingredient
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { ingredient: 'feijoada' })), []);
+  assert.deepStrictEqual(
+    ids(filterRecipes(RECIPES, { query: 'sobremesa', ingredient: 'banana' })),
+    ['acai']
+  );
+});
+
+test('each sort order', () => {
+  // Newest first, also for an unknown order
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { sortBy: 'date' })), ['brigadeiro', 'feijoada', 'acai']);
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { sortBy: 'nope' })), ['brigadeiro', 'feijoada', 'acai']);
+  // Alphabetical, accents ignored
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { sortBy: 'title' })), ['acai', 'brigadeiro', 'feijoada']);
+  // Most recently cooked first, never cooked last
+  assert.deepStrictEqual(ids(filterRecipes(RECIPES, { sortBy: 'lastCooked' })), ['acai', 'feijoada', 'brigadeiro']);
+  // The list passed in is left as it was
+  assert.deepStrictEqual(ids(RECIPES), ['feijoada', 'brigadeiro', 'acai']);
+});
+
+test('suggested tags come from the ingredients, title and step times', () => {
+  assert.deepStrictEqual(suggestTags(recipe({
+    title: 'Macarrão ao alho e óleo',
+    ingredients: ['250 g de espaguete', '4 dentes de alho', 'azeite'],
+    steps: ['Cozinhe o macarrão por 10 minutos.', 'Doure o alho por 2 minutos.'],
+  })), ['vegetariano', 'massa', 'rapido']);
+
+  assert.deepStrictEqual(suggestTags(RECIPES[1]), ['vegetariano']);
+  assert.deepStrictEqual(suggestTags(RECIPES[0]), []);
+  // More than 30 minutes is not quick, and no ingredients says nothing about meat
+  assert.deepStrictEqual(suggestTags(recipe({ title: 'Pão caseiro', steps: ['Asse por 40 minutos.'] })), []);
+});
+
+test('collectTags lists every tag, most used first', () => {
+  assert.deepStrictEqual(collectTags(RECIPES), ['sobremesa', 'Almoço', 'brasileira', 'rapido']);
+});
@@ -0,0 +1,83 @@
+// Tests for voice additions: the update prompt, applying the model's
+// updated recipe and the diff the user reviews.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyRecipeUpdate, diffLines, diffRecipes } = require('../src/recipeUpdate');
+const { buildRecipeUpdatePrompt } = require('../src/prompts');
+const { parseRecipeOutput } = require('../src/recipeParser');
+const { normalizeIngredients } = require('../src/ingredients');
+
+const recipe = {
+  id: 'omelete',
+  title: 'Omelete',
+  servings: 2,
+  date: '2024-05-01T10:00:00.000Z',
+  audioUri: 'file:///recordings/omelete.m4a',
+  transcript: 'Bata dois ovos com sal e frite na manteiga.',
+  language: 'pt',
+  ingredients: normalizeIngredients(['2 ovos', 'sal a gosto', '1 colher (sopa) de manteiga']),
+  steps: ['Bata os ovos com o sal.', 'Frite na manteiga.'],
+};
+
+// What the model answers to "na verdade são 3 ovos, e coloque queijo antes de dobrar"
+const modelOutput = `{
+  "title": "Omelete",
+  "servings": 2,
+  "ingredients": ["3 ovos", "sal a gosto", "1 colher (sopa) de manteiga", "50 g de queijo"],
+  "steps": ["Bata os ovos com o sal.", "Frite na manteiga.", "Coloque o queijo e dobre."]
+}`;
+
+test('the update prompt carries the recipe and what was said', () => {
+  const prompt = buildRecipeUpdatePrompt(recipe, 'na verdade são 3 ovos', { language: 'pt' });
+  assert.ok(prompt.includes('"ingredients":["2 ovos","sal a gosto","1 colher (sopa) de manteiga"]'));
+  assert.ok(prompt.includes('Note: na verdade são 3 ovos'));
+  assert.ok(prompt.includes('Brazilian Portuguese'));
+});
+
+test('an update keeps the recipe identity and appends the transcript', () => {
+  const { recipe: parsed } = parseRecipeOutput(modelOutput);
+  const updated = applyRecipeUpdate(recipe, parsed, 'Na verdade são 3 ovos, e coloque queijo antes de dobrar.');
+
+  assert.strictEqual(updated.id, 'omelete');
+  assert.strictEqual(updated.audioUri, recipe.audioUri);
+  assert.strictEqual(updated.date, recipe.date);
+  assert.strictEqual(updated.ingredients[0].quantity, 3);
+  assert.strictEqual(updated.steps.length, 3);
+  assert.strictEqual(
+    updated.transcript,
+    'Bata dois ovos com sal e frite na manteiga.\n\nNa verdade são 3 ovos, e coloque queijo antes de dobrar.'
+  );
+
+  // Lists the model left out stay as they were
+  const partial = applyRecipeUpdate(recipe, { title: '', servings: null, ingredients: [], steps: ['Sirva.'] }, 'Sirva.');
+  assert.strictEqual(partial.title, 'Omelete');
+  assert.strictEqual(partial.servings, 2);
+  assert.strictEqual(partial.ingredients, recipe.ingredients);
+});
+
+test('the diff shows corrections as removed and added lines', () => {
+  const { recipe: parsed } = parseRecipeOutput(modelOutput);
+  const diff = diffRecipes(recipe, applyRecipeUpdate(recipe, parsed, 'queijo'));
+
+  assert.strictEqual(diff.changed, true);
+  assert.strictEqual(diff.title, null);
+  assert.deepStrictEqual(diff.ingredients, [
+    { type: 'removed', text: '2 ovos' },
+    { type: 'added', text: '3 ovos' },
+    { type: 'same', text: 'sal a gosto' },
+    { type: 'same', text: '1 colher (sopa) de manteiga' },
+    { type: 'added', text: '50 g de queijo' },
+  ]);
+  assert.deepStrictEqual(diff.steps.map(line => line.type), ['same', 'same', 'added']);
+  assert.strictEqual(diffRecipes(recipe, { ...recipe }).changed, false);
+});
+
+test('steps inserted in the middle keep the rest in place', () => {
+  assert.deepStrictEqual(diffLines(['a', 'c'], ['a', 'b', 'c']), [
+    { type: 'same', text: 'a' },
+    { type: 'added', text: 'b' },
+    { type: 'same', text: 'c' },
+  ]);
+});
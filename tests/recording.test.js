@@ -0,0 +1,127 @@
+// Tests for long recordings: segments, the length limit, stitching the
+// segment transcripts and uploading big files instead of inlining them.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const {
+  SEGMENT_MS,
+  SEGMENT_GRACE_MS,
+  MAX_RECORDING_MS,
+  WARNING_BEFORE_MS,
+  meterLevel,
+  shouldStartNewSegment,
+  recordingLimitState,
+  recordingUris,
+  recordingFields,
+  stitchTranscripts,
+  transcribeSegments,
+} = require('../src/recording');
+const { createJob } = require('../src/jobQueue');
+const { createReplicateTranscriptionProvider } = require('../src/providers/replicate');
+
+test('segments roll over at the first quiet moment after the segment length', () => {
+  assert.strictEqual(shouldStartNewSegment({ segmentMs: SEGMENT_MS - 1000, metering: -80 }), false);
+  assert.strictEqual(shouldStartNewSegment({ segmentMs: SEGMENT_MS + 1000, metering: -10 }), false);
+  assert.strictEqual(shouldStartNewSegment({ segmentMs: SEGMENT_MS + 1000, metering: -50 }), true);
+  assert.strictEqual(shouldStartNewSegment({ segmentMs: SEGMENT_MS + SEGMENT_GRACE_MS, metering: -10 }), true);
+});
+
+test('the length limit warns before stopping', () => {
+  assert.strictEqual(recordingLimitState(60 * 1000), 'ok');
+  assert.strictEqual(recordingLimitState(MAX_RECORDING_MS - WARNING_BEFORE_MS), 'warning');
+  assert.strictEqual(recordingLimitState(MAX_RECORDING_MS), 'limit');
+  assert.strictEqual(meterLevel(-160), 0);
+  assert.strictEqual(meterLevel(-30), 0.5);
+  assert.strictEqual(meterLevel(undefined), 0);
+});
+
+test('segment transcripts are stitched in order', () => {
+  const stitched = stitchTranscripts([
+    { text: ' Bata os ovos com o açúcar. ', language: 'pt' },
+    { text: '', language: null },
+    { text: 'Add the flour.', language: 'en' },
+    { text: 'Asse por 40 minutos.', language: 'pt' },
+  ]);
+  assert.strictEqual(stitched.text, 'Bata os ovos com o açúcar. Add the flour. Asse por 40 minutos.');
+  assert.strictEqual(stitched.language, 'pt');
+});
+
+test('every segment of a fresh recording goes to the transcription provider', async () => {
+  const calls = [];
+  const provider = {
+    transcribe: async (audio, options) => {
+      calls.push({ audio, options });
+      return { text: `texto ${calls.length}`, language: 'pt' };
+    },
+  };
+  const controller = new AbortController();
+  const segments = [];
+  const transcription = await transcribeSegments(['a.m4a', 'b.m4a'], {
+    readAudio: async (uri) => ({ uri, base64: `audio of ${uri}` }),
+    transcribe: provider.transcribe,
+    language: 'pt',
+    signal: controller.signal,
+    onSegment: segment => segments.push(segment),
+  });
+
+  assert.deepStrictEqual(transcription, { text: 'texto 1 texto 2', language: 'pt' });
+  assert.deepStrictEqual(calls.map(call => call.audio.uri), ['a.m4a', 'b.m4a']);
+  assert.deepStrictEqual(calls[0].options, { language: 'pt', signal: controller.signal });
+  assert.deepStrictEqual(segments.map(({ done, total }) => `${done}/${total}`), ['1/2', '2/2']);
+
+  // A missing list of files fails loudly instead of sending nothing
+  await assert.rejects(transcribeSegments(undefined, { readAudio: async () => ({}), transcribe: provider.transcribe }),
+    /No recording to transcribe/);
+});
+
+test('recordings with several segments keep every file', () => {
+  assert.deepStrictEqual(recordingFields(['a.m4a']), { audioUri: 'a.m4a' });
+  const job = createJob({ ...recordingFields(['a.m4a', 'b.m4a']) });
+  assert.deepStrictEqual(recordingUris(job), ['a.m4a', 'b.m4a']);
+  assert.deepStrictEqual(recordingUris({ audioUri: 'a.m4a' }), ['a.m4a']);
+  assert.deepStrictEqual(recordingUris({}), []);
+});
+
+test('Replicate uploads audio above the inline limit through the files API', async () => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      requests.push({ method: request.method, url: request.url, body });
+      response.setHeader('Content-Type', 'application/json');
+      if (request.url === '/files') {
+        response.end(JSON.stringify({ id: 'f1', urls: { get: 'https://files.example/f1' } }));
+      } else if (request.url === '/predictions') {
+        response.end(JSON.stringify({ id: 'p1', status: 'starting' }));
+      } else if (request.url === '/predictions/p1') {
+        response.end(JSON.stringify({ id: 'p1', status: 'succeeded', output: { transcription: 'Bata os ovos.', detected_language: 'portuguese' } }));
+      } else {
+        response.end('{}');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const provider = createReplicateTranscriptionProvider({ apiToken: 'token', baseUrl, pollInterval: 1, inlineAudioLimit: 10 });
+    const events = [];
+    const result = await provider.transcribe(
+      { base64: Buffer.alloc(64).toString('base64'), mimeType: 'audio/m4a' },
+      { onUploaded: () => events.push('uploaded') }
+    );
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepStrictEqual(result, { text: 'Bata os ovos.', language: 'pt' });
+    assert.deepStrictEqual(events, ['uploaded']);
+    const prediction = requests.find(request => request.url === '/predictions');
+    assert.strictEqual(JSON.parse(prediction.body).input.audio_file, 'https://files.example/f1');
+    assert.ok(requests.some(request => request.method === 'DELETE' && request.url === '/files/f1'));
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,77 @@
+// Tests for the combined shopping list.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildShoppingList, carryOverChecked, shoppingListText, ingredientKey } = require('../src/shoppingList');
+const { parseIngredient } = require('../src/ingredients');
+
+const bolo = {
+  title: 'Bolo',
+  servings: 8,
+  ingredients: ['3 ovos', '2 xícaras de açúcar', '200 g de farinha de trigo', '1 lata de leite condensado', 'sal a gosto'],
+};
+const omelete = {
+  title: 'Omelete',
+  servings: 2,
+  ingredients: ['2 ovos grandes', '1 kg de farinha de trigo', '2 dentes de alho picados', '100 ml de leite', 'Sal a gosto'],
+};
+
+const textOf = (items, name) => items.find(item => item.name === name).text;
+
+test('matches the same ingredient across wording', () => {
+  assert.strictEqual(ingredientKey(parseIngredient('2 ovos grandes')), ingredientKey(parseIngredient('1 ovo')));
+  assert.strictEqual(ingredientKey(parseIngredient('1 cebola média picada')), ingredientKey(parseIngredient('2 cebolas')));
+  assert.notStrictEqual(ingredientKey(parseIngredient('1 lata de leite condensado')), ingredientKey(parseIngredient('1 l de leite')));
+  assert.strictEqual(ingredientKey(parseIngredient('1 pão francês')), ingredientKey(parseIngredient('4 pães franceses')));
+  assert.strictEqual(ingredientKey(parseIngredient('2 tomates')), ingredientKey(parseIngredient('1 tomate')));
+});
+
+test('sums compatible amounts across recipes', () => {
+  const items = buildShoppingList([{ recipe: bolo }, { recipe: omelete }]);
+
+  assert.strictEqual(textOf(items, 'ovos'), '5 ovos');
+  assert.strictEqual(textOf(items, 'farinha de trigo'), '1,2 kg de farinha de trigo');
+  assert.strictEqual(textOf(items, 'sal'), 'sal (a gosto)');
+  assert.deepStrictEqual(items.find(item => item.name === 'ovos').recipes, ['Bolo', 'Omelete']);
+});
+
+test('keeps "a gosto" next to an amount from another recipe', () => {
+  const items = buildShoppingList([
+    { recipe: bolo },
+    { recipe: { title: 'Pão', ingredients: ['1 colher (chá) de sal', '4 pães franceses'] } },
+    { recipe: { title: 'Sanduíche', ingredients: ['1 pão francês'] } },
+  ]);
+  assert.strictEqual(textOf(items, 'sal'), '1 colher (chá) de sal (a gosto)');
+  assert.deepStrictEqual(items.find(item => item.name === 'sal').notes, ['a gosto']);
+  assert.strictEqual(textOf(items, 'pães franceses'), '5 pães franceses');
+});
+
+test('scales by the chosen servings and keeps incompatible units apart', () => {
+  const items = buildShoppingList([
+    { recipe: omelete, servings: 4 },
+    { recipe: { title: 'Pão', ingredients: ['1 xícara de farinha de trigo'] } },
+  ]);
+  assert.strictEqual(textOf(items, 'ovos'), '4 ovos');
+  assert.strictEqual(textOf(items, 'alho'), '4 dentes de alho');
+  assert.strictEqual(textOf(items, 'farinha de trigo'), '2 kg + 1 xícara de farinha de trigo');
+});
+
+test('amounts are written in the language asked for', () => {
+  const recipe = { title: 'Bread', ingredients: ['200 g flour', '1 kg flour'] };
+  assert.deepStrictEqual(buildShoppingList([{ recipe }], { language: 'en' }).map(item => item.text), ['1.2 kg flour']);
+  assert.deepStrictEqual(buildShoppingList([{ recipe }]).map(item => item.text), ['1,2 kg de flour']);
+});
+
+test('groups by aisle and exports plain text', () => {
+  const items = buildShoppingList([{ recipe: bolo }, { recipe: omelete }]);
+  const aisles = Object.fromEntries(items.map(item => [item.name, item.aisle]));
+  assert.strictEqual(aisles.ovos, 'dairy');
+  assert.strictEqual(aisles.alho, 'produce');
+  assert.strictEqual(aisles['leite condensado'], 'pantry');
+
+  const checked = carryOverChecked(items, [{ key: items[0].key, checked: true }]);
+  const text = shoppingListText(checked);
+  assert.match(text, /^Shopping list\n\nProduce:\n\[x\] 2 dentes de alho\n/);
+  assert.match(text, /\nDairy & eggs:\n(?:.*\n)*\[ \] 5 ovos\n/);
+});
@@ -0,0 +1,117 @@
+// Tests for the event-stream parser and streamed recipe generation.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createSseParser } = require('../src/providers/sse');
+const { createReplicateClient, createReplicateRecipeProvider } = require('../src/providers/replicate');
+const { createOpenAIRecipeProvider } = require('../src/providers/openaiCompatible');
+
+// Serve `handler` on a free port for the duration of `run(baseUrl)`
+const withServer = async (handler, run) => {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    return await run(baseUrl);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+const readBody = (request) => new Promise((resolve) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => resolve(body ? JSON.parse(body) : null));
+});
+
+test('the event parser joins events split across chunks', () => {
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+  parser.push('event: output\nda');
+  parser.push('ta: {"ti\r\n\r\n: keep-alive\n\n');
+  parser.push('data: line one\ndata: line two\n\nevent: done\ndata: {}');
+  parser.end();
+
+  assert.deepStrictEqual(events, [
+    { event: 'output', data: '{"ti', id: null },
+    { event: 'message', data: 'line one\nline two', id: null },
+    { event: 'done', data: '{}', id: null },
+  ]);
+});
+
+test('Replicate recipes stream token by token from the prediction stream', async () => {
+  await withServer(async (request, response) => {
+    if (request.method === 'POST' && request.url === '/predictions') {
+      const body = await readBody(request);
+      assert.strictEqual(body.stream, true);
+      const host = request.headers.host;
+      response.writeHead(201, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ id: 'p1', status: 'starting', urls: { stream: `http://${host}/stream/p1` } }));
+    } else if (request.url === '/stream/p1') {
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.write('event: output\ndata: {"title": \n\n');
+      response.write('event: output\ndata: "Bolo"}\n\n');
+      response.end('event: done\ndata: {}\n\n');
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  }, async (baseUrl) => {
+    const provider = createReplicateRecipeProvider({ apiToken: 'token', baseUrl });
+    const seen = [];
+    const text = await provider.generate('prompt', { onToken: (token, soFar) => seen.push(soFar) });
+
+    assert.strictEqual(text, '{"title": "Bolo"}');
+    assert.deepStrictEqual(seen, ['{"title": ', '{"title": "Bolo"}']);
+  });
+});
+
+test('aborting a Replicate stream cancels the prediction', async () => {
+  const cancelled = [];
+  await withServer(async (request, response) => {
+    if (request.url === '/predictions') {
+      await readBody(request);
+      const host = request.headers.host;
+      response.writeHead(201, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ id: 'p2', status: 'starting', urls: { stream: `http://${host}/stream/p2` } }));
+    } else if (request.url === '/stream/p2') {
+      // Never finishes on its own
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.write('event: output\ndata: {\n\n');
+    } else if (request.url === '/predictions/p2/cancel') {
+      cancelled.push('p2');
+      response.writeHead(200);
+      response.end('{}');
+    }
+  }, async (baseUrl) => {
+    const client = createReplicateClient({ apiToken: 'token', baseUrl });
+    const controller = new AbortController();
+    const streaming = client.stream({ version: 'v' }, { signal: controller.signal, onToken: () => controller.abort() });
+
+    await assert.rejects(streaming, { name: 'AbortError' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(cancelled, ['p2']);
+  });
+});
+
+test('OpenAI-compatible recipes stream content deltas until [DONE]', async () => {
+  await withServer(async (request, response) => {
+    const body = await readBody(request);
+    assert.strictEqual(body.stream, true);
+    response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    response.write('data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n');
+    response.write('data: {"choices":[{"delta":{"content":"{\\"title\\": "}}]}\n\n');
+    response.write('data: {"choices":[{"delta":{"content":"\\"Bolo\\"}"}}]}\n\n');
+    response.end('data: [DONE]\n\n');
+  }, async (baseUrl) => {
+    const provider = createOpenAIRecipeProvider({ baseUrl });
+    const tokens = [];
+    const text = await provider.generate('prompt', { onToken: token => tokens.push(token) });
+
+    assert.strictEqual(text, '{"title": "Bolo"}');
+    assert.deepStrictEqual(tokens, ['{"title": ', '"Bolo"}']);
+  });
+});
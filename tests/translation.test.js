@@ -0,0 +1,92 @@
+// Tests for translated recipe copies, recipe languages and the UI strings.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { translationContent, applyTranslation } = require('../src/translation');
+const { normalizeIngredients, parseIngredient } = require('../src/ingredients');
+const { formatIngredient } = require('../src/units');
+const { languageCode, guessLanguage } = require('../src/language');
+const { MESSAGES, resolveLocale, createTranslator } = require('../src/i18n');
+
+const recipe = {
+  id: 'bolo',
+  title: 'Bolo de cenoura',
+  audioUri: 'file:///recordings/bolo.m4a',
+  ingredients: normalizeIngredients(['2 e ½ xícaras de farinha de trigo', '3 ovos', 'sal a gosto']),
+  steps: ['Bata tudo no liquidificador.', 'Asse por 40 minutos.'],
+};
+
+const englishOutput = `Here is the translation:
+\`\`\`json
+{
+  "title": "Carrot cake",
+  "ingredients": [
+    { "item": "all-purpose flour", "note": "" },
+    { "item": "eggs", "note": "" },
+    { "item": "salt", "note": "to taste" }
+  ],
+  "steps": ["Blend everything.", "Bake for 40 minutes."]
+}
+\`\`\``;
+
+test('only words are sent for translation', () => {
+  const content = translationContent(recipe);
+  assert.deepStrictEqual(content.ingredients[0], { item: 'farinha de trigo', note: '' });
+  assert.ok(!JSON.stringify(content).includes('xícara'));
+});
+
+test('translated copies keep quantities and units', () => {
+  const copy = applyTranslation(recipe, englishOutput, 'en');
+  assert.notStrictEqual(copy.id, recipe.id);
+  assert.strictEqual(copy.translatedFrom, 'bolo');
+  assert.strictEqual(copy.language, 'en');
+  assert.strictEqual(copy.title, 'Carrot cake');
+  assert.deepStrictEqual(copy.ingredients.map(ingredient => ingredient.original), [
+    '2.5 cups all-purpose flour',
+    '3 eggs',
+    'salt, to taste',
+  ]);
+  copy.ingredients.forEach((ingredient, index) => {
+    assert.strictEqual(ingredient.quantity, recipe.ingredients[index].quantity);
+    assert.strictEqual(ingredient.unit, recipe.ingredients[index].unit);
+  });
+  assert.deepStrictEqual(copy.steps, ['Blend everything.', 'Bake for 40 minutes.']);
+  assert.strictEqual(copy.audioUri, undefined);
+});
+
+test('a translation that drops lines is rejected', () => {
+  const output = JSON.stringify({ title: 'Carrot cake', ingredients: [{ item: 'flour' }], steps: ['Bake.'] });
+  assert.throws(() => applyTranslation(recipe, output, 'en'), /does not match/);
+  assert.throws(() => applyTranslation(recipe, 'Sorry, I cannot help.', 'en'), /could not be read/);
+});
+
+test('Spanish ingredients parse and format', () => {
+  const ingredient = parseIngredient('1 y media taza de leche');
+  assert.strictEqual(ingredient.quantity, 1.5);
+  assert.strictEqual(ingredient.unit, 'cup');
+  assert.strictEqual(formatIngredient(ingredient, 'es'), '1,5 tazas de leche');
+  assert.strictEqual(parseIngredient('sal al gusto').note, 'al gusto');
+});
+
+test('languages are recognised from codes, Whisper names and text', () => {
+  assert.strictEqual(languageCode('Portuguese'), 'pt');
+  assert.strictEqual(languageCode('es-MX'), 'es');
+  assert.strictEqual(languageCode(''), null);
+  assert.strictEqual(guessLanguage('Mezcla la harina con los huevos hasta que quede suave'), 'es');
+  assert.strictEqual(guessLanguage('Misture a farinha com os ovos até ficar homogêneo'), 'pt');
+});
+
+test('every locale defines the same UI strings as English', () => {
+  const keys = Object.keys(MESSAGES.en).sort();
+  Object.entries(MESSAGES).forEach(([locale, messages]) => {
+    assert.deepStrictEqual(Object.keys(messages).sort(), keys, `${locale} is out of sync with en`);
+  });
+});
+
+test('translator resolves locales and fills in parameters', () => {
+  assert.strictEqual(resolveLocale('pt-BR'), 'pt');
+  assert.strictEqual(resolveLocale('fr-FR'), 'en');
+  assert.strictEqual(createTranslator('es')('library.selected', { count: 2 }), '2 seleccionadas');
+  assert.strictEqual(createTranslator('pt')('missing.key'), 'missing.key');
+});
@@ -0,0 +1,85 @@
+// Tests for servings scaling, metric / US conversion, rounding and oven
+// temperatures in step text.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  roundQuantity,
+  scaleIngredient,
+  convertIngredient,
+  convertTemperatures,
+  presentRecipe,
+} = require('../src/units');
+const { normalizeIngredients, parseIngredient } = require('../src/ingredients');
+
+const amount = ({ quantity, quantityMax, unit }) => ({ quantity, quantityMax, unit });
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} ≈ ${expected}`);
+
+test('scaling multiplies both ends of a range and leaves unmeasured lines alone', () => {
+  const scaled = scaleIngredient(parseIngredient('2-3 xícaras de farinha'), 1.5);
+  assert.deepStrictEqual(amount(scaled), { quantity: 3, quantityMax: 4.5, unit: 'cup' });
+  const toTaste = parseIngredient('sal a gosto');
+  assert.strictEqual(scaleIngredient(toTaste, 2), toTaste);
+  const eggs = parseIngredient('3 ovos');
+  assert.strictEqual(scaleIngredient(eggs, 1), eggs);
+});
+
+test('cups and imperial units become metric, metric becomes US', () => {
+  const metric = (line) => amount(convertIngredient(parseIngredient(line), 'metric'));
+  assert.deepStrictEqual(metric('2 cups flour'), { quantity: 480, quantityMax: undefined, unit: 'ml' });
+  assert.deepStrictEqual(metric('5 xícaras de leite'), { quantity: 1.2, quantityMax: undefined, unit: 'l' });
+  close(metric('8 oz cheese').quantity, 226.8);
+  assert.strictEqual(metric('3 lb beef').unit, 'kg');
+  // Spoons are metric measures already
+  assert.strictEqual(metric('2 colheres (sopa) de azeite').unit, 'tbsp');
+
+  const us = (line) => convertIngredient(parseIngredient(line), 'us');
+  assert.deepStrictEqual(amount(us('10 ml de baunilha')), { quantity: 2, quantityMax: undefined, unit: 'tsp' });
+  assert.deepStrictEqual(amount(us('30 ml de azeite')), { quantity: 2, quantityMax: undefined, unit: 'tbsp' });
+  close(us('500 ml de leite').quantity, 500 / 240);
+  assert.strictEqual(us('200 g de queijo').unit, 'oz');
+  assert.strictEqual(us('500 g de carne').unit, 'lb');
+
+  const eggs = parseIngredient('3 ovos');
+  assert.strictEqual(convertIngredient(eggs, 'metric'), eggs);
+  assert.strictEqual(convertIngredient(parseIngredient('2 cups flour'), 'original').unit, 'cup');
+});
+
+test('quantities round to steps a cook can measure', () => {
+  assert.strictEqual(roundQuantity(123, 'g'), 125);
+  assert.strictEqual(roundQuantity(12.4, 'ml'), 12);
+  assert.strictEqual(roundQuantity(0.33, 'ml'), 0.3);
+  assert.strictEqual(roundQuantity(0.04, 'g'), 0.1);
+  assert.strictEqual(roundQuantity(2.0833, 'cup'), 2);
+  assert.strictEqual(roundQuantity(1.4, 'cup'), 1.5);
+  assert.strictEqual(roundQuantity(0.12, 'tsp'), 0.12);
+});
+
+test('temperatures in steps follow the unit system and keep the text around them', () => {
+  assert.strictEqual(convertTemperatures('Asse a 180 graus por 30 minutos', 'us'), 'Asse a 355 °F por 30 minutos');
+  assert.strictEqual(convertTemperatures('Preheat the oven to 350°F.', 'metric'), 'Preheat the oven to 175 °C.');
+  assert.strictEqual(convertTemperatures('Bake at 375 degrees Fahrenheit for 20 minutes', 'metric'),
+    'Bake at 190 °C for 20 minutes');
+  assert.strictEqual(convertTemperatures('Forno a 200 °C e depois 180º', 'us'), 'Forno a 390 °F e depois 355 °F');
+  // Already in the asked scale, or the original text
+  assert.strictEqual(convertTemperatures('Asse a 180 graus por 30 minutos', 'metric'), 'Asse a 180 graus por 30 minutos');
+  assert.strictEqual(convertTemperatures('Bake at 350°F', 'original'), 'Bake at 350°F');
+});
+
+test('a recipe is presented at other servings and in another unit system', () => {
+  const recipe = {
+    servings: 4,
+    ingredients: normalizeIngredients(['2 xícaras de farinha de trigo', '500 g de carne moída', 'sal a gosto']),
+    steps: ['Asse a 180 graus por 30 minutos.'],
+  };
+  const us = presentRecipe(recipe, { servings: 6, unitSystem: 'us', language: 'pt' });
+  assert.strictEqual(us.factor, 1.5);
+  assert.deepStrictEqual(us.ingredients, ['3 xícaras de farinha de trigo', '1,75 libra de carne moída', 'sal a gosto']);
+  assert.deepStrictEqual(us.steps, ['Asse a 355 °F por 30 minutos.']);
+
+  // Unchanged lines keep their original wording
+  const same = presentRecipe(recipe, { servings: 4 });
+  assert.deepStrictEqual(same.ingredients, ['2 xícaras de farinha de trigo', '500 g de carne moída', 'sal a gosto']);
+  assert.deepStrictEqual(presentRecipe({ ingredients: recipe.ingredients }, { servings: 8 }).factor, 1);
+});
@@ -0,0 +1,36 @@
+// Tests for the cook mode voice commands in Portuguese, English and Spanish.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { COMMANDS, parseVoiceCommand } = require('../src/voiceCommands');
+
+test('commands are recognised in every language, with or without accents', () => {
+  assert.strictEqual(parseVoiceCommand('Próximo'), 'next');
+  assert.strictEqual(parseVoiceCommand('proximo passo'), 'next');
+  assert.strictEqual(parseVoiceCommand('next step please'), 'next');
+  assert.strictEqual(parseVoiceCommand('siguiente'), 'next');
+  assert.strictEqual(parseVoiceCommand('voltar'), 'previous');
+  assert.strictEqual(parseVoiceCommand('go back'), 'previous');
+  assert.strictEqual(parseVoiceCommand('atrás'), 'previous');
+  assert.strictEqual(parseVoiceCommand('repete'), 'repeat');
+  assert.strictEqual(parseVoiceCommand('quais os ingredientes?'), 'ingredients');
+  assert.strictEqual(parseVoiceCommand('pausar'), 'pause');
+  assert.strictEqual(parseVoiceCommand('stop'), 'pause');
+  assert.strictEqual(parseVoiceCommand('continuar'), 'resume');
+  // The last command said wins
+  assert.strictEqual(parseVoiceCommand('não, voltar'), 'previous');
+  assert.strictEqual(parseVoiceCommand(''), null);
+  assert.strictEqual(parseVoiceCommand(undefined), null);
+});
+
+test('sentences from a step are not taken for commands', () => {
+  assert.strictEqual(parseVoiceCommand('coloque para assar por 20 minutos'), null);
+  assert.strictEqual(parseVoiceCommand('para'), null);
+  assert.strictEqual(parseVoiceCommand('continua mexendo'), null);
+  assert.strictEqual(parseVoiceCommand('dê uma volta'), null);
+  assert.strictEqual(parseVoiceCommand('put the lid back'), null);
+  // A long sentence, even with a command word in it
+  assert.strictEqual(parseVoiceCommand('mexa e deixe no fogo até o próximo passo'), null);
+  assert.ok(!Object.values(COMMANDS).flat().includes('para'));
+});